@@ -15,9 +15,42 @@ const { MessageTracker } = require('../utils/trackers');
 // unavailable, the store falls back to a local JSON file. See
 // models/userStore.js for details.
 const userStore = require('../models/userStore');
+const flowEngine = require('../utils/flowEngine');
+const gameEngine = require('../utils/gameEngine');
+const permissions = require('../utils/permissions');
+const commandArgs = require('../utils/commandArgs');
+const commandMatcher = require('../utils/commandMatcher');
+const handover = require('../utils/handover');
+const moderator = require('../utils/moderation');
+const privateReplies = require('../utils/privateReplies');
+const pluginRunner = require('../utils/pluginRunner');
+const { createContext } = require('../utils/pluginContext');
+const i18n = require('../utils/i18n');
+const autoReply = require('../utils/autoReply');
+const throttle = require('../utils/throttle');
+const { PluginTimeoutError } = pluginRunner;
 
 const messageTracker = new MessageTracker();
 
+// Arguments carried over by "did you mean" quick replies; payloads are
+// limited to 1000 characters
+const MAX_SUGGESTION_ARGS = 900;
+
+// Translate a reply into the user's language
+async function translate(senderId, key, vars) {
+  const { t } = await i18n.forUser(senderId);
+  return t(key, vars);
+}
+
+// Tell the user a plugin ran out of time instead of leaving them hanging
+async function sendTimeoutNotice(senderId) {
+  try {
+    await fbApi.sendMessage(senderId, await translate(senderId, 'errors.timeout'));
+  } catch (error) {
+    logger.error('Failed to send timeout notice:', error.message);
+  }
+}
+
 // Command prefix matching
 // Parse a command by stripping a given prefix from the beginning of the
 // message text. Returns an object containing the command name, argument
@@ -30,8 +63,10 @@ function parseCommand(text, prefix) {
   // If nothing remains after the prefix, treat as empty command
   if (trimmed.length === 0) return null;
   const args = trimmed.split(/\s+/);
-  const command = args.shift().toLowerCase();
-  return { command, args, original: text };
+  const word = args.shift();
+  // The text after the command as typed, for declared arguments
+  const argText = trimmed.slice(word.length).trim();
+  return { command: word.toLowerCase(), args, argText, original: text, prefix };
 }
 
 // Handle incoming messages
@@ -43,9 +78,36 @@ async function handleMessage(message, senderId, recipientId, timestamp) {
     
     logger.info(`ðŸ“© Message from ${senderId}: ${text.substring(0, 100)}`);
     
+    // Remember the last interaction for the 24-hour messaging window, and
+    // fetch the user's profile on first contact or once it is stale
+    await userStore.touch(senderId);
+    await userStore.getProfile(senderId);
+    
+    // A human agent has taken over this conversation
+    if (await handover.isBotPaused(senderId)) {
+      logger.debug(`⏸️ Bot paused for ${senderId}, not replying`);
+      return;
+    }
+    
+    // Replies to an active conversation flow take priority over quick
+    // reply postbacks and command parsing
+    if ((quickReply || text) &&
+        await flowEngine.handleInput(senderId, quickReply ? quickReply.payload : text)) {
+      messageTracker.trackMessage(senderId, 'message', true);
+      return;
+    }
+    
+    // Typed answers to a game in progress (game buttons and quick replies
+    // arrive as postbacks)
+    if (text && !quickReply &&
+        await gameEngine.handleInput(senderId, text, { mid: message.mid })) {
+      messageTracker.trackMessage(senderId, 'message', true);
+      return;
+    }
+    
     // Handle quick replies
     if (quickReply) {
-      return handleQuickReply(quickReply, senderId);
+      return handleQuickReply(quickReply, senderId, message.mid);
     }
     
     // Handle attachments
@@ -69,7 +131,19 @@ async function handleMessage(message, senderId, recipientId, timestamp) {
     } else if (config.bot.prefix && text.startsWith(config.bot.prefix)) {
       commandData = parseCommand(text, config.bot.prefix);
     }
+    // Trigger phrases ("what's my balance") run a command without a prefix
+    const triggered = commandData ? null : commandMatcher.matchTrigger(text);
+    if (triggered) {
+      commandData = {
+        command: triggered,
+        args: [],
+        argText: '',
+        original: text,
+        prefix: userPrefix || config.bot.prefix,
+      };
+    }
     if (commandData) {
+      commandData.event = message;
       await handleCommand(commandData, senderId, recipientId);
     } else {
       // Handle non-command messages
@@ -84,7 +158,7 @@ async function handleMessage(message, senderId, recipientId, timestamp) {
     
     // Send error message to user
     await fbApi.sendMessage(senderId, 
-      'Sorry, I encountered an error processing your message. Please try again.'
+      await translate(senderId, 'errors.generic')
     );
   }
 }
@@ -103,31 +177,51 @@ async function handlePostback(postback, senderId, recipientId, timestamp) {
     
     logger.info(`ðŸ”˜ Postback from ${senderId}:`, payload);
     
-    // Load postback plugins
-    const postbackPlugins = require('../utils/pluginLoader').getPostbackPlugins();
+    // Remember the last interaction for the 24-hour messaging window, and
+    // fetch the user's profile on first contact or once it is stale
+    await userStore.touch(senderId);
+    await userStore.getProfile(senderId);
+    
+    // A human agent has taken over this conversation
+    if (await handover.isBotPaused(senderId)) {
+      logger.debug(`⏸️ Bot paused for ${senderId}, ignoring postback`);
+      return;
+    }
     
     // Find matching plugin
-    for (const plugin of postbackPlugins) {
-      if (plugin.payload === payload || 
-          (typeof payload === 'object' && payload.action === plugin.payload)) {
-        
-        // Execute plugin
-        await plugin.start(senderId, recipientId, payload);
-        
-        // Track successful handling
-        messageTracker.trackMessage(senderId, 'postback', true);
-        return;
-      }
+    const match = require('../utils/pluginLoader').matchPostback(payload);
+    const plugin = match && match.plugin;
+    const action = `postback:${plugin ? plugin.meta.name : JSON.stringify(payload)}`;
+    if (await throttle.isThrottled(senderId, action, plugin)) {
+      return;
+    }
+    
+    if (plugin) {
+      // Execute plugin
+      const context = await createContext(plugin, {
+        senderId,
+        type: 'postback',
+        event: postback,
+        extra: { recipientId, payload, params: match.params, matcher: match.matcher },
+      });
+      await pluginRunner.run(plugin, 'start', [senderId, recipientId, payload], context);
+      
+      // Track successful handling
+      messageTracker.trackMessage(senderId, 'postback', true);
+      return;
     }
     
     logger.warn(`No plugin found for postback: ${payload}`);
     await fbApi.sendMessage(senderId, 
-      'Sorry, that action is not available right now.'
+      await translate(senderId, 'errors.actionUnavailable')
     );
     
   } catch (error) {
     logger.error('Error handling postback:', error);
     messageTracker.trackMessage(senderId, 'postback', false);
+    if (error instanceof PluginTimeoutError) {
+      await sendTimeoutNotice(senderId);
+    }
   }
 }
 
@@ -138,12 +232,35 @@ async function handleComment(commentData, pageId) {
     
     logger.info(`ðŸ’¬ Comment from ${senderName}: ${message}`);
     
+    // Moderation runs first; hidden or deleted comments get no replies
+    const moderation = await moderator.moderateComment(commentData, pageId);
+    if (moderation.removed) {
+      messageTracker.trackMessage(senderId, 'comment', true);
+      return;
+    }
+    
     // Load comment plugins
     const commentPlugins = require('../utils/pluginLoader').getCommentPlugins();
     
+    // Helpers bound to this comment, e.g. context.privateReply()
+    const commentHelpers = privateReplies.createContext(commentData);
+    
     // Try each plugin until one handles the comment
     for (const plugin of commentPlugins) {
-      const handled = await plugin.run(commentData);
+      let handled;
+      try {
+        const context = await createContext(plugin, {
+          senderId,
+          type: 'comment',
+          event: commentData,
+          extra: { pageId, ...commentHelpers },
+        });
+        handled = await pluginRunner.run(plugin, 'run', [commentData], context);
+      } catch (error) {
+        // One failing plugin shouldn't stop the others
+        logger.error(`Comment plugin ${plugin.meta.name} failed:`, error.message);
+        continue;
+      }
       if (handled) {
         // Track successful handling
         messageTracker.trackMessage(senderId, 'comment', true);
@@ -161,11 +278,12 @@ async function handleComment(commentData, pageId) {
 }
 
 // Handle quick replies
-async function handleQuickReply(quickReply, senderId) {
+async function handleQuickReply(quickReply, senderId, mid) {
   const payload = quickReply.payload;
   
-  // Quick replies are handled as postbacks
-  await handlePostback({ payload }, senderId, 'page', Date.now());
+  // Quick replies are handled as postbacks; the message id lets plugins
+  // recognise a redelivered webhook event
+  await handlePostback({ payload, mid }, senderId, 'page', Date.now());
 }
 
 // Handle attachments
@@ -178,21 +296,21 @@ async function handleAttachments(attachments, senderId) {
     
     switch (type) {
       case 'image':
-        await fbApi.sendMessage(senderId, 'Thanks for the image!');
+        await fbApi.sendMessage(senderId, await translate(senderId, 'attachments.image'));
         break;
       case 'video':
-        await fbApi.sendMessage(senderId, 'Thanks for the video!');
+        await fbApi.sendMessage(senderId, await translate(senderId, 'attachments.video'));
         break;
       case 'audio':
-        await fbApi.sendMessage(senderId, 'Thanks for the audio message!');
+        await fbApi.sendMessage(senderId, await translate(senderId, 'attachments.audio'));
         break;
       case 'file':
-        await fbApi.sendMessage(senderId, 'Thanks for the file!');
+        await fbApi.sendMessage(senderId, await translate(senderId, 'attachments.file'));
         break;
       case 'location':
         const { lat, long } = attachment.payload.coordinates;
         await fbApi.sendMessage(senderId, 
-          `Thanks for sharing your location: ${lat}, ${long}`
+          await translate(senderId, 'attachments.location', { lat, long })
         );
         break;
     }
@@ -211,43 +329,89 @@ async function handleCommand(commandData, senderId, recipientId) {
     if (plugin.config.name === command || 
         (plugin.config.aliases && plugin.config.aliases.includes(command))) {
       
-      // Check if user is admin for admin commands
-      if (plugin.config.category === 'admin' && 
-          !config.security.adminUIDs.includes(senderId)) {
+      if (await throttle.isThrottled(senderId, `command:${plugin.config.name}`, plugin)) {
+        return;
+      }
+      
+      // Check the permission the command requires, if any
+      if (!(await permissions.canRun(senderId, plugin))) {
         await fbApi.sendMessage(senderId, 
-          'You do not have permission to use this command.'
+          await translate(senderId, 'errors.noPermission')
         );
         return;
       }
       
+      // Parse the arguments the command declares, if any
+      const params = await commandArgs.parseOrExplain(plugin, commandData.argText ?? args, senderId, commandData.prefix);
+      if (params === null) return;
+      
       // Execute command
-      await plugin.start(senderId, args, commandData.original);
+      try {
+        const context = await createContext(plugin, {
+          senderId,
+          type: 'command',
+          event: commandData.event || { text: commandData.original },
+          prefix: commandData.prefix,
+          extra: { command, args, params, originalMessage: commandData.original, recipientId },
+        });
+        await pluginRunner.run(plugin, 'start', [senderId, args, commandData.original], context);
+      } catch (error) {
+        if (!(error instanceof PluginTimeoutError)) throw error;
+        await sendTimeoutNotice(senderId);
+      }
       return;
     }
   }
   
-  // Command not found
-  await handleUnknownCommand(command, senderId);
+  // Command not found; still counts towards the user's rate limit
+  if (await throttle.isThrottled(senderId, `command:${command}`)) {
+    return;
+  }
+  await handleUnknownCommand(command, senderId, commandData);
 }
 
 // Handle regular messages (non-commands)
 async function handleRegularMessage(text, senderId) {
-  // You can implement AI response, keyword matching, etc.
-  const responses = [
-    "Thanks for your message!",
-    "How can I help you today?",
-    "You can use commands like /help to see what I can do!",
-    "I'm here to assist you with your questions.",
-  ];
+  // Attachments without text were already acknowledged
+  if (!text.trim()) return;
   
-  const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-  await fbApi.sendMessage(senderId, randomResponse);
+  // Answer from the FAQ knowledge base, or with the default fallback
+  const { locale } = await i18n.forUser(senderId);
+  const prefix = await userStore.getPrefix(senderId);
+  const reply = await autoReply.respond(text, { senderId, locale, prefix });
+  await fbApi.sendMessage(senderId, reply.text, reply.type, reply.options);
 }
 
-// Handle unknown commands
-async function handleUnknownCommand(command, senderId) {
-  const helpText = `Command "${command}" not found. Use /help to see available commands.`;
-  await fbApi.sendMessage(senderId, helpText);
+// Handle unknown commands, offering the closest commands as quick
+// replies that run them with the same arguments
+async function handleUnknownCommand(command, senderId, commandData = {}) {
+  const prefix = commandData.prefix || await userStore.getPrefix(senderId);
+  const argText = (commandData.argText || '').slice(0, MAX_SUGGESTION_ARGS);
+  const suggestions = await commandMatcher.suggest(command, senderId);
+  const { t } = await i18n.forUser(senderId);
+  
+  const helpButton = { content_type: 'text', title: t('commands.helpButton'), payload: 'HELP_MENU' };
+  if (suggestions.length === 0) {
+    await fbApi.sendMessage(senderId, t('commands.unknown', { command, prefix }), 'quick_replies', {
+      quickReplies: [helpButton],
+    });
+    return;
+  }
+  
+  await fbApi.sendMessage(senderId,
+    t('commands.didYouMean', { command, prefix, suggestion: `${prefix}${suggestions[0].name}` }),
+    'quick_replies',
+    {
+      quickReplies: [
+        ...suggestions.map(suggestion => ({
+          content_type: 'text',
+          title: `${prefix}${suggestion.name}`,
+          payload: `RUN_COMMAND_${suggestion.name} ${argText}`.trim(),
+        })),
+        helpButton,
+      ],
+    }
+  );
 }
 
 module.exports = {
@@ -13,6 +13,7 @@ const winston = require('winston');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
+const rateLimit = require('express-rate-limit');
 const promClient = require('prom-client');
 const cron = require('node-cron');
 const path = require('path');
@@ -21,13 +22,30 @@ const fs = require('fs');
 // Load configuration
 const config = require('./config.json');
 const fbApi = require('./utils/fbApi');
-const { loadPlugins, reloadPlugins, getPluginStats } = require('./utils/pluginLoader');
+const {
+  loadPlugins,
+  reloadPlugins,
+  getPluginStats,
+  getDisabledPlugins,
+  enablePlugin
+} = require('./utils/pluginLoader');
 // NOTE: The handlers directory is named "handlres" (misspelled) in this project.
 // Import from the correct path to avoid "Cannot find module" errors that cause
 // runtime crashes in serverless deployments. See: https://github.com/irfan420x/IRFAN_page_BOT/issues/1
 const { handleMessage, handlePostback, handleComment } = require('./handlres/index');
 const { MessageTracker, PostbackTracker } = require('./utils/trackers');
 const { setupHealthChecks, getSystemMetrics } = require('./utils/healthMonitor');
+const { syncMessengerProfile } = require('./utils/messengerProfile');
+const handover = require('./utils/handover');
+const broadcaster = require('./utils/broadcaster');
+const postScheduler = require('./utils/postScheduler');
+const moderator = require('./utils/moderation');
+const autoReply = require('./utils/autoReply');
+const ledger = require('./models/ledger');
+const gameEngine = require('./utils/gameEngine');
+const adminAuth = require('./utils/adminAuth');
+const { securityConfig: webhookSecurity, checkSignature, isStaleEntry } = require('./utils/webhookSecurity');
+const { AuthError } = adminAuth;
 
 // Initialize logging
 const logger = winston.createLogger({
@@ -82,7 +100,12 @@ app.use(cors({
   credentials: true
 }));
 app.use(compression());
-app.use(bodyParser.json({ verify: verifyRequestSignature }));
+// Keep the raw body; webhook signatures are computed over the exact bytes
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // -----------------------------------------------------------------------------
@@ -110,6 +133,16 @@ const messageCounter = new promClient.Counter({
   help: 'Total messages processed',
   labelNames: ['type', 'status']
 });
+const webhookSignatureCounter = new promClient.Counter({
+  name: 'bot_webhook_signatures_total',
+  help: 'Webhook requests by signature check result',
+  labelNames: ['result']
+});
+const webhookDroppedCounter = new promClient.Counter({
+  name: 'bot_webhook_entries_dropped_total',
+  help: 'Webhook entries dropped before processing',
+  labelNames: ['reason']
+});
 
 // Initialize trackers
 const messageTracker = new MessageTracker();
@@ -143,9 +176,9 @@ async function initializeBot() {
     botState.plugins = await loadPlugins();
     logger.info(`✅ Loaded ${getPluginStats().total} plugins`);
 
-    // Initialise the user store. This ensures that MongoDB (if configured) is
-    // connected and the local JSON file is loaded before any commands or
-    // games access user data. Without this call, the user store will still
+    // Initialise the user store. This ensures that the configured storage
+    // backend is connected (or the local JSON files are used) before any
+    // commands or games access user data. Without this call, the user store will still
     // lazily initialise on first access but performing it here surfaces
     // potential database errors early in the startup process.
     try {
@@ -155,10 +188,42 @@ async function initializeBot() {
     } catch (initErr) {
       logger.warn('⚠️ Failed to initialise user store:', initErr);
     }
+
+    // Report balances that drifted from the coin ledger
+    if (ledger.options.reconcileOnStartup) {
+      try {
+        await ledger.reconcile();
+      } catch (ledgerErr) {
+        logger.warn('⚠️ Failed to reconcile coin ledger:', ledgerErr);
+      }
+    }
+
+    // Resume outbound messages that were still queued when the previous
+    // process stopped.
+    try {
+      await fbApi.sendQueue.restore();
+    } catch (queueErr) {
+      logger.warn('⚠️ Failed to restore send queue:', queueErr);
+    }
+
+    // Continue broadcasts interrupted by a restart
+    try {
+      await broadcaster.resumePending();
+    } catch (broadcastErr) {
+      logger.warn('⚠️ Failed to resume broadcasts:', broadcastErr);
+    }
     
     // Fetch page info
     botState.pageInfo = await fbApi.getPageInfo();
     logger.info(`📄 Page: ${botState.pageInfo.name} (${botState.pageInfo.id})`);
+
+    // Publish Get Started, greeting, persistent menu and ice breakers from
+    // config.json. Payloads are validated against the loaded postback plugins.
+    try {
+      await syncMessengerProfile();
+    } catch (profileErr) {
+      logger.warn('⚠️ Failed to sync messenger profile:', profileErr);
+    }
     
     // Setup health checks
     await setupHealthChecks();
@@ -169,6 +234,9 @@ async function initializeBot() {
       logger.info('📊 Daily counters reset');
     });
     
+    // Publish scheduled page posts (features.enableScheduledPosts)
+    postScheduler.start();
+    
     // Schedule periodic health check
     cron.schedule('*/5 * * * *', async () => {
       await checkBotHealth();
@@ -182,20 +250,16 @@ async function initializeBot() {
 }
 
 // Request signature verification for Facebook
-function verifyRequestSignature(req, res, buf) {
-  const signature = req.headers['x-hub-signature-256'];
-  if (!signature) {
-    return;
-  }
-  
-  const expectedSignature = `sha256=${crypto
-    .createHmac('sha256', config.facebook.appSecret)
-    .update(buf)
-    .digest('hex')}`;
+function verifyRequestSignature(req, res, next) {
+  const result = checkSignature(req.rawBody, req.get('x-hub-signature-256'));
+  webhookSignatureCounter.inc({ result });
   
-  if (signature !== expectedSignature) {
-    throw new Error('Invalid request signature');
+  if (result === 'valid' || (result === 'missing' && !webhookSecurity.requireSignature)) {
+    return next();
   }
+  
+  logger.warn(`❌ Rejected webhook from ${req.ip}: ${result} signature`);
+  res.status(401).json({ error: `${result === 'missing' ? 'Missing' : 'Invalid'} request signature` });
 }
 
 // Webhook verification endpoint
@@ -218,7 +282,7 @@ app.get(config.server.webhookPath, (req, res) => {
 });
 
 // Webhook event processing endpoint
-app.post(config.server.webhookPath, async (req, res) => {
+app.post(config.server.webhookPath, verifyRequestSignature, async (req, res) => {
   logger.debug('📨 Webhook received:', req.body);
   
   // Immediately respond to Facebook
@@ -237,6 +301,13 @@ async function processWebhookEvent(body) {
       const pageID = entry.id;
       const timeOfEvent = entry.time;
       
+      // Replay protection: drop entries older than maxEventAgeSeconds
+      if (isStaleEntry(timeOfEvent)) {
+        logger.warn(`⚠️ Dropping stale webhook entry for page ${pageID} (time ${timeOfEvent})`);
+        webhookDroppedCounter.inc({ reason: 'stale' });
+        continue;
+      }
+      
       // Process messaging events
       if (entry.messaging) {
         for (const event of entry.messaging) {
@@ -244,6 +315,14 @@ async function processWebhookEvent(body) {
         }
       }
       
+      // Process standby events (another app, e.g. the Page inbox, owns the
+      // thread). They are only processed once the handover has ended.
+      if (entry.standby) {
+        for (const event of entry.standby) {
+          await processStandbyEvent(event, pageID, timeOfEvent);
+        }
+      }
+      
       // Process feed events (comments)
       if (entry.changes) {
         for (const change of entry.changes) {
@@ -271,8 +350,12 @@ async function processMessagingEvent(event, pageID, timestamp) {
     botState.messagesProcessed++;
     messageCounter.inc({ type: 'message', status: 'received' });
     
+    // Handover protocol events
+    if (event.pass_thread_control || event.take_thread_control || event.request_thread_control) {
+      await handover.handleHandoverEvent(event);
+    }
     // Message with text
-    if (event.message) {
+    else if (event.message) {
       await handleMessage(event.message, senderId, recipientId, timestamp);
     }
     // Postback from buttons
@@ -297,6 +380,18 @@ async function processMessagingEvent(event, pageID, timestamp) {
   }
 }
 
+// Process standby events
+async function processStandbyEvent(event, pageID, timestamp) {
+  try {
+    const resumed = await handover.handleStandbyEvent(event);
+    if (resumed) {
+      await processMessagingEvent(event, pageID, timestamp);
+    }
+  } catch (error) {
+    logger.error('Error processing standby event:', error);
+  }
+}
+
 // Process feed events (comments)
 async function processFeedEvent(change, pageID, timestamp) {
   try {
@@ -343,7 +438,7 @@ async function processFeedEvent(change, pageID, timestamp) {
 }
 
 // Health check endpoint
-app.get('/status', (req, res) => {
+app.get('/status', adminAuth.protect('protectStatus'), (req, res) => {
   botState.uptime = process.uptime();
   
   const status = {
@@ -365,6 +460,7 @@ app.get('/status', (req, res) => {
       duplicatesBlocked: messageTracker.getDuplicateCount()
     },
     plugins: getPluginStats(),
+    queue: fbApi.sendQueue.getStats(),
     pageInfo: botState.pageInfo,
     system: getSystemMetrics(),
     health: botState.isHealthy ? 'healthy' : 'degraded'
@@ -392,7 +488,7 @@ app.get('/status', (req, res) => {
 });
 
 // Insights endpoint
-app.get('/insights', async (req, res) => {
+app.get('/insights', adminAuth.protect('protectInsights'), async (req, res) => {
   try {
     const metric = req.query.metric || 'page_impressions';
     const period = req.query.period || 'day';
@@ -407,14 +503,88 @@ app.get('/insights', async (req, res) => {
   }
 });
 
-// Plugin management endpoint (admin only)
-app.post('/plugins/reload', (req, res) => {
-  const adminId = req.query.adminId;
-  
-  if (!config.security.adminUIDs.includes(adminId)) {
-    return res.status(403).json({ error: 'Unauthorized' });
+// Dashboard login: exchange an API key for a session token
+const loginLimiter = rateLimit({
+  windowMs: config.security.auth?.loginRateLimit?.windowMs || 900000,
+  max: config.security.auth?.loginRateLimit?.max || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many login attempts, try again later' }
+});
+
+app.post('/auth/login', loginLimiter, async (req, res) => {
+  try {
+    res.json(await adminAuth.login(req.body.apiKey));
+  } catch (error) {
+    if (error instanceof AuthError) {
+      logger.warn(`🔑 Failed dashboard login from ${req.ip}`);
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error during login:', error);
+    res.status(500).json({ error: error.message });
   }
-  
+});
+
+// Credentials of the current request
+app.get('/auth/me', adminAuth.requireAdmin(), (req, res) => {
+  res.json(req.admin);
+});
+
+// API key management (keys with the `*` scope only)
+app.get('/auth/keys', adminAuth.requireAdmin('*'), async (req, res) => {
+  try {
+    res.json({ keys: await adminAuth.listKeys() });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/auth/keys', adminAuth.requireAdmin('*'), async (req, res) => {
+  try {
+    const key = await adminAuth.createKey(req.body.name, req.body.scopes);
+    res.status(201).json({ success: true, key });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a new secret; the old one stays valid for the rotation grace period
+app.post('/auth/keys/:id/rotate', adminAuth.requireAdmin('*'), async (req, res) => {
+  try {
+    const key = await adminAuth.rotateKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ success: true, key });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error rotating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/auth/keys/:id', adminAuth.requireAdmin('*'), async (req, res) => {
+  try {
+    const key = await adminAuth.revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ success: true, key });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plugin management endpoint (admin only)
+app.post('/plugins/reload', adminAuth.requireAdmin('reload'), (req, res) => {
   reloadPlugins()
     .then(newPlugins => {
       botState.plugins = newPlugins;
@@ -429,6 +599,257 @@ app.post('/plugins/reload', (req, res) => {
     });
 });
 
+// Plugins disabled after repeated failures or timeouts (admin only)
+app.get('/plugins/disabled', adminAuth.requireAdmin('reload'), (req, res) => {
+  res.json({ plugins: getDisabledPlugins() });
+});
+
+// Re-enable a disabled plugin (admin only)
+app.post('/plugins/:type/:name/enable', adminAuth.requireAdmin('reload'), (req, res) => {
+  if (!enablePlugin(req.params.type, req.params.name)) {
+    return res.status(404).json({ error: 'Plugin not found' });
+  }
+  res.json({ success: true, stats: getPluginStats() });
+});
+
+// Send queue inspection (admin only)
+app.get('/queue', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    res.json({
+      stats: fbApi.sendQueue.getStats(),
+      deadLetters: await fbApi.sendQueue.getDeadLetters()
+    });
+  } catch (error) {
+    logger.error('Error fetching send queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-drive dead letters: a single one by id, or all of them (admin only)
+app.post('/queue/dead-letters/:id?/retry', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    if (req.params.id) {
+      const redriven = await fbApi.sendQueue.redrive(req.params.id);
+      if (redriven === null) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      return res.json({ success: true, redriven: redriven ? 1 : 0, discarded: redriven ? 0 : 1 });
+    }
+    const redriven = await fbApi.sendQueue.redriveAll();
+    res.json({ success: true, redriven });
+  } catch (error) {
+    logger.error('Error re-driving dead letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a dead letter (admin only)
+app.delete('/queue/dead-letters/:id', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    const removed = await fbApi.sendQueue.discard(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live-agent inbox: users currently handed over to a human (admin only)
+app.get('/handover/inbox', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    res.json({ users: await handover.getInbox() });
+  } catch (error) {
+    logger.error('Error fetching handover inbox:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause the bot for a user (admin only)
+app.post('/handover/:uid/pause', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    const minutes = Number(req.body.minutes) || undefined;
+    const pausedUntil = await handover.pause(req.params.uid, minutes, { status: 'active' });
+    res.json({ success: true, pausedUntil });
+  } catch (error) {
+    logger.error('Error pausing bot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume the bot for a user (admin only)
+app.post('/handover/:uid/resume', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    await handover.resume(req.params.uid);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error resuming bot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Content calendar: list scheduled posts (admin only)
+app.get('/posts', adminAuth.requireAdmin('posts'), async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    res.json({
+      timezone: config.bot.timezone,
+      posts: await postScheduler.listPosts({ status, from, to })
+    });
+  } catch (error) {
+    logger.error('Error listing scheduled posts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a post (admin only). `publishAt` is in the bot timezone.
+app.post('/posts', adminAuth.requireAdmin('posts'), async (req, res) => {
+  if (!postScheduler.enabled) {
+    return res.status(403).json({ error: 'Scheduled posts are disabled' });
+  }
+
+  try {
+    const post = await postScheduler.createPost(req.body, req.admin.name);
+    res.status(201).json({ success: true, post });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled post (admin only)
+app.delete('/posts/:id', adminAuth.requireAdmin('posts'), async (req, res) => {
+  try {
+    const post = await postScheduler.cancelPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    res.json({ success: true, post });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Comment moderation audit log (admin only)
+app.get('/moderation/log', adminAuth.requireAdmin('moderation'), async (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 100;
+    res.json({
+      dryRun: moderator.dryRun,
+      entries: await moderator.getLog({ senderId: req.query.senderId, limit })
+    });
+  } catch (error) {
+    logger.error('Error fetching moderation log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a comment hidden by mistake (admin only)
+app.post('/moderation/log/:id/revert', adminAuth.requireAdmin('moderation'), async (req, res) => {
+  try {
+    const entry = await moderator.revert(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Log entry not found' });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Questions the FAQ auto-reply could not answer (admin only)
+app.get('/autoreply/unanswered', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 100;
+    res.json({ questions: await autoReply.getUnanswered({ limit }) });
+  } catch (error) {
+    logger.error('Error fetching unanswered questions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a question once the knowledge base covers it (admin only)
+app.delete('/autoreply/unanswered/:id', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    const deleted = await autoReply.dismissUnanswered(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error dismissing unanswered question:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reload the FAQ knowledge base (admin only)
+app.post('/autoreply/reload', adminAuth.requireAdmin('reload'), async (req, res) => {
+  try {
+    autoReply.load();
+    res.json({ success: true, entries: autoReply.entries.length });
+  } catch (error) {
+    logger.error('Error reloading knowledge base:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Coin transactions of a user (admin only)
+app.get('/ledger/users/:uid', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 100;
+    res.json({
+      balance: await ledger.getBalance(req.params.uid),
+      transactions: await ledger.getHistory(req.params.uid, { limit })
+    });
+  } catch (error) {
+    logger.error('Error fetching coin history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Balance changes made by admins (admin only)
+app.get('/ledger/audit', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 100;
+    res.json({ entries: await ledger.getAudit({ uid: req.query.uid, actor: req.query.actor, limit }) });
+  } catch (error) {
+    logger.error('Error fetching balance audit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare balances with the coin ledger; POST also repairs them (admin only)
+app.get('/ledger/reconcile', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    res.json(await ledger.reconcile());
+  } catch (error) {
+    logger.error('Error reconciling coin ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/ledger/reconcile', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    res.json(await ledger.reconcile({ fix: true }));
+  } catch (error) {
+    logger.error('Error reconciling coin ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Results per game over all users, or per game for one user (admin only)
+app.get('/games/stats', adminAuth.requireAdmin('users'), async (req, res) => {
+  try {
+    res.json({
+      games: req.query.uid ? await gameEngine.getStats(req.query.uid) : await gameEngine.getSummary()
+    });
+  } catch (error) {
+    logger.error('Error fetching game stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Metrics endpoint for Prometheus
 app.get('/metrics', async (req, res) => {
   try {
@@ -439,33 +860,26 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
-// Broadcast endpoint (admin only)
-app.post('/broadcast', async (req, res) => {
+// Broadcast endpoint (admin only). Creates a broadcast job for the users
+// matching `segment`; delivery runs in the background.
+app.post('/broadcast', adminAuth.requireAdmin('broadcast'), async (req, res) => {
   try {
-    const { adminId, message, type = 'text' } = req.body;
-    
-    if (!config.security.adminUIDs.includes(adminId)) {
-      return res.status(403).json({ error: 'Unauthorized' });
+    if (!config.features.enableBroadcast) {
+      return res.status(403).json({ error: 'Broadcasts are disabled' });
     }
     
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    const { value, error } = broadcaster.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
     }
     
-    // Get all users (in a real implementation, you'd have a database)
-    const users = []; // This would come from your database
-    
-    const results = await Promise.allSettled(
-      users.map(user => fbApi.sendMessage(user.id, message, type))
-    );
+    const job = await broadcaster.createJob(value, req.admin.name);
     
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
-    
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Broadcast sent to ${users.length} users`,
-      stats: { successful, failed }
+      id: job.id,
+      status: job.status,
+      stats: job.stats
     });
     
   } catch (error) {
@@ -474,6 +888,44 @@ app.post('/broadcast', async (req, res) => {
   }
 });
 
+// List broadcast jobs (admin only)
+app.get('/broadcast', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    res.json({ jobs: await broadcaster.listJobs() });
+  } catch (error) {
+    logger.error('Error listing broadcasts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Broadcast job progress and per-recipient results (admin only)
+app.get('/broadcast/:id', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    const job = await broadcaster.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Broadcast not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Error fetching broadcast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry the failed recipients of a broadcast (admin only)
+app.post('/broadcast/:id/retry', adminAuth.requireAdmin('broadcast'), async (req, res) => {
+  try {
+    const retried = await broadcaster.retryFailed(req.params.id);
+    if (retried === null) {
+      return res.status(404).json({ error: 'Broadcast not found' });
+    }
+    res.json({ success: true, retried });
+  } catch (error) {
+    logger.error('Error retrying broadcast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check function
 async function checkBotHealth() {
   try {
@@ -514,11 +966,15 @@ function setupGracefulShutdown() {
     process.on(signal, () => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
       
-      // Perform cleanup
-      setTimeout(() => {
-        logger.info('👋 Bot shut down complete');
-        process.exit(0);
-      }, 1000);
+      // Perform cleanup; flush pending storage writes before exiting
+      require('./models/userStore').close()
+        .catch(error => logger.error('Failed to close storage:', error))
+        .finally(() => {
+          setTimeout(() => {
+            logger.info('👋 Bot shut down complete');
+            process.exit(0);
+          }, 1000);
+        });
     });
   });
   
@@ -0,0 +1,222 @@
+jest.mock('../../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../storage');
+const userStore = require('../userStore');
+const ledger = require('../ledger');
+const { InsufficientFundsError, LEDGER } = ledger;
+
+describe('ledger', () => {
+  let directory;
+
+  // A fresh JSON store per test, in place of the configured one
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('credit and debit', () => {
+    test('change the balance and record each transaction', async () => {
+      const credit = await ledger.credit('u1', 50, { reason: 'dailyBonus' });
+      const debit = await ledger.debit('u1', 20, { reason: 'shopPurchase', note: 'hat' });
+
+      expect(credit).toMatchObject({ uid: 'u1', seq: 1, type: 'credit', amount: 50, balanceAfter: 50, reason: 'dailyBonus' });
+      expect(debit).toMatchObject({ uid: 'u1', seq: 2, type: 'debit', amount: -20, balanceAfter: 30, note: 'hat' });
+      expect(await ledger.getBalance('u1')).toBe(30);
+      expect((await ledger.getHistory('u1')).map(transaction => transaction.seq)).toEqual([2, 1]);
+    });
+
+    test('reject amounts that are not positive numbers', async () => {
+      await expect(ledger.credit('u1', 0)).rejects.toThrow('Invalid amount');
+      await expect(ledger.credit('u1', -5)).rejects.toThrow('Invalid amount');
+      await expect(ledger.debit('u1', 'lots')).rejects.toThrow('Invalid amount');
+    });
+
+    test('debit refuses to overdraw unless allowed', async () => {
+      await ledger.credit('u1', 10);
+      const error = await ledger.debit('u1', 15).catch(caught => caught);
+      expect(error).toBeInstanceOf(InsufficientFundsError);
+      expect(error).toMatchObject({ code: 'INSUFFICIENT_FUNDS', balance: 10, amount: 15 });
+      expect(await ledger.getBalance('u1')).toBe(10);
+
+      await ledger.debit('u1', 15, { allowNegative: true });
+      expect(await ledger.getBalance('u1')).toBe(-5);
+    });
+
+    test('a repeated idempotency key is only applied once', async () => {
+      const first = await ledger.credit('u1', 5, { key: 'mid.1' });
+      const retry = await ledger.credit('u1', 5, { key: 'mid.1' });
+      expect(retry).toMatchObject({ id: first.id, duplicate: true });
+      expect(await ledger.getBalance('u1')).toBe(5);
+    });
+
+    test('concurrent changes of one balance are all kept', async () => {
+      await Promise.all(Array.from({ length: 20 }, () => ledger.credit('u1', 1)));
+      expect(await ledger.getBalance('u1')).toBe(20);
+      expect((await userStore.getUser('u1')).ledgerSeq).toBe(20);
+    });
+
+    test('a balance from before the ledger gets an opening transaction', async () => {
+      await userStore.updateUser('u1', { balance: 40 });
+      const credit = await ledger.credit('u1', 2);
+      expect(credit).toMatchObject({ seq: 2, balanceAfter: 42 });
+      const [opening] = await userStore.listRecords(LEDGER, { uid: 'u1', type: 'opening' });
+      expect(opening).toMatchObject({ seq: 1, amount: 40, balanceAfter: 40 });
+    });
+
+    test('a change that lost to another process is computed again', async () => {
+      await ledger.credit('u1', 10);
+      // Another process credits 5 between this one reading and writing the balance
+      const updateUser = userStore.updateUser.bind(userStore);
+      jest.spyOn(userStore, 'updateUser').mockImplementationOnce(async (...args) => {
+        await updateUser('u1', { balance: 15, ledgerSeq: 2 });
+        return updateUser(...args);
+      });
+
+      const credit = await ledger.credit('u1', 1);
+      expect(credit).toMatchObject({ seq: 3, balanceAfter: 16 });
+      expect(await ledger.getBalance('u1')).toBe(16);
+    });
+  });
+
+  describe('processes sharing a store', () => {
+    // A second ledger has locks of its own, like one in another process
+    const other = () => new ledger.constructor();
+
+    test('a key used by two processes at once is applied and recorded once', async () => {
+      await ledger.credit('u1', 10);
+      const results = await Promise.all([
+        ledger.credit('u1', 5, { key: 'mid.1' }),
+        other().credit('u1', 5, { key: 'mid.1' }),
+      ]);
+
+      expect(results.filter(result => result.duplicate)).toHaveLength(1);
+      expect(await ledger.getBalance('u1')).toBe(15);
+      const [transaction] = await userStore.listRecords(LEDGER, { uid: 'u1', key: 'mid.1' });
+      expect(transaction).toMatchObject({ amount: 5, balanceAfter: 15 });
+
+      // A later redelivery of the key still counts once
+      expect(await other().credit('u1', 5, { key: 'mid.1' })).toMatchObject({ duplicate: true });
+      expect(await ledger.getBalance('u1')).toBe(15);
+      expect((await ledger.reconcile()).mismatches).toEqual([]);
+    });
+
+    test('the losing process records nothing, opening included', async () => {
+      await userStore.updateUser('u1', { balance: 40 });
+      // Another process credits 5 between this one reading and writing the balance
+      const updateUser = userStore.updateUser.bind(userStore);
+      jest.spyOn(userStore, 'updateUser').mockImplementationOnce(async (...args) => {
+        await other().credit('u1', 5, { key: 'mid.2' });
+        return updateUser(...args);
+      });
+
+      await ledger.credit('u1', 1, { key: 'mid.3' });
+      const transactions = await userStore.listRecords(LEDGER, { uid: 'u1' }, { sort: { seq: 1 } });
+      expect(transactions.map(({ type, amount, balanceAfter }) => [type, amount, balanceAfter])).toEqual([
+        ['opening', 40, 40],
+        ['credit', 5, 45],
+        ['credit', 1, 46],
+      ]);
+      expect((await ledger.reconcile()).mismatches).toEqual([]);
+    });
+
+    test('a balance written without its transaction is set back by reconcile', async () => {
+      await ledger.credit('u1', 10);
+      jest.spyOn(ledger, 'record').mockRejectedValueOnce(new Error('process died'));
+      await expect(ledger.credit('u1', 5, { key: 'mid.4' })).rejects.toThrow('process died');
+      jest.restoreAllMocks();
+
+      await ledger.reconcile({ fix: true });
+      expect(await ledger.getBalance('u1')).toBe(10);
+      // The key was never recorded, so it can be applied again
+      expect(await ledger.credit('u1', 5, { key: 'mid.4' })).toMatchObject({ balanceAfter: 15 });
+    });
+  });
+
+  describe('setBalance', () => {
+    test('records the difference as a set transaction for the audit', async () => {
+      await ledger.credit('u1', 30);
+      const set = await ledger.setBalance('u1', 10, { actor: 'admin1', note: 'correction' });
+      expect(set).toMatchObject({ type: 'set', amount: -20, balanceAfter: 10, reason: 'adminSet', actor: 'admin1' });
+      expect(await ledger.getAudit({ actor: 'admin1' })).toHaveLength(1);
+    });
+  });
+
+  describe('transfer', () => {
+    beforeEach(async () => {
+      await ledger.credit('payer', 100);
+    });
+
+    test('moves coins and records both sides', async () => {
+      const { debit, credit } = await ledger.transfer('payer', 'payee', 30, { key: 't1', note: 'lunch' });
+      expect(debit).toMatchObject({ uid: 'payer', amount: -30, reason: 'payment', counterparty: 'payee' });
+      expect(credit).toMatchObject({ uid: 'payee', amount: 30, reason: 'paymentReceived', counterparty: 'payer' });
+      expect(await ledger.getBalance('payer')).toBe(70);
+      expect(await ledger.getBalance('payee')).toBe(30);
+    });
+
+    test('a retried transfer is only applied once', async () => {
+      await ledger.transfer('payer', 'payee', 30, { key: 't1' });
+      const retry = await ledger.transfer('payer', 'payee', 30, { key: 't1' });
+      expect(retry.duplicate).toBe(true);
+      expect(await ledger.getBalance('payer')).toBe(70);
+      expect(await ledger.getBalance('payee')).toBe(30);
+    });
+
+    test('refuses transfers the payer cannot cover or to themselves', async () => {
+      await expect(ledger.transfer('payer', 'payee', 500)).rejects.toBeInstanceOf(InsufficientFundsError);
+      await expect(ledger.transfer('payer', 'payer', 5)).rejects.toThrow('same user');
+      expect(await ledger.getBalance('payer')).toBe(100);
+    });
+
+    test('pays the payer back when the credit fails', async () => {
+      const apply = ledger.apply.bind(ledger);
+      jest.spyOn(ledger, 'apply').mockImplementation(async (uid, change) => {
+        if (uid === 'payee') throw new Error('store unavailable');
+        return apply(uid, change);
+      });
+
+      await expect(ledger.transfer('payer', 'payee', 30, { key: 't1' })).rejects.toThrow('store unavailable');
+      expect(await ledger.getBalance('payer')).toBe(100);
+      const [refund] = await ledger.getHistory('payer', { limit: 1 });
+      expect(refund).toMatchObject({ type: 'credit', amount: 30, reason: 'paymentRefund', counterparty: 'payee' });
+
+      // A retry doesn't take the coins again
+      jest.restoreAllMocks();
+      const retry = await ledger.transfer('payer', 'payee', 30, { key: 't1' });
+      expect(retry).toMatchObject({ credit: null, duplicate: true, refunded: true });
+      expect(await ledger.getBalance('payer')).toBe(100);
+      expect(await ledger.getBalance('payee')).toBe(0);
+    });
+  });
+
+  describe('reconcile', () => {
+    test('reports and repairs balances that differ from the ledger', async () => {
+      await ledger.credit('u1', 10);
+      await ledger.credit('u2', 5);
+      await userStore.updateUser('u1', { balance: 99 });
+      await userStore.updateUser('u3', { balance: 7 });
+
+      const report = await ledger.reconcile();
+      expect(report.mismatches).toEqual([{ uid: 'u1', balance: 99, ledgerBalance: 10, difference: -89 }]);
+      expect(report.unopened).toEqual([{ uid: 'u3', balance: 7 }]);
+
+      await ledger.reconcile({ fix: true });
+      expect(await ledger.getBalance('u1')).toBe(10);
+      expect((await userStore.getUser('u3')).ledgerSeq).toBe(1);
+      const after = await ledger.reconcile();
+      expect(after.mismatches).toEqual([]);
+      expect(after.unopened).toEqual([]);
+    });
+  });
+});
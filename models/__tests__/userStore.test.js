@@ -0,0 +1,103 @@
+jest.mock('../../utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../utils/fbApi', () => ({ getUserProfile: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../storage');
+const userStore = require('../userStore');
+const fbApi = require('../../utils/fbApi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const GRAPH_PROFILE = { first_name: 'Sam', last_name: 'Lee', profile_pic: 'https://pic', locale: 'es_ES', timezone: 6 };
+
+describe('userStore', () => {
+  let directory;
+  let now;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    fbApi.getUserProfile.mockReset();
+    fbApi.getUserProfile.mockResolvedValue(GRAPH_PROFILE);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('getProfile', () => {
+    test('fetches the profile once and keeps it on the user record', async () => {
+      const profile = await userStore.getProfile('u1');
+
+      expect(profile).toEqual({
+        name: 'Sam Lee',
+        firstName: 'Sam',
+        lastName: 'Lee',
+        pic: 'https://pic',
+        locale: 'es_ES',
+        timezone: 6,
+        fetchedAt: now,
+        checkedAt: now,
+      });
+      expect(await userStore.getProfile('u1')).toEqual(profile);
+      expect(fbApi.getUserProfile).toHaveBeenCalledTimes(1);
+      expect((await userStore.getUser('u1')).profile).toEqual(profile);
+    });
+
+    test('concurrent calls share one fetch', async () => {
+      const [first, second] = await Promise.all([userStore.getProfile('u1'), userStore.getProfile('u1')]);
+      expect(first).toEqual(second);
+      expect(fbApi.getUserProfile).toHaveBeenCalledTimes(1);
+    });
+
+    test('refreshes a profile older than refreshHours, or on request', async () => {
+      await userStore.getProfile('u1');
+      fbApi.getUserProfile.mockResolvedValue({ ...GRAPH_PROFILE, first_name: 'Samuel' });
+
+      now += 23 * HOUR_MS;
+      expect((await userStore.getProfile('u1')).firstName).toBe('Sam');
+      expect((await userStore.getProfile('u1', { refresh: true })).firstName).toBe('Samuel');
+
+      fbApi.getUserProfile.mockResolvedValue({ ...GRAPH_PROFILE, first_name: 'Sammy' });
+      now += 25 * HOUR_MS;
+      expect((await userStore.getProfile('u1')).firstName).toBe('Sammy');
+      expect(fbApi.getUserProfile).toHaveBeenCalledTimes(3);
+    });
+
+    test('a failed refresh keeps the last profile and retries after retryMinutes', async () => {
+      const profile = await userStore.getProfile('u1');
+      fbApi.getUserProfile.mockRejectedValue(new Error('(#100) No profile available'));
+
+      now += 25 * HOUR_MS;
+      expect(await userStore.getProfile('u1')).toMatchObject({ name: 'Sam Lee', fetchedAt: profile.fetchedAt, failed: true });
+      now += 30 * 60 * 1000;
+      await userStore.getProfile('u1');
+      expect(fbApi.getUserProfile).toHaveBeenCalledTimes(2);
+
+      fbApi.getUserProfile.mockResolvedValue(GRAPH_PROFILE);
+      now += 31 * 60 * 1000;
+      const refreshed = await userStore.getProfile('u1');
+      expect(refreshed.failed).toBeUndefined();
+      expect(refreshed.fetchedAt).toBe(now);
+    });
+
+    test('a profile that could never be fetched is null until the retry', async () => {
+      fbApi.getUserProfile.mockRejectedValue(new Error('(#100) No profile available'));
+      expect(await userStore.getProfile('u1')).toBeNull();
+      expect(await userStore.getProfile('u1')).toBeNull();
+      expect(fbApi.getUserProfile).toHaveBeenCalledTimes(1);
+    });
+
+    test('a name is built from its parts when the full name is missing', async () => {
+      fbApi.getUserProfile.mockResolvedValue({ first_name: 'Ana' });
+      expect((await userStore.getProfile('u1')).name).toBe('Ana');
+    });
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * Coin Ledger
+ * Every change to a user's coin balance is recorded as a transaction in the
+ * `ledger` collection, with the reason, the acting user and the balance it
+ * left. The `balance` on the user record is a running total kept in step
+ * with the ledger, so reads stay cheap; reconcile() checks it against the
+ * transactions and can repair it.
+ *
+ * Changes to one user's balance run one at a time within the process, so
+ * concurrent postbacks can no longer overwrite each other's coins. Across
+ * processes sharing a store, the balance is only written if the user's
+ * transaction count (`ledgerSeq`) is still the one it was computed from;
+ * a change that lost to another process is computed again. Callers pass
+ * an idempotency key (e.g. the webhook message id) to make retried
+ * deliveries count only once. The ids of the latest transactions are kept
+ * on the user record (`ledgerRecent`), written together with the balance,
+ * so a key is claimed by the write that wins, before its transaction is
+ * recorded.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+const logger = require('../utils/logger');
+const userStore = require('./userStore');
+
+const LEDGER = 'ledger';
+// Times a balance change is computed again after other processes changed
+// the balance first
+const MAX_APPLY_ATTEMPTS = 10;
+// Transaction ids kept on the user record for spotting repeated keys
+const RECENT_TRANSACTIONS = 10;
+
+const economyConfig = {
+  historyLimit: 10,
+  maxHistoryLimit: 50,
+  reconcileOnStartup: true,
+  ...config.economy,
+};
+
+class InsufficientFundsError extends Error {
+  constructor(uid, balance, amount) {
+    super(`User ${uid} has ${balance} coins, ${amount} needed`);
+    this.name = 'InsufficientFundsError';
+    this.code = 'INSUFFICIENT_FUNDS';
+    this.uid = uid;
+    this.balance = balance;
+    this.amount = amount;
+  }
+}
+
+// Transaction id; derived from the idempotency key so a retry finds it
+function transactionId(uid, key) {
+  if (!key) return crypto.randomUUID();
+  return crypto.createHash('sha1').update(`${uid}\n${key}`).digest('hex');
+}
+
+function checkAmount(amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid amount: ${amount} (must be a positive number)`);
+  }
+  return value;
+}
+
+// Running `{ balance, seq }` of a user's transactions
+function addTransaction(total = { balance: 0, seq: 0 }, transaction) {
+  return {
+    balance: total.balance + (Number(transaction.amount) || 0),
+    seq: Math.max(total.seq, Number(transaction.seq) || 0),
+  };
+}
+
+class Ledger {
+  constructor(options = economyConfig) {
+    this.options = options;
+    // uid -> tail of the queue of balance changes for that user
+    this.locks = new Map();
+  }
+
+  /**
+   * Run balance changes of one user one after another. Operations that
+   * change more than the balance (e.g. a purchase adding to the inventory)
+   * call apply() inside the lock so both happen together.
+   * @param {string} uid
+   * @param {Function} task Async function to run while holding the lock
+   * @returns {Promise<*>} What the task returns
+   */
+  async withLock(uid, task) {
+    const previous = this.locks.get(uid) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(uid, tail);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(uid) === tail) {
+        this.locks.delete(uid);
+      }
+    }
+  }
+
+  /**
+   * Apply a balance change and record it. Must run under the user's lock.
+   * A user whose balance predates the ledger first gets an `opening`
+   * transaction for it, so the history adds up to the balance.
+   * @param {string} uid
+   * @param {Object} change `{ type, amount, reason, key, actor, counterparty,
+   *   note, minBalance }`; `amount` is signed, or a function of the balance
+   * @returns {Promise<Object>} The transaction
+   * @throws {InsufficientFundsError} If the balance would drop below `minBalance`
+   */
+  async apply(uid, { type, amount, reason, key, actor, counterparty, note, minBalance = 0 }) {
+    const id = transactionId(uid, key);
+    for (let attempt = 1; ; attempt++) {
+      const existing = await userStore.getRecord(LEDGER, id);
+      if (existing) {
+        return { ...existing, duplicate: true };
+      }
+
+      const user = await userStore.getUser(uid);
+      const recent = user.ledgerRecent || [];
+      if (recent.includes(id)) {
+        // Applied by another process that hasn't recorded it yet
+        return { id, uid, type, duplicate: true };
+      }
+      const readSeq = user.ledgerSeq ?? null;
+      let balance = Number(user.balance) || 0;
+      let seq = Number(user.ledgerSeq) || 0;
+      const opening = !user.ledgerSeq && balance !== 0
+        ? { uid, seq: ++seq, type: 'opening', amount: balance, balanceAfter: balance, reason: 'opening' }
+        : null;
+
+      const change = typeof amount === 'function' ? amount(balance) : amount;
+      if (change < 0 && balance + change < minBalance) {
+        throw new InsufficientFundsError(uid, balance, -change);
+      }
+      balance += change;
+      seq += 1;
+
+      // Only the process whose balance write wins records the transaction.
+      // If it dies in between, reconcile() finds the balance ahead of the
+      // ledger and sets it back.
+      const updated = await userStore.updateUser(uid, {
+        balance,
+        ledgerSeq: seq,
+        ledgerRecent: [id, ...recent].slice(0, RECENT_TRANSACTIONS),
+      }, { expect: { ledgerSeq: readSeq } });
+      if (updated) {
+        if (opening) {
+          await this.record(`${uid}:opening`, opening);
+        }
+        return this.record(id, {
+          uid,
+          seq,
+          type,
+          amount: change,
+          balanceAfter: balance,
+          reason: reason || type,
+          key: key || undefined,
+          actor: actor || undefined,
+          counterparty: counterparty || undefined,
+          note: note || undefined,
+        });
+      }
+
+      // Another process changed the balance since it was read
+      if (attempt >= MAX_APPLY_ATTEMPTS) {
+        throw new Error(`Balance of ${uid} kept changing, ${type} of ${change} not applied`);
+      }
+      logger.debug(`💰 Balance of ${uid} changed by another process, applying ${type} again`);
+      // Jitter, so processes that collided don't collide again
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 20 * attempt));
+    }
+  }
+
+  async record(id, fields) {
+    const transaction = { id, ...fields, at: new Date().toISOString() };
+    for (const field of Object.keys(transaction)) {
+      if (transaction[field] === undefined) delete transaction[field];
+    }
+    return userStore.saveRecord(LEDGER, id, transaction);
+  }
+
+  /**
+   * Add coins to a user's balance.
+   * @param {string} uid
+   * @param {number} amount Positive number of coins
+   * @param {Object} [options]
+   * @param {string} [options.reason] Short code, e.g. `rpsWin`, shown in /history
+   * @param {string} [options.key] Idempotency key; a repeated key returns the
+   *   original transaction with `duplicate: true` instead of paying again
+   * @param {string} [options.actor] PSID of whoever caused the change
+   * @param {string} [options.note] Free text kept with the transaction
+   * @returns {Promise<Object>} The transaction, including `balanceAfter`
+   */
+  async credit(uid, amount, options = {}) {
+    const value = checkAmount(amount);
+    return this.withLock(uid, () => this.apply(uid, { ...options, type: 'credit', amount: value }));
+  }
+
+  /**
+   * Take coins from a user's balance.
+   * @param {string} uid
+   * @param {number} amount Positive number of coins
+   * @param {Object} [options] As for credit(), plus `allowNegative`
+   * @returns {Promise<Object>} The transaction, including `balanceAfter`
+   * @throws {InsufficientFundsError} If the balance would drop below zero
+   */
+  async debit(uid, amount, options = {}) {
+    const value = checkAmount(amount);
+    const { allowNegative, ...rest } = options;
+    return this.withLock(uid, () => this.apply(uid, {
+      ...rest,
+      type: 'debit',
+      amount: -value,
+      minBalance: allowNegative ? -Infinity : 0,
+    }));
+  }
+
+  /**
+   * Move coins from one user to another. Both balances are locked (in a
+   * fixed order, so two opposite transfers can't wait on each other) and
+   * each side gets its own transaction naming the other user. If the
+   * credit fails after the debit, the payer is paid back with a
+   * `paymentRefund` transaction and the error is rethrown.
+   * @param {string} fromUid Paying user
+   * @param {string} toUid Receiving user
+   * @param {number} amount Positive number of coins
+   * @param {Object} [options] `{ key, note }`; the key makes a retried
+   *   transfer return the original transactions (`refunded` when it had
+   *   failed)
+   * @returns {Promise<{ debit: Object, credit: Object|null, duplicate?: boolean, refunded?: boolean }>}
+   * @throws {InsufficientFundsError} If the payer can't cover the amount
+   */
+  async transfer(fromUid, toUid, amount, { key, note } = {}) {
+    const value = checkAmount(amount);
+    if (fromUid === toUid) {
+      throw new Error('Cannot transfer coins to the same user');
+    }
+    const [first, second] = [fromUid, toUid].sort();
+    return this.withLock(first, () => this.withLock(second, async () => {
+      const debit = await this.apply(fromUid, {
+        type: 'debit',
+        amount: -value,
+        reason: 'payment',
+        key: key && `${key}:out`,
+        actor: fromUid,
+        counterparty: toUid,
+        note,
+      });
+      const refundKey = key && `${key}:refund`;
+      // A retry of a transfer that failed and was refunded stays refunded
+      if (debit.duplicate && refundKey && await userStore.getRecord(LEDGER, transactionId(fromUid, refundKey))) {
+        return { debit, credit: null, duplicate: true, refunded: true };
+      }
+
+      let credit;
+      try {
+        credit = await this.apply(toUid, {
+          type: 'credit',
+          amount: value,
+          reason: 'paymentReceived',
+          key: key && `${key}:in`,
+          actor: fromUid,
+          counterparty: fromUid,
+          note,
+        });
+      } catch (error) {
+        await this.refund(fromUid, toUid, value, { key: refundKey, note, error });
+        throw error;
+      }
+      return debit.duplicate ? { debit, credit, duplicate: true } : { debit, credit };
+    }));
+  }
+
+  // Pay back the debit of a transfer whose credit failed. Runs under the
+  // payer's lock, inside transfer().
+  async refund(fromUid, toUid, amount, { key, note, error }) {
+    try {
+      await this.apply(fromUid, {
+        type: 'credit',
+        amount,
+        reason: 'paymentRefund',
+        key,
+        actor: fromUid,
+        counterparty: toUid,
+        note,
+      });
+      logger.warn(`💰 Transfer of ${amount} from ${fromUid} to ${toUid} failed and was refunded: ${error.message}`);
+    } catch (refundError) {
+      logger.error(
+        `💰 Transfer of ${amount} from ${fromUid} to ${toUid} failed (${error.message}) ` +
+        `and could not be refunded: ${refundError.message}`
+      );
+    }
+  }
+
+  /**
+   * Set a user's balance to an exact amount, recording the difference as a
+   * `set` transaction with the acting admin, for auditing.
+   * @param {string} uid
+   * @param {number} amount New balance
+   * @param {Object} [options] `{ actor, note, reason, key }`
+   * @returns {Promise<Object>} The transaction (`amount` is the difference)
+   */
+  async setBalance(uid, amount, options = {}) {
+    const target = Number(amount);
+    if (!Number.isFinite(target)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    return this.withLock(uid, () => this.apply(uid, {
+      reason: 'adminSet',
+      ...options,
+      type: 'set',
+      amount: balance => target - balance,
+      minBalance: -Infinity,
+    }));
+  }
+
+  /**
+   * Retrieve a user's balance.
+   * @param {string} uid
+   * @returns {Promise<number>}
+   */
+  async getBalance(uid) {
+    return userStore.getBalance(uid);
+  }
+
+  /**
+   * Retrieve a user's transactions, newest first.
+   * @param {string} uid
+   * @param {Object} [options]
+   * @param {number} [options.limit] Defaults to `economy.historyLimit`
+   * @returns {Promise<Array<Object>>}
+   */
+  async getHistory(uid, { limit = this.options.historyLimit } = {}) {
+    return userStore.listRecords(LEDGER, { uid }, { sort: { seq: -1 }, limit });
+  }
+
+  /**
+   * Retrieve the balance changes made by admins, newest first.
+   * @param {Object} [options] `{ uid, actor, limit }`
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAudit({ uid, actor, limit = 100 } = {}) {
+    const query = { type: 'set' };
+    if (uid) query.uid = uid;
+    if (actor) query.actor = actor;
+    return userStore.listRecords(LEDGER, query, { sort: { at: -1 }, limit });
+  }
+
+  /**
+   * Compare every user's balance with the sum of their transactions. With
+   * `fix`, balances are set to what the ledger says and users whose
+   * balance predates the ledger get their opening transaction.
+   * @param {Object} [options]
+   * @param {boolean} [options.fix=false]
+   * @returns {Promise<{ checked: number, mismatches: Array<Object>, unopened: Array<Object> }>}
+   */
+  async reconcile({ fix = false } = {}) {
+    const totals = new Map();
+    for (const transaction of await userStore.listRecords(LEDGER)) {
+      totals.set(transaction.uid, addTransaction(totals.get(transaction.uid), transaction));
+    }
+
+    const mismatches = [];
+    const unopened = [];
+    const users = await userStore.getAllUsers();
+    for (const user of users) {
+      const balance = Number(user.balance) || 0;
+      const total = totals.get(user.uid);
+      if (!total && balance !== 0) {
+        unopened.push({ uid: user.uid, balance });
+      } else if (total && (total.balance !== balance || total.seq !== Number(user.ledgerSeq))) {
+        mismatches.push({ uid: user.uid, balance, ledgerBalance: total.balance, difference: total.balance - balance });
+      } else {
+        continue;
+      }
+      if (fix) {
+        await this.withLock(user.uid, () => this.repair(user.uid));
+      }
+    }
+
+    if (mismatches.length > 0) {
+      logger.warn(`💰 ${mismatches.length} balance(s) differ from the ledger${fix ? ', repaired' : ''}`);
+    }
+    return { checked: users.length, mismatches, unopened };
+  }
+
+  // Bring one user's balance in line with their transactions, re-read
+  // under the lock in case they changed since the report. Left alone if
+  // another process changes it meanwhile; the next reconcile() looks again.
+  async repair(uid) {
+    const user = await userStore.getUser(uid);
+    const transactions = await userStore.listRecords(LEDGER, { uid });
+    const expect = { ledgerSeq: user.ledgerSeq ?? null };
+    let updated;
+    if (transactions.length === 0) {
+      const balance = Number(user.balance) || 0;
+      await this.record(`${uid}:opening`, { uid, seq: 1, type: 'opening', amount: balance, balanceAfter: balance, reason: 'opening' });
+      updated = await userStore.updateUser(uid, { ledgerSeq: 1 }, { expect: { ...expect, balance: user.balance ?? null } });
+    } else {
+      const total = transactions.reduce(addTransaction, undefined);
+      // Changes set back here were never recorded, so their keys are free again
+      const recorded = new Set(transactions.map(transaction => transaction.id));
+      const ledgerRecent = (user.ledgerRecent || []).filter(id => recorded.has(id));
+      updated = await userStore.updateUser(uid, { balance: total.balance, ledgerSeq: total.seq, ledgerRecent }, { expect });
+    }
+    if (!updated) {
+      logger.warn(`💰 Balance of ${uid} changed during repair, left for the next reconcile`);
+    }
+    return updated;
+  }
+}
+
+module.exports = new Ledger();
+module.exports.InsufficientFundsError = InsufficientFundsError;
+module.exports.LEDGER = LEDGER;
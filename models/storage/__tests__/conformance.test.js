@@ -0,0 +1,84 @@
+/**
+ * Runs the storage conformance checks against every adapter. JSON files
+ * go to a temporary directory and SQLite runs in memory; Redis and MongoDB
+ * run against the servers in REDIS_URL and MONGODB_URI, and are skipped
+ * when those aren't set.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorageConfig, createAdapter } = require('../index');
+const { CHECKS, runCheck } = require('../conformance');
+
+const storageConfig = getStorageConfig();
+
+// Why a driver can't run here, or null when it can
+function sqliteUnavailable() {
+  try {
+    require('better-sqlite3');
+    return null;
+  } catch (error) {
+    return `better-sqlite3 is not available: ${error.message.split('\n')[0]}`;
+  }
+}
+
+const DRIVERS = [
+  {
+    driver: 'json',
+    options: () => ({
+      ...storageConfig.json,
+      directory: fs.mkdtempSync(path.join(os.tmpdir(), 'storage-conformance-')),
+      writeDelayMs: 5,
+    }),
+    persistent: true,
+  },
+  {
+    driver: 'sqlite',
+    options: () => ({ ...storageConfig.sqlite, file: ':memory:' }),
+    // Every in-memory connection is a database of its own
+    persistent: false,
+    skip: sqliteUnavailable(),
+  },
+  {
+    driver: 'redis',
+    options: () => storageConfig.redis,
+    persistent: true,
+    skip: process.env.REDIS_URL ? null : 'set REDIS_URL to run against Redis',
+  },
+  {
+    driver: 'mongodb',
+    options: () => storageConfig.mongodb,
+    persistent: true,
+    skip: process.env.MONGODB_URI ? null : 'set MONGODB_URI to run against MongoDB',
+  },
+];
+
+for (const { driver, options, persistent, skip } of DRIVERS) {
+  if (skip) {
+    describe.skip(`${driver} adapter (skipped: ${skip})`, () => {
+      test.each(CHECKS.map(([name]) => name))('%s', () => {});
+    });
+    continue;
+  }
+
+  describe(`${driver} adapter`, () => {
+    let driverOptions;
+    const run = `${Date.now().toString(36)}_${process.pid}`;
+
+    beforeAll(() => {
+      driverOptions = options();
+    });
+
+    afterAll(() => {
+      if (driver === 'json') {
+        fs.rmSync(driverOptions.directory, { recursive: true, force: true });
+      }
+    });
+
+    CHECKS.forEach(([name, check, { reopens = false } = {}], index) => {
+      const it = reopens && !persistent ? test.skip : test;
+      it(name, () => runCheck(extra => createAdapter(driver, { ...driverOptions, ...extra }), check, `${run}_${index}`));
+    });
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Storage Adapter
+ * Base class of the storage backends. Data is organised in collections of
+ * records; each record is identified by its key field (`id` unless the
+ * adapter is created with `keyFields`, e.g. `{ users: 'uid' }`).
+ *
+ * Adapters implement `get`, `set`, `delete` and `list`; `update` has a
+ * generic read-modify-write implementation that adapters replace with an
+ * atomic one where the backend supports it. An update can be made
+ * conditional on the current values of some fields (`expect`), which is
+ * what keeps balance changes from several processes apart (see
+ * models/ledger.js). Every method returns copies, never live references to
+ * stored data.
+ *
+ * List queries support equality and the operators `$gt`, `$gte`, `$lt`,
+ * `$lte`, `$ne` and `$in`; list options are `{ sort: { field: 1|-1 }, limit }`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const OPERATORS = {
+  $gt: (value, operand) => value !== undefined && value > operand,
+  $gte: (value, operand) => value !== undefined && value >= operand,
+  $lt: (value, operand) => value !== undefined && value < operand,
+  $lte: (value, operand) => value !== undefined && value <= operand,
+  $ne: (value, operand) => value !== operand,
+  $in: (value, operand) => operand.includes(value),
+};
+
+// Whether a record satisfies a list query
+function matchesQuery(record, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    const value = record[field];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) &&
+        Object.keys(condition).every(key => key in OPERATORS)) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return value === condition;
+  });
+}
+
+// Sort and limit records in memory, for backends without native support
+function applyListOptions(records, { sort, limit } = {}) {
+  let result = records;
+  if (sort) {
+    const fields = Object.entries(sort);
+    result = [...records].sort((a, b) => {
+      for (const [field, direction] of fields) {
+        if (a[field] === b[field]) continue;
+        if (a[field] === undefined) return 1;
+        if (b[field] === undefined) return -1;
+        return (a[field] < b[field] ? -1 : 1) * (direction < 0 ? -1 : 1);
+      }
+      return 0;
+    });
+  }
+  return limit > 0 ? result.slice(0, limit) : result;
+}
+
+// Apply update fields to a record; `undefined` values remove the field
+function applyUpdate(record, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      delete record[key];
+    } else {
+      record[key] = value;
+    }
+  }
+  return record;
+}
+
+// Whether a record has the field values an update expects; `null` stands
+// for a missing field and a missing record matches nothing
+function matchesExpected(record, expect) {
+  return Boolean(record) && Object.entries(expect).every(([field, value]) => (record[field] ?? null) === value);
+}
+
+// Deep copy of a JSON-compatible record
+function clone(record) {
+  return record === null || record === undefined ? null : JSON.parse(JSON.stringify(record));
+}
+
+class StorageAdapter {
+  constructor(options = {}) {
+    this.options = options;
+    this.keyFields = { ...options.keyFields };
+  }
+
+  get name() {
+    return 'base';
+  }
+
+  keyField(collection) {
+    return this.keyFields[collection] || 'id';
+  }
+
+  // Record as stored: key field set, Mongo `_id` stripped
+  prepare(collection, id, record) {
+    const doc = { ...clone(record), [this.keyField(collection)]: id };
+    delete doc._id;
+    return doc;
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  /**
+   * Retrieve a record.
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(collection, id) {
+    throw new Error(`${this.name} adapter does not implement get()`);
+  }
+
+  /**
+   * Insert or replace a record.
+   * @param {string} collection
+   * @param {string} id
+   * @param {Object} record
+   * @returns {Promise<Object>} The stored record
+   */
+  async set(collection, id, record) {
+    throw new Error(`${this.name} adapter does not implement set()`);
+  }
+
+  /**
+   * Remove a record.
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a record was removed
+   */
+  async delete(collection, id) {
+    throw new Error(`${this.name} adapter does not implement delete()`);
+  }
+
+  /**
+   * List the records of a collection.
+   * @param {string} collection
+   * @param {Object} [query]
+   * @param {Object} [options] `{ sort, limit }`
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(collection, query = {}, options = {}) {
+    throw new Error(`${this.name} adapter does not implement list()`);
+  }
+
+  /**
+   * Merge fields into a record, creating it when missing. Fields set to
+   * `undefined` are removed.
+   * @param {string} collection
+   * @param {string} id
+   * @param {Object} fields
+   * @param {Object} [options]
+   * @param {Object} [options.expect] Values the stored record's fields must
+   *   have for the update to happen (`null` for a missing field); the
+   *   record is then never created
+   * @returns {Promise<Object|null>} The updated record, or null if the
+   *   record didn't have the expected values
+   */
+  async update(collection, id, fields, { expect } = {}) {
+    const record = await this.get(collection, id);
+    if (expect && !matchesExpected(record, expect)) return null;
+    return this.set(collection, id, applyUpdate(record || {}, fields));
+  }
+}
+
+module.exports = StorageAdapter;
+module.exports.matchesQuery = matchesQuery;
+module.exports.applyListOptions = applyListOptions;
+module.exports.applyUpdate = applyUpdate;
+module.exports.matchesExpected = matchesExpected;
+module.exports.clone = clone;
@@ -0,0 +1,202 @@
+/**
+ * Storage Adapter Conformance Checks
+ * Behaviour every storage adapter must share, so the bot runs the same on
+ * any backend. models/storage/__tests__/conformance.test.js runs them
+ * against each driver:
+ *
+ *   npm run storage:check
+ *
+ * The checks only touch their own `conformance_*` collections and remove
+ * their records.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const assert = require('assert');
+
+// Compare results as plain data. A driver may build them in another realm
+// (native arrays under jest's sandbox), which deepStrictEqual would count
+// as a different prototype.
+function assertData(actual, expected) {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected);
+}
+
+/**
+ * The checks, as `[description, async (adapter, collections, reconnect) => {}, options]`.
+ * `collections.items` uses the `id` key field, `collections.people` uses `uid`.
+ * Checks that reconnect have `{ reopens: true }`: they need a store that
+ * outlives a connection.
+ */
+const CHECKS = [
+  ['get returns null for a missing record', async (adapter, { items }) => {
+    assert.strictEqual(await adapter.get(items, 'missing'), null);
+  }],
+
+  ['set stores a record with its key field and returns it', async (adapter, { items }) => {
+    const stored = await adapter.set(items, 'a', { name: 'Alpha', count: 1, tags: ['x'] });
+    assertData(stored, { name: 'Alpha', count: 1, tags: ['x'], id: 'a' });
+    assertData(await adapter.get(items, 'a'), stored);
+  }],
+
+  ['set replaces the whole record', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { name: 'Alpha', count: 1 });
+    await adapter.set(items, 'a', { name: 'Alpha 2' });
+    assertData(await adapter.get(items, 'a'), { name: 'Alpha 2', id: 'a' });
+  }],
+
+  ['set ignores a Mongo _id and overrides a wrong key field', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { _id: 'zzz', id: 'other', name: 'Alpha' });
+    assertData(await adapter.get(items, 'a'), { id: 'a', name: 'Alpha' });
+    assert.strictEqual(await adapter.get(items, 'other'), null);
+  }],
+
+  ['records are copies, not live references', async (adapter, { items }) => {
+    const input = { nested: { value: 1 } };
+    const stored = await adapter.set(items, 'a', input);
+    input.nested.value = 2;
+    stored.nested.value = 3;
+    const fetched = await adapter.get(items, 'a');
+    fetched.nested.value = 4;
+    assert.strictEqual((await adapter.get(items, 'a')).nested.value, 1);
+  }],
+
+  ['update merges fields and removes undefined ones', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { name: 'Alpha', count: 1, flag: true });
+    const updated = await adapter.update(items, 'a', { count: 2, flag: undefined, extra: 'x' });
+    assertData(updated, { id: 'a', name: 'Alpha', count: 2, extra: 'x' });
+    assertData(await adapter.get(items, 'a'), updated);
+  }],
+
+  ['update creates a missing record', async (adapter, { items }) => {
+    const created = await adapter.update(items, 'new', { name: 'New' });
+    assertData(created, { id: 'new', name: 'New' });
+  }],
+
+  ['concurrent updates of different fields are all kept', async (adapter, { items }) => {
+    await adapter.set(items, 'a', {});
+    await Promise.all(Array.from({ length: 10 }, (value, i) => adapter.update(items, 'a', { [`f${i}`]: i })));
+    const record = await adapter.get(items, 'a');
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual(record[`f${i}`], i);
+    }
+  }],
+
+  ['update with expect only changes a record with the expected values', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { seq: 1, name: 'Alpha' });
+    assert.strictEqual(await adapter.update(items, 'a', { seq: 2 }, { expect: { seq: 2 } }), null);
+    assertData(await adapter.get(items, 'a'), { id: 'a', seq: 1, name: 'Alpha' });
+    const updated = await adapter.update(items, 'a', { seq: 2 }, { expect: { seq: 1, missing: null } });
+    assertData(updated, { id: 'a', seq: 2, name: 'Alpha' });
+    assert.strictEqual(await adapter.update(items, 'new', { seq: 1 }, { expect: { seq: null } }), null);
+    assert.strictEqual(await adapter.get(items, 'new'), null);
+  }],
+
+  ['only one of concurrent updates expecting the same values wins', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { seq: 1 });
+    const results = await Promise.all(Array.from({ length: 5 }, (value, i) =>
+      adapter.update(items, 'a', { seq: 2, by: i }, { expect: { seq: 1 } })
+    ));
+    const winners = results.filter(Boolean);
+    assert.strictEqual(winners.length, 1);
+    assertData(await adapter.get(items, 'a'), winners[0]);
+  }],
+
+  ['delete reports whether a record was removed', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { name: 'Alpha' });
+    assert.strictEqual(await adapter.delete(items, 'a'), true);
+    assert.strictEqual(await adapter.delete(items, 'a'), false);
+    assert.strictEqual(await adapter.get(items, 'a'), null);
+  }],
+
+  ['list filters by equality', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { status: 'open', n: 1 });
+    await adapter.set(items, 'b', { status: 'done', n: 2 });
+    await adapter.set(items, 'c', { status: 'open', n: 3 });
+    const open = await adapter.list(items, { status: 'open' });
+    assertData(open.map(record => record.id).sort(), ['a', 'c']);
+    assert.strictEqual((await adapter.list(items)).length, 3);
+    assertData(await adapter.list(items, { status: 'missing' }), []);
+  }],
+
+  ['list supports $gt, $gte, $lt, $lte, $ne and $in', async (adapter, { items }) => {
+    for (const [id, n] of [['a', 1], ['b', 2], ['c', 3]]) {
+      await adapter.set(items, id, { n, kind: id === 'b' ? 'even' : 'odd' });
+    }
+    await adapter.set(items, 'd', { kind: 'none' });
+    const ids = async query => (await adapter.list(items, query)).map(record => record.id).sort();
+    assertData(await ids({ n: { $gt: 1 } }), ['b', 'c']);
+    assertData(await ids({ n: { $gte: 2, $lt: 3 } }), ['b']);
+    assertData(await ids({ n: { $lte: 1 } }), ['a']);
+    assertData(await ids({ kind: { $ne: 'odd' } }), ['b', 'd']);
+    assertData(await ids({ kind: { $in: ['even', 'none'] } }), ['b', 'd']);
+  }],
+
+  ['list sorts by several fields and limits', async (adapter, { items }) => {
+    await adapter.set(items, 'a', { score: 5, name: 'b' });
+    await adapter.set(items, 'b', { score: 9, name: 'a' });
+    await adapter.set(items, 'c', { score: 5, name: 'a' });
+    const sorted = await adapter.list(items, {}, { sort: { score: -1, name: 1 } });
+    assertData(sorted.map(record => record.id), ['b', 'c', 'a']);
+    const top = await adapter.list(items, {}, { sort: { score: -1, name: 1 }, limit: 2 });
+    assertData(top.map(record => record.id), ['b', 'c']);
+  }],
+
+  ['collections can use their own key field', async (adapter, { people }) => {
+    await adapter.set(people, 'u1', { name: 'Ann' });
+    await adapter.update(people, 'u1', { balance: 3 });
+    assertData(await adapter.get(people, 'u1'), { uid: 'u1', name: 'Ann', balance: 3 });
+    assertData((await adapter.list(people, { uid: 'u1' })).length, 1);
+  }],
+
+  ['collections are independent', async (adapter, { items, people }) => {
+    await adapter.set(items, 'same', { from: 'items' });
+    await adapter.set(people, 'same', { from: 'people' });
+    assert.strictEqual((await adapter.get(items, 'same')).from, 'items');
+    assert.strictEqual((await adapter.get(people, 'same')).from, 'people');
+  }],
+
+  ['data survives closing and reconnecting', async (adapter, { items }, reconnect) => {
+    await adapter.set(items, 'a', { name: 'Alpha' });
+    await adapter.set(items, 'b', { name: 'Beta' });
+    await adapter.update(items, 'a', { count: 1 });
+    await adapter.delete(items, 'b');
+    const reopened = await reconnect();
+    assertData(await reopened.get(items, 'a'), { id: 'a', name: 'Alpha', count: 1 });
+    assert.strictEqual(await reopened.get(items, 'b'), null);
+  }, { reopens: true }],
+];
+
+/**
+ * Run one check against an adapter factory, in collections of its own.
+ * @param {Function} factory Returns a new, unconnected adapter; must accept
+ *   `{ keyFields }` and point every instance at the same data
+ * @param {Function} check A check from CHECKS
+ * @param {string} run Name unique to the check and the run, used in the
+ *   collection names
+ * @throws {Error} When the adapter doesn't behave as the check expects
+ */
+async function runCheck(factory, check, run) {
+  const collections = { items: `conformance_${run}_items`, people: `conformance_${run}_people` };
+  const open = async () => {
+    const adapter = factory({ keyFields: { [collections.people]: 'uid' } });
+    await adapter.connect();
+    return adapter;
+  };
+  let adapter = await open();
+  try {
+    await check(adapter, collections, async () => {
+      await adapter.close();
+      adapter = await open();
+      return adapter;
+    });
+  } finally {
+    for (const collection of Object.values(collections)) {
+      for (const record of await adapter.list(collection).catch(() => [])) {
+        await adapter.delete(collection, record[adapter.keyField(collection)]).catch(() => {});
+      }
+    }
+    await adapter.close();
+  }
+}
+
+module.exports = { CHECKS, runCheck };
@@ -0,0 +1,86 @@
+/**
+ * Storage
+ * Picks and connects the storage adapter configured in `storage.driver`
+ * (`json`, `mongodb`, `redis` or `sqlite`; the STORAGE_DRIVER environment
+ * variable overrides it). With `auto` (the default), MongoDB is used when a
+ * URI is set (MONGODB_URI or `db.uri`) and the JSON files otherwise. When
+ * a database can't be reached the bot falls back to the JSON files.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const path = require('path');
+const config = require('../../config.json');
+
+// Relative paths in config are relative to the project root
+const ROOT = path.join(__dirname, '../..');
+
+const ADAPTERS = {
+  json: () => require('./jsonAdapter'),
+  mongodb: () => require('./mongoAdapter'),
+  redis: () => require('./redisAdapter'),
+  sqlite: () => require('./sqliteAdapter'),
+};
+
+// Settings of every driver, from config and the environment
+function getStorageConfig() {
+  const storage = config.storage || {};
+  const mongoUri = process.env.MONGODB_URI || storage.mongodb?.uri || config.db?.uri;
+  const driver = process.env.STORAGE_DRIVER || storage.driver || 'auto';
+  return {
+    driver: driver === 'auto' ? (mongoUri ? 'mongodb' : 'json') : driver,
+    fallbackToJson: storage.fallbackToJson !== false,
+    json: { ...storage.json, directory: path.resolve(ROOT, storage.json?.directory || 'data') },
+    mongodb: {
+      ...storage.mongodb,
+      uri: mongoUri,
+      dbName: process.env.DB_NAME || storage.mongodb?.dbName || config.db?.name || 'botdb',
+    },
+    redis: { ...storage.redis, url: process.env.REDIS_URL || storage.redis?.url },
+    sqlite: { ...storage.sqlite, file: path.resolve(ROOT, storage.sqlite?.file || 'data/bot.sqlite') },
+  };
+}
+
+/**
+ * Create an adapter without connecting it.
+ * @param {string} driver `json`, `mongodb`, `redis` or `sqlite`
+ * @param {Object} [options] Driver options plus `keyFields`
+ * @returns {StorageAdapter}
+ */
+function createAdapter(driver, options = {}) {
+  if (!ADAPTERS[driver]) {
+    throw new Error(`Unknown storage driver: ${driver} (use ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  const Adapter = ADAPTERS[driver]();
+  return new Adapter(options);
+}
+
+/**
+ * Create and connect the configured adapter.
+ * @param {Object} [options]
+ * @param {Object} [options.keyFields] Key field per collection
+ * @returns {Promise<StorageAdapter>}
+ */
+async function connectStorage({ keyFields } = {}) {
+  const storageConfig = getStorageConfig();
+  const { driver } = storageConfig;
+  const adapter = createAdapter(driver, { ...storageConfig[driver], keyFields });
+  try {
+    await adapter.connect();
+    return adapter;
+  } catch (error) {
+    if (driver === 'json' || !storageConfig.fallbackToJson) throw error;
+    console.warn(`[Storage] ${driver} connection failed, using local JSON files:`, error.message);
+    await adapter.close().catch(() => {});
+    const fallback = createAdapter('json', { ...storageConfig.json, keyFields });
+    await fallback.connect();
+    return fallback;
+  }
+}
+
+module.exports = {
+  ADAPTERS: Object.keys(ADAPTERS),
+  getStorageConfig,
+  createAdapter,
+  connectStorage,
+};
@@ -0,0 +1,161 @@
+/**
+ * JSON File Storage Adapter
+ * Keeps every collection in memory, backed by `<directory>/<collection>.json`
+ * (the same layout the bot has always used under data/). Each change is
+ * appended to `<collection>.log` straight away, and the snapshot file is
+ * rewritten after a quiet period (`writeDelayMs`, at most `maxWriteDelayMs`
+ * after the first pending change) through a temporary file and a rename, so
+ * a crash never leaves a half-written snapshot. The log is replayed on load
+ * and emptied after each snapshot.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+const { matchesQuery, matchesExpected, applyListOptions, applyUpdate, clone } = StorageAdapter;
+
+class JsonAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.directory = path.resolve(options.directory || 'data');
+    this.writeDelayMs = options.writeDelayMs ?? 200;
+    this.maxWriteDelayMs = options.maxWriteDelayMs ?? 2000;
+    // collection -> { records, timer, pendingSince }
+    this.collections = new Map();
+  }
+
+  get name() {
+    return 'json';
+  }
+
+  async connect() {
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async close() {
+    this.flushAll();
+    this.collections.clear();
+  }
+
+  snapshotFile(collection) {
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  logFile(collection) {
+    return path.join(this.directory, `${collection}.log`);
+  }
+
+  // Load a collection: snapshot first, then replay the change log
+  load(collection) {
+    if (this.collections.has(collection)) {
+      return this.collections.get(collection);
+    }
+
+    let records = {};
+    const snapshot = this.snapshotFile(collection);
+    if (fs.existsSync(snapshot)) {
+      try {
+        records = JSON.parse(fs.readFileSync(snapshot, 'utf8') || '{}');
+      } catch (error) {
+        console.error(`[JsonAdapter] Corrupt snapshot ${snapshot}, starting from the change log:`, error.message);
+      }
+    }
+
+    const log = this.logFile(collection);
+    if (fs.existsSync(log)) {
+      for (const line of fs.readFileSync(log, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const change = JSON.parse(line);
+          if (change.op === 'set') {
+            records[change.id] = change.record;
+          } else if (change.op === 'delete') {
+            delete records[change.id];
+          }
+        } catch {
+          // A torn last line from a crash mid-append; everything before it applies
+        }
+      }
+    }
+
+    const state = { records, timer: null, pendingSince: 0 };
+    this.collections.set(collection, state);
+    return state;
+  }
+
+  // Record a change in the log and schedule a snapshot
+  commit(collection, change) {
+    fs.appendFileSync(this.logFile(collection), `${JSON.stringify(change)}\n`);
+
+    const state = this.load(collection);
+    const now = Date.now();
+    state.pendingSince = state.pendingSince || now;
+    clearTimeout(state.timer);
+    const delay = Math.max(0, Math.min(this.writeDelayMs, state.pendingSince + this.maxWriteDelayMs - now));
+    state.timer = setTimeout(() => this.flush(collection), delay);
+    // The change log already holds pending changes, don't keep the process alive
+    state.timer.unref();
+  }
+
+  // Write the snapshot atomically and empty the log
+  flush(collection) {
+    const state = this.collections.get(collection);
+    if (!state || !state.pendingSince) return;
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pendingSince = 0;
+    try {
+      const file = this.snapshotFile(collection);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state.records, null, 2));
+      fs.renameSync(tmp, file);
+      fs.writeFileSync(this.logFile(collection), '');
+    } catch (error) {
+      console.error(`[JsonAdapter] Error writing ${collection} snapshot:`, error);
+    }
+  }
+
+  flushAll() {
+    for (const collection of this.collections.keys()) {
+      this.flush(collection);
+    }
+  }
+
+  async get(collection, id) {
+    return clone(this.load(collection).records[id]);
+  }
+
+  async set(collection, id, record) {
+    const doc = this.prepare(collection, id, record);
+    this.load(collection).records[id] = doc;
+    this.commit(collection, { op: 'set', id, record: doc });
+    return clone(doc);
+  }
+
+  async delete(collection, id) {
+    const { records } = this.load(collection);
+    if (!records[id]) return false;
+    delete records[id];
+    this.commit(collection, { op: 'delete', id });
+    return true;
+  }
+
+  async list(collection, query = {}, options = {}) {
+    const records = Object.values(this.load(collection).records).filter(record => matchesQuery(record, query));
+    return applyListOptions(records, options).map(clone);
+  }
+
+  // Synchronous read-modify-write, so concurrent updates can't interleave
+  async update(collection, id, fields, { expect } = {}) {
+    const current = this.load(collection).records[id];
+    if (expect && !matchesExpected(current, expect)) return null;
+    const doc = this.prepare(collection, id, applyUpdate(clone(current) || {}, fields));
+    this.load(collection).records[id] = doc;
+    this.commit(collection, { op: 'set', id, record: doc });
+    return clone(doc);
+  }
+}
+
+module.exports = JsonAdapter;
@@ -0,0 +1,110 @@
+/**
+ * MongoDB Storage Adapter
+ * One MongoDB collection per storage collection, records looked up by
+ * their key field. Queries, sorting and updates run in the database.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const StorageAdapter = require('./adapter');
+
+const NO_ID = { projection: { _id: 0 } };
+
+class MongoAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.uri = options.uri;
+    this.dbName = options.dbName || 'botdb';
+    this.client = null;
+    this.db = null;
+    this.indexed = new Set();
+  }
+
+  get name() {
+    return 'mongodb';
+  }
+
+  async connect() {
+    if (!this.uri) {
+      throw new Error('MongoDB URI is not configured');
+    }
+    // Required lazily so the other adapters work without the driver
+    const { MongoClient } = require('mongodb');
+    this.client = new MongoClient(this.uri, { serverSelectionTimeoutMS: this.options.timeoutMs || 5000 });
+    await this.client.connect();
+    this.db = this.client.db(this.dbName);
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      this.db = null;
+    }
+  }
+
+  // Collection handle, with a unique index on the key field
+  async collection(collection) {
+    const handle = this.db.collection(collection);
+    if (!this.indexed.has(collection)) {
+      this.indexed.add(collection);
+      await handle.createIndex({ [this.keyField(collection)]: 1 }, { unique: true });
+    }
+    return handle;
+  }
+
+  async get(collection, id) {
+    const handle = await this.collection(collection);
+    return handle.findOne({ [this.keyField(collection)]: id }, NO_ID);
+  }
+
+  async set(collection, id, record) {
+    const doc = this.prepare(collection, id, record);
+    const handle = await this.collection(collection);
+    await handle.replaceOne({ [this.keyField(collection)]: id }, doc, { upsert: true });
+    return doc;
+  }
+
+  async delete(collection, id) {
+    const handle = await this.collection(collection);
+    const result = await handle.deleteOne({ [this.keyField(collection)]: id });
+    return result.deletedCount > 0;
+  }
+
+  async list(collection, query = {}, { sort, limit } = {}) {
+    const handle = await this.collection(collection);
+    let cursor = handle.find(query, NO_ID);
+    if (sort) cursor = cursor.sort(sort);
+    if (limit > 0) cursor = cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  // Atomic `$set` / `$unset`, creating the record when missing
+  async update(collection, id, fields, { expect } = {}) {
+    const key = this.keyField(collection);
+    const $set = { [key]: id };
+    const $unset = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === key || field === '_id') continue;
+      if (value === undefined) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    }
+    const update = { $set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const handle = await this.collection(collection);
+    // `{ field: null }` also matches a missing field, as matchesExpected() does
+    const result = await handle.findOneAndUpdate({ ...expect, [key]: id }, update, {
+      upsert: !expect,
+      returnDocument: 'after',
+      ...NO_ID,
+    });
+    // Driver 5 wraps the document in `{ value }`, driver 6 returns it directly
+    return result && 'value' in result && 'ok' in result ? result.value : result;
+  }
+}
+
+module.exports = MongoAdapter;
@@ -0,0 +1,101 @@
+/**
+ * Redis Storage Adapter
+ * Each collection is a hash (`<keyPrefix><collection>`) of record id to
+ * JSON. Lists are filtered and sorted in memory, so this backend suits
+ * the bot's modest collection sizes. Updates use WATCH/MULTI and retry
+ * when another client changed the collection in between.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const StorageAdapter = require('./adapter');
+const { matchesQuery, matchesExpected, applyListOptions, applyUpdate } = StorageAdapter;
+
+const MAX_UPDATE_ATTEMPTS = 10;
+// Marks an update skipped because the record lacked the expected values
+const UNEXPECTED = Symbol('unexpected');
+
+class RedisAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url;
+    this.keyPrefix = options.keyPrefix ?? 'pagebot:';
+    this.client = null;
+  }
+
+  get name() {
+    return 'redis';
+  }
+
+  async connect() {
+    // Required lazily so the other adapters work without the client
+    const { createClient } = require('redis');
+    this.client = createClient({
+      url: this.url,
+      socket: { connectTimeout: this.options.timeoutMs || 5000, reconnectStrategy: false },
+    });
+    this.client.on('error', error => {
+      console.error('[RedisAdapter] Redis error:', error.message);
+    });
+    await this.client.connect();
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  hashKey(collection) {
+    return `${this.keyPrefix}${collection}`;
+  }
+
+  async get(collection, id) {
+    const value = await this.client.hGet(this.hashKey(collection), String(id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(collection, id, record) {
+    const doc = this.prepare(collection, id, record);
+    await this.client.hSet(this.hashKey(collection), String(id), JSON.stringify(doc));
+    return doc;
+  }
+
+  async delete(collection, id) {
+    return (await this.client.hDel(this.hashKey(collection), String(id))) > 0;
+  }
+
+  async list(collection, query = {}, options = {}) {
+    const values = await this.client.hVals(this.hashKey(collection));
+    const records = values.map(value => JSON.parse(value)).filter(record => matchesQuery(record, query));
+    return applyListOptions(records, options);
+  }
+
+  // Optimistic read-modify-write on an isolated connection
+  async update(collection, id, fields, { expect } = {}) {
+    const key = this.hashKey(collection);
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const doc = await this.client.executeIsolated(async isolated => {
+        await isolated.watch(key);
+        const value = await isolated.hGet(key, String(id));
+        const current = value ? JSON.parse(value) : null;
+        if (expect && !matchesExpected(current, expect)) {
+          await isolated.unwatch();
+          return UNEXPECTED;
+        }
+        const next = this.prepare(collection, id, applyUpdate(current || {}, fields));
+        const result = await isolated.multi().hSet(key, String(id), JSON.stringify(next)).exec();
+        return result === null ? null : next;
+      }).catch(error => {
+        if (error.name === 'WatchError') return null;
+        throw error;
+      });
+      if (doc === UNEXPECTED) return null;
+      if (doc) return doc;
+    }
+    throw new Error(`Redis update of ${collection}/${id} kept conflicting`);
+  }
+}
+
+module.exports = RedisAdapter;
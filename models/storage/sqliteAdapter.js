@@ -0,0 +1,103 @@
+/**
+ * SQLite Storage Adapter
+ * Stores every collection in one `records` table of JSON documents, using
+ * better-sqlite3 (an optional dependency). Equality queries are pushed
+ * down with `json_extract`; operators, sorting and limits run in memory.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./adapter');
+const { matchesQuery, matchesExpected, applyListOptions, applyUpdate } = StorageAdapter;
+
+class SqliteAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.file = options.file === ':memory:' ? ':memory:' : path.resolve(options.file || 'data/bot.sqlite');
+    this.db = null;
+    this.statements = null;
+  }
+
+  get name() {
+    return 'sqlite';
+  }
+
+  async connect() {
+    // Required lazily so the other adapters work without the native module
+    const Database = require('better-sqlite3');
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      set: this.db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    };
+    this.updateTransaction = this.db.transaction((collection, id, fields, expect) => {
+      const row = this.statements.get.get(collection, String(id));
+      const current = row ? JSON.parse(row.data) : null;
+      if (expect && !matchesExpected(current, expect)) return null;
+      const doc = this.prepare(collection, id, applyUpdate(current || {}, fields));
+      this.statements.set.run(collection, String(id), JSON.stringify(doc));
+      return doc;
+    });
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async get(collection, id) {
+    const row = this.statements.get.get(collection, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(collection, id, record) {
+    const doc = this.prepare(collection, id, record);
+    this.statements.set.run(collection, String(id), JSON.stringify(doc));
+    return doc;
+  }
+
+  async delete(collection, id) {
+    return this.statements.delete.run(collection, String(id)).changes > 0;
+  }
+
+  async list(collection, query = {}, options = {}) {
+    // Push plain equality on strings and numbers down to SQL
+    const conditions = ['collection = ?'];
+    const params = [collection];
+    for (const [field, value] of Object.entries(query)) {
+      if (/^\w+$/.test(field) && (typeof value === 'string' || typeof value === 'number')) {
+        conditions.push(`json_extract(data, '$.${field}') = ?`);
+        params.push(value);
+      }
+    }
+    const rows = this.db.prepare(`SELECT data FROM records WHERE ${conditions.join(' AND ')}`).all(...params);
+    const records = rows.map(row => JSON.parse(row.data)).filter(record => matchesQuery(record, query));
+    return applyListOptions(records, options);
+  }
+
+  async update(collection, id, fields, { expect } = {}) {
+    return this.updateTransaction(collection, id, fields, expect);
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -1,150 +1,92 @@
 /**
  * UserStore
  *
- * This module provides a simple user data store for the Facebook Page Bot. It
- * attempts to use MongoDB if a connection URI is provided (via the
- * `MONGODB_URI` environment variable or `config.db.uri`). If that fails or
- * no URI is configured, it falls back to using a local JSON file for
- * persistence. The store exposes asynchronous methods for retrieving and
- * updating user records, including game balance, custom prefixes and
- * nicknames.
+ * This module provides the user data store for the Facebook Page Bot. User
+ * records and the generic record collections used by other subsystems are
+ * kept by a storage adapter (MongoDB, Redis, SQLite or local JSON files),
+ * chosen by the `storage` section of config.json; see models/storage/. The
+ * store exposes asynchronous methods for retrieving and updating user
+ * records, including game balance, custom prefixes and nicknames, and
+ * caches each user's Facebook profile on their record.
  */
 
-const fs = require('fs');
-const path = require('path');
 const config = require('../config.json');
+const { connectStorage } = require('./storage');
+
+const USERS = 'users';
+
+const profilesConfig = {
+  enabled: true,
+  refreshHours: 24,
+  retryMinutes: 60,
+  ...config.profiles,
+};
+
+// Drop the fields a profile doesn't have, so they aren't stored as null
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Lookup form of a nickname: lowercase, no leading @, single spaces
+function normalizeNickname(nickname) {
+  return String(nickname || '').trim().replace(/^@/, '').replace(/\s+/g, ' ').toLowerCase();
+}
 
 class UserStore {
   constructor() {
-    this.users = {};
-    // Path to the local JSON file used as a fallback when MongoDB is not
-    // available. The file will be created if it doesn't exist.
-    this.file = path.join(__dirname, '../data/users.json');
-    this.mongoClient = null;
-    this.collection = null;
+    this.storage = null;
     this.initialized = false;
+    this.initializing = null;
+    // uid -> profile fetch in progress, so concurrent events fetch once
+    this.profileFetches = new Map();
   }
 
   /**
-   * Initialise the user store. This function attempts to connect to MongoDB
-   * first. If the connection is unsuccessful (e.g. missing dependency or
-   * network failure) then it falls back to loading or creating a local JSON
-   * file. It should be called during bot initialisation.
+   * Initialise the user store by connecting the configured storage
+   * adapter. It should be called during bot initialisation; every method
+   * also calls it on first use.
    */
   async init() {
     if (this.initialized) return;
-    const uri = process.env.MONGODB_URI || (config.db && config.db.uri);
-    if (uri) {
-      try {
-        // Dynamically import the MongoDB driver. This may throw if the
-        // dependency is not installed in the environment. We catch and
-        // fallback to file storage in that case.
-        const { MongoClient } = require('mongodb');
-        this.mongoClient = new MongoClient(uri, {
-          useNewUrlParser: true,
-          useUnifiedTopology: true,
-        });
-        await this.mongoClient.connect();
-        const dbName = process.env.DB_NAME || (config.db && config.db.name) || 'botdb';
-        const db = this.mongoClient.db(dbName);
-        this.collection = db.collection('users');
+    if (!this.initializing) {
+      this.initializing = connectStorage({ keyFields: { [USERS]: 'uid' } }).then(storage => {
+        this.storage = storage;
         this.initialized = true;
-        return;
-      } catch (err) {
-        console.warn('[UserStore] MongoDB connection failed, using local JSON file:', err.message);
-      }
+      }).finally(() => {
+        this.initializing = null;
+      });
     }
-    // Fallback to JSON file
-    await this.loadFromFile();
-    this.initialized = true;
+    await this.initializing;
   }
 
   /**
-   * Load user data from local JSON file. Creates the file if it doesn't
-   * exist.
+   * Flush pending writes and disconnect the storage adapter.
    */
-  async loadFromFile() {
-    try {
-      const dir = path.dirname(this.file);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      if (fs.existsSync(this.file)) {
-        const data = fs.readFileSync(this.file, 'utf-8');
-        this.users = JSON.parse(data || '{}');
-      } else {
-        this.users = {};
-        fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2));
-      }
-    } catch (err) {
-      console.error('[UserStore] Error loading user file:', err);
-      this.users = {};
-    }
-  }
-
-  /**
-   * Persist the in-memory users object to the local JSON file. Called after
-   * modifications when not using MongoDB.
-   */
-  async saveToFile() {
-    try {
-      fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2));
-    } catch (err) {
-      console.error('[UserStore] Error saving user file:', err);
-    }
+  async close() {
+    if (!this.storage) return;
+    await this.storage.close();
+    this.storage = null;
+    this.initialized = false;
   }
 
   /**
    * Retrieve a user record by their UID. If the user does not exist, a new
-   * record is created with default values. When using MongoDB, the record
-   * is created in the database on demand.
+   * record is created with default values.
    *
    * @param {string} uid
    * @returns {Promise<Object>} The user object
    */
   async getUser(uid) {
     await this.init();
-    if (this.collection) {
-      let user = await this.collection.findOne({ uid });
-      if (!user) {
-        user = {
-          uid,
-          balance: 0,
-          prefix: config.bot.prefix || '/',
-          nickname: '',
-        };
-        await this.collection.insertOne(user);
-      }
-      return user;
-    }
-    if (!this.users[uid]) {
-      this.users[uid] = {
-        uid,
-        balance: 0,
-        prefix: config.bot.prefix || '/',
-        nickname: '',
-      };
-      await this.saveToFile();
-    }
-    return this.users[uid];
-  }
-
-  /**
-   * Update or set the user's game balance.
-   * @param {string} uid
-   * @param {number} amount
-   * @returns {Promise<Object>} Updated user record
-   */
-  async setBalance(uid, amount) {
-    const user = await this.getUser(uid);
-    user.balance = Number(amount) || 0;
-    if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { balance: user.balance } }, { upsert: true });
-    } else {
-      this.users[uid] = user;
-      await this.saveToFile();
-    }
-    return user;
+    const user = await this.storage.get(USERS, uid);
+    if (user) return user;
+    return this.storage.set(USERS, uid, {
+      uid,
+      balance: 0,
+      prefix: config.bot.prefix || '/',
+      nickname: '',
+      createdAt: Date.now(),
+    });
   }
 
   /**
@@ -165,15 +107,7 @@ class UserStore {
    * @returns {Promise<Object>} Updated user record
    */
   async setPrefix(uid, prefix) {
-    const user = await this.getUser(uid);
-    user.prefix = prefix || config.bot.prefix || '/';
-    if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { prefix: user.prefix } }, { upsert: true });
-    } else {
-      this.users[uid] = user;
-      await this.saveToFile();
-    }
-    return user;
+    return this.updateUser(uid, { prefix: prefix || config.bot.prefix || '/' });
   }
 
   /**
@@ -193,15 +127,7 @@ class UserStore {
    * @returns {Promise<Object>} Updated user record
    */
   async setNickname(uid, nickname) {
-    const user = await this.getUser(uid);
-    user.nickname = nickname;
-    if (this.collection) {
-      await this.collection.updateOne({ uid }, { $set: { nickname: nickname } }, { upsert: true });
-    } else {
-      this.users[uid] = user;
-      await this.saveToFile();
-    }
-    return user;
+    return this.updateUser(uid, { nickname, nicknameKey: normalizeNickname(nickname) || undefined });
   }
 
   /**
@@ -214,11 +140,299 @@ class UserStore {
     return user.nickname;
   }
 
+  /**
+   * Retrieve a user's Facebook profile: name, picture, locale and
+   * timezone (UTC offset in hours). It is fetched from the Graph API the
+   * first time and kept on the user record, then fetched again once it is
+   * older than `profiles.refreshHours`. A failed fetch is retried after
+   * `profiles.retryMinutes`; the last profile fetched is returned meanwhile.
+   * @param {string} uid
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] Fetch it even if it isn't stale
+   * @returns {Promise<Object|null>} `{ name, firstName, lastName, pic, locale, timezone, fetchedAt }`,
+   *   or null if it could never be fetched
+   */
+  async getProfile(uid, { refresh = false } = {}) {
+    const user = await this.getUser(uid);
+    const cached = user.profile || null;
+    const known = cached && cached.fetchedAt ? cached : null;
+    if (!profilesConfig.enabled) return known;
+
+    const maxAge = cached && cached.failed
+      ? profilesConfig.retryMinutes * 60 * 1000
+      : profilesConfig.refreshHours * 60 * 60 * 1000;
+    if (!refresh && cached && Date.now() - cached.checkedAt < maxAge) return known;
+
+    if (!this.profileFetches.has(uid)) {
+      this.profileFetches.set(uid, this.fetchProfile(uid, cached).finally(() => {
+        this.profileFetches.delete(uid);
+      }));
+    }
+    return this.profileFetches.get(uid);
+  }
+
+  // Fetch a profile from the Graph API and keep it on the user record
+  async fetchProfile(uid, cached) {
+    const fbApi = require('../utils/fbApi');
+    const now = Date.now();
+    let profile;
+    try {
+      const data = await fbApi.getUserProfile(uid);
+      profile = compact({
+        name: data.name || [data.first_name, data.last_name].filter(Boolean).join(' ') || undefined,
+        firstName: data.first_name,
+        lastName: data.last_name,
+        pic: data.profile_pic,
+        locale: data.locale,
+        timezone: data.timezone,
+        fetchedAt: now,
+        checkedAt: now,
+      });
+    } catch (error) {
+      // Already logged by fbApi; keep what we had until the retry
+      profile = { ...cached, checkedAt: now, failed: true };
+    }
+    await this.updateUser(uid, { profile });
+    return profile.fetchedAt ? profile : null;
+  }
+
+  /**
+   * Find users by UID or nickname, e.g. the recipient typed in `/pay`. An
+   * existing UID wins; otherwise nicknames are compared case-insensitively
+   * and a leading `@` is ignored. Several users can share a nickname.
+   * @param {string} query UID or nickname
+   * @returns {Promise<Array<Object>>} Matching user records
+   */
+  async findUsers(query) {
+    await this.init();
+    const text = String(query || '').trim();
+    if (!text) return [];
+    const byUid = await this.storage.get(USERS, text);
+    if (byUid) return [byUid];
+
+    const key = normalizeNickname(text);
+    const matches = await this.storage.list(USERS, { nicknameKey: key });
+    if (matches.length > 0) return matches;
+    // Nicknames set before `nicknameKey` existed
+    const users = await this.storage.list(USERS, { nickname: { $ne: '' } });
+    return users.filter(user => !user.nicknameKey && normalizeNickname(user.nickname) === key);
+  }
+
+  /**
+   * Set the language chosen by a user. An empty value removes the override
+   * so the language is detected from their profile again.
+   * @param {string} uid
+   * @param {string} [language] Locale code, e.g. `es`
+   * @returns {Promise<Object>} Updated user record
+   */
+  async setLanguage(uid, language) {
+    return this.updateUser(uid, { language: language || undefined });
+  }
+
+  /**
+   * Retrieve the language chosen by a user, if any.
+   * @param {string} uid
+   * @returns {Promise<string|null>}
+   */
+  async getLanguage(uid) {
+    const user = await this.getUser(uid);
+    return user.language || null;
+  }
+
+  /**
+   * Update arbitrary fields on a user record. Fields set to `undefined` are
+   * removed from the record. Balances are changed through models/ledger.js.
+   * @param {string} uid
+   * @param {Object} fields
+   * @param {Object} [options] `{ expect }`, see StorageAdapter#update()
+   * @returns {Promise<Object|null>} Updated user record, or null if it
+   *   didn't have the expected values
+   */
+  async updateUser(uid, fields, options = {}) {
+    // Create the record with its defaults first
+    await this.getUser(uid);
+    return this.storage.update(USERS, uid, fields, options);
+  }
+
+  /**
+   * Record that the user just interacted with the page. The timestamp is
+   * used to honour the 24-hour messaging window and for segmentation.
+   * @param {string} uid
+   * @returns {Promise<Object>} Updated user record
+   */
+  async touch(uid) {
+    return this.updateUser(uid, { lastInteractionAt: Date.now() });
+  }
+
+  /**
+   * Add segmentation tags to a user.
+   * @param {string} uid
+   * @param {Array<string>} tags
+   * @returns {Promise<Object>} Updated user record
+   */
+  async addTags(uid, tags) {
+    const user = await this.getUser(uid);
+    const merged = Array.from(new Set([...(user.tags || []), ...tags]));
+    return this.updateUser(uid, { tags: merged });
+  }
+
+  /**
+   * Remove segmentation tags from a user.
+   * @param {string} uid
+   * @param {Array<string>} tags
+   * @returns {Promise<Object>} Updated user record
+   */
+  async removeTags(uid, tags) {
+    const user = await this.getUser(uid);
+    return this.updateUser(uid, { tags: (user.tags || []).filter(tag => !tags.includes(tag)) });
+  }
+
+  /**
+   * Retrieve the roles granted to a user (see utils/permissions.js).
+   * @param {string} uid
+   * @returns {Promise<Array<string>>}
+   */
+  async getRoles(uid) {
+    const user = await this.getUser(uid);
+    return user.roles || [];
+  }
+
+  /**
+   * Grant a role to a user.
+   * @param {string} uid
+   * @param {string} role
+   * @returns {Promise<Object>} Updated user record
+   */
+  async addRole(uid, role) {
+    const user = await this.getUser(uid);
+    return this.updateUser(uid, { roles: Array.from(new Set([...(user.roles || []), role])) });
+  }
+
+  /**
+   * Revoke a role from a user.
+   * @param {string} uid
+   * @param {string} role
+   * @returns {Promise<Object>} Updated user record
+   */
+  async removeRole(uid, role) {
+    const user = await this.getUser(uid);
+    const roles = (user.roles || []).filter(held => held !== role);
+    return this.updateUser(uid, { roles: roles.length > 0 ? roles : undefined });
+  }
+
+  /**
+   * Retrieve the users that hold at least one role.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUsersWithRoles() {
+    return (await this.getAllUsers()).filter(user => Array.isArray(user.roles) && user.roles.length > 0);
+  }
+
+  /**
+   * Retrieve every user record.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAllUsers() {
+    await this.init();
+    return this.storage.list(USERS);
+  }
+
+  /**
+   * Retrieve the user's active conversation flow state, if any.
+   * @param {string} uid
+   * @returns {Promise<Object|null>} `{ name, step, data, expiresAt }`
+   */
+  async getFlowState(uid) {
+    const user = await this.getUser(uid);
+    return user.flow || null;
+  }
+
+  /**
+   * Persist the user's current conversation flow state.
+   * @param {string} uid
+   * @param {Object} state
+   * @returns {Promise<Object>} Updated user record
+   */
+  async setFlowState(uid, state) {
+    return this.updateUser(uid, { flow: state });
+  }
+
+  /**
+   * Clear the user's conversation flow state.
+   * @param {string} uid
+   * @returns {Promise<Object>} Updated user record
+   */
+  async clearFlowState(uid) {
+    return this.updateUser(uid, { flow: undefined });
+  }
+
+  /**
+   * Retrieve the user's game session in progress, if any.
+   * @param {string} uid
+   * @returns {Promise<Object|null>} `{ id, name, wager, state, expiresAt, ... }`
+   */
+  async getGameSession(uid) {
+    const user = await this.getUser(uid);
+    return user.game || null;
+  }
+
+  /**
+   * Persist the user's game session.
+   * @param {string} uid
+   * @param {Object} session
+   * @returns {Promise<Object>} Updated user record
+   */
+  async setGameSession(uid, session) {
+    return this.updateUser(uid, { game: session });
+  }
+
+  /**
+   * Clear the user's game session.
+   * @param {string} uid
+   * @returns {Promise<Object>} Updated user record
+   */
+  async clearGameSession(uid) {
+    return this.updateUser(uid, { game: undefined });
+  }
+
+  /**
+   * Pause automated replies for a user until the given time, typically
+   * because a human agent has taken over the conversation.
+   * @param {string} uid
+   * @param {number|null} until Epoch milliseconds, or null to resume
+   * @param {Object} [handover] Handover details (status, reason, ...)
+   * @returns {Promise<Object>} Updated user record
+   */
+  async setPausedUntil(uid, until, handover) {
+    return this.updateUser(uid, {
+      pausedUntil: until || undefined,
+      handover: until ? handover : undefined,
+    });
+  }
+
+  /**
+   * Check whether automated replies are paused for a user.
+   * @param {string} uid
+   * @returns {Promise<boolean>}
+   */
+  async isPaused(uid) {
+    const user = await this.getUser(uid);
+    return Boolean(user.pausedUntil && user.pausedUntil > Date.now());
+  }
+
+  /**
+   * Retrieve all users whose automated replies are currently paused.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPausedUsers() {
+    await this.init();
+    return this.storage.list(USERS, { pausedUntil: { $gt: Date.now() } }, { sort: { pausedUntil: 1 } });
+  }
+
   /**
    * Retrieve a list of the top users ranked by balance. Returns an array
-   * of user objects sorted in descending order by their `balance`. If
-   * MongoDB is available, the sorting and limiting is performed in the
-   * database. Otherwise, it operates on the in‑memory users object.
+   * of user objects sorted in descending order by their `balance`. The
+   * storage adapter sorts and limits, in the database where it can.
    *
    * @param {number} limit The maximum number of users to return
    * @returns {Promise<Array<Object>>}
@@ -227,23 +441,84 @@ class UserStore {
     await this.init();
     // Default to 10 if an invalid limit is provided
     const max = Number(limit) > 0 ? Number(limit) : 10;
-    if (this.collection) {
-      // Fetch top users from MongoDB, sorted by balance descending
-      const cursor = this.collection
-        .find({})
-        .sort({ balance: -1 })
-        .limit(max);
-      const users = await cursor.toArray();
-      return users;
-    }
-    // Local file fallback
-    const allUsers = Object.values(this.users);
     // Sort by balance descending, then by uid to break ties
-    const sorted = allUsers.sort((a, b) => {
-      if (b.balance !== a.balance) return b.balance - a.balance;
-      return a.uid.localeCompare(b.uid);
-    });
-    return sorted.slice(0, max);
+    return this.storage.list(USERS, {}, { sort: { balance: -1, uid: 1 }, limit: max });
+  }
+
+  /**
+   * Position of a user on the leaderboard, ranked like getTopUsers().
+   * @param {string} uid
+   * @returns {Promise<number>} 1 for the richest user
+   */
+  async getRank(uid) {
+    const user = await this.getUser(uid);
+    const balance = Number(user.balance) || 0;
+    const ahead = await this.storage.list(USERS, { balance: { $gt: balance } });
+    const tied = await this.storage.list(USERS, { balance });
+    return ahead.length + tied.filter(other => other.uid < uid).length + 1;
+  }
+
+  /**
+   * Retrieve a single record from a generic collection.
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(collection, id) {
+    await this.init();
+    return this.storage.get(collection, id);
+  }
+
+  /**
+   * Insert or replace a record in a generic collection. The record is stored
+   * with its `id` field set to the given id.
+   * @param {string} collection
+   * @param {string} id
+   * @param {Object} record
+   * @returns {Promise<Object>} The stored record
+   */
+  async saveRecord(collection, id, record) {
+    await this.init();
+    return this.storage.set(collection, id, record);
+  }
+
+  /**
+   * Merge fields into a record of a generic collection. Fields set to
+   * `undefined` are removed.
+   * @param {string} collection
+   * @param {string} id
+   * @param {Object} fields
+   * @param {Object} [options] `{ expect }`, see StorageAdapter#update()
+   * @returns {Promise<Object|null>} The updated record, or null if it
+   *   didn't have the expected values
+   */
+  async updateRecord(collection, id, fields, options = {}) {
+    await this.init();
+    return this.storage.update(collection, id, fields, options);
+  }
+
+  /**
+   * Remove a record from a generic collection.
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a record was removed
+   */
+  async deleteRecord(collection, id) {
+    await this.init();
+    return this.storage.delete(collection, id);
+  }
+
+  /**
+   * List the records of a generic collection, optionally filtered by a
+   * simple query (e.g. `{ status: 'pending' }`, `{ at: { $gt: since } }`).
+   * @param {string} collection
+   * @param {Object} [query] Equality and `$gt`/`$gte`/`$lt`/`$lte`/`$ne`/`$in`
+   * @param {Object} [options] `{ sort: { field: 1|-1 }, limit }`
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRecords(collection, query = {}, options = {}) {
+    await this.init();
+    return this.storage.list(collection, query, options);
   }
 }
 
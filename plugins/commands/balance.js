@@ -5,11 +5,11 @@
  * accumulated through playing games or other interactions with the bot.
  *
  * Usage: /balance
+ *
+ * Written against the plugin context (`useContext: true`): the user record,
+ * reply helper and error handling all come from `ctx`.
  */
 
-const fbApi = require('../../utils/fbApi');
-const userStore = require('../../models/userStore');
-
 module.exports = {
   config: {
     name: 'balance',
@@ -19,15 +19,14 @@ module.exports = {
     usage: '/balance',
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    useContext: true,
   },
 
-  start: async function(senderId, args) {
+  start: async function(ctx) {
     try {
-      const balance = await userStore.getBalance(senderId);
-      await fbApi.sendMessage(senderId, `💰 Your current balance is ${balance}.`);
+      await ctx.reply(ctx.t('balance.current', { count: Number(ctx.user.balance) || 0 }));
     } catch (error) {
-      console.error('Error in balance command:', error);
-      await fbApi.sendMessage(senderId, '⚠️ Unable to retrieve your balance. Please try again later.');
+      await ctx.fail(error, ctx.t('balance.error'));
     }
   },
-};
\ No newline at end of file
+};
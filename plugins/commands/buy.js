@@ -0,0 +1,73 @@
+/**
+ * Buy Command Plugin
+ * Buys an item from the shop, picked by its number in /shop, its id or its
+ * name. The price is paid from the user's coins and the item is added to
+ * their inventory. The Buy buttons of the /shop carousel run this command
+ * too.
+ *
+ * Usage: /buy <item> [quantity]
+ * Example: /buy 2, /buy lucky-clover 3
+ */
+
+const shop = require('../../utils/shop');
+
+module.exports = {
+  config: {
+    name: 'buy',
+    aliases: ['purchase', 'comprar'],
+    description: 'Buy an item from the shop',
+    category: 'general',
+    usage: '/buy <item> [quantity]',
+    examples: ['/buy 2', '/buy lucky-clover 3'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const args = [...ctx.args];
+      if (args.length === 0) {
+        await ctx.reply(ctx.t('shop.buyUsage', { prefix: ctx.prefix }));
+        return;
+      }
+      // A trailing number is the quantity, unless it is the only argument
+      const quantity = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? Number(args.pop()) : 1;
+      const query = args.join(' ');
+
+      const item = shop.findItem(query, ctx.locale);
+      if (!item) {
+        await ctx.reply(ctx.t('shop.errors.unknownItem', { item: query, prefix: ctx.prefix }));
+        return;
+      }
+
+      let purchase;
+      try {
+        purchase = await shop.buy(ctx.senderId, item.id, quantity, {
+          key: ctx.event.mid && `purchase:${ctx.event.mid}`,
+        });
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          await ctx.reply(ctx.t('shop.insufficient', { price: error.amount, count: error.balance }));
+          return;
+        }
+        if (error.name !== 'ShopError') throw error;
+        await ctx.reply(ctx.t(`shop.errors.${error.code}`, { ...error.details, item: query, prefix: ctx.prefix }));
+        return;
+      }
+      // A redelivered message was already paid and answered
+      if (purchase.duplicate) return;
+
+      const { name, emoji } = shop.describe(purchase.item, ctx.locale);
+      await ctx.reply(ctx.t('shop.bought', {
+        count: purchase.quantity,
+        item: `${emoji} ${name}`,
+        price: -purchase.transaction.amount,
+        balance: purchase.transaction.balanceAfter,
+        prefix: ctx.prefix,
+      }));
+    } catch (error) {
+      await ctx.fail(error, ctx.t('shop.error'));
+    }
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Contact Command Plugin
+ * Starts the lead capture flow so a prospect can leave their details for
+ * the team.
+ *
+ * Usage: /contact
+ */
+
+const fbApi = require('../../utils/fbApi');
+const flowEngine = require('../../utils/flowEngine');
+
+module.exports = {
+  config: {
+    name: 'contact',
+    aliases: ['lead', 'callme'],
+    description: 'Leave your contact details for our team',
+    category: 'general',
+    usage: '/contact',
+    credits: 'IRFAN',
+    dependencies: [],
+  },
+
+  start: async function(senderId, args, originalMessage, context) {
+    try {
+      await flowEngine.startFlow(senderId, 'leadCapture');
+    } catch (error) {
+      console.error('Error in contact command:', error);
+      await fbApi.sendMessage(senderId, context.t('contact.error'));
+    }
+  },
+};
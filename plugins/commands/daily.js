@@ -0,0 +1,90 @@
+/**
+ * Daily Reward Command Plugin
+ * Claim free coins once per day. Days follow `config.bot.timezone`, so
+ * everyone's reward resets at local midnight. Claiming on consecutive days
+ * builds a streak that adds `streakBonus` coins per day (up to
+ * `maxStreakBonus`); missing a day starts the streak again.
+ *
+ * Usage: /daily
+ */
+
+const moment = require('moment-timezone');
+const config = require('../../config.json');
+const ledger = require('../../models/ledger');
+const userStore = require('../../models/userStore');
+
+const dailyConfig = {
+  reward: 10,
+  streakBonus: 2,
+  maxStreakBonus: 20,
+  ...config.economy?.daily,
+};
+
+// Streak and reward for claiming today, given the previous claim
+function computeReward(previous, today, yesterday) {
+  const streak = previous && previous.lastClaim === yesterday ? (previous.streak || 0) + 1 : 1;
+  const bonus = Math.min((streak - 1) * dailyConfig.streakBonus, dailyConfig.maxStreakBonus);
+  return { streak, bonus, reward: dailyConfig.reward + bonus };
+}
+
+module.exports = {
+  config: {
+    name: 'daily',
+    aliases: ['claim', 'reward'],
+    description: 'Claim your daily coins and build a streak',
+    category: 'general',
+    usage: '/daily',
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const now = moment().tz(config.bot.timezone);
+      const today = now.format('YYYY-MM-DD');
+      const yesterday = now.clone().subtract(1, 'day').format('YYYY-MM-DD');
+
+      // Checked and claimed under the ledger lock, so a double tap can't
+      // claim twice or skew the streak
+      const claim = await ledger.withLock(ctx.senderId, async () => {
+        const user = await userStore.getUser(ctx.senderId);
+        if (user.daily && user.daily.lastClaim === today) {
+          return { claimed: false, streak: user.daily.streak };
+        }
+        const { streak, bonus, reward } = computeReward(user.daily, today, yesterday);
+        const transaction = await ledger.apply(ctx.senderId, {
+          type: 'credit',
+          amount: reward,
+          reason: 'daily',
+          key: `daily:${today}`,
+          note: streak > 1 ? `streak ${streak}` : undefined,
+        });
+        if (transaction.duplicate) {
+          return { claimed: false, streak: user.daily?.streak || 1 };
+        }
+        await userStore.updateUser(ctx.senderId, { daily: { lastClaim: today, streak } });
+        return { claimed: true, streak, bonus, reward, balance: transaction.balanceAfter };
+      });
+
+      if (!claim.claimed) {
+        const wait = moment.duration(now.clone().endOf('day').add(1, 'ms').diff(now));
+        await ctx.reply(ctx.t('daily.already', {
+          hours: Math.floor(wait.asHours()),
+          minutes: wait.minutes(),
+          streak: claim.streak,
+        }));
+        return;
+      }
+
+      const lines = [ctx.t('daily.claimed', { count: claim.reward, balance: claim.balance })];
+      if (claim.streak > 1) {
+        lines.push(ctx.t('daily.streak', { count: claim.streak, bonus: claim.bonus }));
+      }
+      lines.push(ctx.t('daily.comeBack', { prefix: ctx.prefix }));
+      await ctx.reply(lines.join('\n'));
+    } catch (error) {
+      await ctx.fail(error, ctx.t('daily.error'));
+    }
+  },
+};
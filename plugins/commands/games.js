@@ -0,0 +1,67 @@
+/**
+ * Games Command Plugin
+ * Shows the games menu, starts a game (optionally with coins at stake) or
+ * lists the user's results per game.
+ *
+ * Usage: /games [game [wager]] | /games stats
+ * Example: /games guess 10
+ */
+
+const gameEngine = require('../../utils/gameEngine');
+
+module.exports = {
+  config: {
+    name: 'games',
+    aliases: ['game', 'play'],
+    description: 'Play a game, optionally for coins',
+    category: 'general',
+    usage: '/games [game [wager]] | /games stats',
+    examples: ['/games', '/games guess 10', '/games stats'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const [name, wagerText] = ctx.args.map(arg => arg.toLowerCase());
+      if (!name) {
+        await gameEngine.sendMenu(ctx.senderId);
+        return;
+      }
+
+      if (name === 'stats') {
+        const stats = await gameEngine.getStats(ctx.senderId);
+        if (stats.length === 0) {
+          await ctx.reply(ctx.t('games.stats.empty', { prefix: ctx.prefix }));
+          return;
+        }
+        const lines = stats.map(entry => ctx.t('games.stats.line', {
+          game: ctx.t(`games.${entry.game}.title`),
+          count: entry.played,
+          wins: entry.wins,
+          losses: entry.losses,
+          draws: entry.draws,
+        }));
+        await ctx.reply([ctx.t('games.stats.title'), '', ...lines].join('\n'));
+        return;
+      }
+
+      const game = gameEngine.getGame(name);
+      if (!game) {
+        const names = gameEngine.getGames().map(candidate => candidate.name).join(', ');
+        await ctx.reply(ctx.t('games.unknown', { game: name, games: names, prefix: ctx.prefix }));
+        return;
+      }
+
+      if (wagerText === undefined) {
+        await gameEngine.offer(ctx.senderId, game);
+        return;
+      }
+      // The engine answers wagers that aren't whole amounts within the limit
+      await gameEngine.start(ctx.senderId, game.name, Number(wagerText), { mid: ctx.event.mid });
+    } catch (error) {
+      await ctx.fail(error, ctx.t('games.error'));
+    }
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * History Command Plugin
+ * Lists the user's most recent coin transactions from the ledger: what
+ * changed their balance, by how much and when (in the bot timezone).
+ *
+ * Usage: /history [count]
+ */
+
+const moment = require('moment-timezone');
+const config = require('../../config.json');
+const ledger = require('../../models/ledger');
+
+module.exports = {
+  config: {
+    name: 'history',
+    aliases: ['transactions', 'txs'],
+    description: 'Show your recent coin transactions',
+    category: 'general',
+    usage: '/history [count]',
+    examples: ['/history', '/history 20'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const { historyLimit, maxHistoryLimit } = ledger.options;
+      const requested = parseInt(ctx.args[0], 10);
+      const limit = requested > 0 ? Math.min(requested, maxHistoryLimit) : historyLimit;
+      const transactions = await ledger.getHistory(ctx.senderId, { limit });
+
+      if (transactions.length === 0) {
+        await ctx.reply(ctx.t('history.empty', { prefix: ctx.prefix }));
+        return;
+      }
+
+      const lines = transactions.map(transaction => {
+        const key = `history.reasons.${transaction.reason}`;
+        const reason = ctx.t(key);
+        return ctx.t('history.line', {
+          date: moment(transaction.at).tz(config.bot.timezone).format('YYYY-MM-DD HH:mm'),
+          amount: transaction.amount > 0 ? `+${transaction.amount}` : String(transaction.amount),
+          reason: reason === key ? transaction.reason : reason,
+          balance: transaction.balanceAfter,
+        });
+      });
+      await ctx.reply([
+        ctx.t('history.title', { count: transactions.length }),
+        '',
+        ...lines,
+        '',
+        ctx.t('balance.current', { count: Number(ctx.user.balance) || 0 }),
+      ].join('\n'));
+    } catch (error) {
+      await ctx.fail(error, ctx.t('history.error'));
+    }
+  },
+};
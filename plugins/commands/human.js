@@ -0,0 +1,33 @@
+/**
+ * Human Command Plugin
+ * Hands the conversation over to a member of the page team. The bot stops
+ * replying to the user until the agent passes the conversation back or the
+ * pause configured in handover.pauseMinutes expires.
+ *
+ * Usage: /human [reason]
+ */
+
+const fbApi = require('../../utils/fbApi');
+const handover = require('../../utils/handover');
+
+module.exports = {
+  config: {
+    name: 'human',
+    aliases: ['agent', 'staff', 'person'],
+    description: 'Talk to a member of our team',
+    category: 'general',
+    usage: '/human [reason]',
+    examples: ['/human I was charged twice'],
+    credits: 'IRFAN',
+    dependencies: [],
+  },
+
+  start: async function(senderId, args, originalMessage, context) {
+    try {
+      await handover.requestHuman(senderId, args.join(' ').trim());
+    } catch (error) {
+      console.error('Error in human command:', error);
+      await fbApi.sendMessage(senderId, context.t('human.error'));
+    }
+  },
+};
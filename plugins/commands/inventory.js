@@ -0,0 +1,39 @@
+/**
+ * Inventory Command Plugin
+ * Lists the shop items the user owns and how many of each.
+ *
+ * Usage: /inventory
+ */
+
+const shop = require('../../utils/shop');
+
+module.exports = {
+  config: {
+    name: 'inventory',
+    aliases: ['inv', 'items', 'bag'],
+    description: 'Show the items you own',
+    category: 'general',
+    usage: '/inventory',
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const inventory = await shop.getInventory(ctx.senderId);
+      if (inventory.length === 0) {
+        await ctx.reply(ctx.t('inventory.empty', { prefix: ctx.prefix }));
+        return;
+      }
+
+      const lines = inventory.map(({ id, quantity, item }) => {
+        const { name, emoji } = item ? shop.describe(item, ctx.locale) : { name: id, emoji: '📦' };
+        return `${emoji} ${name} ×${quantity}`;
+      });
+      await ctx.reply([ctx.t('inventory.title', { count: inventory.length }), '', ...lines].join('\n'));
+    } catch (error) {
+      await ctx.fail(error, ctx.t('inventory.error'));
+    }
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * Language Command Plugin
+ * Show or change the language the bot replies in. Without arguments the
+ * current language and the available ones are listed. `auto` (or `reset`)
+ * removes the override so the language follows the user's Facebook
+ * profile again.
+ *
+ * Usage: /lang [code|auto]
+ */
+
+const i18n = require('../../utils/i18n');
+const userStore = require('../../models/userStore');
+
+// "es (Español)"
+function describeLocale(locale) {
+  return `${locale} (${i18n.translate(locale, 'language.name')})`;
+}
+
+module.exports = {
+  config: {
+    name: 'lang',
+    aliases: ['language', 'idioma'],
+    description: 'Show or change your language',
+    category: 'general',
+    usage: '/lang [code|auto]',
+    examples: ['/lang es', '/lang auto'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      if (!i18n.enabled) {
+        await ctx.reply(ctx.t('lang.disabled'));
+        return;
+      }
+
+      const locales = i18n.getLocales().map(describeLocale).join(', ');
+      const requested = (ctx.args[0] || '').trim();
+
+      if (!requested) {
+        const mode = ctx.user.language ? ctx.t('lang.modeManual') : ctx.t('lang.modeAuto');
+        await ctx.reply([
+          ctx.t('lang.current', { language: describeLocale(ctx.locale), mode }),
+          ctx.t('lang.available', { locales }),
+          '',
+          ctx.t('lang.usage', { prefix: ctx.prefix }),
+        ].join('\n'));
+        return;
+      }
+
+      if (['auto', 'reset'].includes(requested.toLowerCase())) {
+        await userStore.setLanguage(ctx.senderId, null);
+        const { locale, t } = await i18n.forUser(ctx.senderId);
+        await ctx.reply(t('lang.auto', { language: describeLocale(locale) }));
+        return;
+      }
+
+      const locale = i18n.getLocales().find(code => code.toLowerCase() === requested.toLowerCase());
+      if (!locale) {
+        await ctx.reply(ctx.t('lang.unknown', { code: requested, locales }));
+        return;
+      }
+
+      await userStore.setLanguage(ctx.senderId, locale);
+      await ctx.reply(i18n.translate(locale, 'lang.updated', { language: describeLocale(locale) }));
+    } catch (error) {
+      await ctx.fail(error, ctx.t('lang.error'));
+    }
+  },
+};
@@ -3,13 +3,13 @@
  * Displays the top users by their game balance. This command can be used
  * to create friendly competition among users and to motivate engagement
  * with the bot's games. The default behaviour is to show the top 10,
- * but the number of entries can be customised by providing an optional
- * argument.
+ * but the number of entries (up to 50) can be customised by providing an
+ * optional argument. Users are shown by nickname, or by the name on
+ * their cached Facebook profile when they haven't set one.
  *
  * Usage: /leaderboard [limit]
  */
 
-const fbApi = require('../../utils/fbApi');
 const userStore = require('../../models/userStore');
 
 module.exports = {
@@ -18,33 +18,44 @@ module.exports = {
     aliases: ['lb', 'top'],
     description: 'Show the top users by balance',
     category: 'general',
-    usage: '/leaderboard [limit]',
+    args: [
+      { name: 'limit', type: 'int', min: 1, max: 50, default: 10 },
+    ],
+    cooldown: 10,
+    examples: ['/leaderboard', '/leaderboard 25'],
     credits: 'IRFAN + Assistant',
     dependencies: [],
+    useContext: true,
   },
 
-  start: async function(senderId, args) {
+  start: async function(ctx) {
     try {
-      // Determine how many users to display. Default is 10.
-      const limit = args && args.length > 0 ? parseInt(args[0], 10) : 10;
-      const topUsers = await userStore.getTopUsers(limit);
+      // How many users to display, 10 unless asked for
+      const topUsers = await userStore.getTopUsers(ctx.params.limit);
       if (!topUsers || topUsers.length === 0) {
-        await fbApi.sendMessage(senderId, 'No users have a balance yet. Play some games to get on the leaderboard!');
+        await ctx.reply(ctx.t('leaderboard.empty'));
         return;
       }
-      // Build leaderboard message
-      let message = '🏆 *Leaderboard*\n\n';
-      topUsers.forEach((user, index) => {
-        const rank = index + 1;
-        const nickname = user.nickname || '(no nick)';
-        const uid = user.uid;
-        message += `${rank}. ${nickname} (UID: ${uid}) – ${user.balance}\n`;
-      });
-      message += '\nKeep playing to climb the ranks!';
-      await fbApi.sendMessage(senderId, message);
+
+      // Only cached names are shown: fetching profiles here would make a
+      // Graph API call per user. Missing or stale profiles are refreshed
+      // in the background for the next time.
+      for (const user of topUsers) {
+        if (!user.nickname) {
+          userStore.getProfile(user.uid).catch(error => {
+            ctx.logger.warn(`Could not refresh the profile of ${user.uid}: ${error.message}`);
+          });
+        }
+      }
+
+      const lines = topUsers.map((user, index) => ctx.t('leaderboard.line', {
+        rank: index + 1,
+        name: user.nickname || user.profile?.name || ctx.t('leaderboard.unknownName', { uid: user.uid }),
+        balance: Number(user.balance) || 0,
+      }));
+      await ctx.reply([ctx.t('leaderboard.title'), '', ...lines, '', ctx.t('leaderboard.footer')].join('\n'));
     } catch (error) {
-      console.error('Error in leaderboard command:', error);
-      await fbApi.sendMessage(senderId, '⚠️ Unable to retrieve leaderboard. Please try again later.');
+      await ctx.fail(error, ctx.t('leaderboard.error'));
     }
   },
-};
\ No newline at end of file
+};
@@ -3,9 +3,8 @@
  * Allows a user to set or get their nickname. Nicknames are stored in
  * the user store and can be used by other parts of the bot (e.g. games
  * or greeting messages) to personalise interactions. When called with
- * no arguments, the current nickname is returned. When arguments are
- * provided, they are joined into a single string and set as the
- * nickname.
+ * no arguments, the current nickname is returned. Otherwise the rest of
+ * the message, as typed, is set as the nickname.
  *
  * Usage: /nick [newNickname]
  */
@@ -19,35 +18,34 @@ module.exports = {
     aliases: ['nickname', 'setnick'],
     description: 'Set or get your nickname',
     category: 'general',
-    usage: '/nick [nickname]',
+    args: [
+      { name: 'nickname', type: 'rest', max: 50 },
+    ],
+    examples: ['/nick', '/nick Big Joe'],
     credits: 'IRFAN + Assistant',
     dependencies: [],
   },
 
-  start: async function(senderId, args) {
+  start: async function(senderId, args, originalMessage, context) {
+    const { t } = context;
     try {
+      const { nickname: newNickname } = context.params;
       // If no arguments, return the current nickname
-      if (!args || args.length === 0) {
+      if (!newNickname) {
         const nickname = await userStore.getNickname(senderId);
         if (nickname) {
-          await fbApi.sendMessage(senderId, `👤 Your nickname is set to "${nickname}".`);
+          await fbApi.sendMessage(senderId, t('nick.current', { nickname }));
         } else {
-          await fbApi.sendMessage(senderId, '👤 You have not set a nickname yet. Use `/nick YourName` to set one.');
+          await fbApi.sendMessage(senderId, t('nick.none', { prefix: context.prefix }));
         }
         return;
       }
-      // Join all arguments to form the nickname
-      const newNickname = args.join(' ').trim();
-      if (newNickname.length === 0) {
-        await fbApi.sendMessage(senderId, '❌ Please provide a valid nickname.');
-        return;
-      }
       // Save nickname
       await userStore.setNickname(senderId, newNickname);
-      await fbApi.sendMessage(senderId, `✅ Your nickname has been updated to "${newNickname}".`);
+      await fbApi.sendMessage(senderId, t('nick.updated', { nickname: newNickname }));
     } catch (error) {
       console.error('Error in nick command:', error);
-      await fbApi.sendMessage(senderId, '⚠️ An error occurred while updating your nickname.');
+      await fbApi.sendMessage(senderId, t('nick.error'));
     }
   },
 };
\ No newline at end of file
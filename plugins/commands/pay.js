@@ -0,0 +1,109 @@
+/**
+ * Pay Command Plugin
+ * Send some of your coins to another user, picked by UID or nickname.
+ * Nicknames may contain spaces: everything before the amount is the
+ * recipient. The transfer goes through the coin ledger, so both users see
+ * it in their /history, and the recipient is told about it.
+ *
+ * Usage: /pay <user> <amount>
+ * Example: /pay @Big Joe 25
+ */
+
+const config = require('../../config.json');
+const fbApi = require('../../utils/fbApi');
+const i18n = require('../../utils/i18n');
+const ledger = require('../../models/ledger');
+const userStore = require('../../models/userStore');
+
+const payConfig = {
+  minAmount: 1,
+  maxAmount: 10000,
+  ...config.economy?.pay,
+};
+
+// "Big Joe" or the UID when there is no nickname
+function displayName(user) {
+  return user.nickname || user.uid;
+}
+
+module.exports = {
+  config: {
+    name: 'pay',
+    aliases: ['give', 'transfer'],
+    description: 'Send coins to another user',
+    category: 'general',
+    usage: '/pay <user> <amount>',
+    examples: ['/pay @Big Joe 25', '/pay 1234567890 10'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      if (ctx.args.length < 2) {
+        await ctx.reply(ctx.t('pay.usage', { prefix: ctx.prefix }));
+        return;
+      }
+
+      const amountText = ctx.args[ctx.args.length - 1];
+      const amount = Number(amountText);
+      if (!/^\d+$/.test(amountText) || amount < payConfig.minAmount || amount > payConfig.maxAmount) {
+        await ctx.reply(ctx.t('pay.invalidAmount', { min: payConfig.minAmount, max: payConfig.maxAmount }));
+        return;
+      }
+
+      const query = ctx.args.slice(0, -1).join(' ');
+      const matches = await userStore.findUsers(query);
+      if (matches.length === 0) {
+        await ctx.reply(ctx.t('pay.notFound', { user: query }));
+        return;
+      }
+      if (matches.length > 1) {
+        const users = matches.slice(0, 5).map(user => `• ${displayName(user)} (UID: ${user.uid})`).join('\n');
+        await ctx.reply(ctx.t('pay.ambiguous', { user: query, users, prefix: ctx.prefix }));
+        return;
+      }
+
+      const [recipient] = matches;
+      if (recipient.uid === ctx.senderId) {
+        await ctx.reply(ctx.t('pay.self'));
+        return;
+      }
+
+      let result;
+      try {
+        result = await ledger.transfer(ctx.senderId, recipient.uid, amount, {
+          key: ctx.event.mid && `message:${ctx.event.mid}`,
+        });
+      } catch (error) {
+        if (error.code !== 'INSUFFICIENT_FUNDS') throw error;
+        await ctx.reply(ctx.t('pay.insufficient', { count: error.balance }));
+        return;
+      }
+      // A redelivered message was already paid and answered
+      if (result.duplicate) return;
+
+      await ctx.reply(ctx.t('pay.sent', {
+        count: amount,
+        user: displayName(recipient),
+        balance: result.debit.balanceAfter,
+      }));
+
+      try {
+        const { t } = await i18n.forUser(recipient.uid);
+        await fbApi.sendMessage(recipient.uid, t('pay.received', {
+          count: amount,
+          user: ctx.user.nickname || ctx.senderId,
+          balance: result.credit.balanceAfter,
+        }));
+      } catch (notifyError) {
+        // The notice couldn't be queued; one that can't be delivered (e.g.
+        // outside the 24-hour window) ends in the dead letters
+        ctx.logger.warn(`Could not queue payment notice for ${recipient.uid}: ${notifyError.message}`);
+      }
+    } catch (error) {
+      await ctx.fail(error, ctx.t('pay.error'));
+    }
+  },
+};
@@ -24,8 +24,10 @@ module.exports = {
    * @param {string} senderId - The PSID of the user.
    * @param {string[]} args - Additional arguments (unused).
    * @param {string} originalMessage - The original message content (unused).
+   * @param {Object} context - Plugin context (translations).
    */
-  start: async function(senderId, args, originalMessage) {
+  start: async function(senderId, args, originalMessage, context) {
+    const { t } = context;
     try {
       const uptimeMs = Date.now() - processStartTime;
       const uptimeSeconds = Math.floor(uptimeMs / 1000);
@@ -34,15 +36,15 @@ module.exports = {
       const usedMB = (memoryUsage.heapUsed / 1024 / 1024).toFixed(2);
       const totalMB = (memoryUsage.heapTotal / 1024 / 1024).toFixed(2);
       const response = [
-        '🏓 Pong! I’m alive.',
-        `⏱️ Uptime: ${uptimeMinutes} minute(s)`,
-        `💾 Memory Usage: ${usedMB} MB used / ${totalMB} MB total`,
+        t('ping.pong'),
+        t('ping.uptime', { count: uptimeMinutes }),
+        t('ping.memory', { used: usedMB, total: totalMB }),
       ].join('\n');
       await fbApi.sendMessage(senderId, response);
     } catch (error) {
       console.error('Error in ping command:', error);
       await fbApi.sendMessage(senderId,
-        'Sorry, I could not process your request.'
+        t('ping.error')
       );
     }
   },
@@ -22,6 +22,7 @@ module.exports = {
     description: 'Show or set your command prefix',
     category: 'general',
     usage: '/prefix [newPrefix]',
+    examples: ['/prefix', '/prefix !'],
     credits: 'IRFAN + Assistant',
     dependencies: [],
   },
@@ -34,17 +35,17 @@ module.exports = {
    *
    * @param {string} senderId The user's PSID
    * @param {Array<string>} args Array of arguments supplied after the command
+   * @param {string} originalMessage The original message (unused)
+   * @param {Object} context Plugin context (translations)
    */
-  start: async function(senderId, args) {
+  start: async function(senderId, args, originalMessage, context) {
+    const { t } = context;
     try {
       // When called with no arguments, simply show the current prefix
       if (!args || args.length === 0) {
         const userPrefix = await userStore.getPrefix(senderId);
         const globalPrefix = config.bot.prefix;
-        const message = `📌 Your current prefix: \`${userPrefix}\`\n` +
-                        `🌐 Global prefix: \`${globalPrefix}\`\n\n` +
-                        `To change your prefix, use: \`${userPrefix}prefix <newPrefix>\`\n` +
-                        `To reset your prefix, use: \`${userPrefix}prefix reset\``;
+        const message = t('prefix.current', { prefix: userPrefix, globalPrefix });
         await fbApi.sendMessage(senderId, message);
         return;
       }
@@ -52,20 +53,20 @@ module.exports = {
       // If user wants to reset their prefix
       if (newPrefix.toLowerCase() === 'reset') {
         await userStore.setPrefix(senderId, config.bot.prefix);
-        await fbApi.sendMessage(senderId, `🔄 Prefix reset to global default: \`${config.bot.prefix}\``);
+        await fbApi.sendMessage(senderId, t('prefix.reset', { prefix: config.bot.prefix }));
         return;
       }
       // Validate the new prefix. We disallow spaces to prevent confusion
       if (newPrefix.length === 0 || /\s/.test(newPrefix)) {
-        await fbApi.sendMessage(senderId, '❌ Invalid prefix. Please provide a single word or symbol with no spaces.');
+        await fbApi.sendMessage(senderId, t('prefix.invalid'));
         return;
       }
       // Save the new prefix
       await userStore.setPrefix(senderId, newPrefix);
-      await fbApi.sendMessage(senderId, `✅ Your prefix has been updated to \`${newPrefix}\`. Use it before commands, e.g. \`${newPrefix}help\`.`);
+      await fbApi.sendMessage(senderId, t('prefix.updated', { prefix: newPrefix }));
     } catch (error) {
       console.error('Error in prefix command:', error);
-      await fbApi.sendMessage(senderId, '⚠️ An error occurred while updating your prefix. Please try again later.');
+      await fbApi.sendMessage(senderId, t('prefix.error'));
     }
   },
 };
\ No newline at end of file
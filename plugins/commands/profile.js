@@ -0,0 +1,76 @@
+/**
+ * Profile Command Plugin
+ * Shows a profile card for the user or someone else: their Facebook name
+ * and picture, nickname, balance, leaderboard rank, when they first wrote
+ * to the page and how many games they played. Nicknames with spaces go
+ * in quotes.
+ *
+ * Usage: /profile [user]
+ * Example: /profile "Big Joe"
+ */
+
+const moment = require('moment-timezone');
+const config = require('../../config.json');
+const userStore = require('../../models/userStore');
+const gameEngine = require('../../utils/gameEngine');
+
+// Messenger limit for generic template titles and subtitles
+const MAX_TEXT = 80;
+
+function truncate(text, length = MAX_TEXT) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  config: {
+    name: 'profile',
+    aliases: ['me', 'whois'],
+    description: 'Show your profile card or another user\'s',
+    category: 'general',
+    args: [
+      { name: 'user', type: 'user' },
+    ],
+    examples: ['/profile', '/profile "Big Joe"'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const user = ctx.params.user || await userStore.getUser(ctx.senderId);
+      const [profile, rank, stats] = await Promise.all([
+        userStore.getProfile(user.uid),
+        userStore.getRank(user.uid),
+        gameEngine.getStats(user.uid),
+      ]);
+      const played = stats.reduce((total, game) => total + (game.played || 0), 0);
+
+      const name = profile?.name || user.nickname || ctx.t('profile.unknownName', { uid: user.uid });
+      const title = profile?.name && user.nickname ? `${name} (${user.nickname})` : name;
+      const details = [
+        `${ctx.t('profile.balance', { count: Number(user.balance) || 0 })} · ${ctx.t('profile.rank', { rank })}`,
+        [
+          ctx.t('profile.games', { count: played }),
+          user.createdAt
+            ? ctx.t('profile.joined', { date: moment(user.createdAt).tz(config.bot.timezone).format('YYYY-MM-DD') })
+            : null,
+        ].filter(Boolean).join(' · '),
+      ];
+
+      await ctx.reply('', 'generic', {
+        elements: [{
+          title: truncate(title),
+          subtitle: truncate(details.join('\n')),
+          ...(profile?.pic ? { image_url: profile.pic } : {}),
+          buttons: [
+            { type: 'postback', title: ctx.t('profile.leaderboardButton'), payload: 'RUN_COMMAND_leaderboard' },
+            { type: 'postback', title: ctx.t('profile.gamesButton'), payload: 'GAME_MENU' },
+          ],
+        }],
+      });
+    } catch (error) {
+      await ctx.fail(error, ctx.t('profile.error'));
+    }
+  },
+};
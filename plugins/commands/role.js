@@ -0,0 +1,131 @@
+/**
+ * Role Command Plugin
+ * Grants and revokes roles (sets of permissions defined in
+ * `permissions.roles`) and shows who holds which. A role can only be
+ * handed out or taken away by someone who holds all of its permissions.
+ * Users are picked by UID or nickname; nicknames may contain spaces, so
+ * the role comes last.
+ *
+ * Usage:
+ *   /role grant <user> <role>
+ *   /role revoke <user> <role>
+ *   /role list [user]
+ */
+
+const fbApi = require('../../utils/fbApi');
+const i18n = require('../../utils/i18n');
+const permissions = require('../../utils/permissions');
+const userStore = require('../../models/userStore');
+
+// "Big Joe (UID: 123)" or the UID when there is no nickname
+function displayName(user) {
+  return user.nickname ? `${user.nickname} (UID: ${user.uid})` : user.uid;
+}
+
+// Resolve a UID or nickname to a single user, answering when it can't
+async function findUser(ctx, query) {
+  const matches = await userStore.findUsers(query);
+  if (matches.length === 0) {
+    await ctx.reply(ctx.t('role.notFound', { user: query }));
+    return null;
+  }
+  if (matches.length > 1) {
+    const users = matches.slice(0, 5).map(user => `• ${displayName(user)}`).join('\n');
+    await ctx.reply(ctx.t('role.ambiguous', { user: query, users }));
+    return null;
+  }
+  return matches[0];
+}
+
+// Roles and permissions of one user, or every role and who holds it
+async function listRoles(ctx, query) {
+  if (query) {
+    const target = await findUser(ctx, query);
+    if (!target) return;
+    const roles = await permissions.getRoles(target.uid);
+    const granted = await permissions.getPermissions(target.uid);
+    await ctx.reply(ctx.t('role.userRoles', {
+      user: displayName(target),
+      roles: roles.join(', ') || ctx.t('role.none'),
+      permissions: granted.join(', ') || ctx.t('role.none'),
+    }));
+    return;
+  }
+
+  const assignments = await permissions.listAssignments();
+  const lines = permissions.getRoleNames().map(role => {
+    const holders = assignments
+      .filter(entry => entry.roles.includes(role))
+      .map(displayName);
+    return ctx.t('role.line', {
+      role,
+      permissions: permissions.getRolePermissions(role).join(', '),
+      users: holders.join(', ') || ctx.t('role.none'),
+    });
+  });
+  await ctx.reply([ctx.t('role.title'), '', ...lines].join('\n'));
+}
+
+module.exports = {
+  config: {
+    name: 'role',
+    aliases: ['roles'],
+    description: 'Grant, revoke and list user roles (admin only)',
+    category: 'admin',
+    permission: 'roles.manage',
+    usage: '/role <grant|revoke|list> [user] [role]',
+    examples: ['/role grant @Big Joe moderator', '/role list'],
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const [action = '', ...rest] = ctx.args;
+
+      if (action.toLowerCase() === 'list') {
+        await listRoles(ctx, rest.join(' '));
+        return;
+      }
+
+      if (!['grant', 'revoke'].includes(action.toLowerCase()) || rest.length < 2) {
+        await ctx.reply(ctx.t('role.usage', { prefix: ctx.prefix, roles: permissions.getRoleNames().join(', ') }));
+        return;
+      }
+
+      const role = rest[rest.length - 1].toLowerCase();
+      const target = await findUser(ctx, rest.slice(0, -1).join(' '));
+      if (!target) return;
+
+      const granting = action.toLowerCase() === 'grant';
+      let roles;
+      try {
+        roles = granting
+          ? await permissions.grant(ctx.senderId, target.uid, role)
+          : await permissions.revoke(ctx.senderId, target.uid, role);
+      } catch (error) {
+        if (error.name !== 'PermissionError') throw error;
+        await ctx.reply(ctx.t(`role.errors.${error.code}`, { ...error.details, user: displayName(target) }));
+        return;
+      }
+
+      await ctx.reply(ctx.t(granting ? 'role.granted' : 'role.revoked', {
+        role,
+        user: displayName(target),
+        roles: roles.join(', ') || ctx.t('role.none'),
+      }));
+
+      try {
+        const { t } = await i18n.forUser(target.uid);
+        await fbApi.sendMessage(target.uid, t(granting ? 'role.grantedNotice' : 'role.revokedNotice', { role }));
+      } catch (notifyError) {
+        // The notice couldn't be queued; one that can't be delivered (e.g.
+        // outside the 24-hour window) ends in the dead letters
+        ctx.logger.warn(`Could not queue role change notice for ${target.uid}: ${notifyError.message}`);
+      }
+    } catch (error) {
+      await ctx.fail(error, ctx.t('role.error'));
+    }
+  },
+};
@@ -0,0 +1,113 @@
+/**
+ * Schedule Command Plugin
+ * Lets administrators plan page posts from Messenger. Publish times are in
+ * the bot timezone (config.bot.timezone) and media files are looked up in
+ * the media/ directory.
+ *
+ * Usage:
+ *   /schedule add <YYYY-MM-DD HH:mm> | <text> [| <link>]
+ *   /schedule media <YYYY-MM-DD HH:mm> | <file> [| <caption>]
+ *   /schedule list [YYYY-MM-DD]
+ *   /schedule cancel <id>
+ */
+
+const config = require('../../config.json');
+const fbApi = require('../../utils/fbApi');
+const postScheduler = require('../../utils/postScheduler');
+
+// Split "<time> | <a> | <b>" into trimmed parts
+function splitParts(body) {
+  return body.split('|').map(part => part.trim());
+}
+
+module.exports = {
+  config: {
+    name: 'schedule',
+    aliases: ['post', 'posts'],
+    description: 'Schedule page posts (admin only)',
+    category: 'admin',
+    permission: 'posts.schedule',
+    usage: '/schedule <add|media|list|cancel> ...',
+    examples: ['/schedule add 2026-12-24 18:00 | Merry Christmas!', '/schedule list', '/schedule cancel 3'],
+    credits: 'IRFAN',
+    dependencies: [],
+  },
+
+  start: async function(senderId, args, originalMessage, context) {
+    const { t } = context;
+    const usage = t('schedule.usage', { prefix: context.prefix });
+    try {
+      if (!postScheduler.enabled) {
+        await fbApi.sendMessage(senderId, t('schedule.disabled'));
+        return;
+      }
+
+      const action = (args[0] || '').toLowerCase();
+      // Everything after "<prefix>schedule <action>", keeping line breaks
+      const body = (originalMessage || '').trim().replace(/^\S+\s+\S+\s*/, '');
+
+      switch (action) {
+        case 'add':
+        case 'media': {
+          const [publishAt, first, second] = splitParts(body);
+          if (!publishAt || !first) {
+            await fbApi.sendMessage(senderId, usage);
+            return;
+          }
+          const input = action === 'add'
+            ? { publishAt, message: first, link: second || undefined }
+            : { publishAt, mediaPath: first, message: second || '' };
+          const post = await postScheduler.createPost(input, senderId);
+          await fbApi.sendMessage(senderId, t('schedule.scheduled', {
+            id: post.id,
+            time: post.localPublishAt,
+            timezone: config.bot.timezone,
+          }));
+          return;
+        }
+
+        case 'list': {
+          const day = args[1];
+          const posts = await postScheduler.listPosts({
+            status: day ? undefined : 'scheduled',
+            from: day,
+            to: day,
+          });
+          if (posts.length === 0) {
+            await fbApi.sendMessage(senderId, t('schedule.none'));
+            return;
+          }
+          const lines = posts.slice(0, 20).map(post => {
+            const content = post.mediaPath ? `📎 ${post.mediaPath}` : post.message;
+            return t('schedule.line', {
+              id: post.id,
+              time: post.localPublishAt,
+              status: post.status,
+              content: content.substring(0, 60),
+            });
+          });
+          await fbApi.sendMessage(senderId, `${t('schedule.title')}\n\n${lines.join('\n')}`);
+          return;
+        }
+
+        case 'cancel': {
+          if (!args[1]) {
+            await fbApi.sendMessage(senderId, usage);
+            return;
+          }
+          const post = await postScheduler.cancelPost(args[1]);
+          await fbApi.sendMessage(senderId,
+            post ? t('schedule.cancelled', { id: post.id }) : t('schedule.notFound', { id: args[1] })
+          );
+          return;
+        }
+
+        default:
+          await fbApi.sendMessage(senderId, usage);
+      }
+    } catch (error) {
+      console.error('Error in schedule command:', error);
+      await fbApi.sendMessage(senderId, t('schedule.error', { error: error.message }));
+    }
+  },
+};
@@ -2,19 +2,25 @@
  * Set Balance Command Plugin
  * Allows administrators to set the game balance for a specific user.
  *
- * Usage: /setbal <uid> <amount>
- * Example: /setbal 1234567890 500
+ * Usage: /setbal <user> <amount> [note...]
+ * Example: /setbal 1234567890 500 refund for order 42
+ * Example: /setbal "Big Joe" 500
  *
- * Only users whose UID is listed in config.security.adminUIDs may execute
- * this command. The command validates the amount to ensure it is a
- * number. After updating the user's balance, the bot sends a
- * confirmation message to the admin and optionally notifies the
- * recipient user of their new balance.
+ * Only users holding the `economy.setBalance` permission (admins and
+ * moderators, see utils/permissions.js) may execute this command. The user
+ * is a UID or nickname and the amount a whole number, both checked from the
+ * declared arguments. The change goes through the coin ledger as a `set`
+ * transaction recording the admin and the optional note, for the balance
+ * audit. After updating the user's balance, the bot sends a confirmation
+ * message to the admin and optionally notifies the recipient user of their
+ * new balance.
  */
 
 const fbApi = require('../../utils/fbApi');
 const config = require('../../config.json');
-const userStore = require('../../models/userStore');
+const ledger = require('../../models/ledger');
+const i18n = require('../../utils/i18n');
+const logger = require('../../utils/logger');
 
 module.exports = {
   config: {
@@ -22,40 +28,43 @@ module.exports = {
     aliases: ['setbalance'],
     description: 'Set the game balance for a user (admin only)',
     category: 'admin',
-    usage: '/setbal <uid> <amount>',
+    permission: 'economy.setBalance',
+    args: [
+      { name: 'user', type: 'user', required: true },
+      { name: 'amount', type: 'int', min: 0, required: true },
+      { name: 'note', type: 'rest' },
+    ],
+    examples: ['/setbal 1234567890 500 refund for order 42', '/setbal "Big Joe" 500'],
     credits: 'IRFAN + Assistant',
     dependencies: [],
   },
 
-  start: async function(senderId, args) {
+  start: async function(senderId, args, originalMessage, context) {
+    const { t } = context;
     try {
-      // Validate arguments
-      if (!args || args.length < 2) {
-        await fbApi.sendMessage(senderId, '⚠️ Usage: /setbal <uid> <amount>');
-        return;
-      }
-      const targetUid = args[0];
-      const amount = Number(args[1]);
-      if (isNaN(amount)) {
-        await fbApi.sendMessage(senderId, '❌ Invalid amount. Please provide a numeric value.');
-        return;
-      }
-      // Update balance
-      const updatedUser = await userStore.setBalance(targetUid, amount);
+      const { user, amount, note = '' } = context.params;
+      const targetUid = user.uid;
+      // Update balance through the ledger so the change is audited
+      const transaction = await ledger.setBalance(targetUid, amount, { actor: senderId, note });
+      const previous = transaction.balanceAfter - transaction.amount;
+      logger.info(`💰 Admin ${senderId} set balance of ${targetUid}: ${previous} → ${amount}${note ? ` (${note})` : ''}`);
       // Confirmation message to admin
-      await fbApi.sendMessage(senderId, `✅ Balance for user ${targetUid} set to ${amount}.`);
-      // Optionally notify the target user if they are not the admin
+      await fbApi.sendMessage(senderId, t('setbal.updated', { uid: targetUid, amount, previous }));
+      // Optionally notify the target user if they are not the admin, in
+      // their own language
       if (targetUid !== senderId) {
         try {
-          await fbApi.sendMessage(targetUid, `💰 Your game balance has been updated to ${amount}.`);
+          const target = await i18n.forUser(targetUid);
+          await fbApi.sendMessage(targetUid, target.t('setbal.notice', { amount }));
         } catch (notifyErr) {
-          // Fail silently if the user cannot be notified (e.g. hasn't started chat)
-          console.warn('Could not notify user of balance update:', notifyErr.message);
+          // The notice couldn't be queued; one that can't be delivered (e.g.
+          // the user never opened the chat) ends in the dead letters
+          console.warn('Could not queue balance update notice:', notifyErr.message);
         }
       }
     } catch (error) {
       console.error('Error in setbal command:', error);
-      await fbApi.sendMessage(senderId, '⚠️ Failed to set balance. Please try again.');
+      await fbApi.sendMessage(senderId, t('setbal.error'));
     }
   },
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Shop Command Plugin
+ * Lists the items on sale in the shop catalogue with their prices, followed
+ * by a carousel with a Buy button for each item (tapping it buys one).
+ *
+ * Usage: /shop
+ */
+
+const shop = require('../../utils/shop');
+
+// Messenger limits for generic template elements
+const MAX_ELEMENTS = 10;
+const MAX_TEXT = 80;
+
+function truncate(text, length = MAX_TEXT) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  config: {
+    name: 'shop',
+    aliases: ['store', 'tienda'],
+    description: 'Browse the items you can buy with coins',
+    category: 'general',
+    usage: '/shop',
+    credits: 'IRFAN',
+    dependencies: [],
+    useContext: true,
+  },
+
+  start: async function(ctx) {
+    try {
+      const items = shop.getItems().map(item => shop.describe(item, ctx.locale));
+      if (items.length === 0) {
+        await ctx.reply(ctx.t('shop.empty'));
+        return;
+      }
+
+      const lines = items.map((item, index) => {
+        const limit = item.maxPerUser ? ` ${ctx.t('shop.limit', { count: item.maxPerUser })}` : '';
+        return `${index + 1}. ${item.emoji} *${item.name}* – ${ctx.t('shop.price', { count: item.price })}${limit}` +
+          (item.description ? `\n   ${item.description}` : '');
+      });
+      await ctx.reply([
+        ctx.t('shop.title'),
+        '',
+        ...lines,
+        '',
+        ctx.t('balance.current', { count: Number(ctx.user.balance) || 0 }),
+        ctx.t('shop.hint', { prefix: ctx.prefix }),
+      ].join('\n'));
+
+      const elements = items.slice(0, MAX_ELEMENTS).map(item => ({
+        title: truncate(`${item.emoji} ${item.name}`),
+        subtitle: truncate([ctx.t('shop.price', { count: item.price }), item.description].filter(Boolean).join(' · ')),
+        ...(item.image ? { image_url: item.image } : {}),
+        buttons: [{ type: 'postback', title: ctx.t('shop.buyButton'), payload: `SHOP_BUY_${item.id}` }],
+      }));
+      await ctx.reply('', 'generic', { elements });
+    } catch (error) {
+      await ctx.fail(error, ctx.t('shop.error'));
+    }
+  },
+};
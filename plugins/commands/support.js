@@ -0,0 +1,31 @@
+/**
+ * Support Command Plugin
+ * Starts the support triage flow, which asks a few questions and files a
+ * ticket for the team. Reply "cancel" at any time to stop.
+ *
+ * Usage: /support
+ */
+
+const fbApi = require('../../utils/fbApi');
+const flowEngine = require('../../utils/flowEngine');
+
+module.exports = {
+  config: {
+    name: 'support',
+    aliases: ['ticket', 'helpdesk'],
+    description: 'Open a support ticket',
+    category: 'general',
+    usage: '/support',
+    credits: 'IRFAN',
+    dependencies: [],
+  },
+
+  start: async function(senderId, args, originalMessage, context) {
+    try {
+      await flowEngine.startFlow(senderId, 'supportTriage');
+    } catch (error) {
+      console.error('Error in support command:', error);
+      await fbApi.sendMessage(senderId, context.t('support.error'));
+    }
+  },
+};
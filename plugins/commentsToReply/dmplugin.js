@@ -12,7 +12,7 @@ module.exports = {
   name: 'DM Plugin',
   keywords: ['inbox', 'dm', 'message me', 'check inbox', 'pm'],
   
-  run: async function(commentData) {
+  run: async function(commentData, context) {
     try {
       const { commentId, postId, senderId, senderName, message } = commentData;
       const lowerMessage = message.toLowerCase();
@@ -28,13 +28,15 @@ module.exports = {
       
       logger.info(`💬 DM plugin triggered by ${senderName} (${senderId})`);
       
-      // Send public reply
-      await fbApi.replyToComment(commentId, 
-        `Hi ${senderName}! I've sent you a private message. Please check your inbox.`
-      );
+      // Only one private reply is allowed per comment
+      if (await context.hasPrivateReply()) {
+        return true;
+      }
       
-      // Send private message with quick replies
-      const dmMessage = `Hi ${senderName}! 👋\n\nThanks for your interest! How can I help you today?`;
+      // Send private reply with quick replies. Nothing else can be sent
+      // until the user answers it, so it carries the whole message.
+      const dmMessage = `Hi ${senderName}! 👋\n\nThanks for your interest! How can I help you today?\n\n` +
+        'Feel free to ask any questions or use the quick replies below to get started!';
       
       const quickReplies = [
         {
@@ -59,13 +61,16 @@ module.exports = {
         },
       ];
       
-      await fbApi.sendMessage(senderId, dmMessage, 'quick_replies', {
+      const sent = await context.privateReply(dmMessage, 'quick_replies', {
         quickReplies,
       });
+      if (!sent) {
+        return false; // Too old for a private reply
+      }
       
-      // Send follow-up message
-      await fbApi.sendMessage(senderId,
-        'Feel free to ask any questions or use the quick replies above to get started!'
+      // Send public reply
+      await fbApi.replyToComment(commentId, 
+        `Hi ${senderName}! I've sent you a private message. Please check your inbox.`
       );
       
       logger.info(`✅ DM sent to ${senderName} (${senderId})`);
@@ -74,9 +79,9 @@ module.exports = {
     } catch (error) {
       logger.error('Error in DM comment plugin:', error);
       
-      // Try to send error notification to admin
+      // Let the commenter know publicly, a DM can't reach them
       try {
-        await fbApi.sendMessage(commentData.senderId,
+        await fbApi.replyToComment(commentData.commentId,
           'Sorry, I encountered an error sending you a message. Please try again later.'
         );
       } catch (e) {
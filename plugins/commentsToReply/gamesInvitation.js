@@ -1,7 +1,7 @@
 /**
  * Games Invitation Comment Plugin
  * Detects comments with keywords like "game", "play" or "fun" and
- * sends the commenter a private message inviting them to try the built‑in
+ * sends the commenter a private reply inviting them to try the built‑in
  * games. The message includes quick reply buttons that trigger the
  * relevant postback payloads for Flip Coin and Rock–Paper–Scissors.
  * Author: OpenAI Assistant
@@ -18,7 +18,7 @@ module.exports = {
 
   /**
    * Run the games invitation logic. If the comment contains any of the
-   * configured keywords, send a DM to the user with quick replies for
+   * configured keywords, send a private reply to the user with quick replies for
    * available games and postbacks.
    *
    * @param {Object} commentData - Data about the comment event.
@@ -27,9 +27,12 @@ module.exports = {
    * @param {string} commentData.senderId - PSID of the user who commented.
    * @param {string} commentData.senderName - Name of the commenter.
    * @param {string} commentData.message - The comment text.
+   * @param {Object} context - Helpers for the current comment.
+   * @param {Function} context.privateReply - Sends the comment's private reply.
+   * @param {Function} context.hasPrivateReply - Whether it was already sent.
    * @returns {Promise<boolean>} Whether the plugin handled the comment.
    */
-  run: async function(commentData) {
+  run: async function(commentData, context) {
     try {
       const { commentId, senderId, senderName, message } = commentData;
       const lower = message.toLowerCase();
@@ -37,27 +40,39 @@ module.exports = {
       if (!match) {
         return false;
       }
+      // A comment can only ever get one private reply
+      if (await context.hasPrivateReply()) {
+        return true;
+      }
       logger.info(`🎮 Games invitation triggered by ${senderName} (${senderId})`);
-      // Public reply to acknowledge the comment
-      await fbApi.replyToComment(
-        commentId,
-        `Hey ${senderName}! I’ve sent you a DM with some fun games to try. 🎲`
-      );
       // Compose DM with quick replies for games
       const dm = `Hi ${senderName}! Ready for some fun? Choose a game below to play:`;
       const quickReplies = [
         {
           content_type: 'text',
           title: '🪙 Flip Coin',
-          payload: 'GAME_FLIP_COIN',
+          payload: 'GAME_START_flip',
         },
         {
           content_type: 'text',
           title: '✊✋✌️ RPS',
-          payload: 'GAME_RPS',
+          payload: 'GAME_START_rps',
+        },
+        {
+          content_type: 'text',
+          title: '🎮 More Games',
+          payload: 'GAME_MENU',
         },
       ];
-      await fbApi.sendMessage(senderId, dm, 'quick_replies', { quickReplies });
+      const sent = await context.privateReply(dm, 'quick_replies', { quickReplies });
+      if (!sent) {
+        return false;
+      }
+      // Public reply to acknowledge the comment
+      await fbApi.replyToComment(
+        commentId,
+        `Hey ${senderName}! I’ve sent you a DM with some fun games to try. 🎲`
+      );
       logger.info(`✅ Games invitation DM sent to ${senderName} (${senderId})`);
       return true;
     } catch (error) {
@@ -0,0 +1,75 @@
+/**
+ * Lead Capture Flow
+ * Collects a prospect's name, email, interest and an optional phone number,
+ * stores the lead and notifies the page admins.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../../config.json');
+const fbApi = require('../../utils/fbApi');
+const logger = require('../../utils/logger');
+const userStore = require('../../models/userStore');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,20}$/;
+
+module.exports = {
+  name: 'leadCapture',
+  initialStep: 'name',
+  timeoutMs: 15 * 60 * 1000,
+
+  steps: {
+    name: {
+      prompt: 'flows.leadCapture.name.prompt',
+      validate: answer => answer.length >= 2 || 'flows.leadCapture.name.invalid',
+      next: 'email',
+    },
+    email: {
+      prompt: 'flows.leadCapture.email.prompt',
+      validate: answer => EMAIL_PATTERN.test(answer) || 'flows.leadCapture.email.invalid',
+      transform: answer => answer.toLowerCase(),
+      next: 'interest',
+    },
+    interest: {
+      prompt: 'flows.leadCapture.interest.prompt',
+      quickReplies: [
+        { title: 'flows.leadCapture.interest.services', payload: 'services' },
+        { title: 'flows.leadCapture.interest.pricing', payload: 'pricing' },
+        { title: 'flows.leadCapture.interest.partnership', payload: 'partnership' },
+      ],
+      next: 'phone',
+    },
+    phone: {
+      prompt: 'flows.leadCapture.phone.prompt',
+      quickReplies: [{ title: 'flows.leadCapture.phone.skip', payload: 'skip' }],
+      validate: answer => answer.toLowerCase() === 'skip' ||
+        PHONE_PATTERN.test(answer) || 'flows.leadCapture.phone.invalid',
+      transform: answer => (answer.toLowerCase() === 'skip' ? null : answer),
+      next: null,
+    },
+  },
+
+  onComplete: async function(senderId, data, t) {
+    const lead = {
+      uid: senderId,
+      ...data,
+      createdAt: new Date().toISOString(),
+    };
+    await userStore.saveRecord('leads', crypto.randomUUID(), lead);
+    await userStore.addTags(senderId, ['lead']);
+
+    await fbApi.sendMessage(senderId, t('flows.leadCapture.completed', { name: data.name, email: data.email }));
+
+    const summary = `📥 New lead\n• Name: ${data.name}\n• Email: ${data.email}\n` +
+      `• Interest: ${data.interest}\n• Phone: ${data.phone || '—'}\n• UID: ${senderId}`;
+    for (const adminId of config.security.adminUIDs) {
+      try {
+        await fbApi.sendMessage(adminId, summary);
+      } catch (error) {
+        logger.warn(`Could not queue notice of new lead for admin ${adminId}:`, error.message);
+      }
+    }
+  },
+};
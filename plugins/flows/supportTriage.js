@@ -0,0 +1,88 @@
+/**
+ * Support Triage Flow
+ * Asks for the kind of problem, branches into topic specific questions and
+ * files a support ticket that is forwarded to the page admins.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../../config.json');
+const fbApi = require('../../utils/fbApi');
+const logger = require('../../utils/logger');
+const userStore = require('../../models/userStore');
+
+const TOPICS = ['billing', 'technical', 'other'];
+
+module.exports = {
+  name: 'supportTriage',
+  initialStep: 'topic',
+  timeoutMs: 30 * 60 * 1000,
+
+  steps: {
+    topic: {
+      prompt: 'flows.supportTriage.topic.prompt',
+      quickReplies: [
+        { title: 'flows.supportTriage.topic.billing', payload: 'billing' },
+        { title: 'flows.supportTriage.topic.technical', payload: 'technical' },
+        { title: 'flows.supportTriage.topic.other', payload: 'other' },
+      ],
+      validate: answer => TOPICS.includes(answer.toLowerCase()) ||
+        'flows.supportTriage.topic.invalid',
+      transform: answer => answer.toLowerCase(),
+      next: topic => {
+        switch (topic) {
+          case 'billing':
+            return 'orderId';
+          case 'technical':
+            return 'device';
+          default:
+            return 'description';
+        }
+      },
+    },
+    orderId: {
+      prompt: 'flows.supportTriage.orderId.prompt',
+      validate: answer => /^[\w-]{3,40}$/.test(answer) || 'flows.supportTriage.orderId.invalid',
+      next: 'description',
+    },
+    device: {
+      prompt: 'flows.supportTriage.device.prompt',
+      quickReplies: [
+        { title: 'flows.supportTriage.device.phone', payload: 'phone' },
+        { title: 'flows.supportTriage.device.computer', payload: 'computer' },
+        { title: 'flows.supportTriage.device.other', payload: 'other' },
+      ],
+      next: 'description',
+    },
+    description: {
+      prompt: 'flows.supportTriage.description.prompt',
+      validate: answer => answer.length >= 10 || 'flows.supportTriage.description.invalid',
+      next: null,
+    },
+  },
+
+  onComplete: async function(senderId, data, t) {
+    const ticketId = crypto.randomUUID().slice(0, 8).toUpperCase();
+    await userStore.saveRecord('supportTickets', ticketId, {
+      uid: senderId,
+      ...data,
+      status: 'open',
+      createdAt: new Date().toISOString(),
+    });
+    await userStore.addTags(senderId, ['support']);
+
+    await fbApi.sendMessage(senderId, t('flows.supportTriage.filed', { ticketId }));
+
+    const details = Object.entries(data)
+      .map(([key, value]) => `• ${key}: ${value}`)
+      .join('\n');
+    for (const adminId of config.security.adminUIDs) {
+      try {
+        await fbApi.sendMessage(adminId, `🎫 New ${data.topic} ticket #${ticketId} from ${senderId}\n${details}`);
+      } catch (error) {
+        logger.warn(`Could not queue notice of ticket ${ticketId} for admin ${adminId}:`, error.message);
+      }
+    }
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Flip Coin Game
+ * Call heads or tails before the coin is flipped. A right call pays 2
+ * coins and a wrong one nothing; a won wager pays double.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const SIDES = ['heads', 'tails'];
+
+module.exports = {
+  name: 'flip',
+  display: 'buttons',
+  payout: 2,
+  rewards: { win: 2 },
+  payloads: ['GAME_FLIP_COIN'],
+
+  start({ t }) {
+    return {
+      state: {},
+      text: t('games.flip.prompt'),
+      choices: SIDES.map(side => ({ title: t(`games.flip.sides.${side}`), value: side })),
+    };
+  },
+
+  play(state, input, { t }) {
+    const call = String(input).toLowerCase();
+    if (!SIDES.includes(call)) {
+      return this.start({ t });
+    }
+    const side = SIDES[Math.floor(Math.random() * SIDES.length)];
+    const outcome = side === call ? 'win' : 'loss';
+    return {
+      outcome,
+      text: t(`games.flip.outcomes.${outcome}`, { side: t(`games.flip.sides.${side}`) }),
+    };
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * Number Guessing Game
+ * The bot picks a number and the user types guesses, getting a higher or
+ * lower hint after each one, until they find it or run out of attempts.
+ * Finding it pays 5 coins when playing for free; a won wager pays triple.
+ * Five attempts cover at most 31 of the 100 numbers even with a binary
+ * search, so a wager is won about a third of the time.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const MIN = 1;
+const MAX = 100;
+const ATTEMPTS = 5;
+
+module.exports = {
+  name: 'guess',
+  acceptsText: true,
+  payout: 3,
+  rewards: { win: 5 },
+
+  start({ t }) {
+    return {
+      state: { number: MIN + Math.floor(Math.random() * (MAX - MIN + 1)), attempts: 0 },
+      text: t('games.guess.prompt', { min: MIN, max: MAX, count: ATTEMPTS }),
+      choices: [{ title: t('games.quitButton'), value: 'quit' }],
+    };
+  },
+
+  play(state, input, { t }) {
+    const quit = [{ title: t('games.quitButton'), value: 'quit' }];
+    const guess = Number(String(input).trim());
+    if (!Number.isInteger(guess) || guess < MIN || guess > MAX) {
+      return { state, text: t('games.guess.invalid', { min: MIN, max: MAX }), choices: quit };
+    }
+
+    const attempts = state.attempts + 1;
+    if (guess === state.number) {
+      return { outcome: 'win', text: t('games.guess.outcomes.win', { number: state.number, count: attempts }) };
+    }
+    if (attempts >= ATTEMPTS) {
+      return { outcome: 'loss', text: t('games.guess.outcomes.loss', { number: state.number }) };
+    }
+    return {
+      state: { ...state, attempts },
+      text: t(guess < state.number ? 'games.guess.higher' : 'games.guess.lower', { guess, count: ATTEMPTS - attempts }),
+      choices: quit,
+    };
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * Rock–Paper–Scissors Game
+ * One round against the bot. Wins pay 3 coins and draws 1 when playing
+ * for free; a won wager pays double.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const MOVES = ['rock', 'paper', 'scissors'];
+// Each move beats the one it maps to
+const BEATS = { rock: 'scissors', paper: 'rock', scissors: 'paper' };
+
+module.exports = {
+  name: 'rps',
+  display: 'buttons',
+  payout: 2,
+  rewards: { win: 3, draw: 1 },
+  payloads: ['GAME_RPS'],
+
+  start({ t }) {
+    return {
+      state: {},
+      text: t('games.rps.prompt'),
+      choices: MOVES.map(move => ({ title: t(`games.rps.moves.${move}`), value: move })),
+    };
+  },
+
+  play(state, input, { t }) {
+    const move = String(input).toLowerCase();
+    if (!MOVES.includes(move)) {
+      return this.start({ t });
+    }
+    const botMove = MOVES[Math.floor(Math.random() * MOVES.length)];
+    let outcome = 'loss';
+    if (move === botMove) {
+      outcome = 'draw';
+    } else if (BEATS[move] === botMove) {
+      outcome = 'win';
+    }
+    return {
+      outcome,
+      text: t(`games.rps.outcomes.${outcome}`, {
+        move: t(`games.rps.moves.${move}`),
+        botMove: t(`games.rps.moves.${botMove}`),
+      }),
+    };
+  },
+};
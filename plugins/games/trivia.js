@@ -0,0 +1,88 @@
+/**
+ * Trivia Game
+ * Asks a random question from the local question bank
+ * (`games.trivia.questionBank`, see resources/trivia.json). The user taps
+ * or types the letter of an option, or types the answer itself. A right
+ * answer pays 4 coins when playing for free; a won wager pays double.
+ *
+ * Question format:
+ *   { "question": "...", "options": ["...", "..."], "answer": 1 }
+ * `answer` is the index of the right option. Questions and options are
+ * strings or `{ "<locale>": "..." }` maps.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config.json');
+const i18n = require('../../utils/i18n');
+const logger = require('../../utils/logger');
+
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const bankFile = path.join(__dirname, '../..', config.games?.trivia?.questionBank || 'resources/trivia.json');
+
+// Questions with at least two options and a valid answer
+function loadQuestions() {
+  try {
+    const bank = JSON.parse(fs.readFileSync(bankFile, 'utf8'));
+    return (bank.questions || []).filter(question =>
+      question.question && Array.isArray(question.options) &&
+      question.options.length >= 2 && question.options.length <= LETTERS.length &&
+      Number.isInteger(question.answer) && question.options[question.answer] !== undefined
+    );
+  } catch (error) {
+    logger.error(`❓ Failed to load trivia questions: ${error.message}`);
+    return [];
+  }
+}
+
+const questions = loadQuestions();
+
+// The question and its lettered options as a message
+function ask(index, t, locale) {
+  const question = questions[index];
+  const options = question.options.map((option, i) => `${LETTERS[i]}. ${i18n.localize(option, locale)}`);
+  return {
+    text: [t('games.trivia.prompt'), '', i18n.localize(question.question, locale), '', ...options].join('\n'),
+    choices: question.options.map((option, i) => ({ title: LETTERS[i], value: LETTERS[i] })),
+  };
+}
+
+module.exports = {
+  name: 'trivia',
+  acceptsText: true,
+  payout: 2,
+  rewards: { win: 4 },
+
+  start({ t, locale }) {
+    if (questions.length === 0) {
+      throw new Error('The trivia question bank is empty');
+    }
+    const index = Math.floor(Math.random() * questions.length);
+    return { state: { index }, ...ask(index, t, locale) };
+  },
+
+  play(state, input, { t, locale }) {
+    const question = questions[state.index];
+    if (!question) {
+      // The bank changed since the question was asked
+      return { outcome: 'draw', text: t('games.trivia.unavailable') };
+    }
+
+    const answer = String(input).trim().toLowerCase();
+    let choice = LETTERS.findIndex(letter => letter.toLowerCase() === answer);
+    if (choice < 0) {
+      choice = question.options.findIndex(option => i18n.localize(option, locale).toLowerCase() === answer);
+    }
+    if (choice < 0 || choice >= question.options.length) {
+      const round = ask(state.index, t, locale);
+      return { state, ...round, text: `${t('games.trivia.invalid', { last: LETTERS[question.options.length - 1] })}\n\n${round.text}` };
+    }
+
+    const right = `${LETTERS[question.answer]}. ${i18n.localize(question.options[question.answer], locale)}`;
+    return choice === question.answer
+      ? { outcome: 'win', text: t('games.trivia.outcomes.win', { answer: right }) }
+      : { outcome: 'loss', text: t('games.trivia.outcomes.loss', { answer: right }) };
+  },
+};
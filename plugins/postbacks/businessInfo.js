@@ -0,0 +1,59 @@
+/**
+ * Business Info Postback Plugin
+ * Answers the Contact Info, Services and Pricing quick replies offered by
+ * the DM comment plugin, using the `business` section of config.json.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../../config.json');
+
+const business = {
+  contact: {},
+  services: [],
+  pricing: [],
+  ...config.business,
+};
+
+const CONTACT_FIELDS = ['phone', 'email', 'website', 'address', 'hours'];
+
+// Build the reply for each payload in the user's language
+const builders = {
+  CONTACT_INFO(t) {
+    const lines = CONTACT_FIELDS
+      .filter(key => business.contact[key])
+      .map(key => `${t(`business.${key}`)}: ${business.contact[key]}`);
+    return lines.length ? `${t('business.contactTitle')}\n\n${lines.join('\n')}` : t('business.notConfigured');
+  },
+
+  OUR_SERVICES(t) {
+    if (business.services.length === 0) return t('business.notConfigured');
+    const lines = business.services.map(service =>
+      service.description ? `• *${service.name}* - ${service.description}` : `• *${service.name}*`
+    );
+    return `${t('business.servicesTitle')}\n\n${lines.join('\n')}`;
+  },
+
+  PRICING_INFO(t) {
+    if (business.pricing.length === 0) return t('business.notConfigured');
+    const lines = business.pricing.map(item => `• ${item.name}: ${item.price}`);
+    return `${t('business.pricingTitle')}\n\n${lines.join('\n')}`;
+  },
+};
+
+module.exports = {
+  match: { exact: Object.keys(builders) },
+  useContext: true,
+
+  /**
+   * Reply with the requested business information.
+   * @param {Object} ctx - Plugin context; `ctx.payload` is the quick reply payload.
+   */
+  start: async function(ctx) {
+    try {
+      await ctx.reply(builders[ctx.payload](ctx.t));
+    } catch (error) {
+      await ctx.fail(error);
+    }
+  },
+};
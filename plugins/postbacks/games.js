@@ -0,0 +1,48 @@
+/**
+ * Games Postback Plugin
+ * Hands game payloads (the games menu, starting a game and moves, see
+ * utils/gameEngine.js) to the game engine.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const gameEngine = require('../../utils/gameEngine');
+const throttle = require('../../utils/throttle');
+
+// Seconds between games a user starts (free or with a wager), which paces
+// how fast free rounds can be farmed. Menus and offers aren't paced, and
+// taps inside a game only get the bot's double-tap guard, keyed by the
+// payload (session and choice), so quick answers still count.
+const START_COOLDOWN = { cooldown: 2 };
+const MOVE_GUARD = {};
+
+module.exports = {
+  match: { prefix: 'GAME_' },
+  useContext: true,
+  // Cooldowns are applied per payload kind below, not per plugin
+  cooldown: 0,
+
+  /**
+   * Play the game payload.
+   * @param {Object} ctx - Plugin context; the event's message id keeps a
+   *   redelivered tap from being played twice.
+   */
+  start: async function(ctx) {
+    try {
+      const payload = String(ctx.payload);
+      const throttled = payload.startsWith('GAME_MOVE_')
+        ? await throttle.isCoolingDown(ctx.senderId, `game:${payload}`, MOVE_GUARD)
+        : /^GAME_START_[^_]+_/.test(payload) &&
+          await throttle.isCoolingDown(ctx.senderId, 'game:start', START_COOLDOWN);
+      if (throttled) return;
+
+      const handled = await gameEngine.handlePayload(ctx.senderId, ctx.payload, { mid: ctx.event.mid });
+      if (!handled) {
+        ctx.logger.warn(`🎮 Unknown game payload from ${ctx.senderId}: ${ctx.payload}`);
+        await gameEngine.sendMenu(ctx.senderId);
+      }
+    } catch (error) {
+      await ctx.fail(error, ctx.t('games.error'));
+    }
+  },
+};
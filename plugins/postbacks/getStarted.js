@@ -0,0 +1,55 @@
+/**
+ * Get Started Postback Plugin
+ * Welcomes users who tap the Get Started button, the persistent menu entry
+ * or the matching ice breaker, and offers the main actions as quick replies.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../../config.json');
+const fbApi = require('../../utils/fbApi');
+
+module.exports = {
+  payload: 'GET_STARTED',
+
+  /**
+   * Send the welcome message.
+   * @param {string} senderId - The PSID of the user who triggered the postback.
+   * @param {string} recipientId - The PSID of the page (unused).
+   * @param {*} payload - The postback payload (unused).
+   * @param {Object} context - Plugin context (translations, prefix).
+   */
+  start: async function(senderId, recipientId, payload, context) {
+    try {
+      const message = context.t('getStarted.welcome', {
+        botName: config.bot.name,
+        prefix: context.prefix,
+      });
+
+      await fbApi.sendMessage(senderId, message, 'quick_replies', {
+        quickReplies: [
+          {
+            content_type: 'text',
+            title: '🪙 Flip Coin',
+            payload: 'GAME_START_flip',
+          },
+          {
+            content_type: 'text',
+            title: '✊✋✌️ RPS',
+            payload: 'GAME_START_rps',
+          },
+          {
+            content_type: 'text',
+            title: '🎮 More Games',
+            payload: 'GAME_MENU',
+          },
+        ],
+      });
+    } catch (error) {
+      console.error('Error in get started postback:', error);
+      await fbApi.sendMessage(senderId,
+        context.t('errors.pluginFailed')
+      );
+    }
+  },
+};
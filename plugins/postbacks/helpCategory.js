@@ -1,47 +1,28 @@
 /**
  * Help Category Postback Plugin
- * Handles category selection from help menu
+ * Handles the category buttons of the help menu and the Back/Next buttons
+ * of a category's pages (`HELP_CATEGORY_<CATEGORY>[_<page>]`)
  * Author: IRFAN
  * Version: 2.0.0
  */
 
 const fbApi = require('../../utils/fbApi');
+const commandHelp = require('../../utils/commandHelp');
 
 module.exports = {
-  payload: 'HELP_CATEGORY_', // Prefix for category payloads
+  match: { prefix: 'HELP_CATEGORY_' },
   
-  start: async function(senderId, recipientId, payload) {
+  start: async function(senderId, recipientId, payload, context) {
+    const { t } = context;
     try {
-      const category = payload.replace('HELP_CATEGORY_', '').toLowerCase();
-      const commandPlugins = require('../../utils/pluginLoader').getCommandPlugins();
-      
-      // Filter commands by category
-      const categoryCommands = commandPlugins
-        .filter(plugin => (plugin.config.category || 'general').toLowerCase() === category)
-        .map(plugin => plugin.config);
-      
-      if (categoryCommands.length === 0) {
-        await fbApi.sendMessage(senderId, 
-          `No commands found in category: ${category}`
-        );
-        return;
-      }
-      
-      let message = `📁 *${category.toUpperCase()} Commands*\n\n`;
-      categoryCommands.forEach(cmd => {
-        message += `• *${cmd.name}* - ${cmd.description}\n`;
-        message += `  Usage: \`${cmd.usage}\`\n\n`;
-      });
-      
-      message += `📝 Use \`/help [command]\` for detailed information`;
-      
-      await fbApi.sendMessage(senderId, message);
-      
+      // "GENERAL_2" is the second page of the general category
+      const [, category, page] = context.params.rest.match(/^(.+?)(?:_(\d+))?$/) || [];
+      await commandHelp.sendCategory(senderId, category, Number(page) || 1);
     } catch (error) {
       console.error('Error in help category postback:', error);
       await fbApi.sendMessage(senderId, 
-        'Sorry, I encountered an error showing category commands.'
+        t('help.categoryError')
       );
     }
   },
-};
\ No newline at end of file
+};
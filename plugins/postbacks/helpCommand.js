@@ -0,0 +1,26 @@
+/**
+ * Help Command Postback Plugin
+ * Handles the Details buttons of the help menu's command cards
+ * (`HELP_COMMAND_<name>`) by showing the command's detail card.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const commandHelp = require('../../utils/commandHelp');
+
+module.exports = {
+  match: { prefix: 'HELP_COMMAND_' },
+  useContext: true,
+
+  /**
+   * Show the details of the command named in the payload.
+   * @param {Object} ctx - Plugin context; `ctx.params.rest` is the command name.
+   */
+  start: async function(ctx) {
+    try {
+      await commandHelp.sendCommand(ctx.senderId, ctx.params.rest);
+    } catch (error) {
+      await ctx.fail(error, ctx.t('help.error'));
+    }
+  },
+};
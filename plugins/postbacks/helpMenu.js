@@ -0,0 +1,46 @@
+/**
+ * Help Menu Postback Plugin
+ * Handles the Help quick reply (shows the help menu) and the All Commands
+ * quick reply of the help menu (lists every command the user may run
+ * with its usage).
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const commandArgs = require('../../utils/commandArgs');
+const commandHelp = require('../../utils/commandHelp');
+const permissions = require('../../utils/permissions');
+
+module.exports = {
+  match: { exact: ['HELP_MENU', 'HELP_ALL_COMMANDS'] },
+  useContext: true,
+
+  /**
+   * Show the help menu or the full command list.
+   * @param {Object} ctx - Plugin context; `ctx.payload` is the quick reply payload.
+   */
+  start: async function(ctx) {
+    try {
+      const pluginLoader = require('../../utils/pluginLoader');
+
+      if (ctx.payload === 'HELP_MENU') {
+        await pluginLoader.executeCommand('help', ctx.senderId, []);
+        return;
+      }
+
+      const commands = (await permissions.filterRunnable(ctx.senderId, pluginLoader.getCommandPlugins()))
+        .map(plugin => plugin.config)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      let message = `${ctx.t('help.allTitle', { count: commands.length })}\n\n`;
+      commands.forEach(cmd => {
+        message += `• \`${ctx.prefix}${cmd.name}\` - ${commandHelp.describe(cmd, ctx)}\n`;
+        message += `  ${ctx.t('help.categoryUsage', { usage: commandArgs.formatUsage(cmd, ctx.prefix) })}\n`;
+      });
+
+      await ctx.reply(message.trim());
+    } catch (error) {
+      await ctx.fail(error);
+    }
+  },
+};
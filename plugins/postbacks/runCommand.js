@@ -0,0 +1,35 @@
+/**
+ * Run Command Postback Plugin
+ * Handles the "did you mean" quick replies sent for unknown commands
+ * (`RUN_COMMAND_<name> <arguments>`) by running the suggested command
+ * with the arguments the user typed.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+module.exports = {
+  match: { prefix: 'RUN_COMMAND_' },
+  useContext: true,
+  // Seconds between runs from a suggestion, against double taps
+  cooldown: 2,
+
+  /**
+   * Run the suggested command.
+   * @param {Object} ctx - Plugin context; `ctx.params.rest` is the command
+   *   name followed by its arguments.
+   */
+  start: async function(ctx) {
+    try {
+      const pluginLoader = require('../../utils/pluginLoader');
+      const [, name, argText = ''] = ctx.params.rest.match(/^(\S+)\s*([\s\S]*)$/) || [];
+      if (!name || !pluginLoader.getPlugin('commands', name)) {
+        ctx.logger.warn(`Suggested command no longer loaded: ${ctx.params.rest}`);
+        await ctx.reply(ctx.t('commands.unknown', { command: name || '', prefix: ctx.prefix }));
+        return;
+      }
+      await pluginLoader.executeCommand(name, ctx.senderId, argText, ctx.event);
+    } catch (error) {
+      await ctx.fail(error);
+    }
+  },
+};
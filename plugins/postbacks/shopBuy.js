@@ -0,0 +1,27 @@
+/**
+ * Shop Buy Postback Plugin
+ * Handles the Buy buttons of the /shop carousel (`SHOP_BUY_<itemId>`) by
+ * running the buy command for one of the item.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+module.exports = {
+  match: { prefix: 'SHOP_BUY_' },
+  useContext: true,
+  // Seconds between purchases from the carousel, against double taps
+  cooldown: 2,
+
+  /**
+   * Buy the item named in the payload.
+   * @param {Object} ctx - Plugin context; `ctx.params.rest` is the item id.
+   */
+  start: async function(ctx) {
+    try {
+      const pluginLoader = require('../../utils/pluginLoader');
+      await pluginLoader.executeCommand('buy', ctx.senderId, [ctx.params.rest], ctx.event);
+    } catch (error) {
+      await ctx.fail(error);
+    }
+  },
+};
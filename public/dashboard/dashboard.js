@@ -5,6 +5,10 @@
  * regular interval and updates the DOM elements accordingly. It also adds
  * clipboard functionality to the webhook copy button. Errors are logged to
  * the console but do not disrupt the page.
+ *
+ * Admins log in with an API key, which is exchanged for a session token via
+ * `/auth/login`. The token is kept in sessionStorage and sent as a bearer
+ * token, so protected endpoints (including `/status` when configured) work.
  */
 
 (function () {
@@ -33,6 +37,46 @@
   const heapTotalEl = document.getElementById('heapTotal');
   const rssEl = document.getElementById('rss');
 
+  // Admin login elements
+  const loginForm = document.getElementById('loginForm');
+  const apiKeyInput = document.getElementById('apiKey');
+  const adminPanel = document.getElementById('adminPanel');
+  const adminNameEl = document.getElementById('adminName');
+  const reloadBtn = document.getElementById('reloadPlugins');
+  const logoutBtn = document.getElementById('logout');
+  const authMsg = document.getElementById('authMessage');
+  const TOKEN_KEY = 'dashboardSession';
+
+  function getSession() {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(TOKEN_KEY));
+      if (session && new Date(session.expiresAt) > new Date()) return session;
+    } catch (error) {
+      // Ignore malformed session data
+    }
+    sessionStorage.removeItem(TOKEN_KEY);
+    return null;
+  }
+
+  // fetch() with the session token attached
+  function authFetch(url, options = {}) {
+    const session = getSession();
+    const headers = { ...(options.headers || {}) };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+    return fetch(url, { ...options, headers });
+  }
+
+  function showAuthMessage(text) {
+    authMsg.textContent = text;
+  }
+
+  function renderAuth() {
+    const session = getSession();
+    loginForm.hidden = Boolean(session);
+    adminPanel.hidden = !session;
+    adminNameEl.textContent = session ? session.name : '–';
+  }
+
   function formatDuration(seconds) {
     const secs = Math.floor(seconds);
     const hrs = Math.floor(secs / 3600);
@@ -44,7 +88,13 @@
 
   async function updateStatus() {
     try {
-      const res = await fetch('/status');
+      const res = await authFetch('/status');
+      if (res.status === 401) {
+        sessionStorage.removeItem(TOKEN_KEY);
+        renderAuth();
+        showAuthMessage('Log in to view the bot status.');
+        return;
+      }
       if (!res.ok) throw new Error('Failed to fetch status');
       const data = await res.json();
       // Bot name and version
@@ -121,7 +171,45 @@
       });
   });
 
+  // Admin login
+  loginForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    try {
+      const res = await fetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey: apiKeyInput.value.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Login failed');
+      sessionStorage.setItem(TOKEN_KEY, JSON.stringify(data));
+      apiKeyInput.value = '';
+      showAuthMessage('');
+      renderAuth();
+      updateStatus();
+    } catch (error) {
+      showAuthMessage(error.message);
+    }
+  });
+
+  logoutBtn.addEventListener('click', () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    showAuthMessage('');
+    renderAuth();
+  });
+
+  reloadBtn.addEventListener('click', async () => {
+    try {
+      const res = await authFetch('/plugins/reload', { method: 'POST' });
+      const data = await res.json();
+      showAuthMessage(res.ok ? 'Plugins reloaded.' : data.error);
+    } catch (error) {
+      showAuthMessage(error.message);
+    }
+  });
+
   // Initial load and periodic refresh every 5 seconds
+  renderAuth();
   updateStatus();
   setInterval(updateStatus, 5000);
 })();
\ No newline at end of file
@@ -0,0 +1,164 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const adminAuth = require('../adminAuth');
+const { AuthError } = adminAuth;
+
+// Minimal stand-ins for the Express request and response
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+async function guard(scope, headers) {
+  const req = request(headers);
+  const res = response();
+  const next = jest.fn();
+  await adminAuth.requireAdmin(scope)(req, res, next);
+  return { req, res, next };
+}
+
+describe('adminAuth', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('created keys only store a hash and verify with their secret', async () => {
+    const { id, apiKey, hash } = await adminAuth.createKey('deploy', 'reload, posts');
+    expect(hash).toBeUndefined();
+    expect(await userStore.getRecord('apiKeys', id)).not.toHaveProperty('apiKey');
+
+    expect(await adminAuth.verifyApiKey(apiKey)).toMatchObject({ id, scopes: ['reload', 'posts'] });
+    expect(await adminAuth.verifyApiKey(`${apiKey}x`)).toBeNull();
+    expect(await adminAuth.verifyApiKey('not-a-key')).toBeNull();
+  });
+
+  test('rejects unknown and empty scopes', async () => {
+    await expect(adminAuth.createKey('bad', 'reload,root')).rejects.toThrow('Unknown scope(s): root');
+    await expect(adminAuth.createKey('empty', '')).rejects.toBeInstanceOf(AuthError);
+  });
+
+  describe('requireAdmin', () => {
+    test('accepts a key holding the scope, from either header', async () => {
+      const { apiKey } = await adminAuth.createKey('posts', 'posts');
+
+      const bearer = await guard('posts', { Authorization: `Bearer ${apiKey}` });
+      expect(bearer.next).toHaveBeenCalled();
+      expect(bearer.req.admin).toMatchObject({ name: 'posts', scopes: ['posts'] });
+
+      const header = await guard('posts', { 'X-API-Key': apiKey });
+      expect(header.next).toHaveBeenCalled();
+    });
+
+    test('answers 401 without credentials and 403 without the scope', async () => {
+      const { apiKey } = await adminAuth.createKey('posts', 'posts');
+
+      const anonymous = await guard('posts', {});
+      expect(anonymous.res.statusCode).toBe(401);
+
+      const scoped = await guard('broadcast', { 'X-API-Key': apiKey });
+      expect(scoped.res.statusCode).toBe(403);
+      expect(scoped.res.body.error).toBe('Missing scope: broadcast');
+      expect(scoped.next).not.toHaveBeenCalled();
+    });
+
+    test('`*` grants every scope, including key management', async () => {
+      const { apiKey } = await adminAuth.createKey('root', '*');
+      for (const scope of [...adminAuth.SCOPES, '*']) {
+        expect((await guard(scope, { 'X-API-Key': apiKey })).next).toHaveBeenCalled();
+      }
+    });
+
+    test('a malformed stored hash fails the key instead of the request', async () => {
+      const { id, apiKey } = await adminAuth.createKey('broken', 'posts');
+      const record = await userStore.getRecord('apiKeys', id);
+      await userStore.saveRecord('apiKeys', id, { ...record, hash: 'z'.repeat(64) });
+
+      const { res, next } = await guard('posts', { 'X-API-Key': apiKey });
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotation', () => {
+    test('the old secret keeps working during the grace period only', async () => {
+      const { id, apiKey: oldKey } = await adminAuth.createKey('deploy', 'reload');
+      const { apiKey: newKey } = await adminAuth.rotateKey(id);
+
+      expect(newKey).not.toBe(oldKey);
+      expect(await adminAuth.verifyApiKey(newKey)).toMatchObject({ id });
+      expect(await adminAuth.verifyApiKey(oldKey)).toMatchObject({ id });
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 60 * 1000);
+      expect(await adminAuth.verifyApiKey(oldKey)).toBeNull();
+      expect(await adminAuth.verifyApiKey(newKey)).toMatchObject({ id });
+    });
+
+    test('a key rotated again drops the first secret at once', async () => {
+      const { id, apiKey: first } = await adminAuth.createKey('deploy', 'reload');
+      await adminAuth.rotateKey(id);
+      await adminAuth.rotateKey(id);
+      expect(await adminAuth.verifyApiKey(first)).toBeNull();
+    });
+
+    test('revoked keys cannot be rotated and end their sessions', async () => {
+      const { id, apiKey } = await adminAuth.createKey('dashboard', 'users');
+      const { token } = await adminAuth.login(apiKey);
+      expect(await adminAuth.verifySession(token)).toMatchObject({ id });
+
+      await adminAuth.revokeKey(id);
+      expect(await adminAuth.verifySession(token)).toBeNull();
+      expect(await adminAuth.verifyApiKey(apiKey)).toBeNull();
+      await expect(adminAuth.rotateKey(id)).rejects.toMatchObject({ status: 409 });
+      expect(await adminAuth.rotateKey('missing')).toBeNull();
+    });
+  });
+
+  describe('sessions', () => {
+    test('tampered and expired tokens are refused', async () => {
+      const { apiKey } = await adminAuth.createKey('dashboard', 'users');
+      const { token } = await adminAuth.login(apiKey);
+      const [body, signature] = token.split('.');
+
+      expect(await adminAuth.verifySession(`${body}x.${signature}`)).toBeNull();
+      expect(await adminAuth.verifySession('garbage')).toBeNull();
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 721 * 60 * 1000);
+      expect(await adminAuth.verifySession(token)).toBeNull();
+    });
+
+    test('login refuses an invalid key', async () => {
+      await expect(adminAuth.login('pbk_nope.secret')).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+    });
+  });
+});
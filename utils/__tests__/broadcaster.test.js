@@ -0,0 +1,192 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => {
+  const { EventEmitter } = require('events');
+  const sendQueue = new EventEmitter();
+  sendQueue.addRedriveGuard = jest.fn();
+  return { sendQueue, sendMessage: jest.fn(), delay: jest.fn(async () => {}) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const broadcaster = require('../broadcaster');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Wait until the runner has finished every queued job
+async function idle() {
+  while (broadcaster.running || broadcaster.queue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const outcome = (id, uid) => ({ meta: { broadcast: { id, uid } } });
+
+describe('broadcaster', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'broadcast-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.sendMessage.mockReset();
+  });
+
+  afterEach(async () => {
+    await idle();
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function user(uid, fields = {}) {
+    await userStore.updateUser(uid, { lastInteractionAt: Date.now() - HOUR_MS, ...fields });
+  }
+
+  describe('segments', () => {
+    const now = Date.now();
+    const member = {
+      uid: 'u1',
+      tags: ['vip', 'beta'],
+      lastInteractionAt: now - 2 * HOUR_MS,
+      balance: 50,
+      profile: { locale: 'es_ES' },
+    };
+
+    test('an empty segment matches everyone', () => {
+      expect(broadcaster.matchesSegment(member, {})).toBe(true);
+    });
+
+    test.each([
+      [{ tags: ['vip', 'other'] }, true],
+      [{ tags: ['other'] }, false],
+      [{ excludeTags: ['beta'] }, false],
+      [{ activeWithinHours: 3 }, true],
+      [{ activeWithinHours: 1 }, false],
+      [{ inactiveForHours: 1 }, true],
+      [{ inactiveForHours: 3 }, false],
+      [{ minBalance: 50, maxBalance: 50 }, true],
+      [{ minBalance: 51 }, false],
+      [{ locales: ['es'] }, true],
+      [{ locales: ['ES_es'] }, true],
+      [{ locales: ['en'] }, false],
+      [{ uids: ['u2'] }, false],
+    ])('%j matches: %s', (segment, expected) => {
+      expect(broadcaster.matchesSegment(member, segment)).toBe(expected);
+    });
+
+    test('validation requires a message for text broadcasts and known tags', () => {
+      expect(broadcaster.validate({ message: 'Hi' }).value).toMatchObject({ type: 'text', segment: {}, options: {} });
+      expect(broadcaster.validate({}).error).toBeDefined();
+      expect(broadcaster.validate({ message: 'Hi', tag: 'HUMAN_AGENT' }).error).toBeDefined();
+      expect(broadcaster.validate({ type: 'media', options: { url: 'https://x/y.png' } }).error).toBeUndefined();
+    });
+  });
+
+  describe('jobs', () => {
+    test('queues the segment inside the window and skips the rest', async () => {
+      await user('u1', { tags: ['vip'] });
+      await user('u2', { tags: ['vip'], lastInteractionAt: Date.now() - 25 * HOUR_MS });
+      await user('u3');
+
+      const { id } = await broadcaster.createJob(broadcaster.validate({ message: 'Sale!', segment: { tags: ['vip'] } }).value, 'admin');
+      await idle();
+
+      expect(fbApi.sendMessage).toHaveBeenCalledTimes(1);
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', 'Sale!', 'text', expect.objectContaining({
+        messagingType: 'UPDATE',
+        meta: { broadcast: { id, uid: 'u1' } },
+      }));
+      const job = await broadcaster.getJob(id);
+      expect(job.status).toBe('completed');
+      expect(job.stats).toMatchObject({ total: 2, queued: 1, skipped: 1 });
+      expect(job.recipients.u2.error).toMatch('24-hour');
+    });
+
+    test('a message tag reaches users outside the window', async () => {
+      await user('u1', { lastInteractionAt: Date.now() - 48 * HOUR_MS });
+      const spec = broadcaster.validate({ message: 'Your order shipped', tag: 'POST_PURCHASE_UPDATE' }).value;
+      const { id } = await broadcaster.createJob(spec, 'admin');
+      await idle();
+
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', 'Your order shipped', 'text', expect.objectContaining({ tag: 'POST_PURCHASE_UPDATE' }));
+      expect((await broadcaster.getJob(id)).stats.queued).toBe(1);
+    });
+
+    test('a recipient whose message cannot be queued is failed and can be retried', async () => {
+      await user('u1');
+      await user('u2');
+      fbApi.sendMessage.mockImplementation(async uid => {
+        if (uid === 'u2') throw new Error('store unavailable');
+      });
+      const { id } = await broadcaster.createJob(broadcaster.validate({ message: 'Hi' }).value, 'admin');
+      await idle();
+      expect((await broadcaster.getJob(id)).recipients.u2).toMatchObject({ status: 'failed', error: 'store unavailable' });
+
+      fbApi.sendMessage.mockResolvedValue({ queued: true });
+      expect(await broadcaster.retryFailed(id)).toBe(1);
+      await idle();
+      expect((await broadcaster.getJob(id)).stats).toMatchObject({ queued: 2, failed: 0 });
+      expect(await broadcaster.retryFailed('missing')).toBeNull();
+    });
+  });
+
+  describe('delivery results', () => {
+    test('results reported after the run are written in batches', async () => {
+      const uids = Array.from({ length: 30 }, (_, i) => `u${i}`);
+      for (const uid of uids) await user(uid);
+      const { id } = await broadcaster.createJob(broadcaster.validate({ message: 'Hi' }).value, 'admin');
+      await idle();
+
+      const saves = jest.spyOn(userStore, 'saveRecord');
+      for (const uid of uids.slice(0, 25)) {
+        fbApi.sendQueue.emit('sent', outcome(id, uid));
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(saves.mock.calls.filter(([collection]) => collection === 'broadcasts')).toHaveLength(1);
+      expect((await broadcaster.getJob(id)).stats).toMatchObject({ sent: 25, queued: 5 });
+    });
+
+    test('a dead-lettered message fails its recipient with the Graph API error', async () => {
+      await user('u1');
+      const { id } = await broadcaster.createJob(broadcaster.validate({ message: 'Hi' }).value, 'admin');
+      await idle();
+
+      const error = new Error('Request failed');
+      error.response = { data: { error: { message: 'Outside the allowed window' } } };
+      fbApi.sendQueue.emit('deadLettered', outcome(id, 'u1'), error);
+      broadcaster.flushOutcomes(id);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect((await broadcaster.getJob(id)).recipients.u1).toMatchObject({ status: 'failed', error: 'Outside the allowed window' });
+    });
+
+    test('a dead letter is redriven only while its recipient is failed and in the window', async () => {
+      await user('u1');
+      await user('u2');
+      const { id } = await broadcaster.createJob(broadcaster.validate({ message: 'Hi' }).value, 'admin');
+      await idle();
+
+      // Still queued: nothing to redrive
+      expect(await broadcaster.allowRedrive(outcome(id, 'u1'))).toBe(false);
+
+      await broadcaster.update(id, job => {
+        job.recipients.u1 = { status: 'failed' };
+        job.recipients.u2 = { status: 'failed' };
+      });
+      await userStore.updateUser('u2', { lastInteractionAt: Date.now() - 25 * HOUR_MS });
+
+      expect(await broadcaster.allowRedrive(outcome(id, 'u1'))).toBe(true);
+      expect(await broadcaster.allowRedrive(outcome(id, 'u2'))).toBe(false);
+      const { recipients } = await broadcaster.getJob(id);
+      expect(recipients.u1.status).toBe('queued');
+      expect(recipients.u2.status).toBe('skipped');
+      expect(await broadcaster.allowRedrive({ meta: {} })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const userStore = require('../../models/userStore');
+const {
+  ArgumentError,
+  parseDuration,
+  tokenize,
+  compile,
+  hasValidSchema,
+  parse,
+  formatUsage,
+  describeError,
+} = require('../commandArgs');
+
+const SETBAL = {
+  name: 'setbal',
+  args: [
+    { name: 'user', type: 'user', required: true },
+    { name: 'amount', type: 'int', min: 0, required: true },
+    { name: 'note', type: 'rest' },
+  ],
+  flags: {
+    silent: { type: 'boolean', alias: 's' },
+    limit: { type: 'int', min: 1, default: 10 },
+  },
+};
+
+// The ArgumentError a parse fails with
+async function parseError(commandConfig, input) {
+  try {
+    await parse(compile(commandConfig), input);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Parsing "${input}" did not fail`);
+}
+
+describe('commandArgs', () => {
+  beforeEach(() => {
+    jest.spyOn(userStore, 'findUsers').mockImplementation(async query =>
+      ({ ann: [{ uid: '1', nickname: 'Ann' }], jo: [{ uid: '2' }, { uid: '3' }] })[query.toLowerCase()] || []
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseDuration', () => {
+    test.each([
+      ['30s', 30000],
+      ['10m', 600000],
+      ['1h30m', 5400000],
+      ['2d', 172800000],
+      ['1w', 604800000],
+      ['1.5h', 5400000],
+      [' 5M ', 300000],
+    ])('parses %s', (text, ms) => {
+      expect(parseDuration(text)).toBe(ms);
+    });
+
+    test.each(['', '10', 'h', '10 m', '5y', null])('rejects %p', text => {
+      expect(parseDuration(text)).toBeNull();
+    });
+  });
+
+  describe('tokenize', () => {
+    test('splits on whitespace and keeps quoted words together', () => {
+      expect(tokenize('give "Big Joe"  5').map(token => token.value)).toEqual(['give', 'Big Joe', '5']);
+    });
+
+    test('accepts curly quotes and keeps unclosed quotes as typed', () => {
+      expect(tokenize('“Big Joe” ‘x y’').map(token => token.value)).toEqual(['Big Joe', 'x y']);
+      expect(tokenize('"Big Joe').map(token => token.value)).toEqual(['"Big', 'Joe']);
+    });
+
+    test('records where each word starts and whether it was quoted', () => {
+      expect(tokenize('a "b c"')).toEqual([
+        { value: 'a', start: 0, quoted: false },
+        { value: 'b c', start: 2, quoted: true },
+      ]);
+    });
+  });
+
+  describe('compile', () => {
+    test('returns null for commands without arguments', () => {
+      expect(compile({ name: 'ping' })).toBeNull();
+    });
+
+    test.each([
+      ['an unknown type', { name: 'x', args: [{ name: 'a', type: 'date' }] }],
+      ['a boolean argument', { name: 'x', args: [{ name: 'a', type: 'boolean' }] }],
+      ['a rest argument before another', { name: 'x', args: [{ name: 'a', type: 'rest' }, { name: 'b', type: 'string' }] }],
+      ['an enum without values', { name: 'x', args: [{ name: 'a', type: 'enum' }] }],
+      ['a flag named like an argument', { name: 'x', args: [{ name: 'a', type: 'string' }], flags: { a: { type: 'int' } } }],
+    ])('rejects %s', (description, commandConfig) => {
+      expect(() => compile(commandConfig)).toThrow();
+      expect(hasValidSchema(commandConfig)).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    test('resolves users and converts values', async () => {
+      const values = await parse(compile(SETBAL), 'ann 50 for the raffle --silent');
+      expect(values).toEqual({
+        user: { uid: '1', nickname: 'Ann' },
+        amount: 50,
+        note: 'for the raffle --silent',
+        limit: 10,
+      });
+    });
+
+    test('reads flags in every form', async () => {
+      const compiled = compile(SETBAL);
+      expect(await parse(compiled, '-s --limit 3 ann 1')).toMatchObject({ silent: true, limit: 3 });
+      expect(await parse(compiled, '--silent=false --limit=4 ann 1')).toMatchObject({ silent: false, limit: 4 });
+      expect(await parse(compiled, 'ann 1 -- --limit')).toMatchObject({ note: '--limit' });
+    });
+
+    test('takes words split by the caller literally', async () => {
+      const values = await parse(compile(SETBAL), ['ann', '2', '--silent', 'now']);
+      expect(values).toMatchObject({ amount: 2, note: '--silent now' });
+      expect(values.silent).toBeUndefined();
+    });
+
+    test('lowercases enum values', async () => {
+      const compiled = compile({ name: 'lang', args: [{ name: 'locale', type: 'enum', values: ['en', 'es'] }] });
+      expect(await parse(compiled, 'ES')).toEqual({ locale: 'es' });
+    });
+
+    test('parses durations to milliseconds within their limits', async () => {
+      const commandConfig = { name: 'remind', args: [{ name: 'in', type: 'duration', min: '1m', max: '1d' }] };
+      expect(await parse(compile(commandConfig), '1h')).toEqual({ in: 3600000 });
+      expect((await parseError(commandConfig, '30s')).code).toBe('durationMin');
+      expect((await parseError(commandConfig, '2d')).code).toBe('durationMax');
+      expect((await parseError(commandConfig, 'soon')).code).toBe('duration');
+    });
+
+    test.each([
+      ['', 'missing', { name: 'user' }],
+      ['ann', 'missing', { name: 'amount' }],
+      ['ann lots', 'number', { name: 'amount' }],
+      ['ann 1.5', 'int', { name: 'amount' }],
+      ['ann -1', 'min', { name: 'amount', limit: 0 }],
+      ['nobody 1', 'userNotFound', { user: 'nobody' }],
+      ['jo 1', 'userAmbiguous', { user: 'jo', count: 2 }],
+      ['ann 1 --loud', 'unknownFlag', { flag: '--loud' }],
+      ['--limit', 'flagValue', { flag: '--limit' }],
+      ['ann 1 --limit 0', 'min', { name: 'limit', limit: 1 }],
+    ])('rejects "%s" with %s', async (input, code, details) => {
+      const error = await parseError(SETBAL, input);
+      expect(error).toBeInstanceOf(ArgumentError);
+      expect(error.code).toBe(code);
+      expect(error.details).toMatchObject(details);
+    });
+
+    test('rejects extra arguments', async () => {
+      const error = await parseError({ name: 'coin', args: [{ name: 'side', type: 'string' }] }, 'heads tails');
+      expect(error.code).toBe('tooMany');
+      expect(error.details).toEqual({ value: 'tails' });
+    });
+  });
+
+  describe('formatUsage', () => {
+    test('builds the usage line from the declaration', () => {
+      expect(formatUsage(SETBAL, '!')).toBe('!setbal <user> <amount> [note...] [--silent] [--limit <int>]');
+      expect(formatUsage({ name: 'lang', args: [{ name: 'locale', type: 'enum', values: ['en', 'es'] }] }))
+        .toBe('/lang [en|es]');
+    });
+
+    test('uses the usage text of commands without a declaration', () => {
+      expect(formatUsage({ name: 'ping', usage: '/ping [host]' }, '!')).toBe('!ping [host]');
+      expect(formatUsage({ name: 'ping' })).toBe('/ping');
+    });
+  });
+
+  test('describeError translates the error and adds the usage line', () => {
+    const t = jest.fn((key, vars) => `${key} ${JSON.stringify(vars)}`);
+    const error = new ArgumentError('missing', 'amount is required', { name: 'amount' });
+    expect(describeError(error, t, '/setbal <user> <amount>')).toBe(
+      'args.errors.missing {"name":"amount"}\nargs.usage {"usage":"/setbal <user> <amount>"}'
+    );
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ sendMessage: jest.fn(), getUserProfile: jest.fn(async () => ({ locale: 'en_US' })) }));
+jest.mock('../pluginLoader', () => ({ getCommandPlugins: jest.fn() }));
+jest.mock('../permissions', () => ({
+  // Admin category commands are left out for everyone but `admin`
+  filterRunnable: jest.fn(async (uid, plugins) =>
+    plugins.filter(plugin => plugin.config.category !== 'admin' || uid === 'admin')),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const pluginLoader = require('../pluginLoader');
+const commandHelp = require('../commandHelp');
+const CommandHelp = commandHelp.constructor;
+
+const command = (name, category, extra = {}) => ({ config: { name, category, description: `About ${name}`, ...extra } });
+
+const PLUGINS = [
+  command('pay', 'economy', { usage: '/pay <user> <amount>', aliases: ['give'], examples: ['/pay @sam 5'] }),
+  command('daily', 'economy'),
+  command('balance', 'economy', { aliases: ['bal'] }),
+  command('shop', 'economy'),
+  command('help', 'general'),
+  command('setbal', 'admin'),
+];
+
+// The generic template elements of the last carousel sent
+function lastCarousel() {
+  const call = [...fbApi.sendMessage.mock.calls].reverse().find(([, , type]) => type === 'generic');
+  return call[3].elements;
+}
+
+const payloads = element => element.buttons.map(button => button.payload);
+
+describe('commandHelp', () => {
+  let directory;
+  let help;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'help-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.sendMessage.mockReset();
+    pluginLoader.getCommandPlugins.mockReturnValue(PLUGINS);
+    help = new CommandHelp({ pageSize: 2 });
+  });
+
+  afterEach(async () => {
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('menu', () => {
+    test('shows a card per category the user can run, plus all commands', async () => {
+      await help.sendMenu('u1');
+      const elements = lastCarousel();
+
+      expect(elements.map(payloads)).toEqual([['HELP_CATEGORY_ECONOMY'], ['HELP_CATEGORY_GENERAL'], ['HELP_ALL_COMMANDS']]);
+      expect(elements[0].subtitle).toContain('/balance, /daily, /pay, /shop');
+    });
+
+    test('admins also see the admin category', async () => {
+      await help.sendMenu('admin');
+      expect(lastCarousel().map(payloads).flat()).toContain('HELP_CATEGORY_ADMIN');
+    });
+
+    test('uses the user\'s own prefix', async () => {
+      await userStore.setPrefix('u1', '!');
+      await help.sendMenu('u1');
+      expect(lastCarousel()[0].subtitle).toContain('!balance');
+    });
+  });
+
+  describe('category pages', () => {
+    test('pages through a category with back and next buttons', async () => {
+      await help.sendCategory('u1', 'economy');
+      let elements = lastCarousel();
+      expect(elements.map(element => element.title)).toEqual(['/balance', '/daily', expect.stringContaining('1')]);
+      expect(payloads(elements[2])).toEqual(['HELP_CATEGORY_ECONOMY_2', 'HELP_MENU']);
+
+      await help.sendCategory('u1', 'ECONOMY', 2);
+      elements = lastCarousel();
+      expect(elements.map(element => element.title).slice(0, 2)).toEqual(['/pay', '/shop']);
+      expect(payloads(elements[2])).toEqual(['HELP_CATEGORY_ECONOMY_1', 'HELP_MENU']);
+      expect(payloads(elements[0])).toEqual(['HELP_COMMAND_pay']);
+    });
+
+    test('out of range pages show the nearest one', async () => {
+      await help.sendCategory('u1', 'economy', 99);
+      expect(lastCarousel()[0].title).toBe('/pay');
+    });
+
+    test('a category without runnable commands is reported empty', async () => {
+      await help.sendCategory('u1', 'admin');
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', expect.stringContaining('admin'));
+      expect(fbApi.sendMessage.mock.calls[0][2]).toBeUndefined();
+    });
+
+    test('the page size leaves room for the navigation card', () => {
+      expect(new CommandHelp({ pageSize: 50 }).options.pageSize).toBe(9);
+      expect(new CommandHelp({ pageSize: 0 }).options.pageSize).toBe(1);
+    });
+  });
+
+  describe('command details', () => {
+    test('shows usage, aliases and examples, and leads back to the command\'s page', async () => {
+      expect(await help.sendCommand('u1', 'give')).toBe(true);
+      const [, text, type, { buttons }] = fbApi.sendMessage.mock.calls[0];
+
+      expect(type).toBe('buttons');
+      expect(text).toContain('/pay <user> <amount>');
+      expect(text).toContain('/give');
+      expect(text).toContain('/pay @sam 5');
+      // /pay needs arguments, so there is no "Try it" button
+      expect(buttons.map(button => button.payload)).toEqual(['HELP_CATEGORY_ECONOMY_2', 'HELP_MENU']);
+    });
+
+    test('commands without required arguments can be tried from the card', async () => {
+      await help.sendCommand('u1', 'daily');
+      const { buttons } = fbApi.sendMessage.mock.calls[0][3];
+      expect(buttons.map(button => button.payload)).toEqual(['RUN_COMMAND_daily', 'HELP_CATEGORY_ECONOMY_1', 'HELP_MENU']);
+    });
+
+    test('commands the user may not run are not found', async () => {
+      expect(await help.sendCommand('u1', 'setbal')).toBe(false);
+      expect(fbApi.sendMessage.mock.calls[0][2]).toBeUndefined();
+    });
+  });
+});
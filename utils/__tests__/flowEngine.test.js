@@ -0,0 +1,143 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ sendMessage: jest.fn(), getUserProfile: jest.fn(async () => ({ locale: 'en_US' })) }));
+jest.mock('../pluginLoader', () => ({ getFlow: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const pluginLoader = require('../pluginLoader');
+const flowEngine = require('../flowEngine');
+
+// Asks for an age, then branches on it
+function surveyFlow(hooks = {}) {
+  return {
+    name: 'survey',
+    initialStep: 'age',
+    timeoutMs: 60000,
+    steps: {
+      age: {
+        prompt: 'How old are you?',
+        validate: answer => /^\d+$/.test(answer) || 'Please send a number',
+        transform: Number,
+        next: age => (age < 18 ? 'guardian' : 'color'),
+      },
+      guardian: {
+        prompt: data => `At ${data.age}, who is your guardian?`,
+        next: null,
+      },
+      color: {
+        prompt: 'Favourite color?',
+        quickReplies: [{ title: 'Red', payload: 'red' }, { title: 'Blue' }],
+        store: 'favourite',
+        next: null,
+      },
+    },
+    ...hooks,
+  };
+}
+
+const sentTexts = () => fbApi.sendMessage.mock.calls.map(([, text]) => text);
+
+describe('flowEngine', () => {
+  let directory;
+  let flow;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.sendMessage.mockReset();
+    flow = surveyFlow({ onComplete: jest.fn(), onCancel: jest.fn() });
+    pluginLoader.getFlow.mockImplementation(name => (name === 'survey' ? flow : null));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('starts at the initial step with the given data and sends its prompt', async () => {
+    await flowEngine.startFlow('u1', 'survey', { source: 'ad' });
+
+    expect(await userStore.getFlowState('u1')).toMatchObject({ name: 'survey', step: 'age', data: { source: 'ad' } });
+    expect(sentTexts()).toEqual(['How old are you?']);
+    await expect(flowEngine.startFlow('u1', 'missing')).rejects.toThrow('Flow not found: missing');
+  });
+
+  test('input is ignored without an active flow', async () => {
+    expect(await flowEngine.handleInput('u1', 'hello')).toBe(false);
+    expect(fbApi.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('an invalid answer keeps the user on the step', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    expect(await flowEngine.handleInput('u1', 'old')).toBe(true);
+
+    expect(sentTexts()).toEqual(['How old are you?', 'Please send a number', 'How old are you?']);
+    expect((await userStore.getFlowState('u1')).step).toBe('age');
+  });
+
+  test('branches on the transformed answer and completes with the collected data', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    await flowEngine.handleInput('u1', '12');
+    expect(sentTexts().pop()).toBe('At 12, who is your guardian?');
+
+    await flowEngine.handleInput('u1', 'Mum');
+    expect(flow.onComplete).toHaveBeenCalledWith('u1', { age: 12, guardian: 'Mum' }, expect.any(Function));
+    expect(await userStore.getFlowState('u1')).toBeNull();
+  });
+
+  test('stores answers under `store` and sends quick replies', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    await flowEngine.handleInput('u1', '30');
+
+    expect(fbApi.sendMessage).toHaveBeenLastCalledWith('u1', 'Favourite color?', 'quick_replies', {
+      quickReplies: [
+        { content_type: 'text', title: 'Red', payload: 'red' },
+        { content_type: 'text', title: 'Blue', payload: 'Blue' },
+      ],
+    });
+    await flowEngine.handleInput('u1', 'red');
+    expect(flow.onComplete).toHaveBeenCalledWith('u1', { age: 30, favourite: 'red' }, expect.any(Function));
+  });
+
+  test('a cancel keyword ends the flow through onCancel', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    expect(await flowEngine.handleInput('u1', ' Cancel ')).toBe(true);
+
+    expect(flow.onCancel).toHaveBeenCalledWith('u1', {}, expect.any(Function));
+    expect(await userStore.getFlowState('u1')).toBeNull();
+    expect(await flowEngine.cancelFlow('u1')).toBe(false);
+  });
+
+  test('an expired flow is cleared and reported as timed out', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+
+    expect(await flowEngine.handleInput('u1', '30')).toBe(false);
+    expect(sentTexts().pop()).toMatch('timed out');
+    expect(await userStore.getFlowState('u1')).toBeNull();
+  });
+
+  test('a flow that was removed drops the state', async () => {
+    await flowEngine.startFlow('u1', 'survey');
+    pluginLoader.getFlow.mockReturnValue(null);
+
+    expect(await flowEngine.getActiveFlow('u1')).toBeNull();
+    expect(await userStore.getFlowState('u1')).toBeNull();
+  });
+
+  test('a branch to an unknown step clears the state and throws', async () => {
+    flow.steps.age.next = 'nowhere';
+    await flowEngine.startFlow('u1', 'survey');
+
+    await expect(flowEngine.handleInput('u1', '30')).rejects.toThrow('Flow survey has no step "nowhere"');
+    expect(await userStore.getFlowState('u1')).toBeNull();
+  });
+});
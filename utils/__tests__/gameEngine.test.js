@@ -0,0 +1,169 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ sendMessage: jest.fn(), getUserProfile: jest.fn(async () => ({ locale: 'en_US' })) }));
+jest.mock('../pluginLoader', () => ({ getGame: jest.fn(), getGamePlugins: jest.fn(() => []) }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const ledger = require('../../models/ledger');
+const fbApi = require('../fbApi');
+const pluginLoader = require('../pluginLoader');
+const gameEngine = require('../gameEngine');
+
+// The move names the outcome; `next` plays another round
+const duel = {
+  name: 'duel',
+  display: 'buttons',
+  payout: 2,
+  rewards: { win: 3 },
+  start: async () => ({ state: { round: 1 }, text: 'Round 1', choices: [{ title: 'Win', value: 'win' }, { title: 'Next', value: 'next' }] }),
+  play: async (state, input) => (input === 'next'
+    ? { state: { round: state.round + 1 }, text: `Round ${state.round + 1}`, choices: [{ title: 'Win', value: 'win' }] }
+    : { outcome: input, text: `You ${input}` }),
+};
+
+describe('gameEngine', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'games-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.sendMessage.mockReset();
+    pluginLoader.getGame.mockImplementation(name => (name === 'duel' ? duel : null));
+    await ledger.credit('u1', 100);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function play(wager, ...moves) {
+    const session = await gameEngine.start('u1', 'duel', wager);
+    for (const move of moves) {
+      await gameEngine.move('u1', session.id, move);
+    }
+    return session;
+  }
+
+  describe('wagers', () => {
+    test('are taken when the game starts', async () => {
+      const session = await play(25);
+      expect(await ledger.getBalance('u1')).toBe(75);
+      expect(await userStore.getGameSession('u1')).toMatchObject({ id: session.id, wager: 25, state: { round: 1 } });
+      expect(fbApi.sendMessage).toHaveBeenLastCalledWith('u1', 'Round 1', 'buttons', {
+        buttons: [
+          { type: 'postback', title: 'Win', payload: `GAME_MOVE_${session.id}_win` },
+          { type: 'postback', title: 'Next', payload: `GAME_MOVE_${session.id}_next` },
+        ],
+      });
+    });
+
+    test.each([
+      ['win', 125],
+      ['draw', 100],
+      ['loss', 75],
+    ])('a %s settles the wager to a balance of %d', async (outcome, balance) => {
+      await play(25, outcome);
+      expect(await ledger.getBalance('u1')).toBe(balance);
+      expect(await userStore.getGameSession('u1')).toBeNull();
+    });
+
+    test('a wager the player cannot cover does not start the game', async () => {
+      expect(await gameEngine.start('u1', 'duel', 100)).not.toBeNull();
+      expect(await gameEngine.start('u1', 'duel', 5)).toBeNull();
+      expect(await ledger.getBalance('u1')).toBe(0);
+      expect(fbApi.sendMessage).toHaveBeenLastCalledWith('u1', expect.stringContaining('5'));
+    });
+
+    test('wagers over the maximum or with decimals are refused', async () => {
+      expect(await gameEngine.start('u1', 'duel', 101)).toBeNull();
+      expect(await gameEngine.start('u1', 'duel', 2.5)).toBeNull();
+      expect(await ledger.getBalance('u1')).toBe(100);
+    });
+
+    test('games that never take wagers start for free', async () => {
+      pluginLoader.getGame.mockReturnValue({ ...duel, wagers: false });
+      expect(await gameEngine.start('u1', 'duel', 10)).toBeNull();
+      await gameEngine.offer('u1', { ...duel, wagers: false });
+      expect(await userStore.getGameSession('u1')).toMatchObject({ wager: 0 });
+    });
+
+    test('a free game pays its reward', async () => {
+      await play(0, 'win');
+      expect(await ledger.getBalance('u1')).toBe(103);
+    });
+  });
+
+  describe('leaving a game', () => {
+    test('quitting loses the wager', async () => {
+      await play(10, 'quit');
+      expect(await ledger.getBalance('u1')).toBe(90);
+      expect(await gameEngine.getStats('u1')).toEqual([expect.objectContaining({ played: 1, losses: 1, wagered: 10 })]);
+    });
+
+    test('starting another game loses the first one', async () => {
+      await play(10);
+      await play(10, 'win');
+      expect(await ledger.getBalance('u1')).toBe(100);
+      expect(await gameEngine.getStats('u1')).toEqual([expect.objectContaining({ played: 2, wins: 1, losses: 1, paidOut: 20 })]);
+    });
+
+    test('an expired game is lost on the next move', async () => {
+      const session = await play(10);
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 301000);
+
+      await gameEngine.move('u1', session.id, 'win');
+      expect(await ledger.getBalance('u1')).toBe(90);
+    });
+
+    test('a removed game hands the wager back', async () => {
+      const session = await play(10);
+      pluginLoader.getGame.mockReturnValue(null);
+
+      await gameEngine.move('u1', session.id, 'win');
+      expect(await ledger.getBalance('u1')).toBe(100);
+    });
+  });
+
+  describe('moves', () => {
+    test('a game goes on until it has an outcome', async () => {
+      await play(10, 'next');
+      expect(await userStore.getGameSession('u1')).toMatchObject({ state: { round: 2 } });
+      expect(fbApi.sendMessage.mock.calls.pop()[1]).toBe('Round 2');
+    });
+
+    test('taps on an old game\'s buttons do not touch the current one', async () => {
+      const old = await play(10, 'win');
+      await play(10);
+      await gameEngine.move('u1', old.id, 'win');
+
+      expect(await ledger.getBalance('u1')).toBe(100);
+      expect(await userStore.getGameSession('u1')).not.toBeNull();
+    });
+
+    test('a redelivered tap or start is only played once', async () => {
+      const session = await gameEngine.start('u1', 'duel', 10, { mid: 'm1' });
+      expect(await gameEngine.start('u1', 'duel', 10, { mid: 'm1' })).toBeNull();
+
+      await gameEngine.move('u1', session.id, 'next', { mid: 'm2' });
+      await gameEngine.move('u1', session.id, 'next', { mid: 'm2' });
+      expect(await userStore.getGameSession('u1')).toMatchObject({ state: { round: 2 } });
+      expect(await ledger.getBalance('u1')).toBe(90);
+    });
+
+    test('payloads start and play games', async () => {
+      expect(await gameEngine.handlePayload('u1', 'GAME_START_duel_5')).toBe(true);
+      const { id } = await userStore.getGameSession('u1');
+      expect(await gameEngine.handlePayload('u1', `GAME_MOVE_${id}_win`)).toBe(true);
+      expect(await ledger.getBalance('u1')).toBe(105);
+      expect(await gameEngine.handlePayload('u1', 'GAME_START_chess_5')).toBe(false);
+    });
+  });
+});
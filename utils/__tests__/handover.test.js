@@ -0,0 +1,165 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => {
+  const { EventEmitter } = require('events');
+  const sendQueue = new EventEmitter();
+  sendQueue.addRedriveGuard = jest.fn();
+  return {
+    sendQueue,
+    sendMessage: jest.fn(),
+    passThreadControl: jest.fn(),
+    takeThreadControl: jest.fn(),
+    getUserProfile: jest.fn(async () => ({ locale: 'en_US' })),
+  };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config.json');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const handover = require('../handover');
+
+const INBOX = '263902037430900';
+const noticeJob = uid => ({ id: 'job1', meta: { handover: { uid } } });
+
+describe('handover', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'handover-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    for (const method of ['sendMessage', 'passThreadControl', 'takeThreadControl']) {
+      fbApi[method].mockReset();
+    }
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('requestHuman', () => {
+    test('pauses the bot and queues a tagged notice without passing control yet', async () => {
+      await handover.requestHuman('u1', 'billing');
+
+      expect(await handover.isBotPaused('u1')).toBe(true);
+      expect((await userStore.getUser('u1')).handover).toMatchObject({ status: 'waiting', reason: 'billing' });
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', expect.any(String), 'text', { meta: { handover: { uid: 'u1' } } });
+      expect(fbApi.passThreadControl).not.toHaveBeenCalled();
+    });
+
+    test('notifies every admin, even when one notice cannot be queued', async () => {
+      fbApi.sendMessage.mockImplementation(async uid => {
+        if (uid === config.security.adminUIDs[0]) throw new Error('store unavailable');
+      });
+      await handover.requestHuman('u1');
+
+      const notified = fbApi.sendMessage.mock.calls.map(([uid]) => uid).slice(1);
+      expect(notified).toEqual(config.security.adminUIDs);
+    });
+  });
+
+  describe('notice outcome', () => {
+    test('passes control to the inbox once the notice left the queue', async () => {
+      await handover.requestHuman('u1');
+      fbApi.sendQueue.emit('sent', noticeJob('u1'), {});
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(fbApi.passThreadControl).toHaveBeenCalledWith('u1', INBOX, 'human_requested');
+    });
+
+    test('also passes control when the notice was dead-lettered', async () => {
+      await handover.requestHuman('u1');
+      await handover.handleNoticeOutcome(noticeJob('u1'));
+      expect(fbApi.passThreadControl).toHaveBeenCalledTimes(1);
+    });
+
+    test('does nothing if the user was handed back meanwhile', async () => {
+      await handover.requestHuman('u1');
+      await handover.resume('u1', { takeControl: false });
+      await handover.handleNoticeOutcome(noticeJob('u1'));
+
+      expect(fbApi.passThreadControl).not.toHaveBeenCalled();
+    });
+
+    test('stays paused when control cannot be passed', async () => {
+      fbApi.passThreadControl.mockRejectedValue(new Error('(#10) Missing permission'));
+      await handover.requestHuman('u1');
+
+      await expect(handover.handleNoticeOutcome(noticeJob('u1'))).resolves.toBeUndefined();
+      expect(await handover.isBotPaused('u1')).toBe(true);
+    });
+
+    test('ignores other queue jobs and refuses to redrive handover notices', async () => {
+      await handover.handleNoticeOutcome({ id: 'job2', meta: { broadcast: 'b1' } });
+      expect(fbApi.passThreadControl).not.toHaveBeenCalled();
+
+      const [guard] = fbApi.sendQueue.addRedriveGuard.mock.calls[0];
+      expect(guard(noticeJob('u1'))).toBe(false);
+      expect(guard({ meta: { broadcast: 'b1' } })).toBe(true);
+      expect(guard({})).toBe(true);
+    });
+  });
+
+  describe('pause and resume', () => {
+    test('a pause expires on its own', async () => {
+      await handover.pause('u1', 1);
+      expect(await handover.isBotPaused('u1')).toBe(true);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+      expect(await handover.isBotPaused('u1')).toBe(false);
+    });
+
+    test('resume takes thread control back and clears the handover', async () => {
+      await handover.pause('u1');
+      await handover.resume('u1');
+
+      expect(fbApi.takeThreadControl).toHaveBeenCalledWith('u1', 'bot_resumed');
+      expect(await handover.isBotPaused('u1')).toBe(false);
+      expect((await userStore.getUser('u1')).handover).toBeUndefined();
+    });
+
+    test('the inbox lists paused users only', async () => {
+      await handover.pause('u1', null, { status: 'waiting' });
+      await handover.pause('u2');
+      await handover.resume('u2');
+
+      expect(await handover.getInbox()).toEqual([
+        expect.objectContaining({ uid: 'u1', handover: expect.objectContaining({ status: 'waiting' }) }),
+      ]);
+    });
+  });
+
+  describe('protocol events', () => {
+    test('control passed back resumes the bot without taking control', async () => {
+      await handover.pause('u1');
+      expect(await handover.handleHandoverEvent({ sender: { id: 'u1' }, pass_thread_control: {} })).toBe(true);
+
+      expect(await handover.isBotPaused('u1')).toBe(false);
+      expect(fbApi.takeThreadControl).not.toHaveBeenCalled();
+    });
+
+    test('control taken by the inbox pauses the bot', async () => {
+      const event = { sender: { id: 'u1' }, take_thread_control: { previous_owner_app_id: 'bot' } };
+      expect(await handover.handleHandoverEvent(event)).toBe(true);
+      expect((await userStore.getUser('u1')).handover).toMatchObject({ status: 'active' });
+    });
+
+    test('a user message on standby after the pause hands the thread back', async () => {
+      const event = { sender: { id: 'u1' }, recipient: { id: 'page' }, message: { text: 'hello?' } };
+      await handover.pause('u1');
+      expect(await handover.handleStandbyEvent(event)).toBe(false);
+
+      await handover.resume('u1', { takeControl: false });
+      fbApi.takeThreadControl.mockClear();
+      expect(await handover.handleStandbyEvent(event)).toBe(true);
+      expect(fbApi.takeThreadControl).toHaveBeenCalledWith('u1', 'bot_resumed');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const i18n = require('../i18n');
+
+const CATALOGUES = {
+  en: {
+    greeting: 'Hi {name}!',
+    coins: { one: '{count} coin', other: '{count} coins' },
+    items: { zero: 'No items', one: 'One item', other: '{count} items' },
+    thanks: ['Thanks!', 'Thank you!'],
+    nested: { deeper: { key: 'Deep {value}' } },
+    onlyEnglish: 'Only in English',
+  },
+  es: {
+    greeting: '¡Hola {name}!',
+    coins: { one: '{count} moneda', other: '{count} monedas' },
+  },
+  ru: {
+    coins: { one: '{count} монета', few: '{count} монеты', many: '{count} монет', other: '{count} монеты' },
+  },
+};
+
+describe('i18n', () => {
+  let directory;
+  const original = { directory: i18n.directory, defaultLocale: i18n.defaultLocale };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-'));
+    for (const [locale, catalogue] of Object.entries(CATALOGUES)) {
+      fs.writeFileSync(path.join(directory, `${locale}.json`), JSON.stringify(catalogue));
+    }
+    i18n.directory = directory;
+    i18n.defaultLocale = 'en';
+    i18n.load();
+  });
+
+  afterAll(() => {
+    Object.assign(i18n, original);
+    i18n.load();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('interpolation', () => {
+    test('fills placeholders', () => {
+      expect(i18n.translate('en', 'greeting', { name: 'Ann' })).toBe('Hi Ann!');
+      expect(i18n.translate('en', 'nested.deeper.key', { value: 0 })).toBe('Deep 0');
+    });
+
+    test('leaves unknown and empty placeholders as they are', () => {
+      expect(i18n.translate('en', 'greeting')).toBe('Hi {name}!');
+      expect(i18n.translate('en', 'greeting', { name: null })).toBe('Hi {name}!');
+      expect(i18n.format('{a} and {b}', { a: 1 })).toBe('1 and {b}');
+    });
+  });
+
+  describe('plurals', () => {
+    test.each([
+      [1, '1 coin'],
+      [2, '2 coins'],
+      [0, '0 coins'],
+    ])('picks the English form for %i', (count, expected) => {
+      expect(i18n.translate('en', 'coins', { count })).toBe(expected);
+    });
+
+    test('uses the zero form when the entry has one', () => {
+      expect(i18n.translate('en', 'items', { count: 0 })).toBe('No items');
+      expect(i18n.translate('en', 'items', { count: 1 })).toBe('One item');
+      expect(i18n.translate('en', 'items', { count: 5 })).toBe('5 items');
+    });
+
+    test('follows the plural rules of the locale', () => {
+      expect(i18n.translate('ru', 'coins', { count: 1 })).toBe('1 монета');
+      expect(i18n.translate('ru', 'coins', { count: 3 })).toBe('3 монеты');
+      expect(i18n.translate('ru', 'coins', { count: 5 })).toBe('5 монет');
+      expect(i18n.translate('ru', 'coins', { count: 21 })).toBe('21 монета');
+    });
+
+    test('picks the form for zero when there is no count', () => {
+      expect(i18n.translate('es', 'coins')).toBe('{count} monedas');
+    });
+  });
+
+  test('picks one of the variants of an array entry', () => {
+    for (let i = 0; i < 10; i++) {
+      expect(CATALOGUES.en.thanks).toContain(i18n.translate('en', 'thanks'));
+    }
+  });
+
+  describe('locales', () => {
+    test('resolves regional locales to the language', () => {
+      expect(i18n.resolveLocale('es_MX')).toBe('es');
+      expect(i18n.resolveLocale('es-ES')).toBe('es');
+      expect(i18n.resolveLocale('fr_FR')).toBe('en');
+      expect(i18n.resolveLocale()).toBe('en');
+    });
+
+    test('falls back to the default locale, then to the key', () => {
+      expect(i18n.translate('es', 'onlyEnglish')).toBe('Only in English');
+      expect(i18n.translate('es', 'missing.key')).toBe('missing.key');
+      expect(i18n.has('es', 'onlyEnglish')).toBe(true);
+      expect(i18n.has('es', 'missing.key')).toBe(false);
+    });
+
+    test('lists the keys other locales are missing', () => {
+      const missing = i18n.findMissingKeys();
+      expect(missing.es).toEqual(['items', 'thanks', 'nested.deeper.key', 'onlyEnglish']);
+      expect(missing.ru).toContain('greeting');
+    });
+  });
+
+  test('localizes config values given per locale', () => {
+    const value = { en: 'Hat', es: 'Sombrero' };
+    expect(i18n.localize(value, 'es_MX')).toBe('Sombrero');
+    expect(i18n.localize(value, 'de')).toBe('Hat');
+    expect(i18n.localize('Plain', 'es')).toBe('Plain');
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => {
+  const { EventEmitter } = require('events');
+  return {
+    sendQueue: new EventEmitter(),
+    sendMessage: jest.fn(),
+    hideComment: jest.fn(),
+    deleteComment: jest.fn(),
+    replyToComment: jest.fn(),
+  };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config.json');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const Moderator = require('../moderation').constructor;
+
+const PAGE_ID = 'page1';
+const ADMINS = config.security.adminUIDs;
+
+let nextComment = 1;
+function comment(message, senderId = 'u1') {
+  return { commentId: `c${nextComment++}`, postId: 'p1', senderId, senderName: 'Sam', message };
+}
+
+describe('Moderator', () => {
+  let directory;
+  let moderators;
+
+  function moderator(rules, options = {}) {
+    const created = new Moderator({ enabled: true, rules, ...options });
+    moderators.push(created);
+    return created;
+  }
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    moderators = [];
+    for (const method of ['sendMessage', 'hideComment', 'deleteComment', 'replyToComment']) {
+      fbApi[method].mockReset();
+    }
+  });
+
+  afterEach(async () => {
+    fbApi.sendQueue.removeAllListeners();
+    await Promise.all(moderators.map(created => created.logWrite));
+    jest.restoreAllMocks();
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('rules', () => {
+    test('banned words match whole words only', async () => {
+      const mod = moderator([{ type: 'bannedWords', words: ['scam'] }]);
+      expect((await mod.moderateComment(comment('Total SCAM!'), PAGE_ID)).matches)
+        .toEqual([{ rule: 'bannedWords', reason: 'banned word "scam"' }]);
+      expect((await mod.moderateComment(comment('scamper away'), PAGE_ID)).matches).toEqual([]);
+    });
+
+    test('links outside the allowed domains match', async () => {
+      const mod = moderator([{ type: 'links', allowDomains: ['example.com'] }]);
+      expect((await mod.moderateComment(comment('see https://shop.example.com/x'), PAGE_ID)).matches).toEqual([]);
+      expect((await mod.moderateComment(comment('win at cheap-deals.xyz now'), PAGE_ID)).matches[0].reason)
+        .toBe('link cheap-deals.xyz');
+    });
+
+    test('repeated text matches once the threshold is reached in the window', async () => {
+      const mod = moderator([{ type: 'repeatedText', threshold: 3, windowMinutes: 1 }]);
+      await mod.moderateComment(comment('Follow me'), PAGE_ID);
+      await mod.moderateComment(comment('follow  ME'), PAGE_ID);
+      expect((await mod.moderateComment(comment('follow me', 'u2'), PAGE_ID)).matches).toEqual([]);
+      expect((await mod.moderateComment(comment('Follow me'), PAGE_ID)).matches[0].reason).toBe('same text posted 3 times');
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+      expect((await mod.moderateComment(comment('Follow me'), PAGE_ID)).matches).toEqual([]);
+    });
+
+    test('history of quiet commenters is pruned after the window', async () => {
+      const mod = moderator([{ type: 'repeatedText', windowMinutes: 1 }]);
+      await mod.moderateComment(comment('hello', 'u1'), PAGE_ID);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+      await mod.moderateComment(comment('hello', 'u2'), PAGE_ID);
+      expect([...mod.recentComments.keys()]).toEqual(['u2']);
+    });
+
+    test('regex and blocklist rules, and the page\'s own comments are skipped', async () => {
+      const mod = moderator([
+        { type: 'regex', pattern: '\\d{3}-\\d{4}' },
+        { type: 'blockedUsers', userIds: ['troll'] },
+      ]);
+      expect((await mod.moderateComment(comment('call 555-1234'), PAGE_ID)).matches).toHaveLength(1);
+      expect((await mod.moderateComment(comment('hi', 'troll'), PAGE_ID)).matches[0].reason).toBe('blocklisted user');
+      expect((await mod.moderateComment(comment('call 555-1234', PAGE_ID), PAGE_ID)).matches).toEqual([]);
+    });
+  });
+
+  describe('actions', () => {
+    test('delete replaces hide and marks the comment removed', async () => {
+      const mod = moderator([
+        { type: 'bannedWords', words: ['spam'], actions: ['hide'] },
+        { type: 'links', actions: ['delete'] },
+      ]);
+      const flagged = comment('spam at spam.com');
+      const result = await mod.moderateComment(flagged, PAGE_ID);
+
+      expect(result).toMatchObject({ actions: ['delete'], removed: true });
+      expect(fbApi.deleteComment).toHaveBeenCalledWith(flagged.commentId);
+      expect(fbApi.hideComment).not.toHaveBeenCalled();
+    });
+
+    test('a failed hide is logged and leaves the comment to the plugins', async () => {
+      fbApi.hideComment.mockRejectedValue(new Error('(#200) Permissions error'));
+      const mod = moderator([{ type: 'bannedWords', words: ['spam'] }]);
+      const result = await mod.moderateComment(comment('spam'), PAGE_ID);
+
+      expect(result.removed).toBe(false);
+      const [entry] = await mod.getLog();
+      expect(entry.outcomes).toEqual({ hide: 'error: (#200) Permissions error' });
+    });
+
+    test('dry-run logs the decision without acting', async () => {
+      const mod = moderator([{ type: 'bannedWords', words: ['spam'], actions: ['delete', 'notify'] }], { dryRun: true });
+      const result = await mod.moderateComment(comment('spam'), PAGE_ID);
+
+      expect(result.removed).toBe(false);
+      expect(fbApi.deleteComment).not.toHaveBeenCalled();
+      expect(fbApi.sendMessage).not.toHaveBeenCalled();
+      expect(await mod.getLog()).toEqual([expect.objectContaining({ dryRun: true, actions: ['delete', 'notify'], outcomes: {} })]);
+    });
+
+    test('replies with the rule\'s text', async () => {
+      const mod = moderator([{ type: 'bannedWords', words: ['spam'], actions: ['reply'], reply: 'Please be kind, {name}' }]);
+      const flagged = comment('spam');
+      await mod.moderateComment(flagged, PAGE_ID);
+      expect(fbApi.replyToComment).toHaveBeenCalledWith(flagged.commentId, 'Please be kind, Sam');
+    });
+
+    test('a hidden comment can be restored from the log', async () => {
+      const mod = moderator([{ type: 'bannedWords', words: ['spam'] }]);
+      const flagged = comment('spam');
+      await mod.moderateComment(flagged, PAGE_ID);
+      const [{ id }] = await userStore.listRecords('moderationLog');
+
+      expect((await mod.revert(id)).outcomes.hide).toBe('reverted');
+      expect(fbApi.hideComment).toHaveBeenLastCalledWith(flagged.commentId, false);
+      await expect(mod.revert(id)).rejects.toThrow('Only hidden comments can be restored');
+      expect(await mod.revert('missing')).toBeNull();
+    });
+  });
+
+  describe('admin notices', () => {
+    const rules = [{ type: 'bannedWords', words: ['spam'], actions: ['notify'] }];
+
+    async function notify(mod) {
+      await mod.moderateComment(comment('spam'), PAGE_ID);
+      const [{ id }] = await userStore.listRecords('moderationLog');
+      return id;
+    }
+
+    test('every admin gets a notice tagged with the log entry', async () => {
+      const mod = moderator(rules);
+      const logId = await notify(mod);
+
+      for (const adminId of ADMINS) {
+        expect(fbApi.sendMessage).toHaveBeenCalledWith(adminId, expect.stringContaining('spam'), 'text', {
+          meta: { moderation: { logId, adminId } },
+        });
+      }
+      expect((await userStore.getRecord('moderationLog', logId)).outcomes.notify).toBe('ok');
+    });
+
+    test('the notify action fails only when no notice could be queued', async () => {
+      fbApi.sendMessage.mockRejectedValueOnce(new Error('store unavailable'));
+      const mod = moderator(rules);
+      const logId = await notify(mod);
+      expect((await userStore.getRecord('moderationLog', logId)).outcomes.notify).toBe('ok');
+
+      fbApi.sendMessage.mockRejectedValue(new Error('store unavailable'));
+      await userStore.deleteRecord('moderationLog', logId);
+      const failedId = await notify(mod);
+      expect((await userStore.getRecord('moderationLog', failedId)).outcomes.notify).toBe('error: No admin notice could be queued');
+    });
+
+    test('undelivered notices are recorded, failing the action once no admin was reached', async () => {
+      const mod = moderator(rules);
+      const logId = await notify(mod);
+      const deadLetter = adminId => fbApi.sendQueue.emit('deadLettered', { meta: { moderation: { logId, adminId } } }, new Error('User blocked the page'));
+
+      deadLetter(ADMINS[0]);
+      await mod.logWrite;
+      let entry = await userStore.getRecord('moderationLog', logId);
+      expect(entry.undelivered).toEqual([ADMINS[0]]);
+      expect(entry.outcomes.notify).toBe('ok');
+
+      ADMINS.slice(1).forEach(deadLetter);
+      await mod.logWrite;
+      entry = await userStore.getRecord('moderationLog', logId);
+      expect(entry.undelivered).toEqual(ADMINS);
+      expect(entry.outcomes.notify).toBe('error: No admin could be notified (User blocked the page)');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config.json');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const permissions = require('../permissions');
+const { PermissionError } = permissions;
+const Permissions = permissions.constructor;
+
+const ADMIN = config.security.adminUIDs[0];
+
+describe('permissions', () => {
+  let directory;
+  let roles;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    roles = new Permissions({
+      roles: {
+        admin: ['*'],
+        treasurer: ['economy.*', 'broadcast.send'],
+        cashier: ['economy.setBalance'],
+        moderator: ['moderation.review'],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('checks', () => {
+    test('configured admins hold the admin role and every permission', async () => {
+      expect(await roles.getRoles(ADMIN)).toEqual(['admin']);
+      expect(await roles.isAdmin(ADMIN)).toBe(true);
+      expect(await roles.hasPermission(ADMIN, 'anything.at.all')).toBe(true);
+    });
+
+    test('wildcard groups cover their permissions only', async () => {
+      await userStore.addRole('u1', 'treasurer');
+      expect(await roles.hasPermission('u1', 'economy.setBalance')).toBe(true);
+      expect(await roles.hasPermission('u1', 'economyX')).toBe(false);
+      expect(await roles.hasPermission('u1', 'moderation.review')).toBe(false);
+      expect(await roles.isAdmin('u1')).toBe(false);
+    });
+
+    test('roles removed from config no longer count', async () => {
+      await userStore.addRole('u1', 'retired');
+      expect(await roles.getRoles('u1')).toEqual([]);
+      expect(await roles.getPermissions('u1')).toEqual([]);
+    });
+
+    test('commands need their declared permission, admin commands the admin permission', async () => {
+      await userStore.addRole('u1', 'cashier');
+      const setbal = { config: { category: 'admin', permission: 'economy.setBalance' } };
+      const reload = { config: { category: 'admin' } };
+      const help = { config: { category: 'general' } };
+
+      expect(await roles.canRun('u1', setbal)).toBe(true);
+      expect(await roles.canRun('u1', reload)).toBe(false);
+      expect(await roles.canRun(ADMIN, reload)).toBe(true);
+      expect(await roles.filterRunnable('u1', [setbal, reload, help])).toEqual([setbal, help]);
+    });
+  });
+
+  describe('granting roles', () => {
+    test('admins grant and revoke roles', async () => {
+      expect(await roles.grant(ADMIN, 'u1', 'moderator')).toEqual(['moderator']);
+      await expect(roles.grant(ADMIN, 'u1', 'moderator')).rejects.toMatchObject({ code: 'alreadyGranted' });
+
+      expect(await roles.revoke(ADMIN, 'u1', 'moderator')).toEqual([]);
+      await expect(roles.revoke(ADMIN, 'u1', 'moderator')).rejects.toMatchObject({ code: 'notGranted' });
+    });
+
+    test('a role can only be assigned by someone holding all of its permissions', async () => {
+      await userStore.addRole('u1', 'treasurer');
+
+      // economy.* covers economy.setBalance
+      expect(await roles.grant('u1', 'u2', 'cashier')).toEqual(['cashier']);
+      await expect(roles.grant('u1', 'u2', 'moderator')).rejects.toMatchObject({ code: 'notAllowed' });
+      await expect(roles.grant('u1', 'u2', 'admin')).rejects.toMatchObject({ code: 'notAllowed' });
+      await expect(roles.grant('u1', 'u1', 'admin')).rejects.toBeInstanceOf(PermissionError);
+      expect(await roles.isAdmin('u1')).toBe(false);
+    });
+
+    test('a narrower role cannot hand out a wider one', async () => {
+      await userStore.addRole('u1', 'cashier');
+      await expect(roles.grant('u1', 'u2', 'treasurer')).rejects.toMatchObject({ code: 'notAllowed' });
+      await expect(roles.revoke('u1', 'u3', 'treasurer')).rejects.toMatchObject({ code: 'notAllowed' });
+    });
+
+    test('unknown roles and configured admins are refused', async () => {
+      await expect(roles.grant(ADMIN, 'u1', 'owner')).rejects.toMatchObject({ code: 'unknownRole', details: { role: 'owner' } });
+      await expect(roles.revoke(ADMIN, ADMIN, 'admin')).rejects.toMatchObject({ code: 'configured' });
+    });
+  });
+
+  test('assignments list configured admins and granted roles', async () => {
+    await roles.grant(ADMIN, 'u1', 'moderator');
+    await userStore.updateUser('u1', { nickname: 'Mo' });
+
+    expect(await roles.listAssignments()).toEqual(expect.arrayContaining([
+      { uid: ADMIN, roles: ['admin'] },
+      { uid: 'u1', nickname: 'Mo', roles: ['moderator'] },
+    ]));
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ sendMessage: jest.fn() }));
+// Served to isolated plugins through the main thread
+jest.mock('../../models/ledger', () => ({
+  debit: jest.fn(async (uid, amount) => {
+    const error = new Error(`User ${uid} has 3 coins, ${amount} needed`);
+    Object.assign(error, { name: 'InsufficientFundsError', code: 'INSUFFICIENT_FUNDS', balance: 3, amount });
+    throw error;
+  }),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pluginRunner = require('../pluginRunner');
+const { PluginTimeoutError } = pluginRunner;
+
+describe('pluginRunner', () => {
+  let directory;
+  let count = 0;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Write a plugin file, so it can also be loaded by a worker
+  function plugin(source, options = {}) {
+    const filePath = path.join(directory, `plugin${++count}.js`);
+    const ledgerPath = JSON.stringify(path.join(__dirname, '../../models/ledger'));
+    fs.writeFileSync(filePath, `const ledger = require(${ledgerPath});\nmodule.exports = { useContext: true, ${source} };\n`);
+    return { ...require(filePath), ...options, meta: { type: 'commands', name: `plugin${count}`, filePath } };
+  }
+
+  describe('inline plugins', () => {
+    test('returns what the plugin returns, with the execution details in the context', async () => {
+      const echo = plugin('start: async ctx => ({ isolated: ctx.isolated, timeoutMs: ctx.timeoutMs })');
+      expect(await pluginRunner.run(echo, 'start', [], {})).toEqual({ isolated: false, timeoutMs: 5000 });
+    });
+
+    test('times out, aborting the signal the plugin was given', async () => {
+      let signal;
+      const slow = plugin('start: () => new Promise(() => {})', { maxExecutionTime: 50 });
+      const { start } = slow;
+      slow.start = ctx => {
+        signal = ctx.signal;
+        return start(ctx);
+      };
+
+      await expect(pluginRunner.run(slow, 'start', [], {})).rejects.toBeInstanceOf(PluginTimeoutError);
+      expect(signal.aborted).toBe(true);
+    });
+
+    test('disables a plugin after maxFailures consecutive failures', async () => {
+      const failing = plugin('start: async () => { throw new Error("boom"); }');
+      for (let i = 0; i < 5; i++) {
+        await expect(pluginRunner.run(failing, 'start', [], {})).rejects.toThrow('boom');
+      }
+      expect(failing.meta.disabled.reason).toMatch('5 consecutive failures');
+      await expect(pluginRunner.run(failing, 'start', [], {})).rejects.toThrow('is disabled');
+    });
+
+    test('a success resets the failure count', async () => {
+      let fail = true;
+      const flaky = plugin('start: async () => {}');
+      flaky.start = async () => {
+        if (fail) throw new Error('flaky');
+      };
+      for (let i = 0; i < 4; i++) {
+        await expect(pluginRunner.run(flaky, 'start', [], {})).rejects.toThrow('flaky');
+      }
+      fail = false;
+      await pluginRunner.run(flaky, 'start', [], {});
+      fail = true;
+      await expect(pluginRunner.run(flaky, 'start', [], {})).rejects.toThrow('flaky');
+      expect(flaky.meta.disabled).toBeUndefined();
+    });
+  });
+
+  describe('isolated plugins', () => {
+    test('run in a worker with the context they were given', async () => {
+      const echo = plugin('start: async ctx => ({ isolated: ctx.isolated, user: ctx.senderId })', { isolated: true });
+      expect(await pluginRunner.run(echo, 'start', [], { senderId: 'u1' })).toEqual({ isolated: true, user: 'u1' });
+    });
+
+    test('see the code and fields of errors thrown on the main thread', async () => {
+      const pay = plugin(`start: async () => {
+        try {
+          await ledger.debit('u1', 10);
+        } catch (error) {
+          return { name: error.name, code: error.code, balance: error.balance, message: error.message };
+        }
+      }`, { isolated: true });
+
+      expect(await pluginRunner.run(pay, 'start', [], {})).toEqual({
+        name: 'InsufficientFundsError',
+        code: 'INSUFFICIENT_FUNDS',
+        balance: 3,
+        message: 'User u1 has 3 coins, 10 needed',
+      });
+    });
+
+    test('pass the name, code and details of their own errors back', async () => {
+      const role = plugin(`start: async () => {
+        const error = new Error('Not allowed');
+        Object.assign(error, { name: 'PermissionError', code: 'notAllowed', details: { role: 'admin' } });
+        throw error;
+      }`, { isolated: true });
+
+      const error = await pluginRunner.run(role, 'start', [], {}).catch(caught => caught);
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({ name: 'PermissionError', code: 'notAllowed', details: { role: 'admin' }, message: 'Not allowed' });
+    });
+
+    test('time out like inline ones', async () => {
+      const slow = plugin('start: () => new Promise(() => {})', { isolated: true, maxExecutionTime: 200 });
+      await expect(pluginRunner.run(slow, 'start', [], {})).rejects.toBeInstanceOf(PluginTimeoutError);
+    });
+  });
+});
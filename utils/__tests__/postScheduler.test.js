@@ -0,0 +1,97 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ createPost: jest.fn(), uploadMedia: jest.fn(), sendMessage: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const postScheduler = require('../postScheduler');
+
+const COLLECTION = 'scheduledPosts';
+
+describe('postScheduler', () => {
+  let directory;
+
+  // A fresh JSON store per test, in place of the configured one
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.createPost.mockReset();
+  });
+
+  afterEach(async () => {
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Store a post that is already due
+  async function due(id, minutesAgo) {
+    const post = {
+      id,
+      status: 'scheduled',
+      message: `post ${id}`,
+      link: null,
+      mediaPath: null,
+      publishAt: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+      attempts: 0,
+      nextAttemptAt: null,
+    };
+    await userStore.saveRecord(COLLECTION, id, post);
+    return post;
+  }
+
+  test('publishes due posts in order and records the post id', async () => {
+    await due('b', 1);
+    await due('a', 2);
+    fbApi.createPost.mockImplementation(async message => ({ id: `fb_${message.slice(-1)}` }));
+
+    expect(await postScheduler.publishDue()).toBe(2);
+    expect(fbApi.createPost.mock.calls.map(([message]) => message)).toEqual(['post a', 'post b']);
+    expect(await userStore.getRecord(COLLECTION, 'a')).toMatchObject({ status: 'published', postId: 'fb_a', attempts: 1 });
+  });
+
+  test('a post cancelled while earlier ones publish is not published', async () => {
+    await due('a', 2);
+    await due('b', 1);
+    fbApi.createPost.mockImplementation(async message => {
+      if (message === 'post a') await postScheduler.cancelPost('b');
+      return { id: 'fb' };
+    });
+
+    await postScheduler.publishDue();
+    expect(fbApi.createPost).toHaveBeenCalledTimes(1);
+    expect(await userStore.getRecord(COLLECTION, 'b')).toMatchObject({ status: 'cancelled', attempts: 0 });
+  });
+
+  test('a post being published cannot be cancelled', async () => {
+    await due('a', 1);
+    let cancel;
+    fbApi.createPost.mockImplementation(async () => {
+      cancel = postScheduler.cancelPost('a').catch(error => error);
+      await cancel;
+      return { id: 'fb' };
+    });
+
+    await postScheduler.publishDue();
+    expect((await cancel).message).toMatch('already publishing');
+    expect(await userStore.getRecord(COLLECTION, 'a')).toMatchObject({ status: 'published' });
+  });
+
+  test('a failed publish is retried later, then given up', async () => {
+    await due('a', 1);
+    fbApi.createPost.mockRejectedValue(new Error('Graph API down'));
+
+    await postScheduler.publishDue();
+    const retried = await userStore.getRecord(COLLECTION, 'a');
+    expect(retried).toMatchObject({ status: 'scheduled', attempts: 1, lastError: 'Graph API down' });
+    expect(retried.nextAttemptAt).toBeGreaterThan(Date.now());
+
+    await userStore.updateRecord(COLLECTION, 'a', { attempts: 2, nextAttemptAt: null });
+    await postScheduler.publishDue();
+    expect(await userStore.getRecord(COLLECTION, 'a')).toMatchObject({ status: 'failed', attempts: 3 });
+  });
+});
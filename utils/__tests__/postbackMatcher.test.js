@@ -0,0 +1,118 @@
+const { validateSchema, compileMatchers, hasValidMatchers, matchPostback } = require('../postbackMatcher');
+
+// A postback plugin as the loader registers it
+function plugin(name, declaration) {
+  const registered = { name, ...declaration };
+  registered.meta = { matchers: compileMatchers(registered) };
+  return registered;
+}
+
+describe('postbackMatcher', () => {
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['action', 'id'],
+      additionalProperties: false,
+      properties: {
+        action: { const: 'BUY' },
+        id: { type: 'integer', minimum: 1 },
+        size: { enum: ['s', 'm', 'l'] },
+        tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } },
+      },
+    };
+
+    test('accepts a matching object', () => {
+      expect(validateSchema(schema, { action: 'BUY', id: 3, size: 'm', tags: ['red'] })).toBe(true);
+    });
+
+    test.each([
+      ['a missing required property', { action: 'BUY' }],
+      ['a wrong constant', { action: 'SELL', id: 3 }],
+      ['a number below the minimum', { action: 'BUY', id: 0 }],
+      ['a number that should be an integer', { action: 'BUY', id: 1.5 }],
+      ['a value outside the enum', { action: 'BUY', id: 3, size: 'xl' }],
+      ['an array item not matching the pattern', { action: 'BUY', id: 3, tags: ['Red'] }],
+      ['an undeclared property', { action: 'BUY', id: 3, extra: true }],
+    ])('rejects %s', (description, value) => {
+      expect(validateSchema(schema, value)).toBe(false);
+    });
+
+    test('treats integers as numbers', () => {
+      expect(validateSchema({ type: 'number' }, 2)).toBe(true);
+      expect(validateSchema({ type: ['string', 'null'] }, null)).toBe(true);
+    });
+  });
+
+  describe('compileMatchers', () => {
+    test('matches a legacy payload exactly or as an action', () => {
+      const [matcher] = compileMatchers({ payload: 'GET_STARTED' });
+      expect(matcher.test('GET_STARTED')).toEqual({});
+      expect(matcher.test({ action: 'GET_STARTED', ref: 'ad' })).toEqual({ action: 'GET_STARTED', ref: 'ad' });
+      expect(matcher.test('GET_STARTED_NOW')).toBeNull();
+    });
+
+    test('passes the rest of a prefixed payload', () => {
+      const [matcher] = compileMatchers({ match: { prefix: 'HELP_CATEGORY_' } });
+      expect(matcher.test('HELP_CATEGORY_GAMES')).toEqual({ rest: 'GAMES' });
+      expect(matcher.test({ action: 'HELP_CATEGORY_GAMES' })).toBeNull();
+    });
+
+    test('passes the named groups of a regex', () => {
+      const [matcher] = compileMatchers({ match: { regex: '^ORDER_(?<id>\\d+)$' } });
+      expect(matcher.test('ORDER_42')).toEqual({ id: '42', match: ['ORDER_42', '42'] });
+      expect(matcher.test('ORDER_x')).toBeNull();
+    });
+
+    test('compiles every declaration of a list', () => {
+      const matchers = compileMatchers({ match: [{ exact: ['A', 'B'] }, { prefix: 'C_' }] });
+      expect(matchers.map(matcher => matcher.type)).toEqual(['exact', 'prefix']);
+    });
+
+    test('reports plugins without a usable matcher', () => {
+      expect(hasValidMatchers({ match: { exact: 'A' } })).toBe(true);
+      expect(hasValidMatchers({})).toBe(false);
+      expect(hasValidMatchers({ match: { regex: '(' } })).toBe(false);
+    });
+  });
+
+  describe('matchPostback', () => {
+    const plugins = [
+      plugin('help', { match: { prefix: 'HELP_' } }),
+      plugin('helpCategory', { match: { prefix: 'HELP_CATEGORY_' } }),
+      plugin('helpMenu', { match: { exact: 'HELP_MENU' } }),
+      plugin('order', { match: { regex: '^HELP_ORDER_(?<id>\\d+)$' } }),
+      plugin('buy', { match: { schema: { type: 'object', required: ['action'], properties: { action: { const: 'BUY' } } } } }),
+    ];
+
+    test('prefers an exact match', () => {
+      expect(matchPostback(plugins, 'HELP_MENU').plugin.name).toBe('helpMenu');
+    });
+
+    test('prefers a regex to a prefix', () => {
+      const match = matchPostback(plugins, 'HELP_ORDER_7');
+      expect(match.plugin.name).toBe('order');
+      expect(match.params.id).toBe('7');
+    });
+
+    test('prefers the longest prefix', () => {
+      const match = matchPostback(plugins, 'HELP_CATEGORY_GAMES');
+      expect(match).toEqual({ plugin: plugins[1], params: { rest: 'GAMES' }, matcher: 'prefix' });
+    });
+
+    test('lets priority win over specificity', () => {
+      const urgent = plugin('urgent', { match: { prefix: 'HELP_' }, priority: 10 });
+      expect(matchPostback([...plugins, urgent], 'HELP_MENU').plugin.name).toBe('urgent');
+    });
+
+    test('matches object payloads by schema', () => {
+      const match = matchPostback(plugins, { action: 'BUY', item: 'hat' });
+      expect(match.plugin.name).toBe('buy');
+      expect(match.params).toEqual({ action: 'BUY', item: 'hat' });
+    });
+
+    test('returns null when nothing matches', () => {
+      expect(matchPostback(plugins, 'UNKNOWN')).toBeNull();
+      expect(matchPostback(plugins, { action: 'SELL' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => {
+  const { EventEmitter } = require('events');
+  return { sendQueue: new EventEmitter(), sendPrivateReply: jest.fn() };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const fbApi = require('../fbApi');
+const privateReplies = require('../privateReplies');
+
+const COLLECTION = 'privateReplies';
+const comment = (commentId, extra = {}) => ({ commentId, postId: 'p1', senderId: 'u1', ...extra });
+
+describe('privateReplies', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replies-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+    fbApi.sendPrivateReply.mockReset();
+    fbApi.sendPrivateReply.mockImplementation(async commentId => ({ jobId: `job_${commentId}`, queued: true }));
+  });
+
+  afterEach(async () => {
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('queues the reply and records it as queued', async () => {
+    expect(await privateReplies.send(comment('c1'), 'Thanks!')).toEqual({ jobId: 'job_c1', queued: true });
+    expect(fbApi.sendPrivateReply).toHaveBeenCalledWith('c1', 'Thanks!', 'text', { meta: { privateReply: 'c1' } });
+    expect(await userStore.getRecord(COLLECTION, 'c1')).toMatchObject({ status: 'queued', senderId: 'u1' });
+    expect(await privateReplies.hasReplied('c1')).toBe(true);
+  });
+
+  test('concurrent calls for one comment send a single reply', async () => {
+    const results = await Promise.all([
+      privateReplies.send(comment('c1'), 'one'),
+      privateReplies.send(comment('c1'), 'two'),
+      privateReplies.send(comment('c1'), 'three'),
+    ]);
+
+    expect(fbApi.sendPrivateReply).toHaveBeenCalledTimes(1);
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('a comment with a recorded reply is skipped', async () => {
+    await privateReplies.send(comment('c1'), 'first');
+    expect(await privateReplies.send(comment('c1'), 'again')).toBeNull();
+    expect(fbApi.sendPrivateReply).toHaveBeenCalledTimes(1);
+  });
+
+  test('comments older than 7 days are skipped', async () => {
+    const createdAt = Math.floor(Date.now() / 1000) - 8 * 24 * 60 * 60;
+    expect(await privateReplies.send(comment('c1', { createdAt }), 'late')).toBeNull();
+    expect(fbApi.sendPrivateReply).not.toHaveBeenCalled();
+  });
+
+  test('a reply that cannot be queued is not recorded', async () => {
+    fbApi.sendPrivateReply.mockRejectedValueOnce(new Error('store unavailable'));
+    await expect(privateReplies.send(comment('c1'), 'hi')).rejects.toThrow('store unavailable');
+
+    expect(await userStore.getRecord(COLLECTION, 'c1')).toBeNull();
+    expect(await privateReplies.send(comment('c1'), 'hi')).not.toBeNull();
+  });
+
+  describe('queue outcomes', () => {
+    test('a delivered reply is marked sent with its recipient', async () => {
+      await privateReplies.send(comment('c1'), 'hi');
+      await privateReplies.handleOutcome({ meta: { privateReply: 'c1' } }, { message_id: 'm1', recipient_id: 'psid1' });
+
+      expect(await userStore.getRecord(COLLECTION, 'c1')).toMatchObject({ status: 'sent', messageId: 'm1', recipientId: 'psid1' });
+    });
+
+    test('a dead-lettered reply is marked failed and may be sent again', async () => {
+      await privateReplies.send(comment('c1'), 'hi');
+      await privateReplies.handleOutcome({ meta: { privateReply: 'c1' }, lastError: { message: 'Outside the window' } }, null);
+
+      expect(await userStore.getRecord(COLLECTION, 'c1')).toMatchObject({ status: 'failed', error: 'Outside the window' });
+      expect(await privateReplies.hasReplied('c1')).toBe(false);
+      expect(await privateReplies.send(comment('c1'), 'retry')).not.toBeNull();
+    });
+
+    test('other queue jobs are ignored', async () => {
+      await privateReplies.handleOutcome({ meta: { broadcast: 'b1' } }, { message_id: 'm1' });
+      expect(await userStore.listRecords(COLLECTION)).toEqual([]);
+    });
+  });
+});
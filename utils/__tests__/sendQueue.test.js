@@ -0,0 +1,154 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { SendQueue } = require('../sendQueue');
+
+// In-memory stand-in for the user store's generic records
+function memoryStore() {
+  const collections = {};
+  const records = name => (collections[name] = collections[name] || new Map());
+  return {
+    collections,
+    saveRecord: jest.fn(async (name, id, record) => records(name).set(id, { ...record })),
+    deleteRecord: jest.fn(async (name, id) => records(name).delete(id)),
+    getRecord: async (name, id) => (records(name).has(id) ? { ...records(name).get(id) } : null),
+    listRecords: async name => [...records(name).values()].map(record => ({ ...record })),
+  };
+}
+
+// Error shaped like an axios error carrying a Graph API error
+function apiError(status, code, message = 'Graph API error') {
+  const error = new Error(message);
+  error.response = { status, data: { error: { code, message } } };
+  return error;
+}
+
+const text = (id, message) => ({ recipient: { id }, message: { text: message } });
+const next = (queue, event) => new Promise(resolve => queue.once(event, (job, result) => resolve({ job, result })));
+
+describe('SendQueue', () => {
+  let store;
+
+  beforeEach(() => {
+    store = memoryStore();
+  });
+
+  function queue(sender, options = {}) {
+    return new SendQueue(sender, { baseDelayMs: 5, maxDelayMs: 20, throttleDelayMs: 20, ...options }, store);
+  }
+
+  test('delivers one recipient\'s messages in order and reports them sent', async () => {
+    const delivered = [];
+    const q = queue(async payload => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      delivered.push(payload.message.text);
+      return { message_id: payload.message.text };
+    });
+    const sent = [];
+    q.on('sent', (job, response) => sent.push([job.meta, response.message_id]));
+
+    await q.enqueue(text('u1', 'a'), { meta: { n: 1 } });
+    await q.enqueue(text('u1', 'b'), { meta: { n: 2 } });
+    await next(q, 'sent');
+    await next(q, 'sent');
+
+    expect(delivered).toEqual(['a', 'b']);
+    expect(sent).toEqual([[{ n: 1 }, 'a'], [{ n: 2 }, 'b']]);
+    expect(store.collections.sendQueue.size).toBe(0);
+  });
+
+  test('retries transient failures with backoff', async () => {
+    const sender = jest.fn()
+      .mockRejectedValueOnce(apiError(500, 2))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValue({});
+    const q = queue(sender);
+
+    await q.enqueue(text('u1', 'hi'));
+    const { job } = await next(q, 'sent');
+    expect(sender).toHaveBeenCalledTimes(3);
+    expect(job.attempts).toBe(3);
+    expect(q.getStats()).toMatchObject({ sent: 1, retried: 2, deadLettered: 0 });
+  });
+
+  test('dead-letters a rejected message without retrying', async () => {
+    const sender = jest.fn().mockRejectedValue(apiError(400, 10, 'Outside the allowed window'));
+    const q = queue(sender);
+
+    await q.enqueue(text('u1', 'hi'), { meta: { broadcast: 'b1' } });
+    const { job, result } = await next(q, 'deadLettered');
+    expect(sender).toHaveBeenCalledTimes(1);
+    expect(result.message).toBe('Outside the allowed window');
+    expect(job.meta).toEqual({ broadcast: 'b1' });
+    // Moving the job between collections is written after the event
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await q.getDeadLetters()).toEqual([expect.objectContaining({ id: job.id, lastError: expect.objectContaining({ code: 10 }) })]);
+    expect(store.collections.sendQueue.size).toBe(0);
+  });
+
+  test('dead-letters after maxAttempts transient failures', async () => {
+    const sender = jest.fn().mockRejectedValue(apiError(503, 2));
+    const q = queue(sender, { maxAttempts: 3 });
+
+    await q.enqueue(text('u1', 'hi'));
+    await next(q, 'deadLettered');
+    expect(sender).toHaveBeenCalledTimes(3);
+  });
+
+  test('a throttled page waits at least throttleDelayMs before the retry', async () => {
+    const calls = [];
+    const sender = jest.fn(async () => {
+      calls.push(Date.now());
+      if (calls.length === 1) throw apiError(400, 32);
+      return {};
+    });
+    const q = queue(sender, { throttleDelayMs: 100 });
+
+    await q.enqueue(text('u1', 'hi'));
+    await next(q, 'sent');
+    expect(calls[1] - calls[0]).toBeGreaterThanOrEqual(100);
+    expect(q.getStats().throttled).toBe(1);
+  });
+
+  test('enqueue rejects when the job cannot be stored, and sends nothing', async () => {
+    const sender = jest.fn().mockResolvedValue({});
+    const q = queue(sender);
+    store.saveRecord.mockRejectedValueOnce(new Error('store unavailable'));
+
+    await expect(q.enqueue(text('u1', 'hi'))).rejects.toThrow('store unavailable');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(sender).not.toHaveBeenCalled();
+    expect(q.getStats().pending).toBe(0);
+  });
+
+  describe('redrive', () => {
+    async function deadLetter(q) {
+      await q.enqueue(text('u1', 'hi'), { meta: { keep: true } });
+      const { job } = await next(q, 'deadLettered');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return job;
+    }
+
+    test('queues a dead letter again with a fresh attempt count', async () => {
+      const sender = jest.fn().mockRejectedValueOnce(apiError(400, 100)).mockResolvedValue({});
+      const q = queue(sender);
+      const job = await deadLetter(q);
+
+      expect(await q.redrive(job.id)).toBe(true);
+      const { job: sent } = await next(q, 'sent');
+      expect(sent.attempts).toBe(1);
+      expect(await q.getDeadLetters()).toEqual([]);
+    });
+
+    test('discards a dead letter a guard refuses', async () => {
+      const sender = jest.fn().mockRejectedValueOnce(apiError(400, 100)).mockResolvedValue({});
+      const q = queue(sender);
+      q.addRedriveGuard(job => !job.meta.keep);
+      const job = await deadLetter(q);
+
+      expect(await q.redrive(job.id)).toBe(false);
+      expect(await q.getDeadLetters()).toEqual([]);
+      expect(sender).toHaveBeenCalledTimes(1);
+      expect(await q.redrive('missing')).toBeNull();
+    });
+  });
+});
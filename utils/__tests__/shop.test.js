@@ -0,0 +1,122 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdapter } = require('../../models/storage');
+const userStore = require('../../models/userStore');
+const ledger = require('../../models/ledger');
+const shop = require('../shop');
+const { ShopError } = shop;
+const { InsufficientFundsError } = ledger;
+const Shop = shop.constructor;
+
+const CATALOGUE = {
+  items: [
+    { id: 'badge', name: { en: 'Star Badge', es: 'Insignia' }, price: 50, maxPerUser: 1, tag: 'supporter' },
+    { id: 'clover', emoji: '🍀', name: 'Lucky Clover', price: 5 },
+    { id: 'retired', name: 'Old Hat', price: 10, enabled: false },
+    { id: 'free', name: 'No price' },
+  ],
+};
+
+describe('shop', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-'));
+    userStore.storage = createAdapter('json', { directory, writeDelayMs: 5, keyFields: { users: 'uid' } });
+    await userStore.storage.connect();
+    userStore.initialized = true;
+
+    const file = path.join(directory, 'shop.json');
+    fs.writeFileSync(file, JSON.stringify(CATALOGUE));
+    store = new Shop({ catalogue: 'resources/shop.json', maxQuantity: 10 });
+    store.file = file;
+    store.load();
+  });
+
+  afterEach(async () => {
+    await userStore.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('catalogue', () => {
+    test('lists enabled items with a price', () => {
+      expect(store.getItems().map(item => item.id)).toEqual(['badge', 'clover']);
+    });
+
+    test('finds items by id, number or localized name', () => {
+      expect(store.findItem('CLOVER').id).toBe('clover');
+      expect(store.findItem('1').id).toBe('badge');
+      expect(store.findItem('insignia', 'es').id).toBe('badge');
+      expect(store.findItem('3')).toBeNull();
+      expect(store.findItem('old hat')).toBeNull();
+    });
+
+    test('picks up edits to the catalogue file', () => {
+      fs.writeFileSync(store.file, JSON.stringify({ items: [{ id: 'cape', name: 'Cape', price: 20 }] }));
+      store.loadedMtime = 0;
+      expect(store.getItems().map(item => item.id)).toEqual(['cape']);
+    });
+  });
+
+  describe('buy', () => {
+    beforeEach(async () => {
+      await ledger.credit('u1', 100);
+    });
+
+    test('pays through the ledger, fills the inventory and grants the item tag', async () => {
+      const result = await store.buy('u1', 'badge');
+
+      expect(result).toMatchObject({ quantity: 1, owned: 1, transaction: { amount: -50, reason: 'shopPurchase' } });
+      expect(await ledger.getBalance('u1')).toBe(50);
+      expect((await userStore.getUser('u1')).tags).toContain('supporter');
+      expect(await store.getInventory('u1')).toEqual([{ id: 'badge', quantity: 1, item: expect.objectContaining({ id: 'badge' }) }]);
+    });
+
+    test('charges for every item bought at once', async () => {
+      await store.buy('u1', 'clover', 3);
+      await store.buy('u1', 'clover', 2);
+      expect(await ledger.getBalance('u1')).toBe(75);
+      expect((await userStore.getUser('u1')).inventory).toEqual({ clover: 5 });
+    });
+
+    test('refuses unknown items, bad quantities and items past their limit', async () => {
+      await expect(store.buy('u1', 'retired')).rejects.toMatchObject({ code: 'unknownItem' });
+      await expect(store.buy('u1', 'clover', 0)).rejects.toMatchObject({ code: 'invalidQuantity' });
+      await expect(store.buy('u1', 'clover', 11)).rejects.toMatchObject({ code: 'invalidQuantity', details: { max: 10 } });
+
+      await store.buy('u1', 'badge');
+      const error = await store.buy('u1', 'badge').catch(caught => caught);
+      expect(error).toBeInstanceOf(ShopError);
+      expect(error).toMatchObject({ code: 'limitReached', details: { owned: 1, max: 1 } });
+      expect(await ledger.getBalance('u1')).toBe(50);
+    });
+
+    test('a purchase the user cannot afford leaves the inventory alone', async () => {
+      await expect(store.buy('u1', 'clover', 10)).resolves.toBeDefined();
+      await expect(store.buy('u1', 'badge')).resolves.toBeDefined();
+      await expect(store.buy('u1', 'clover', 1)).rejects.toBeInstanceOf(InsufficientFundsError);
+      expect((await userStore.getUser('u1')).inventory).toEqual({ clover: 10, badge: 1 });
+    });
+
+    test('parallel purchases cannot exceed the limit or overspend', async () => {
+      const results = await Promise.allSettled([store.buy('u1', 'badge'), store.buy('u1', 'badge')]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(await ledger.getBalance('u1')).toBe(50);
+      expect((await userStore.getUser('u1')).inventory).toEqual({ badge: 1 });
+    });
+
+    test('a retried purchase is only paid and delivered once', async () => {
+      await store.buy('u1', 'clover', 2, { key: 'mid.1' });
+      const retry = await store.buy('u1', 'clover', 2, { key: 'mid.1' });
+
+      expect(retry.duplicate).toBe(true);
+      expect(await ledger.getBalance('u1')).toBe(90);
+      expect((await userStore.getUser('u1')).inventory).toEqual({ clover: 2 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../fbApi', () => ({ sendMessage: jest.fn() }));
+jest.mock('../i18n', () => ({
+  forUser: async () => ({ t: (key, vars) => `${key} ${vars.seconds}s` }),
+}));
+jest.mock('../permissions', () => ({ isAdmin: jest.fn(async uid => uid === 'admin') }));
+
+const config = require('../../config.json');
+const fbApi = require('../fbApi');
+const throttle = require('../throttle');
+const { getCooldown } = throttle;
+const { PostbackTracker, RateLimiter } = require('../trackers');
+
+const daily = { config: { cooldown: 60 } };
+const help = { config: {} };
+
+describe('throttle', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    throttle.cooldowns = new PostbackTracker();
+    throttle.rateLimiter = new RateLimiter({ windowMs: 60000, max: 3 });
+    fbApi.sendMessage.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('plugin cooldowns are declared in seconds, the bot default in milliseconds', () => {
+    expect(getCooldown(daily)).toEqual({ ms: 60000, declared: true });
+    expect(getCooldown({ cooldown: 0 })).toEqual({ ms: 0, declared: true });
+    expect(getCooldown(help)).toEqual({ ms: config.bot.cooldown, declared: false });
+  });
+
+  describe('cooldowns', () => {
+    test('a declared cooldown drops the action and tells the user once', async () => {
+      expect(await throttle.isThrottled('u1', 'command:daily', daily)).toBe(false);
+
+      now += 15000;
+      expect(await throttle.isThrottled('u1', 'command:daily', daily)).toBe(true);
+      expect(await throttle.isThrottled('u1', 'command:daily', daily)).toBe(true);
+      expect(fbApi.sendMessage).toHaveBeenCalledTimes(1);
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', 'throttle.cooldown 45s');
+
+      now += 45000;
+      expect(await throttle.isThrottled('u1', 'command:daily', daily)).toBe(false);
+    });
+
+    test('double taps inside the default cooldown are dropped silently', async () => {
+      expect(await throttle.isThrottled('u1', 'command:help', help)).toBe(false);
+      expect(await throttle.isThrottled('u1', 'command:help', help)).toBe(true);
+      expect(fbApi.sendMessage).not.toHaveBeenCalled();
+
+      now += config.bot.cooldown;
+      expect(await throttle.isThrottled('u1', 'command:help', help)).toBe(false);
+    });
+
+    test('isCoolingDown skips the rate limit', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect(await throttle.isCoolingDown('u1', `command:c${i}`, daily)).toBe(false);
+      }
+      expect(await throttle.isCoolingDown('u1', 'command:c0', daily)).toBe(true);
+    });
+  });
+
+  describe('rate limit', () => {
+    test('floods are dropped with a single notice per window', async () => {
+      for (let i = 0; i < 3; i++) {
+        expect(await throttle.isThrottled('u1', `postback:p${i}`)).toBe(false);
+      }
+      expect(await throttle.isThrottled('u1', 'postback:p3')).toBe(true);
+      expect(await throttle.isThrottled('u1', 'postback:p4')).toBe(true);
+      expect(fbApi.sendMessage).toHaveBeenCalledTimes(1);
+      expect(fbApi.sendMessage).toHaveBeenCalledWith('u1', 'throttle.flood 60s');
+      expect(await throttle.isThrottled('u2', 'postback:p0')).toBe(false);
+    });
+
+    test('admins are never throttled', async () => {
+      for (let i = 0; i < 10; i++) {
+        expect(await throttle.isThrottled('admin', 'command:daily', daily)).toBe(false);
+      }
+      expect(await throttle.isCoolingDown('admin', 'command:daily', daily)).toBe(false);
+    });
+  });
+});
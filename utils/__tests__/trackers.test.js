@@ -0,0 +1,97 @@
+const { PostbackTracker, RateLimiter } = require('../trackers');
+
+describe('trackers', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PostbackTracker', () => {
+    test('an action is in cooldown until its window has passed', () => {
+      const tracker = new PostbackTracker();
+      expect(tracker.isInCooldown('u1', 'command:daily', 1000)).toBe(false);
+
+      now += 400;
+      expect(tracker.isInCooldown('u1', 'command:daily', 1000)).toBe(true);
+      expect(tracker.getRemaining('u1', 'command:daily', 1000)).toBe(600);
+      expect(tracker.isInCooldown('u2', 'command:daily', 1000)).toBe(false);
+      expect(tracker.isInCooldown('u1', 'command:help', 1000)).toBe(false);
+
+      now += 600;
+      expect(tracker.isInCooldown('u1', 'command:daily', 1000)).toBe(false);
+    });
+
+    test('a tap inside the cooldown does not extend it', () => {
+      const tracker = new PostbackTracker();
+      tracker.isInCooldown('u1', 'command:daily', 1000);
+      now += 900;
+      tracker.isInCooldown('u1', 'command:daily', 1000);
+      now += 100;
+      expect(tracker.isInCooldown('u1', 'command:daily', 1000)).toBe(false);
+    });
+
+    test('cleanup expires each entry by its own window', () => {
+      const tracker = new PostbackTracker();
+      tracker.isInCooldown('u1', 'command:daily', 60000);
+      tracker.isInCooldown('u1', 'command:help', 500);
+
+      now += 1000;
+      tracker.cleanOldCooldowns();
+      expect(tracker.isInCooldown('u1', 'command:daily', 60000)).toBe(true);
+      expect(tracker.cooldowns.size).toBe(1);
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('limits a user past max hits in a sliding window', () => {
+      const limiter = new RateLimiter({ windowMs: 10000, max: 3 });
+      for (let i = 0; i < 3; i++) {
+        expect(limiter.isLimited('u1')).toBe(false);
+        now += 1000;
+      }
+      expect(limiter.isLimited('u1')).toBe(true);
+      expect(limiter.isLimited('u2')).toBe(false);
+      expect(limiter.getRetryAfter('u1')).toBe(7000);
+
+      // The first hit leaves the window, making room for one more
+      now += 7000;
+      expect(limiter.isLimited('u1')).toBe(false);
+      expect(limiter.isLimited('u1')).toBe(true);
+    });
+
+    test('dropped hits do not count towards the limit', () => {
+      const limiter = new RateLimiter({ windowMs: 10000, max: 1 });
+      limiter.isLimited('u1');
+      for (let i = 0; i < 5; i++) limiter.isLimited('u1');
+      expect(limiter.hits.get('u1')).toHaveLength(1);
+    });
+
+    test('notifies once per key and window', () => {
+      const limiter = new RateLimiter({ windowMs: 10000 });
+      expect(limiter.shouldNotify('u1_flood')).toBe(true);
+      expect(limiter.shouldNotify('u1_flood')).toBe(false);
+      expect(limiter.shouldNotify('u1_command:daily', 2000)).toBe(true);
+
+      now += 2000;
+      expect(limiter.shouldNotify('u1_command:daily', 2000)).toBe(true);
+      expect(limiter.shouldNotify('u1_flood')).toBe(false);
+    });
+
+    test('drops expired hits and notices once per window', () => {
+      const limiter = new RateLimiter({ windowMs: 10000, max: 5 });
+      limiter.isLimited('u1');
+      limiter.shouldNotify('u1_flood');
+
+      now += 10001;
+      limiter.isLimited('u2');
+      expect([...limiter.hits.keys()]).toEqual(['u2']);
+      expect(limiter.notices.size).toBe(0);
+    });
+  });
+});
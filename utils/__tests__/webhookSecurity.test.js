@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// An app secret rotation in progress: the old secret is still accepted
+jest.mock('../../config.json', () => {
+  const actual = jest.requireActual('../../config.json');
+  return {
+    ...actual,
+    facebook: { ...actual.facebook, appSecret: 'configured-secret', previousAppSecrets: ['rotated-secret'] },
+  };
+});
+
+const { securityConfig, getAppSecrets, checkSignature, isStaleEntry } = require('../webhookSecurity');
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+describe('webhookSecurity', () => {
+  const body = Buffer.from(JSON.stringify({ object: 'page', entry: [] }));
+  const savedSecret = process.env.FB_APP_SECRET;
+
+  beforeEach(() => {
+    process.env.FB_APP_SECRET = 'current-secret';
+  });
+
+  afterEach(() => {
+    if (savedSecret === undefined) {
+      delete process.env.FB_APP_SECRET;
+    } else {
+      process.env.FB_APP_SECRET = savedSecret;
+    }
+  });
+
+  describe('getAppSecrets', () => {
+    test('puts the secret from the environment first', () => {
+      expect(getAppSecrets()[0]).toBe('current-secret');
+    });
+
+    test('lists each secret once', () => {
+      const secrets = getAppSecrets();
+      expect(new Set(secrets).size).toBe(secrets.length);
+    });
+  });
+
+  describe('checkSignature', () => {
+    test('accepts a body signed with the app secret', () => {
+      expect(checkSignature(body, sign(body, 'current-secret'))).toBe('valid');
+    });
+
+    test('accepts any of the secrets kept during a rotation', () => {
+      expect(getAppSecrets()).toContain('rotated-secret');
+      expect(checkSignature(body, sign(body, 'rotated-secret'))).toBe('valid');
+    });
+
+    test('rejects a secret removed from the rotation', () => {
+      const { facebook } = require('../../config.json');
+      const { previousAppSecrets } = facebook;
+      facebook.previousAppSecrets = [];
+      try {
+        expect(checkSignature(body, sign(body, 'rotated-secret'))).toBe('invalid');
+      } finally {
+        facebook.previousAppSecrets = previousAppSecrets;
+      }
+    });
+
+    test('rejects a body signed with another secret', () => {
+      expect(checkSignature(body, sign(body, 'someone-else'))).toBe('invalid');
+    });
+
+    test('rejects a body changed after signing', () => {
+      const header = sign(body, 'current-secret');
+      expect(checkSignature(Buffer.from(`${body} `), header)).toBe('invalid');
+    });
+
+    test('reports a missing header', () => {
+      expect(checkSignature(body, undefined)).toBe('missing');
+      expect(checkSignature(body, '')).toBe('missing');
+    });
+
+    test('rejects malformed headers without throwing', () => {
+      expect(checkSignature(body, 'sha1=abc')).toBe('invalid');
+      expect(checkSignature(body, 'sha256=not-hex')).toBe('invalid');
+      expect(checkSignature(body, 'sha256=abcd')).toBe('invalid');
+      expect(checkSignature(null, sign(body, 'current-secret'))).toBe('invalid');
+    });
+  });
+
+  describe('isStaleEntry', () => {
+    const now = Date.UTC(2024, 0, 1, 12);
+    const maxAgeMs = securityConfig.maxEventAgeSeconds * 1000;
+
+    test('accepts recent entries in milliseconds and in seconds', () => {
+      expect(isStaleEntry(now - 1000, now)).toBe(false);
+      expect(isStaleEntry(Math.floor((now - 1000) / 1000), now)).toBe(false);
+    });
+
+    test('rejects entries older than the maximum age', () => {
+      expect(isStaleEntry(now - maxAgeMs - 1000, now)).toBe(true);
+      expect(isStaleEntry(Math.floor((now - maxAgeMs - 1000) / 1000), now)).toBe(true);
+    });
+
+    test('lets entries without a time through', () => {
+      expect(isStaleEntry(undefined, now)).toBe(false);
+      expect(isStaleEntry('1700000000', now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Admin API Authentication
+ * Protects the management routes with API keys and signed session tokens.
+ * Keys are only ever stored as SHA-256 hashes, either in
+ * `config.security.auth.apiKeys` or in the store (keys created or rotated
+ * at runtime). Each key carries scopes that decide which routes it can use.
+ * Author: IRFAN
+ * Version: 2.0.0
+ *
+ * Create a key for config.json with:
+ *   node utils/adminAuth.js create "<name>" reload,broadcast,users,posts,moderation
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const COLLECTION = 'apiKeys';
+const KEY_PREFIX = 'pbk_';
+
+// Scopes a key can hold; `*` grants all of them plus key management
+const SCOPES = ['reload', 'broadcast', 'users', 'posts', 'moderation'];
+
+const authConfig = {
+  sessionTtlMinutes: 720,
+  rotationGraceMinutes: 60,
+  protectStatus: false,
+  protectInsights: true,
+  apiKeys: [],
+  ...(config.security && config.security.auth),
+};
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Constant-time comparison of two hex digests. Hashes are decoded first:
+// a malformed one decodes to fewer bytes and simply does not match
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Split `pbk_<id>.<secret>` into its parts
+function parseApiKey(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+  const [id, secret] = apiKey.slice(KEY_PREFIX.length).split('.');
+  return id && secret ? { id, secret } : null;
+}
+
+/**
+ * Generate a new API key.
+ * @param {string} [id] Keep the id of an existing key (rotation)
+ * @returns {{ id: string, apiKey: string, hash: string }} `apiKey` is the
+ *   only copy of the secret and must be handed to the caller
+ */
+function generateApiKey(id = crypto.randomBytes(4).toString('hex')) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { id, apiKey: `${KEY_PREFIX}${id}.${secret}`, hash: hashSecret(secret) };
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  const cleaned = list.map(scope => scope.trim()).filter(Boolean);
+  const unknown = cleaned.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new AuthError(`Unknown scope(s): ${unknown.join(', ')}`, 400);
+  }
+  if (cleaned.length === 0) {
+    throw new AuthError('At least one scope is required', 400);
+  }
+  return [...new Set(cleaned)];
+}
+
+class AdminAuth {
+  constructor() {
+    this.sessionSecret = process.env.ADMIN_SESSION_SECRET || authConfig.sessionSecret;
+    if (!this.sessionSecret) {
+      // Sessions still work, but do not survive a restart
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+      if (require.main !== module) {
+        logger.warn('🔑 No security.auth.sessionSecret set, dashboard sessions end on restart');
+      }
+    }
+  }
+
+  // Key records from config, overridden by the store (rotation, revocation)
+  async getKeys() {
+    const keys = new Map();
+    for (const key of authConfig.apiKeys || []) {
+      keys.set(key.id, { ...key, source: 'config' });
+    }
+    for (const { _id, ...key } of await userStore.listRecords(COLLECTION)) {
+      keys.set(key.id, { ...keys.get(key.id), ...key, source: keys.has(key.id) ? 'config' : 'store' });
+    }
+    return keys;
+  }
+
+  async getKey(id) {
+    return (await this.getKeys()).get(id) || null;
+  }
+
+  // Strip hashes before handing a key record out
+  present(key) {
+    const { hash, previousHash, ...rest } = key;
+    return rest;
+  }
+
+  async listKeys() {
+    return [...(await this.getKeys()).values()].map(key => this.present(key));
+  }
+
+  /**
+   * Create an API key stored (hashed) in the store.
+   * @param {string} name Who or what the key is for
+   * @param {Array<string>|string} scopes
+   * @returns {Promise<Object>} The key record plus the plain `apiKey`, which
+   *   is not stored anywhere and cannot be shown again
+   */
+  async createKey(name, scopes) {
+    if (!name) throw new AuthError('A key name is required', 400);
+    const { id, apiKey, hash } = generateApiKey();
+    const key = {
+      id,
+      name,
+      hash,
+      scopes: normalizeScopes(scopes),
+      createdAt: new Date().toISOString(),
+      revoked: false,
+    };
+    await userStore.saveRecord(COLLECTION, id, key);
+    logger.info(`🔑 API key ${id} (${name}) created`);
+    return { ...this.present(key), apiKey };
+  }
+
+  /**
+   * Replace the secret of a key. The old secret keeps working for
+   * `rotationGraceMinutes` so deployments can switch over.
+   * @param {string} id
+   * @returns {Promise<Object|null>} Key record with the new `apiKey`, or null
+   *   if the key does not exist
+   */
+  async rotateKey(id) {
+    const key = await this.getKey(id);
+    if (!key) return null;
+    if (key.revoked) throw new AuthError(`Key ${id} is revoked`, 409);
+
+    const { apiKey, hash } = generateApiKey(id);
+    const { source, ...record } = key;
+    record.previousHash = key.hash;
+    record.previousValidUntil = Date.now() + authConfig.rotationGraceMinutes * 60 * 1000;
+    record.hash = hash;
+    record.rotatedAt = new Date().toISOString();
+    await userStore.saveRecord(COLLECTION, id, record);
+    logger.info(`🔑 API key ${id} (${key.name}) rotated`);
+    return { ...this.present(record), apiKey };
+  }
+
+  /**
+   * Revoke a key. Session tokens issued for it stop working immediately.
+   * @param {string} id
+   * @returns {Promise<Object|null>} The revoked key, or null if not found
+   */
+  async revokeKey(id) {
+    const key = await this.getKey(id);
+    if (!key) return null;
+    const { source, ...record } = key;
+    record.revoked = true;
+    record.revokedAt = new Date().toISOString();
+    await userStore.saveRecord(COLLECTION, id, record);
+    logger.info(`🔑 API key ${id} (${key.name}) revoked`);
+    return this.present(record);
+  }
+
+  // Check an API key against the stored hashes
+  async verifyApiKey(apiKey) {
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) return null;
+    const key = await this.getKey(parsed.id);
+    if (!key || key.revoked) return null;
+
+    const hash = hashSecret(parsed.secret);
+    const matches = safeEqual(hash, key.hash) ||
+      (key.previousValidUntil > Date.now() && safeEqual(hash, key.previousHash));
+    return matches ? key : null;
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(data).digest('base64url');
+  }
+
+  /**
+   * Exchange an API key for a signed session token (dashboard login).
+   * @param {string} apiKey
+   * @returns {Promise<{ token: string, expiresAt: string, name: string, scopes: Array<string> }>}
+   * @throws {AuthError} If the key is invalid
+   */
+  async login(apiKey) {
+    const key = await this.verifyApiKey(apiKey);
+    if (!key) throw new AuthError('Invalid API key');
+
+    const exp = Date.now() + authConfig.sessionTtlMinutes * 60 * 1000;
+    const body = Buffer.from(JSON.stringify({ kid: key.id, iat: Date.now(), exp })).toString('base64url');
+    logger.info(`🔑 Dashboard login with key ${key.id} (${key.name})`);
+    return {
+      token: `${body}.${this.sign(body)}`,
+      expiresAt: new Date(exp).toISOString(),
+      name: key.name,
+      scopes: key.scopes,
+    };
+  }
+
+  // Check a session token's signature and expiry, returning its key
+  async verifySession(token) {
+    const [body, signature] = String(token).split('.');
+    if (!body || !signature) return null;
+
+    const expected = this.sign(body);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch {
+      return null;
+    }
+    if (!session.exp || session.exp < Date.now()) return null;
+
+    const key = await this.getKey(session.kid);
+    return key && !key.revoked ? key : null;
+  }
+
+  /**
+   * Resolve the credentials of a request. Accepts
+   * `Authorization: Bearer <api key | session token>` or `X-API-Key`.
+   * @param {import('express').Request} req
+   * @returns {Promise<Object|null>} `{ id, name, scopes }` or null
+   */
+  async authenticate(req) {
+    const header = req.get('authorization') || '';
+    const credential = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+    if (!credential) return null;
+
+    const key = credential.startsWith(KEY_PREFIX)
+      ? await this.verifyApiKey(credential)
+      : await this.verifySession(credential);
+    return key ? { id: key.id, name: key.name, scopes: key.scopes } : null;
+  }
+
+  hasScope(admin, scope) {
+    return admin.scopes.includes('*') || admin.scopes.includes(scope);
+  }
+
+  /**
+   * Express middleware guarding a route.
+   * @param {string|null} scope Required scope; `*` for key management, null
+   *   for any valid credential
+   * @returns {Function}
+   */
+  requireAdmin(scope = null) {
+    return async (req, res, next) => {
+      try {
+        const admin = await this.authenticate(req);
+        if (!admin) {
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (scope && !this.hasScope(admin, scope)) {
+          return res.status(403).json({ error: `Missing scope: ${scope}` });
+        }
+        req.admin = admin;
+        next();
+      } catch (error) {
+        logger.error('Error authenticating admin request:', error);
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  // Guard for /status and /insights, which are only protected when configured
+  protect(setting) {
+    const guard = this.requireAdmin();
+    return (req, res, next) => (authConfig[setting] ? guard(req, res, next) : next());
+  }
+}
+
+const adminAuth = new AdminAuth();
+
+module.exports = adminAuth;
+module.exports.AuthError = AuthError;
+module.exports.SCOPES = SCOPES;
+module.exports.generateApiKey = generateApiKey;
+
+// CLI: print a new key and the hashed entry to add to config.json
+if (require.main === module) {
+  const [command, name, scopes] = process.argv.slice(2);
+  if (command !== 'create' || !name) {
+    console.log('Usage: node utils/adminAuth.js create "<name>" <scope,scope|*>');
+    console.log(`Scopes: ${SCOPES.join(', ')}, *`);
+    process.exit(1);
+  }
+  const { id, apiKey, hash } = generateApiKey();
+  console.log(`API key (shown once): ${apiKey}\n`);
+  console.log('Add to config.json under security.auth.apiKeys:');
+  console.log(JSON.stringify({ id, name, hash, scopes: normalizeScopes(scopes || '*') }, null, 2));
+  process.exit(0);
+}
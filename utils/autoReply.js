@@ -0,0 +1,338 @@
+/**
+ * Auto Reply
+ * Answers free-text messages from a local FAQ knowledge base. A question
+ * is matched against each entry by keyword rules first, then by TF-IDF
+ * cosine similarity over the entry's sample questions; words are
+ * normalised through the synonym table and misspellings are mapped to the
+ * closest known word. Messages nothing matches well enough get the default
+ * fallback reply and are logged so staff can extend the knowledge base.
+ *
+ * Knowledge base format (see resources/faq.json):
+ *   {
+ *     "synonyms": { "price": ["cost", "fee"] },
+ *     "entries": [{
+ *       "id": "pricing",
+ *       "keywords": ["price list"],
+ *       "questions": ["How much does it cost?"],
+ *       "reply": { "text": "...", "quickReplies": [...], "buttons": [...] }
+ *     }]
+ *   }
+ * Reply texts and titles are strings or `{ "<locale>": "..." }` maps.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const logger = require('./logger');
+const i18n = require('./i18n');
+const userStore = require('../models/userStore');
+
+const UNANSWERED_COLLECTION = 'unansweredQuestions';
+
+const autoReplyConfig = {
+  knowledgeBase: 'resources/faq.json',
+  minScore: 0.3,
+  fuzzyMatching: true,
+  logUnanswered: true,
+  fallback: {},
+  ...config.autoReply,
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'am', 'was', 'were', 'be', 'do', 'does', 'did',
+  'i', 'you', 'we', 'it', 'me', 'my', 'your', 'our', 'to', 'of', 'in', 'on', 'at',
+  'for', 'and', 'or', 'can', 'could', 'would', 'will', 'please', 'what', 'how',
+  'there', 'this', 'that', 'with', 'about', 'any',
+]);
+
+// Crude suffix stripping so "prices" / "pricing" / "priced" meet
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|s)$/, '').replace(/e$/, '');
+}
+
+// Edit distance, used to map misspelt words onto the vocabulary
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+class AutoReplier {
+  constructor(options = autoReplyConfig) {
+    this.options = options;
+    this.file = path.join(__dirname, '..', options.knowledgeBase);
+    this.entries = [];
+    this.synonyms = new Map();
+    this.vocabulary = new Set();
+    this.idf = new Map();
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  get enabled() {
+    return Boolean(config.features.enableAutoReplies);
+  }
+
+  // Load the knowledge base and build the TF-IDF index
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        logger.warn(`💡 Knowledge base not found: ${this.file}`);
+        this.entries = [];
+        return;
+      }
+      const knowledgeBase = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.loadedMtime = fs.statSync(this.file).mtimeMs;
+
+      this.synonyms = new Map();
+      for (const [canonical, words] of Object.entries(knowledgeBase.synonyms || {})) {
+        const target = stem(canonical.toLowerCase());
+        for (const word of [canonical, ...words]) {
+          this.synonyms.set(stem(word.toLowerCase()), target);
+        }
+      }
+
+      this.entries = (knowledgeBase.entries || []).map(entry => ({
+        ...entry,
+        keywordTokens: (entry.keywords || []).map(keyword => this.tokenize(keyword, false)),
+        documentTokens: [...(entry.questions || []), ...(entry.keywords || [])]
+          .flatMap(text => this.tokenize(text, false)),
+      }));
+
+      this.vocabulary = new Set(this.entries.flatMap(entry => entry.documentTokens));
+      const documentFrequency = new Map();
+      for (const entry of this.entries) {
+        for (const token of new Set(entry.documentTokens)) {
+          documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+      }
+      this.idf = new Map([...documentFrequency].map(([token, count]) =>
+        [token, Math.log((this.entries.length + 1) / (count + 1)) + 1]
+      ));
+      for (const entry of this.entries) {
+        entry.vector = this.vectorize(entry.documentTokens);
+      }
+
+      logger.info(`💡 Loaded ${this.entries.length} FAQ entries`);
+    } catch (error) {
+      logger.error(`💡 Failed to load knowledge base: ${error.message}`);
+    }
+  }
+
+  // Pick up edits to the knowledge base without a restart
+  reloadIfChanged() {
+    try {
+      if (fs.existsSync(this.file) && fs.statSync(this.file).mtimeMs !== this.loadedMtime) {
+        this.load();
+      }
+    } catch (error) {
+      logger.debug(`💡 Could not check knowledge base: ${error.message}`);
+    }
+  }
+
+  // Words of a text, stemmed, without stopwords, mapped through synonyms
+  // and (for incoming messages) corrected to the closest known word
+  tokenize(text, correct = true) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(word => {
+        const token = this.synonyms.get(stem(word)) || stem(word);
+        return correct ? this.correct(token) : token;
+      });
+  }
+
+  // Closest vocabulary word within 1 edit (2 for long words)
+  correct(token) {
+    if (!this.options.fuzzyMatching || this.vocabulary.has(token) || token.length < 4) {
+      return token;
+    }
+    const maxDistance = token.length >= 7 ? 2 : 1;
+    let best = token;
+    let bestDistance = maxDistance + 1;
+    for (const word of this.vocabulary) {
+      if (Math.abs(word.length - token.length) > maxDistance) continue;
+      const distance = levenshtein(token, word);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // Normalised TF-IDF vector of a token list
+  vectorize(tokens) {
+    const vector = new Map();
+    for (const token of tokens) {
+      if (this.idf.has(token)) {
+        vector.set(token, (vector.get(token) || 0) + this.idf.get(token) / tokens.length);
+      }
+    }
+    const norm = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+    for (const [token, value] of vector) {
+      vector.set(token, value / (norm || 1));
+    }
+    return vector;
+  }
+
+  /**
+   * Find the knowledge base entry answering a message.
+   * @param {string} text Message text
+   * @returns {{ entry: Object|null, score: number, method: string|null, best: Object|null }}
+   *   `best` is the closest entry even when it scored below `minScore`
+   */
+  match(text) {
+    this.reloadIfChanged();
+    const tokens = this.tokenize(text);
+    const tokenSet = new Set(tokens);
+
+    // Keyword rules: every word of a keyword phrase appears in the message
+    let keywordMatch = null;
+    for (const entry of this.entries) {
+      for (const keyword of entry.keywordTokens) {
+        if (keyword.length > 0 && keyword.every(token => tokenSet.has(token)) &&
+            (!keywordMatch || keyword.length > keywordMatch.length)) {
+          keywordMatch = { entry, length: keyword.length };
+        }
+      }
+    }
+    if (keywordMatch) {
+      return { entry: keywordMatch.entry, score: 1, method: 'keyword', best: keywordMatch.entry };
+    }
+
+    // TF-IDF cosine similarity against the sample questions
+    const vector = this.vectorize(tokens);
+    let best = null;
+    let bestScore = 0;
+    for (const entry of this.entries) {
+      let score = 0;
+      for (const [token, value] of vector) {
+        score += value * (entry.vector.get(token) || 0);
+      }
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    }
+
+    const answered = best && bestScore >= this.options.minScore;
+    return {
+      entry: answered ? best : null,
+      score: Number(bestScore.toFixed(3)),
+      method: answered ? 'tfidf' : null,
+      best,
+    };
+  }
+
+  // Turn a configured reply into sendMessage arguments
+  buildReply(reply, locale, vars) {
+    const format = value => i18n.format(i18n.localize(value, locale), vars);
+    const quickReplies = (reply.quickReplies || []).map(quickReply => ({
+      content_type: 'text',
+      ...quickReply,
+      title: format(quickReply.title),
+    }));
+    const buttons = (reply.buttons || []).map(button => ({
+      type: button.url ? 'web_url' : 'postback',
+      ...button,
+      title: format(button.title),
+    }));
+
+    if (buttons.length > 0) {
+      return { text: format(reply.text), type: 'buttons', options: { buttons } };
+    }
+    if (quickReplies.length > 0) {
+      return { text: format(reply.text), type: 'quick_replies', options: { quickReplies } };
+    }
+    return { text: format(reply.text), type: 'text', options: {} };
+  }
+
+  /**
+   * Build the answer to a free-text message: the matching FAQ reply, or
+   * the default fallback (which also logs the question as unanswered).
+   * @param {string} text Message text
+   * @param {Object} details
+   * @param {string} details.senderId PSID of the user
+   * @param {string} details.locale User's locale
+   * @param {string} details.prefix User's command prefix
+   * @returns {Promise<{ text: string, type: string, options: Object, entryId: string|null }>}
+   */
+  async respond(text, { senderId, locale, prefix }) {
+    const vars = { prefix, botName: config.bot.name };
+
+    if (this.enabled) {
+      const result = this.match(text);
+      if (result.entry) {
+        logger.debug(`💡 FAQ ${result.entry.id} answered ${senderId} (${result.method}, ${result.score})`);
+        return { ...this.buildReply(result.entry.reply || {}, locale, vars), entryId: result.entry.id };
+      }
+      if (this.options.logUnanswered) {
+        await this.logUnanswered(text, senderId, result);
+      }
+    }
+
+    const fallback = {
+      ...this.options.fallback,
+      text: this.options.fallback.text || i18n.translate(locale, 'autoReply.fallback', vars),
+    };
+    return { ...this.buildReply(fallback, locale, vars), entryId: null };
+  }
+
+  // Count a question nothing answered; repeats of the same text share a record
+  async logUnanswered(text, senderId, result) {
+    try {
+      const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+      if (!normalized) return;
+      const id = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+      const now = new Date().toISOString();
+      const existing = await userStore.getRecord(UNANSWERED_COLLECTION, id);
+      await userStore.saveRecord(UNANSWERED_COLLECTION, id, {
+        id,
+        text: existing ? existing.text : text,
+        count: (existing ? existing.count : 0) + 1,
+        lastSenderId: senderId,
+        closestEntry: result.best ? result.best.id : null,
+        score: result.score,
+        firstAskedAt: existing ? existing.firstAskedAt : now,
+        lastAskedAt: now,
+      });
+    } catch (error) {
+      logger.error(`💡 Failed to log unanswered question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Questions nothing answered, most asked first.
+   * @param {Object} [options]
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUnanswered({ limit = 100 } = {}) {
+    const records = await userStore.listRecords(UNANSWERED_COLLECTION);
+    return records
+      .map(({ _id, ...record }) => record)
+      .sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt))
+      .slice(0, limit);
+  }
+
+  // Remove a question from the log, e.g. once the knowledge base covers it
+  async dismissUnanswered(id) {
+    return userStore.deleteRecord(UNANSWERED_COLLECTION, id);
+  }
+}
+
+module.exports = new AutoReplier();
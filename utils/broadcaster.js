@@ -0,0 +1,455 @@
+/**
+ * Broadcast Job Runner
+ * Selects broadcast recipients from the user store by segment, honours the
+ * 24-hour messaging window, sends through a throttled job runner and keeps
+ * a persistent job record with per-recipient delivery results.
+ *
+ * Recipients go pending -> queued once their message is on the send queue,
+ * then sent or failed when the queue reports the outcome. The window is
+ * checked again for each recipient when the message is queued, so jobs
+ * resumed or retried later skip users it has closed for. Re-driving a
+ * broadcast dead letter only goes ahead while its recipient is still
+ * failed.
+ *
+ * Outcomes reported once a job has finished running are buffered and
+ * written to its record in batches of `saveEvery`, or after
+ * `outcomeFlushMs`, instead of rewriting the record for every recipient.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Message tags allowed to reach users outside the 24-hour window
+const MESSAGE_TAGS = ['CONFIRMED_EVENT_UPDATE', 'POST_PURCHASE_UPDATE', 'ACCOUNT_UPDATE'];
+const OUTSIDE_WINDOW = 'Outside the 24-hour messaging window and no message tag given';
+
+const broadcastConfig = {
+  ratePerSecond: 10,
+  concurrency: 5,
+  saveEvery: 25,
+  outcomeFlushMs: 5000,
+  ...config.broadcast,
+};
+
+const segmentSchema = Joi.object({
+  tags: Joi.array().items(Joi.string()),
+  excludeTags: Joi.array().items(Joi.string()),
+  activeWithinHours: Joi.number().positive(),
+  inactiveForHours: Joi.number().positive(),
+  minBalance: Joi.number(),
+  maxBalance: Joi.number(),
+  locales: Joi.array().items(Joi.string()),
+  uids: Joi.array().items(Joi.string()),
+});
+
+const broadcastSchema = Joi.object({
+  type: Joi.string()
+    .valid('text', 'quick_replies', 'buttons', 'generic', 'media', 'audio', 'video', 'file')
+    .default('text'),
+  // Template and media broadcasts carry their content in `options`
+  message: Joi.when('type', {
+    is: Joi.valid('text', 'quick_replies', 'buttons'),
+    then: Joi.string().required(),
+    otherwise: Joi.string().allow('').default(''),
+  }),
+  options: Joi.object().default({}),
+  segment: segmentSchema.default({}),
+  tag: Joi.string().valid(...MESSAGE_TAGS),
+});
+
+class Broadcaster {
+  constructor() {
+    this.queue = [];
+    this.running = false;
+    // Job being run; delivery results for it are applied in memory
+    this.current = null;
+    // job id -> last store write, so writes for a job land in order
+    this.writes = new Map();
+    // job id -> (uid -> result) reported but not yet written
+    this.outcomes = new Map();
+    // job ids with a flush waiting in the write chain
+    this.flushing = new Set();
+    this.flushTimer = null;
+
+    fbApi.sendQueue.on('sent', job => this.handleOutcome(job, { status: 'sent' }));
+    fbApi.sendQueue.on('deadLettered', (job, error) => this.handleOutcome(job, {
+      status: 'failed',
+      error: error.response?.data?.error?.message || error.message,
+    }));
+    fbApi.sendQueue.addRedriveGuard(job => this.allowRedrive(job));
+  }
+
+  // Validate a broadcast request body, returning `{ value, error }`
+  validate(body) {
+    return broadcastSchema.validate(body, { stripUnknown: true });
+  }
+
+  // Check whether a user record matches a segment
+  matchesSegment(user, segment) {
+    const now = Date.now();
+    const tags = user.tags || [];
+    const lastInteraction = user.lastInteractionAt || 0;
+    const balance = Number(user.balance) || 0;
+
+    if (segment.uids && !segment.uids.includes(user.uid)) return false;
+    if (segment.tags && segment.tags.length > 0 && !segment.tags.some(tag => tags.includes(tag))) return false;
+    if (segment.excludeTags && segment.excludeTags.some(tag => tags.includes(tag))) return false;
+    if (segment.activeWithinHours && now - lastInteraction > segment.activeWithinHours * HOUR_MS) return false;
+    if (segment.inactiveForHours && now - lastInteraction < segment.inactiveForHours * HOUR_MS) return false;
+    if (segment.minBalance !== undefined && balance < segment.minBalance) return false;
+    if (segment.maxBalance !== undefined && balance > segment.maxBalance) return false;
+    if (segment.locales && segment.locales.length > 0) {
+      // Match full locales (en_US) or bare languages (en)
+      const locale = (user.language || user.profile?.locale || user.locale || '').toLowerCase();
+      const matches = segment.locales.some(wanted => {
+        wanted = wanted.toLowerCase();
+        return locale === wanted || locale.split(/[_-]/)[0] === wanted;
+      });
+      if (!matches) return false;
+    }
+    return true;
+  }
+
+  // Whether a user can still be messaged without a tag
+  inWindow(user, now = Date.now()) {
+    return Boolean(user.lastInteractionAt && now - user.lastInteractionAt < MESSAGING_WINDOW_MS);
+  }
+
+  // Resolve the recipients of a segment
+  async selectRecipients(segment = {}) {
+    const users = await userStore.getAllUsers();
+    return users.filter(user => this.matchesSegment(user, segment));
+  }
+
+  /**
+   * Create a broadcast job and queue it for delivery.
+   * @param {Object} spec Validated broadcast request
+   * @param {string} createdBy Admin who created the broadcast
+   * @returns {Promise<Object>} The job record
+   */
+  async createJob(spec, createdBy) {
+    const users = await this.selectRecipients(spec.segment);
+    const now = Date.now();
+    const recipients = {};
+
+    for (const user of users) {
+      recipients[user.uid] = this.inWindow(user, now) || spec.tag
+        ? { status: 'pending' }
+        : { status: 'skipped', error: OUTSIDE_WINDOW };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdBy,
+      message: spec.message,
+      type: spec.type,
+      options: spec.options,
+      segment: spec.segment,
+      tag: spec.tag || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      recipients,
+      stats: this.computeStats(recipients),
+    };
+
+    await userStore.saveRecord('broadcasts', job.id, job);
+    logger.info(`📢 Broadcast ${job.id} created for ${users.length} users`);
+    this.enqueue(job.id);
+    return job;
+  }
+
+  computeStats(recipients) {
+    const stats = { total: 0, pending: 0, queued: 0, sent: 0, failed: 0, skipped: 0 };
+    for (const { status } of Object.values(recipients)) {
+      stats.total++;
+      stats[status]++;
+    }
+    return stats;
+  }
+
+  // Run a store write for a job after the previous ones
+  chain(id, write) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.then(write);
+    const settled = next.catch(() => {});
+    this.writes.set(id, settled);
+    settled.then(() => {
+      if (this.writes.get(id) === settled) this.writes.delete(id);
+    });
+    return next;
+  }
+
+  save(job) {
+    return this.chain(job.id, () => userStore.saveRecord('broadcasts', job.id, job));
+  }
+
+  /**
+   * Change a job record: the running job in memory, where runJob() saves
+   * it, any other one in the store.
+   * @param {string} id
+   * @param {Function} change Receives the job; its result is returned
+   * @returns {Promise<*>} undefined if the job does not exist
+   */
+  async update(id, change) {
+    if (this.current && this.current.id === id) {
+      this.applyOutcomes(this.current);
+      return change(this.current);
+    }
+    return this.chain(id, async () => {
+      const job = await this.getJob(id);
+      if (!job) {
+        this.outcomes.delete(id);
+        this.flushing.delete(id);
+        return undefined;
+      }
+      this.applyOutcomes(job);
+      const result = await change(job);
+      job.stats = this.computeStats(job.recipients);
+      await userStore.saveRecord('broadcasts', id, job);
+      return result;
+    });
+  }
+
+  // Record the delivery result the send queue reported for a recipient:
+  // straight onto the running job, otherwise buffered for flushOutcomes()
+  handleOutcome(job, result) {
+    const broadcast = job.meta?.broadcast;
+    if (!broadcast) return;
+    if (!this.outcomes.has(broadcast.id)) {
+      this.outcomes.set(broadcast.id, new Map());
+    }
+    const outcomes = this.outcomes.get(broadcast.id);
+    outcomes.set(broadcast.uid, { ...result, at: new Date().toISOString() });
+
+    if (this.current && this.current.id === broadcast.id) {
+      this.applyOutcomes(this.current);
+    } else if (outcomes.size >= broadcastConfig.saveEvery) {
+      this.flushOutcomes(broadcast.id);
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        for (const id of this.outcomes.keys()) this.flushOutcomes(id);
+      }, broadcastConfig.outcomeFlushMs);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  // Move the buffered outcomes of a job onto its record
+  applyOutcomes(job) {
+    const outcomes = this.outcomes.get(job.id);
+    this.flushing.delete(job.id);
+    if (!outcomes) return;
+    this.outcomes.delete(job.id);
+    for (const [uid, result] of outcomes) {
+      if (job.recipients[uid]) {
+        job.recipients[uid] = result;
+      }
+    }
+  }
+
+  // Write the buffered outcomes of a job in one record update
+  flushOutcomes(id) {
+    if (this.flushing.has(id)) return;
+    this.flushing.add(id);
+    this.update(id, () => {}).catch(error => {
+      this.flushing.delete(id);
+      logger.error(`Failed to record delivery results of broadcast ${id}:`, error.message);
+    });
+  }
+
+  // Send queue redrive guard: a broadcast dead letter is only sent again
+  // while its recipient is failed and still inside the messaging window
+  async allowRedrive(job) {
+    const broadcast = job.meta?.broadcast;
+    if (!broadcast) return true;
+    const user = await userStore.getUser(broadcast.uid);
+
+    const allowed = await this.update(broadcast.id, record => {
+      const recipient = record.recipients[broadcast.uid];
+      if (!recipient || recipient.status !== 'failed') return false;
+      if (!record.tag && !this.inWindow(user)) {
+        record.recipients[broadcast.uid] = { status: 'skipped', error: OUTSIDE_WINDOW, at: new Date().toISOString() };
+        return false;
+      }
+      record.recipients[broadcast.uid] = { status: 'queued', at: new Date().toISOString() };
+      return true;
+    });
+    return allowed === true;
+  }
+
+  async getJob(id) {
+    const job = await userStore.getRecord('broadcasts', id);
+    if (!job) return null;
+    delete job._id;
+    return job;
+  }
+
+  // List jobs without their per-recipient results, newest first
+  async listJobs() {
+    const jobs = await userStore.listRecords('broadcasts');
+    return jobs
+      .map(({ _id, recipients, ...job }) => job)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Queue the failed recipients of a job for another delivery attempt.
+   * @param {string} id
+   * @returns {Promise<number|null>} Number of recipients retried, or null
+   *   if the job does not exist
+   */
+  async retryFailed(id) {
+    const retried = await this.update(id, job => {
+      let count = 0;
+      for (const [uid, result] of Object.entries(job.recipients)) {
+        if (result.status === 'failed') {
+          job.recipients[uid] = { status: 'pending' };
+          count++;
+        }
+      }
+      if (count > 0 && job.status !== 'running') {
+        job.status = 'queued';
+      }
+      return count;
+    });
+    if (retried === undefined) return null;
+
+    if (retried > 0) {
+      this.enqueue(id);
+    }
+    return retried;
+  }
+
+  // Re-queue jobs that were interrupted by a restart
+  async resumePending() {
+    const jobs = await userStore.listRecords('broadcasts');
+    const pending = jobs
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    pending.forEach(job => this.enqueue(job.id));
+    if (pending.length > 0) {
+      logger.info(`📢 Resuming ${pending.length} broadcast job(s)`);
+    }
+    return pending.length;
+  }
+
+  enqueue(id) {
+    if (!this.queue.includes(id)) {
+      this.queue.push(id);
+    }
+    this.runNext();
+  }
+
+  // Run queued jobs one at a time
+  async runNext() {
+    if (this.running || this.queue.length === 0) return;
+    this.running = true;
+    const id = this.queue.shift();
+
+    try {
+      await this.runJob(id);
+    } catch (error) {
+      logger.error(`Broadcast ${id} failed:`, error);
+      this.current = null;
+      await this.update(id, job => {
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date().toISOString();
+      }).catch(saveError => logger.error(`Failed to save broadcast ${id}:`, saveError.message));
+    } finally {
+      this.running = false;
+      this.runNext();
+    }
+  }
+
+  async runJob(id) {
+    // Loaded in the write chain, so results reported from here on are
+    // applied to this copy
+    const job = await this.chain(id, async () => {
+      const record = await this.getJob(id);
+      if (record) this.applyOutcomes(record);
+      this.current = record;
+      return record;
+    });
+    if (!job) return;
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.save(job);
+
+    const { concurrency, ratePerSecond, saveEvery } = broadcastConfig;
+    const batchIntervalMs = Math.ceil((concurrency / ratePerSecond) * 1000);
+    let sinceSave = 0;
+
+    // Recipients failed back to pending by retryFailed() while running are
+    // picked up by the next pass
+    let pending;
+    while ((pending = Object.keys(job.recipients).filter(uid => job.recipients[uid].status === 'pending')).length > 0) {
+      for (let i = 0; i < pending.length; i += concurrency) {
+        const batch = pending.slice(i, i + concurrency);
+        const startedAt = Date.now();
+
+        await Promise.all(batch.map(uid => this.sendTo(job, uid)));
+
+        sinceSave += batch.length;
+        if (sinceSave >= saveEvery) {
+          job.stats = this.computeStats(job.recipients);
+          await this.save(job);
+          sinceSave = 0;
+        }
+
+        const elapsed = Date.now() - startedAt;
+        if (elapsed < batchIntervalMs && i + concurrency < pending.length) {
+          await fbApi.delay(batchIntervalMs - elapsed);
+        }
+      }
+    }
+
+    job.stats = this.computeStats(job.recipients);
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    const saved = this.save(job);
+    this.current = null;
+    await saved;
+    logger.info(`📢 Broadcast ${id} completed: ${job.stats.queued} queued, ${job.stats.sent} sent, ${job.stats.failed} failed, ${job.stats.skipped} skipped`);
+  }
+
+  // Queue the message for one recipient, unless the messaging window has
+  // closed for them since the job was created
+  async sendTo(job, uid) {
+    try {
+      const user = await userStore.getUser(uid);
+      if (!job.tag && !this.inWindow(user)) {
+        job.recipients[uid] = { status: 'skipped', error: OUTSIDE_WINDOW, at: new Date().toISOString() };
+        return;
+      }
+
+      job.recipients[uid] = { status: 'queued', at: new Date().toISOString() };
+      await fbApi.sendMessage(uid, job.message, job.type, {
+        ...job.options,
+        messagingType: 'UPDATE',
+        tag: job.tag || undefined,
+        meta: { broadcast: { id: job.id, uid } },
+      });
+    } catch (error) {
+      job.recipients[uid] = {
+        status: 'failed',
+        error: error.response?.data?.error?.message || error.message,
+        at: new Date().toISOString(),
+      };
+    }
+  }
+}
+
+module.exports = new Broadcaster();
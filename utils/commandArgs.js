@@ -0,0 +1,366 @@
+/**
+ * Command Arguments
+ * Lets command plugins declare their arguments instead of picking apart
+ * `args` themselves. The text after the command is split into words
+ * (quotes keep spaces together: "Big Joe"), matched against the declared
+ * positional arguments and `--flags`, and validated with Joi. The parsed
+ * values reach the plugin as `ctx.params`; the usage line shown in /help
+ * and in usage errors is generated from the same declaration.
+ *
+ *   config: {
+ *     args: [
+ *       { name: 'user', type: 'user', required: true },
+ *       { name: 'amount', type: 'int', min: 0, required: true },
+ *       { name: 'note', type: 'rest' },
+ *     ],
+ *     flags: {
+ *       silent: { type: 'boolean', alias: 's' },
+ *       limit: { type: 'int', min: 1, default: 10 },
+ *     },
+ *   }
+ *
+ * Types:
+ *   string    one word, or several in quotes; `max` length
+ *   int       whole number; `min`, `max`
+ *   number    any number; `min`, `max`
+ *   enum      one of `values` (case-insensitive)
+ *   duration  e.g. 30s, 10m, 1h30m, 2d, 1w, parsed to milliseconds; `min`, `max`
+ *   user      UID or nickname, resolved to the user record
+ *   boolean   flags only: `--silent`, `--silent=false`
+ *   rest      the remaining text as typed; must be the last argument
+ * Any argument may be `required` or have a `default`.
+ *
+ * Flags are written `--name value`, `--name=value` or `-a value` for an
+ * `alias`; `--` ends the flags. Flags typed after the start of a `rest`
+ * argument are part of its text.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const Joi = require('joi');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const userStore = require('../models/userStore');
+
+const TYPES = ['string', 'int', 'number', 'enum', 'duration', 'user', 'boolean', 'rest'];
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?[smhdw])+$/;
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+// Opening quote -> closing quote, including the curly quotes phones type
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+class ArgumentError extends Error {
+  /**
+   * @param {string} code Catalogue key under `args.errors`, e.g. `missing`
+   * @param {string} message
+   * @param {Object} [details] Values for the user-facing message
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ArgumentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Convert a duration like `1h30m` to milliseconds.
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null if the text isn't a duration
+ */
+function parseDuration(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!DURATION_PATTERN.test(value)) return null;
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)([smhdw])/g)) {
+    total += Number(amount) * DURATION_UNITS[unit];
+  }
+  return Math.round(total);
+}
+
+/**
+ * Split argument text into words. A word starting with a quote runs to the
+ * matching closing quote; a quote that is never closed is kept as typed.
+ * @param {string} text
+ * @returns {Array<{ value: string, start: number, quoted: boolean }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const input = String(text || '');
+  let index = 0;
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+    const start = index;
+    const close = QUOTES[input[index]];
+    const end = close ? input.indexOf(close, index + 1) : -1;
+    if (end > index) {
+      tokens.push({ value: input.slice(index + 1, end), start, quoted: true });
+      index = end + 1;
+      continue;
+    }
+    while (index < input.length && !/\s/.test(input[index])) index++;
+    tokens.push({ value: input.slice(start, index), start, quoted: false });
+  }
+  return tokens;
+}
+
+// Joi schema for one argument or flag
+function buildSchema(spec) {
+  let schema;
+  switch (spec.type) {
+    case 'int':
+    case 'number':
+      schema = spec.type === 'int' ? Joi.number().integer() : Joi.number();
+      if (spec.min !== undefined) schema = schema.min(spec.min);
+      if (spec.max !== undefined) schema = schema.max(spec.max);
+      break;
+    case 'enum':
+      schema = Joi.string().lowercase().valid(...spec.values.map(value => String(value).toLowerCase()));
+      break;
+    case 'duration':
+      schema = Joi.any().custom((value, helpers) => {
+        const ms = typeof value === 'number' ? value : parseDuration(value);
+        if (ms === null || ms <= 0) return helpers.error('duration.base');
+        if (spec.min !== undefined && ms < parseDuration(spec.min)) return helpers.error('duration.min', { limit: spec.min });
+        if (spec.max !== undefined && ms > parseDuration(spec.max)) return helpers.error('duration.max', { limit: spec.max });
+        return ms;
+      });
+      break;
+    case 'user':
+      schema = Joi.string().external(async value => {
+        if (value === undefined) return value;
+        const matches = await userStore.findUsers(value);
+        if (matches.length === 1) return matches[0];
+        throw new ArgumentError(
+          matches.length === 0 ? 'userNotFound' : 'userAmbiguous',
+          `${spec.name}: ${matches.length} users match "${value}"`,
+          { name: spec.name, user: value, count: matches.length }
+        );
+      });
+      break;
+    case 'boolean':
+      schema = Joi.boolean();
+      break;
+    default:
+      schema = spec.type === 'rest' ? Joi.string().trim() : Joi.string();
+      if (spec.max !== undefined) schema = schema.max(spec.max);
+  }
+  if (spec.required) {
+    schema = schema.required();
+  } else if (spec.default !== undefined) {
+    schema = schema.default(spec.default);
+  }
+  return schema;
+}
+
+/**
+ * Check a command's declaration and build its validator.
+ * @param {Object} commandConfig Plugin `config` with `args` and/or `flags`
+ * @returns {{ args: Array<Object>, flags: Object, aliases: Object, schema: Object }|null}
+ *   null when the command declares no arguments
+ * @throws {Error} When the declaration is invalid
+ */
+function compile(commandConfig) {
+  if (!commandConfig.args && !commandConfig.flags) return null;
+
+  const args = commandConfig.args || [];
+  const flags = commandConfig.flags || {};
+  const keys = {};
+  const aliases = {};
+
+  args.forEach((spec, index) => {
+    if (!spec.name || !TYPES.includes(spec.type) || spec.type === 'boolean') {
+      throw new Error(`Invalid argument #${index + 1} of ${commandConfig.name}: ${JSON.stringify(spec)}`);
+    }
+    if (spec.type === 'rest' && index !== args.length - 1) {
+      throw new Error(`The rest argument of ${commandConfig.name} must be the last one`);
+    }
+    if (spec.type === 'enum' && !(Array.isArray(spec.values) && spec.values.length > 0)) {
+      throw new Error(`The enum argument ${spec.name} of ${commandConfig.name} needs values`);
+    }
+    keys[spec.name] = buildSchema(spec);
+  });
+
+  for (const [name, spec] of Object.entries(flags)) {
+    if (!TYPES.includes(spec.type) || spec.type === 'rest' || keys[name]) {
+      throw new Error(`Invalid flag --${name} of ${commandConfig.name}`);
+    }
+    if (spec.alias) aliases[spec.alias] = name;
+    keys[name] = buildSchema({ ...spec, name });
+  }
+
+  return { args, flags, aliases, schema: Joi.object(keys) };
+}
+
+// Check that a command's argument declaration compiles
+function hasValidSchema(commandConfig) {
+  try {
+    compile(commandConfig);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Turn a Joi validation error into an ArgumentError
+function toArgumentError(error) {
+  const [detail] = error.details;
+  const name = detail.context.key;
+  const details = { name, limit: detail.context.limit, values: (detail.context.valids || []).join(', ') };
+  const codes = {
+    'any.required': 'missing',
+    'string.empty': 'missing',
+    'number.base': 'number',
+    'number.integer': 'int',
+    'number.min': 'min',
+    'number.max': 'max',
+    'string.max': 'tooLong',
+    'any.only': 'enum',
+    'duration.base': 'duration',
+    'duration.min': 'durationMin',
+    'duration.max': 'durationMax',
+    'boolean.base': 'boolean',
+  };
+  return new ArgumentError(codes[detail.type] || 'invalid', detail.message, details);
+}
+
+/**
+ * Parse and validate the arguments of a command.
+ * @param {Object} compiled Result of `compile()`
+ * @param {string|Array<string>} input Text after the command, or words
+ *   already split (e.g. by `executeCommand`), which are taken literally
+ *   rather than as quotes or flags
+ * @returns {Promise<Object>} Values by argument and flag name
+ * @throws {ArgumentError}
+ */
+async function parse(compiled, input) {
+  const tokens = Array.isArray(input)
+    ? input.map(value => ({ value: String(value), quoted: true }))
+    : tokenize(input);
+  const values = {};
+  let position = 0;
+  let flagsEnded = false;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+
+    if (!token.quoted && !flagsEnded && token.value === '--') {
+      flagsEnded = true;
+      continue;
+    }
+
+    const flagMatch = !token.quoted && !flagsEnded && token.value.match(/^(?:--([a-zA-Z][\w-]*)|-([a-zA-Z]))(?:=(.*))?$/);
+    if (flagMatch) {
+      const [, longName, alias, inline] = flagMatch;
+      const name = longName || compiled.aliases[alias];
+      const spec = compiled.flags[name];
+      if (!spec) {
+        throw new ArgumentError('unknownFlag', `Unknown flag ${token.value}`, { flag: token.value.split('=')[0] });
+      }
+      if (spec.type === 'boolean') {
+        values[name] = inline ?? true;
+      } else if (inline !== undefined) {
+        values[name] = inline;
+      } else if (index + 1 < tokens.length) {
+        values[name] = tokens[++index].value;
+      } else {
+        throw new ArgumentError('flagValue', `Missing value for --${name}`, { flag: `--${name}` });
+      }
+      continue;
+    }
+
+    const spec = compiled.args[position];
+    if (!spec) {
+      throw new ArgumentError('tooMany', `Unexpected argument "${token.value}"`, { value: token.value });
+    }
+    if (spec.type === 'rest') {
+      values[spec.name] = Array.isArray(input)
+        ? tokens.slice(index).map(rest => rest.value).join(' ')
+        : input.slice(token.start);
+      break;
+    }
+    values[spec.name] = token.value;
+    position++;
+  }
+
+  try {
+    return await compiled.schema.validateAsync(values, { abortEarly: true, convert: true });
+  } catch (error) {
+    if (error instanceof ArgumentError) throw error;
+    if (Joi.isError(error)) throw toArgumentError(error);
+    throw error;
+  }
+}
+
+/**
+ * Usage line of a command: generated from its declared arguments, or its
+ * `usage` text.
+ * @param {Object} commandConfig Plugin `config`
+ * @param {string} [prefix='/'] Command prefix to show
+ * @returns {string} e.g. `/setbal <user> <amount> [note...] [--silent]`
+ */
+function formatUsage(commandConfig, prefix = '/') {
+  if (!commandConfig.args && !commandConfig.flags) {
+    return (commandConfig.usage || `/${commandConfig.name}`).replace(/^\//, prefix);
+  }
+
+  const parts = [`${prefix}${commandConfig.name}`];
+  for (const spec of commandConfig.args || []) {
+    let label = spec.type === 'enum' ? spec.values.join('|') : spec.name;
+    if (spec.type === 'rest') label += '...';
+    parts.push(spec.required ? `<${label}>` : `[${label}]`);
+  }
+  for (const [name, spec] of Object.entries(commandConfig.flags || {})) {
+    const value = spec.type === 'enum' ? spec.values.join('|') : spec.type;
+    parts.push(spec.type === 'boolean' ? `[--${name}]` : `[--${name} <${value}>]`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * User-facing text for an argument error, followed by the usage line.
+ * @param {ArgumentError} error
+ * @param {Function} t Translator for the user's locale
+ * @param {string} usage Usage line of the command
+ * @returns {string}
+ */
+function describeError(error, t, usage) {
+  return `${t(`args.errors.${error.code}`, error.details)}\n${t('args.usage', { usage })}`;
+}
+
+/**
+ * Parse the arguments of a command plugin for a user, answering them with
+ * the error and the usage line when they are invalid.
+ * @param {Object} plugin Registered command plugin (with `meta.args`)
+ * @param {string|Array<string>} input Text after the command, or words
+ * @param {string} senderId
+ * @param {string} [prefix] Prefix to show in the usage line
+ * @returns {Promise<Object|null>} The values (empty when the command
+ *   declares no arguments), or null when the user was told what's wrong
+ */
+async function parseOrExplain(plugin, input, senderId, prefix) {
+  if (!plugin.meta?.args) return {};
+  try {
+    return await parse(plugin.meta.args, input);
+  } catch (error) {
+    if (!(error instanceof ArgumentError)) throw error;
+    const { t } = await i18n.forUser(senderId);
+    const usage = formatUsage(plugin.config, prefix || await userStore.getPrefix(senderId));
+    await fbApi.sendMessage(senderId, describeError(error, t, usage));
+    return null;
+  }
+}
+
+module.exports = {
+  ArgumentError,
+  parseDuration,
+  tokenize,
+  compile,
+  hasValidSchema,
+  parse,
+  parseOrExplain,
+  formatUsage,
+  describeError,
+};
@@ -0,0 +1,243 @@
+/**
+ * Command Help
+ * Builds the help menu shown by /help and the pages its buttons lead to:
+ *  - a carousel with a card per command category, each with a button
+ *    listing the category's commands (`HELP_MENU`);
+ *  - the commands of a category a page at a time, as a carousel of
+ *    command cards followed by a card with Back/Next buttons
+ *    (`HELP_CATEGORY_<CATEGORY>[_<page>]`);
+ *  - a detail card per command with its usage, aliases and examples
+ *    (`HELP_COMMAND_<name>`).
+ * Only the commands a user may run are shown, with the user's prefix and
+ * in their language: descriptions come from `help.descriptions.<name>`
+ * and category names from `help.categories.<category>` when the locale
+ * has them, otherwise from the plugin config.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const permissions = require('./permissions');
+const commandArgs = require('./commandArgs');
+const userStore = require('../models/userStore');
+
+// Messenger limits for generic template elements and button templates
+const MAX_ELEMENTS = 10;
+const MAX_TITLE = 80;
+const MAX_TEXT = 640;
+
+const helpConfig = {
+  pageSize: 5,
+  ...config.help,
+};
+
+function truncate(text, length = MAX_TITLE) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Commands that do nothing useful without arguments get no "Try it" button
+function needsArguments(command) {
+  if (command.args || command.flags) {
+    return (command.args || []).some(spec => spec.required);
+  }
+  return /<[^>]+>/.test(command.usage || '');
+}
+
+function postbackButton(title, payload) {
+  return { type: 'postback', title, payload };
+}
+
+class CommandHelp {
+  constructor(options = helpConfig) {
+    // One element of each page carousel is left for the navigation card
+    this.options = {
+      ...options,
+      pageSize: Math.min(Math.max(1, Number(options.pageSize) || 1), MAX_ELEMENTS - 1),
+    };
+  }
+
+  /**
+   * What a user's help is built from: their translator and prefix, and
+   * the commands they may run, by name.
+   * @param {string} senderId
+   * @returns {Promise<{ locale: string, t: Function, prefix: string, commands: Array<Object> }>}
+   */
+  async getView(senderId) {
+    const { locale, t } = await i18n.forUser(senderId);
+    const prefix = (await userStore.getPrefix(senderId)) || config.bot.prefix;
+    const plugins = require('./pluginLoader').getCommandPlugins();
+    const commands = (await permissions.filterRunnable(senderId, plugins))
+      .map(plugin => plugin.config)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { locale, t, prefix, commands };
+  }
+
+  // category -> commands, categories in the order their first command comes
+  groupByCategory(commands) {
+    const categories = new Map();
+    for (const command of commands) {
+      const category = (command.category || 'general').toLowerCase();
+      if (!categories.has(category)) {
+        categories.set(category, []);
+      }
+      categories.get(category).push(command);
+    }
+    return categories;
+  }
+
+  /**
+   * Description of a command in a locale.
+   * @param {Object} command Plugin `config`
+   * @param {{ locale: string }} view
+   * @returns {string}
+   */
+  describe(command, { locale }) {
+    const key = `help.descriptions.${command.name}`;
+    return i18n.has(locale, key) ? i18n.translate(locale, key) : command.description || '';
+  }
+
+  /**
+   * Display name of a category in a locale.
+   * @param {string} category
+   * @param {{ locale: string }} view
+   * @returns {string}
+   */
+  categoryName(category, { locale }) {
+    const key = `help.categories.${category}`;
+    return i18n.has(locale, key)
+      ? i18n.translate(locale, key)
+      : category.charAt(0).toUpperCase() + category.slice(1);
+  }
+
+  /**
+   * Send the help menu: an introduction and a carousel of categories.
+   * @param {string} senderId
+   */
+  async sendMenu(senderId) {
+    const view = await this.getView(senderId);
+    const { t, prefix, commands } = view;
+
+    await fbApi.sendMessage(senderId, [
+      t('help.title', { botName: config.bot.name }),
+      '',
+      t('help.prefix', { prefix }),
+      t('help.total', { count: commands.length }),
+      t('help.usageHint', { prefix }),
+      '',
+      t('help.version', { version: config.app.version }),
+      t('help.author', { author: config.app.author }),
+    ].join('\n'));
+
+    // The last card lists every command at once
+    const categories = [...this.groupByCategory(commands)].slice(0, MAX_ELEMENTS - 1);
+    const elements = categories.map(([category, list]) => ({
+      title: truncate(`📁 ${this.categoryName(category, view)}`),
+      subtitle: truncate(t('help.categorySummary', {
+        count: list.length,
+        commands: list.map(command => `${prefix}${command.name}`).join(', '),
+      })),
+      buttons: [postbackButton(t('help.browseButton'), `HELP_CATEGORY_${category.toUpperCase()}`)],
+    }));
+    elements.push({
+      title: t('help.allCommandsButton'),
+      subtitle: truncate(t('help.allSubtitle', { count: commands.length })),
+      buttons: [postbackButton(t('help.allCommandsButton'), 'HELP_ALL_COMMANDS')],
+    });
+    await fbApi.sendMessage(senderId, '', 'generic', { elements });
+  }
+
+  /**
+   * Send one page of a category's commands.
+   * @param {string} senderId
+   * @param {string} category
+   * @param {number} [page=1] 1-based; out of range pages show the nearest one
+   */
+  async sendCategory(senderId, category, page = 1) {
+    const view = await this.getView(senderId);
+    const { t, prefix } = view;
+    const name = String(category || '').toLowerCase();
+    const list = this.groupByCategory(view.commands).get(name) || [];
+    if (list.length === 0) {
+      await fbApi.sendMessage(senderId, t('help.categoryEmpty', { category: name }));
+      return;
+    }
+
+    const { pageSize } = this.options;
+    const pages = Math.ceil(list.length / pageSize);
+    const current = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pages);
+    const payload = `HELP_CATEGORY_${name.toUpperCase()}`;
+
+    const elements = list.slice((current - 1) * pageSize, current * pageSize).map(command => ({
+      title: truncate(`${prefix}${command.name}`),
+      subtitle: truncate(this.describe(command, view)),
+      buttons: [postbackButton(t('help.detailsButton'), `HELP_COMMAND_${command.name}`)],
+    }));
+
+    const navigation = [];
+    if (current > 1) {
+      navigation.push(postbackButton(t('help.backButton'), `${payload}_${current - 1}`));
+    }
+    if (current < pages) {
+      navigation.push(postbackButton(t('help.nextButton'), `${payload}_${current + 1}`));
+    }
+    navigation.push(postbackButton(t('help.categoriesButton'), 'HELP_MENU'));
+    elements.push({
+      title: truncate(t('help.pageTitle', { category: this.categoryName(name, view), page: current, pages })),
+      subtitle: truncate(t('help.pageSubtitle', { count: list.length })),
+      buttons: navigation,
+    });
+
+    await fbApi.sendMessage(senderId, '', 'generic', { elements });
+  }
+
+  /**
+   * Send the detail card of a command.
+   * @param {string} senderId
+   * @param {string} commandName Name or alias
+   * @returns {Promise<boolean>} Whether the user may run such a command
+   */
+  async sendCommand(senderId, commandName) {
+    const view = await this.getView(senderId);
+    const { t, prefix } = view;
+    const query = String(commandName || '').toLowerCase();
+    const command = view.commands.find(
+      candidate => candidate.name === query || (candidate.aliases && candidate.aliases.includes(query))
+    );
+    if (!command) {
+      await fbApi.sendMessage(senderId, t('help.notFound', { command: commandName, prefix }));
+      return false;
+    }
+
+    const category = (command.category || 'general').toLowerCase();
+    const lines = [t('help.details', {
+      name: command.name,
+      description: this.describe(command, view),
+      category: this.categoryName(category, view),
+      usage: commandArgs.formatUsage(command, prefix),
+      aliases: command.aliases?.map(alias => `${prefix}${alias}`).join(', ') || t('help.noAliases'),
+      credits: command.credits,
+    })];
+    if (command.examples?.length) {
+      lines.push('', t('help.examples', {
+        examples: command.examples.map(example => `• ${example.replace(/^\//, prefix)}`).join('\n'),
+      }));
+    }
+
+    const buttons = [];
+    if (!needsArguments(command)) {
+      buttons.push(postbackButton(t('help.tryButton'), `RUN_COMMAND_${command.name}`));
+    }
+    // Back to the page of the category the command is listed on
+    const listed = this.groupByCategory(view.commands).get(category);
+    const page = Math.floor(listed.indexOf(command) / this.options.pageSize) + 1;
+    buttons.push(postbackButton(t('help.backButton'), `HELP_CATEGORY_${category.toUpperCase()}_${page}`));
+    buttons.push(postbackButton(t('help.categoriesButton'), 'HELP_MENU'));
+
+    await fbApi.sendMessage(senderId, truncate(lines.join('\n'), MAX_TEXT), 'buttons', { buttons });
+    return true;
+  }
+}
+
+module.exports = new CommandHelp();
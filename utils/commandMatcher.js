@@ -0,0 +1,115 @@
+/**
+ * Command Matcher
+ * Helps users reach a command when they don't type it exactly:
+ *  - an unknown command is compared with every command name and alias
+ *    the user may run, and the closest ones are offered as quick replies
+ *    that run them (`RUN_COMMAND_<name> <arguments>`);
+ *  - messages without a prefix that say one of the trigger phrases in
+ *    `commands.triggers.phrases` run that command, so "what's my balance"
+ *    works like /balance.
+ * Phrases are compared ignoring case, accents and punctuation.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const permissions = require('./permissions');
+
+const commandsConfig = {
+  ...config.commands,
+  suggestions: { enabled: true, max: 3, maxDistance: 2, ...config.commands?.suggestions },
+  triggers: { enabled: true, phrases: {}, ...config.commands?.triggers },
+};
+
+// Edit distance counting a swap of two neighbouring letters as one edit,
+// the most common typo in command names ("blaance")
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (value, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// "What’s my balance?!" -> "whats my balance"
+function normalizePhrase(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class CommandMatcher {
+  constructor(options = commandsConfig) {
+    this.options = options;
+    this.triggers = new Map();
+    for (const [command, phrases] of Object.entries(options.triggers.phrases || {})) {
+      for (const phrase of phrases) {
+        this.triggers.set(normalizePhrase(phrase), command);
+      }
+    }
+  }
+
+  getCommands() {
+    return require('./pluginLoader').getCommandPlugins();
+  }
+
+  /**
+   * Commands the user may run whose name or an alias is close to what
+   * they typed, best first.
+   * @param {string} command The unknown command, without prefix
+   * @param {string} senderId
+   * @returns {Promise<Array<{ name: string, matched: string, distance: number }>>}
+   */
+  async suggest(command, senderId) {
+    const { enabled, max, maxDistance } = this.options.suggestions;
+    const typed = String(command || '').toLowerCase();
+    if (!enabled || !typed) return [];
+
+    // Short names tolerate fewer typos, or everything would match
+    const allowed = Math.min(maxDistance, Math.max(1, Math.floor(typed.length / 3)));
+    const best = new Map();
+    for (const plugin of await permissions.filterRunnable(senderId, this.getCommands())) {
+      const { name, aliases = [] } = plugin.config;
+      for (const candidate of [name, ...aliases]) {
+        // "bal" for "balance": a typed start of a name counts as one edit
+        const distance = typed.length >= 3 && candidate.startsWith(typed)
+          ? 1
+          : editDistance(typed, candidate.toLowerCase());
+        if (distance > allowed) continue;
+        const current = best.get(name);
+        if (!current || distance < current.distance || (distance === current.distance && candidate === name)) {
+          best.set(name, { name, matched: candidate, distance });
+        }
+      }
+    }
+    return [...best.values()]
+      .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+      .slice(0, max);
+  }
+
+  /**
+   * The command a prefix-less message asks for through a trigger phrase.
+   * @param {string} text
+   * @returns {string|null} Command name, if that command is loaded
+   */
+  matchTrigger(text) {
+    if (!this.options.triggers.enabled || this.triggers.size === 0) return null;
+    const command = this.triggers.get(normalizePhrase(text));
+    if (!command) return null;
+    return this.getCommands().some(plugin => plugin.config.name === command) ? command : null;
+  }
+}
+
+module.exports = new CommandMatcher();
+module.exports.normalizePhrase = normalizePhrase;
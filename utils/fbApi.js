@@ -10,6 +10,7 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config.json');
 const logger = require('./logger');
+const { SendQueue } = require('./sendQueue');
 
 class FacebookAPI {
   constructor() {
@@ -23,6 +24,13 @@ class FacebookAPI {
         'Content-Type': 'application/json',
       },
     });
+    // Outbound messages go through a persistent queue that applies
+    // rate limiting and backoff. The queue calls the Send API without the
+    // request-level retries since it schedules its own.
+    this.sendQueue = new SendQueue(
+      payload => this.request('POST', '/me/messages', payload, {}, 0),
+      config.sendQueue
+    );
   }
 
   // Generic request method with retry logic
@@ -77,9 +85,18 @@ class FacebookAPI {
           case 100:
             logger.error('Invalid parameter');
             break;
+          case 17:
+            logger.error('User request limit reached');
+            break;
+          case 32:
+            logger.error('Page request limit reached');
+            break;
           case 368:
             logger.error('Temporary blocked for spamming');
             break;
+          case 613:
+            logger.error('Calls to this API have exceeded the rate limit');
+            break;
         }
       }
     } else if (error.request) {
@@ -89,108 +106,138 @@ class FacebookAPI {
     }
   }
 
-  // Message sending methods
+  // Message sending methods. Messages are queued (see utils/sendQueue.js):
+  // these resolve once the message is accepted by the queue and reject only
+  // if it couldn't be queued. Delivery failures end in its dead letters;
+  // callers that care listen for the queue's `sent` and `deadLettered`
+  // events, which get `options.meta` back with the job.
   async sendMessage(recipientId, message, type = 'text', options = {}) {
     try {
-      let payload = {
-        recipient: { id: recipientId },
-      };
+      const payload = this.buildMessagePayload({ id: recipientId }, message, type, options);
+      const queued = await this.sendQueue.enqueue(payload, { pageId: options.pageId || this.pageId, meta: options.meta });
+      logger.info(`📤 Message queued for ${recipientId}`);
+      return queued;
+    } catch (error) {
+      logger.error(`Failed to send message to ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
 
-      switch (type) {
-        case 'text':
-          payload.message = { text: message };
-          break;
-          
-        case 'quick_replies':
-          payload.message = {
-            text: message,
-            quick_replies: options.quickReplies || [],
-          };
-          break;
-          
-        case 'buttons':
-          payload.message = {
-            attachment: {
-              type: 'template',
-              payload: {
-                template_type: 'button',
-                text: message,
-                buttons: options.buttons || [],
-              },
+  // Private reply to a comment; the platform allows only one per comment
+  async sendPrivateReply(commentId, message, type = 'text', options = {}) {
+    try {
+      const payload = this.buildMessagePayload({ comment_id: commentId }, message, type, options);
+      const queued = await this.sendQueue.enqueue(payload, { pageId: options.pageId || this.pageId, meta: options.meta });
+      logger.info(`📤 Private reply queued for comment ${commentId}`);
+      return queued;
+    } catch (error) {
+      logger.error(`Failed to send private reply for comment ${commentId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Build a Send API payload for the given recipient and message type
+  buildMessagePayload(recipient, message, type = 'text', options = {}) {
+    const payload = {
+      recipient,
+      messaging_type: options.messagingType || 'RESPONSE',
+    };
+
+    // Messages outside the 24-hour window need an approved message tag
+    if (options.tag) {
+      payload.messaging_type = 'MESSAGE_TAG';
+      payload.tag = options.tag;
+    }
+
+    switch (type) {
+      case 'text':
+        payload.message = { text: message };
+        break;
+        
+      case 'quick_replies':
+        payload.message = {
+          text: message,
+          quick_replies: options.quickReplies || [],
+        };
+        break;
+        
+      case 'buttons':
+        payload.message = {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'button',
+              text: message,
+              buttons: options.buttons || [],
             },
-          };
-          break;
-          
-        case 'generic':
-          payload.message = {
-            attachment: {
-              type: 'template',
-              payload: {
-                template_type: 'generic',
-                elements: options.elements || [],
-              },
+          },
+        };
+        break;
+        
+      case 'generic':
+        payload.message = {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'generic',
+              elements: options.elements || [],
             },
-          };
-          break;
-          
-        case 'media':
-          if (options.url) {
-            payload.message = {
-              attachment: {
-                type: options.mediaType || 'image',
-                payload: {
-                  url: options.url,
-                  is_reusable: true,
-                },
-              },
-            };
-          }
-          break;
-          
-        case 'audio':
+          },
+        };
+        break;
+        
+      case 'media':
+        if (options.url) {
           payload.message = {
             attachment: {
-              type: 'audio',
+              type: options.mediaType || 'image',
               payload: {
                 url: options.url,
                 is_reusable: true,
               },
             },
           };
-          break;
-          
-        case 'video':
-          payload.message = {
-            attachment: {
-              type: 'video',
-              payload: {
-                url: options.url,
-                is_reusable: true,
-              },
+        }
+        break;
+        
+      case 'audio':
+        payload.message = {
+          attachment: {
+            type: 'audio',
+            payload: {
+              url: options.url,
+              is_reusable: true,
             },
-          };
-          break;
-          
-        case 'file':
-          payload.message = {
-            attachment: {
-              type: 'file',
-              payload: {
-                url: options.url,
-                is_reusable: true,
-              },
+          },
+        };
+        break;
+        
+      case 'video':
+        payload.message = {
+          attachment: {
+            type: 'video',
+            payload: {
+              url: options.url,
+              is_reusable: true,
             },
-          };
-          break;
-      }
-
-      const response = await this.request('POST', '/me/messages', payload);
-      logger.info(`✅ Message sent to ${recipientId}`);
-      return response;
-    } catch (error) {
-      logger.error(`Failed to send message to ${recipientId}:`, error.message);
-      throw error;
+          },
+        };
+        break;
+        
+      case 'file':
+        payload.message = {
+          attachment: {
+            type: 'file',
+            payload: {
+              url: options.url,
+              is_reusable: true,
+            },
+          },
+        };
+        break;
     }
+
+    return payload;
   }
 
   // Send typing indicators
@@ -230,6 +277,74 @@ class FacebookAPI {
     }
   }
 
+  // Handover protocol
+  async passThreadControl(recipientId, targetAppId, metadata = '') {
+    try {
+      const payload = {
+        recipient: { id: recipientId },
+        target_app_id: targetAppId,
+        metadata,
+      };
+      const response = await this.request('POST', '/me/pass_thread_control', payload);
+      logger.info(`🤝 Passed thread control for ${recipientId} to app ${targetAppId}`);
+      return response;
+    } catch (error) {
+      logger.error(`Failed to pass thread control for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async takeThreadControl(recipientId, metadata = '') {
+    try {
+      const payload = {
+        recipient: { id: recipientId },
+        metadata,
+      };
+      const response = await this.request('POST', '/me/take_thread_control', payload);
+      logger.info(`🤝 Took thread control for ${recipientId}`);
+      return response;
+    } catch (error) {
+      logger.error(`Failed to take thread control for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async requestThreadControl(recipientId, metadata = '') {
+    try {
+      const payload = {
+        recipient: { id: recipientId },
+        metadata,
+      };
+      return await this.request('POST', '/me/request_thread_control', payload);
+    } catch (error) {
+      logger.error(`Failed to request thread control for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async releaseThreadControl(recipientId, metadata = '') {
+    try {
+      const payload = {
+        recipient: { id: recipientId },
+        metadata,
+      };
+      return await this.request('POST', '/me/release_thread_control', payload);
+    } catch (error) {
+      logger.error(`Failed to release thread control for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getThreadOwner(recipientId) {
+    try {
+      const data = await this.request('GET', '/me/thread_owner', null, { recipient: recipientId });
+      return data.data?.[0]?.thread_owner?.app_id || null;
+    } catch (error) {
+      logger.error(`Failed to fetch thread owner for ${recipientId}:`, error.message);
+      throw error;
+    }
+  }
+
   // Comment management
   async replyToComment(commentId, message, options = {}) {
     try {
@@ -256,12 +371,12 @@ class FacebookAPI {
     }
   }
 
-  async hideComment(commentId) {
+  async hideComment(commentId, hidden = true) {
     try {
-      const payload = { is_hidden: true };
+      const payload = { is_hidden: hidden };
       return await this.request('POST', `/${commentId}`, payload);
     } catch (error) {
-      logger.error(`Failed to hide comment ${commentId}:`, error.message);
+      logger.error(`Failed to ${hidden ? 'hide' : 'unhide'} comment ${commentId}:`, error.message);
       throw error;
     }
   }
@@ -349,6 +464,57 @@ class FacebookAPI {
     }
   }
 
+  // Messenger profile (Get Started, greeting, persistent menu, ice breakers)
+  async getMessengerProfile(fields = ['get_started', 'greeting', 'persistent_menu', 'ice_breakers']) {
+    try {
+      const data = await this.request('GET', '/me/messenger_profile', null, {
+        fields: fields.join(','),
+      });
+      return data.data?.[0] || {};
+    } catch (error) {
+      logger.error('Failed to fetch messenger profile:', error.message);
+      throw error;
+    }
+  }
+
+  async setMessengerProfile(profile) {
+    try {
+      const response = await this.request('POST', '/me/messenger_profile', profile);
+      logger.info(`✅ Messenger profile updated: ${Object.keys(profile).join(', ')}`);
+      return response;
+    } catch (error) {
+      logger.error('Failed to update messenger profile:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteMessengerProfile(fields) {
+    try {
+      const response = await this.request('DELETE', '/me/messenger_profile', { fields });
+      logger.info(`🗑️ Messenger profile fields removed: ${fields.join(', ')}`);
+      return response;
+    } catch (error) {
+      logger.error('Failed to delete messenger profile fields:', error.message);
+      throw error;
+    }
+  }
+
+  async setGetStarted(payload) {
+    return this.setMessengerProfile({ get_started: { payload } });
+  }
+
+  async setGreeting(greetings) {
+    return this.setMessengerProfile({ greeting: greetings });
+  }
+
+  async setPersistentMenu(menus) {
+    return this.setMessengerProfile({ persistent_menu: menus });
+  }
+
+  async setIceBreakers(iceBreakers) {
+    return this.setMessengerProfile({ ice_breakers: iceBreakers });
+  }
+
   // User profile
   async getUserProfile(userId) {
     try {
@@ -371,11 +537,18 @@ class FacebookAPI {
   }
 
   // Upload media
-  async uploadMedia(filePath, mediaType = 'image') {
+  // Extra fields (e.g. `caption` for photos, `description` for videos) are
+  // sent along with the upload; uploads are published to the page feed.
+  async uploadMedia(filePath, mediaType = 'image', fields = {}) {
     try {
       const formData = new FormData();
       formData.append('source', fs.createReadStream(filePath));
       formData.append('access_token', this.accessToken);
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null) {
+          formData.append(key, String(value));
+        }
+      }
       
       const endpoint = mediaType === 'video' 
         ? `/${this.pageId}/videos`
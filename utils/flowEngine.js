@@ -0,0 +1,209 @@
+/**
+ * Conversation Flow Engine
+ * Runs multi-step dialogs defined by flow plugins (plugins/flows). The
+ * current step of each user is persisted in the user store so a flow
+ * survives restarts, and free-text replies are routed to the active flow
+ * before command parsing.
+ *
+ * Texts in a flow definition (prompts, quick reply titles, validation
+ * messages) may be locale catalogue keys; they are translated for the user
+ * with the flow data as placeholders. The onComplete, onCancel and
+ * onTimeout hooks get the user's translator as their third argument.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const flowConfig = config.flows || {};
+const DEFAULT_TIMEOUT_MS = flowConfig.defaultTimeoutMs || 600000;
+const CANCEL_KEYWORDS = (flowConfig.cancelKeywords || ['cancel']).map(k => k.toLowerCase());
+
+class FlowEngine {
+  getFlow(name) {
+    return require('./pluginLoader').getFlow(name);
+  }
+
+  // Translate a flow text if it is a catalogue key, otherwise keep it
+  localize(locale, text, data = {}) {
+    return i18n.has(locale, text) ? i18n.translate(locale, text, data) : text;
+  }
+
+  // Compute the expiry timestamp of the next step
+  expiresAt(flow) {
+    return Date.now() + (flow.timeoutMs || DEFAULT_TIMEOUT_MS);
+  }
+
+  /**
+   * Start a flow for a user, replacing any flow already in progress.
+   * @param {string} senderId
+   * @param {string} flowName Name declared by the flow plugin
+   * @param {Object} [initialData] Data made available to every step
+   */
+  async startFlow(senderId, flowName, initialData = {}) {
+    const flow = this.getFlow(flowName);
+    if (!flow) {
+      throw new Error(`Flow not found: ${flowName}`);
+    }
+
+    const state = {
+      name: flow.name,
+      step: flow.initialStep,
+      data: { ...initialData },
+      startedAt: Date.now(),
+      expiresAt: this.expiresAt(flow),
+    };
+
+    await userStore.setFlowState(senderId, state);
+    logger.info(`🧭 Flow ${flow.name} started for ${senderId}`);
+    await this.sendPrompt(senderId, flow, state);
+  }
+
+  /**
+   * Retrieve the user's active flow state. Expired flows are cleared and
+   * their `onTimeout` hook (or a default notice) runs.
+   * @param {string} senderId
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveFlow(senderId) {
+    const state = await userStore.getFlowState(senderId);
+    if (!state) return null;
+
+    const flow = this.getFlow(state.name);
+    if (!flow || !flow.steps[state.step]) {
+      // The flow was removed or changed under the user; drop the state
+      await userStore.clearFlowState(senderId);
+      return null;
+    }
+
+    if (state.expiresAt && state.expiresAt < Date.now()) {
+      await userStore.clearFlowState(senderId);
+      logger.info(`⌛ Flow ${flow.name} timed out for ${senderId}`);
+      const { t } = await i18n.forUser(senderId);
+      if (typeof flow.onTimeout === 'function') {
+        await flow.onTimeout(senderId, state.data, t);
+      } else {
+        await fbApi.sendMessage(senderId, t('flows.timedOut'));
+      }
+      return null;
+    }
+
+    return state;
+  }
+
+  /**
+   * Route a user's reply to their active flow.
+   * @param {string} senderId
+   * @param {string} input Message text or quick reply payload
+   * @returns {Promise<boolean>} Whether the input was consumed by a flow
+   */
+  async handleInput(senderId, input) {
+    const state = await this.getActiveFlow(senderId);
+    if (!state) return false;
+
+    const flow = this.getFlow(state.name);
+    const answer = String(input || '').trim();
+
+    if (CANCEL_KEYWORDS.includes(answer.toLowerCase())) {
+      await this.cancelFlow(senderId);
+      return true;
+    }
+
+    const step = flow.steps[state.step];
+
+    // Validate the answer. Validators return true, or an error message that
+    // is sent back while the user stays on the same step.
+    if (typeof step.validate === 'function') {
+      const result = await step.validate(answer, state.data);
+      if (result !== true) {
+        const { locale } = await i18n.forUser(senderId);
+        const message = this.localize(locale, typeof result === 'string' ? result : 'flows.invalidAnswer', state.data);
+        await fbApi.sendMessage(senderId, message);
+        await this.sendPrompt(senderId, flow, state);
+        return true;
+      }
+    }
+
+    const value = typeof step.transform === 'function' ? step.transform(answer) : answer;
+    state.data[step.store || state.step] = value;
+
+    // Branch: `next` is a step name, or a function returning one. A missing
+    // or null next step completes the flow.
+    const nextStep = typeof step.next === 'function'
+      ? await step.next(value, state.data)
+      : step.next;
+
+    if (!nextStep) {
+      await userStore.clearFlowState(senderId);
+      logger.info(`✅ Flow ${flow.name} completed by ${senderId}`);
+      if (typeof flow.onComplete === 'function') {
+        const { t } = await i18n.forUser(senderId);
+        await flow.onComplete(senderId, state.data, t);
+      }
+      return true;
+    }
+
+    if (!flow.steps[nextStep]) {
+      await userStore.clearFlowState(senderId);
+      throw new Error(`Flow ${flow.name} has no step "${nextStep}"`);
+    }
+
+    state.step = nextStep;
+    state.expiresAt = this.expiresAt(flow);
+    await userStore.setFlowState(senderId, state);
+    await this.sendPrompt(senderId, flow, state);
+    return true;
+  }
+
+  /**
+   * Cancel the user's active flow, if any.
+   * @param {string} senderId
+   * @returns {Promise<boolean>} Whether a flow was cancelled
+   */
+  async cancelFlow(senderId) {
+    const state = await userStore.getFlowState(senderId);
+    if (!state) return false;
+
+    await userStore.clearFlowState(senderId);
+    logger.info(`🛑 Flow ${state.name} cancelled by ${senderId}`);
+
+    const flow = this.getFlow(state.name);
+    const { t } = await i18n.forUser(senderId);
+    if (flow && typeof flow.onCancel === 'function') {
+      await flow.onCancel(senderId, state.data, t);
+    } else {
+      await fbApi.sendMessage(senderId, t('flows.cancelled'));
+    }
+    return true;
+  }
+
+  // Send the prompt of the user's current step
+  async sendPrompt(senderId, flow, state) {
+    const step = flow.steps[state.step];
+    const { locale } = await i18n.forUser(senderId);
+    const text = this.localize(locale,
+      typeof step.prompt === 'function' ? step.prompt(state.data) : step.prompt,
+      state.data
+    );
+    const options = typeof step.quickReplies === 'function'
+      ? step.quickReplies(state.data)
+      : step.quickReplies;
+
+    if (Array.isArray(options) && options.length > 0) {
+      const quickReplies = options.map(option => ({
+        content_type: 'text',
+        title: this.localize(locale, option.title, state.data),
+        payload: option.payload || option.title,
+      }));
+      await fbApi.sendMessage(senderId, text, 'quick_replies', { quickReplies });
+    } else {
+      await fbApi.sendMessage(senderId, text);
+    }
+  }
+}
+
+module.exports = new FlowEngine();
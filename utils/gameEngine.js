@@ -0,0 +1,451 @@
+/**
+ * Game Engine
+ * Runs the games defined by game plugins (plugins/games) as sessions. A
+ * game shows its choices as buttons or quick replies, each tap (or typed
+ * answer, for games that accept text) is a move, and the session is kept
+ * on the user record until the game ends or expires. Players can put coins
+ * at stake: the wager is taken through the coin ledger when the game
+ * starts and paid back according to the outcome. Results are counted per
+ * user and game.
+ *
+ * Game plugin shape:
+ *   {
+ *     name: 'rps',                   // lowercase letters and digits
+ *     display: 'buttons',            // or 'quick_replies' (the default)
+ *     acceptsText: false,            // send typed answers to play()
+ *     wagers: true,                  // false to never put coins at stake
+ *     payout: 2,                     // a won wager pays wager × payout
+ *     rewards: { win: 3, draw: 1 },  // free coins when playing without a wager
+ *     timeoutMs: 300000,             // defaults to `games.timeoutMs`
+ *     payloads: ['GAME_RPS'],        // older payloads that open the game
+ *     start({ t, locale, wager })          -> { state, text, choices }
+ *     play(state, input, { t, locale, wager }) -> { state, text, choices }
+ *                                       or { outcome: 'win'|'loss'|'draw', text }
+ *   }
+ * `choices` are `[{ title, value }]`; the game's name is the catalogue key
+ * `games.<name>.title`. Leaving a game (quitting, letting it expire or
+ * starting another) counts as a loss, so a losing wager can't be escaped.
+ *
+ * Payloads: GAME_MENU, GAME_START_<game>[_<wager>], GAME_MOVE_<session>_<value>
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const i18n = require('./i18n');
+const ledger = require('../models/ledger');
+const userStore = require('../models/userStore');
+
+const STATS_COLLECTION = 'gameStats';
+const MAX_BUTTONS = 3;
+const MAX_QUICK_REPLIES = 13;
+const OUTCOME_FIELDS = { win: 'wins', loss: 'losses', draw: 'draws' };
+
+const gamesConfig = {
+  timeoutMs: 300000,
+  quitKeywords: ['quit'],
+  ...config.games,
+  wagers: { enabled: true, options: [5, 10, 25], max: 100, ...config.games?.wagers },
+};
+
+function quickReply(title, payload) {
+  return { content_type: 'text', title, payload };
+}
+
+class GameEngine {
+  constructor(options = gamesConfig) {
+    this.options = options;
+  }
+
+  getGame(name) {
+    return require('./pluginLoader').getGame(name);
+  }
+
+  getGames() {
+    return require('./pluginLoader').getGamePlugins();
+  }
+
+  wagersAllowed(game) {
+    return Boolean(this.options.wagers.enabled) && game.wagers !== false;
+  }
+
+  isQuit(input) {
+    const answer = String(input || '').trim().toLowerCase();
+    return answer === 'quit' || this.options.quitKeywords.includes(answer);
+  }
+
+  /**
+   * Handle a game payload from a button or quick reply.
+   * @param {string} senderId
+   * @param {string} payload
+   * @param {Object} [options] `{ mid }`: id of the webhook event, so a
+   *   redelivered event isn't played twice
+   * @returns {Promise<boolean>} Whether the payload belonged to a game
+   */
+  async handlePayload(senderId, payload, { mid } = {}) {
+    const text = String(payload);
+    if (text === 'GAME_MENU') {
+      await this.sendMenu(senderId);
+      return true;
+    }
+
+    if (text.startsWith('GAME_START_')) {
+      const [name, wager] = text.slice('GAME_START_'.length).split('_');
+      const game = this.getGame(name);
+      if (!game) return false;
+      if (wager === undefined) {
+        await this.offer(senderId, game);
+      } else {
+        await this.start(senderId, game.name, Number(wager), { mid });
+      }
+      return true;
+    }
+
+    if (text.startsWith('GAME_MOVE_')) {
+      const rest = text.slice('GAME_MOVE_'.length);
+      const separator = rest.indexOf('_');
+      if (separator < 0) return false;
+      await this.move(senderId, rest.slice(0, separator), rest.slice(separator + 1), { mid });
+      return true;
+    }
+
+    const game = this.getGames().find(candidate => (candidate.payloads || []).includes(text));
+    if (!game) return false;
+    await this.offer(senderId, game);
+    return true;
+  }
+
+  /**
+   * Route a typed answer to the user's game in progress. Only games that
+   * accept text take answers; any game can be left with a quit keyword.
+   * Commands are never taken.
+   * @param {string} senderId
+   * @param {string} text
+   * @param {Object} [options] `{ mid }`
+   * @returns {Promise<boolean>} Whether the text was consumed by a game
+   */
+  async handleInput(senderId, text, { mid } = {}) {
+    const answer = String(text || '').trim();
+    const session = answer ? await userStore.getGameSession(senderId) : null;
+    if (!session) return false;
+
+    const game = this.getGame(session.name);
+    if (!game || (!game.acceptsText && !this.isQuit(answer))) return false;
+
+    const prefix = await userStore.getPrefix(senderId);
+    if (answer.startsWith(prefix) || answer.startsWith(config.bot.prefix)) return false;
+
+    // An expired game is closed with a notice and the message is then
+    // handled as usual
+    const expired = session.expiresAt < Date.now();
+    await this.move(senderId, session.id, answer, { mid });
+    return !expired;
+  }
+
+  /**
+   * Offer the stakes for a game: play for free or bet one of the
+   * configured amounts the user can afford. Games without wagers start
+   * straight away.
+   * @param {string} senderId
+   * @param {Object} game
+   */
+  async offer(senderId, game) {
+    if (!this.wagersAllowed(game)) {
+      return this.start(senderId, game.name, 0);
+    }
+    const balance = await ledger.getBalance(senderId);
+    const amounts = this.options.wagers.options.filter(amount => amount <= balance && amount <= this.options.wagers.max);
+    if (amounts.length === 0) {
+      return this.start(senderId, game.name, 0);
+    }
+
+    const { t } = await i18n.forUser(senderId);
+    await fbApi.sendMessage(senderId,
+      t('games.chooseWager', { game: t(`games.${game.name}.title`), count: balance }),
+      'quick_replies',
+      {
+        quickReplies: [
+          quickReply(t('games.playFree'), `GAME_START_${game.name}_0`),
+          ...amounts.map(amount => quickReply(t('games.wagerOption', { count: amount }), `GAME_START_${game.name}_${amount}`)),
+        ],
+      }
+    );
+  }
+
+  /**
+   * Start a game, ending any game the user left unfinished.
+   * @param {string} senderId
+   * @param {string} name Game name
+   * @param {number} [wager=0] Coins at stake
+   * @param {Object} [options] `{ mid }`
+   * @returns {Promise<Object|null>} The session, or null if it didn't start
+   */
+  async start(senderId, name, wager = 0, { mid } = {}) {
+    const game = this.getGame(name);
+    if (!game) {
+      throw new Error(`Game not found: ${name}`);
+    }
+    const { locale, t } = await i18n.forUser(senderId);
+    const { max } = this.options.wagers;
+
+    if (!Number.isInteger(wager) || wager < 0 || wager > max || (wager > 0 && !this.wagersAllowed(game))) {
+      await fbApi.sendMessage(senderId, t('games.invalidWager', { max }));
+      return null;
+    }
+
+    let started;
+    try {
+      started = await ledger.withLock(senderId, async () => {
+        const previous = await userStore.getGameSession(senderId);
+        if (previous && mid && previous.startMid === mid) {
+          return null;
+        }
+        const abandoned = previous ? await this.settle(senderId, previous, 'loss') : null;
+
+        const session = {
+          id: crypto.randomBytes(4).toString('hex'),
+          name: game.name,
+          wager,
+          startMid: mid || undefined,
+          startedAt: Date.now(),
+        };
+        const round = await game.start({ t, locale, wager });
+        if (wager > 0) {
+          await ledger.apply(senderId, {
+            type: 'debit',
+            amount: -wager,
+            reason: 'gameWager',
+            key: `game:${session.id}:wager`,
+            note: game.name,
+          });
+        }
+        session.state = round.state || {};
+        session.expiresAt = Date.now() + (game.timeoutMs || this.options.timeoutMs);
+        await userStore.setGameSession(senderId, session);
+        return { session, round, previous: abandoned && previous };
+      });
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_FUNDS') throw error;
+      await fbApi.sendMessage(senderId, t('games.insufficient', { wager, count: error.balance }));
+      return null;
+    }
+    if (!started) return null;
+
+    if (started.previous) {
+      await fbApi.sendMessage(senderId, t('games.abandoned', { game: t(`games.${started.previous.name}.title`) }));
+    }
+    logger.info(`🎮 Game ${game.name} started for ${senderId}${wager > 0 ? ` with a wager of ${wager}` : ''}`);
+    await this.sendRound(senderId, game, started.session, started.round);
+    return started.session;
+  }
+
+  /**
+   * Play a move in the user's game. Moves for a session that already
+   * ended (e.g. an old button) are answered with a notice.
+   * @param {string} senderId
+   * @param {string} sessionId
+   * @param {string} input Choice value or typed answer
+   * @param {Object} [options] `{ mid }`
+   */
+  async move(senderId, sessionId, input, { mid } = {}) {
+    const { locale, t } = await i18n.forUser(senderId);
+
+    const result = await ledger.withLock(senderId, async () => {
+      const session = await userStore.getGameSession(senderId);
+      if (!session || session.id !== sessionId) {
+        return { stale: true };
+      }
+      if (mid && session.lastMid === mid) {
+        return { duplicate: true };
+      }
+
+      const game = this.getGame(session.name);
+      if (!game) {
+        // The game was removed; hand back what was at stake
+        return { session, settlement: await this.settle(senderId, session, 'draw'), ended: 'unavailable' };
+      }
+      if (session.expiresAt < Date.now()) {
+        return { session, settlement: await this.settle(senderId, session, 'loss'), ended: 'expired' };
+      }
+      if (this.isQuit(input)) {
+        return { session, settlement: await this.settle(senderId, session, 'loss'), ended: 'quit' };
+      }
+
+      const step = await game.play(session.state, input, { t, locale, wager: session.wager });
+      if (step.outcome) {
+        return { session, step, settlement: await this.settle(senderId, session, step.outcome) };
+      }
+      await userStore.setGameSession(senderId, {
+        ...session,
+        state: step.state ?? session.state,
+        lastMid: mid || undefined,
+        expiresAt: Date.now() + (game.timeoutMs || this.options.timeoutMs),
+      });
+      return { session, game, step };
+    });
+
+    if (result.duplicate) return;
+    if (result.stale) {
+      await fbApi.sendMessage(senderId, t('games.stale'), 'quick_replies', {
+        quickReplies: [quickReply(t('games.menuButton'), 'GAME_MENU')],
+      });
+      return;
+    }
+    if (!result.settlement) {
+      await this.sendRound(senderId, result.game, result.session, result.step);
+      return;
+    }
+
+    const { session, settlement } = result;
+    const title = t(`games.${session.name}.title`);
+    const text = result.ended ? t(`games.${result.ended}`, { game: title }) : result.step.text;
+    logger.info(`🎮 Game ${session.name} of ${senderId} ended: ${result.ended || settlement.outcome}`);
+    await fbApi.sendMessage(senderId,
+      [text, this.describeSettlement(settlement, t)].filter(Boolean).join('\n\n'),
+      'quick_replies',
+      {
+        quickReplies: [
+          quickReply(t('games.playAgain'), `GAME_START_${session.name}`),
+          quickReply(t('games.menuButton'), 'GAME_MENU'),
+        ],
+      }
+    );
+  }
+
+  // Pay out and count the result of a session, then close it. Must run
+  // under the user's ledger lock.
+  async settle(senderId, session, outcome) {
+    const game = this.getGame(session.name) || {};
+    const wager = session.wager || 0;
+    let payout;
+    let reason;
+    if (wager > 0) {
+      payout = { win: Math.floor(wager * (game.payout || 2)), draw: wager }[outcome] || 0;
+      reason = outcome === 'win' ? 'gameWin' : 'gameRefund';
+    } else {
+      payout = (game.rewards || {})[outcome] || 0;
+      reason = 'gameReward';
+    }
+
+    let balance;
+    if (payout > 0) {
+      const transaction = await ledger.apply(senderId, {
+        type: 'credit',
+        amount: payout,
+        reason,
+        key: `game:${session.id}:payout`,
+        note: session.name,
+      });
+      balance = transaction.balanceAfter;
+    } else {
+      balance = await ledger.getBalance(senderId);
+    }
+
+    await this.recordResult(senderId, session, outcome, payout);
+    await userStore.clearGameSession(senderId);
+    return { outcome, wager, payout, balance };
+  }
+
+  // Add a result to the user's stats for the game
+  async recordResult(senderId, session, outcome, payout) {
+    const id = `${senderId}:${session.name}`;
+    const stats = await userStore.getRecord(STATS_COLLECTION, id) || {
+      uid: senderId,
+      game: session.name,
+      played: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      wagered: 0,
+      paidOut: 0,
+    };
+    stats.played += 1;
+    stats[OUTCOME_FIELDS[outcome]] += 1;
+    stats.wagered += session.wager || 0;
+    stats.paidOut += payout;
+    stats.lastPlayedAt = new Date().toISOString();
+    await userStore.saveRecord(STATS_COLLECTION, id, stats);
+  }
+
+  // What the player won or lost, for the end of game message
+  describeSettlement({ outcome, wager, payout, balance }, t) {
+    let line = '';
+    if (wager > 0) {
+      line = {
+        win: t('games.result.wagerWon', { count: payout, wager }),
+        draw: t('games.result.wagerReturned', { count: wager }),
+        loss: t('games.result.wagerLost', { count: wager }),
+      }[outcome];
+    } else if (payout > 0) {
+      line = t('games.result.reward', { count: payout });
+    }
+    return [line, t('balance.current', { count: balance })].filter(Boolean).join('\n');
+  }
+
+  // Send a game's text with its choices as buttons or quick replies
+  async sendRound(senderId, game, session, round) {
+    const choices = round.choices || [];
+    const payload = choice => `GAME_MOVE_${session.id}_${choice.value}`;
+
+    if (choices.length === 0) {
+      return fbApi.sendMessage(senderId, round.text);
+    }
+    if (game.display === 'buttons' && choices.length <= MAX_BUTTONS) {
+      return fbApi.sendMessage(senderId, round.text, 'buttons', {
+        buttons: choices.map(choice => ({ type: 'postback', title: choice.title, payload: payload(choice) })),
+      });
+    }
+    return fbApi.sendMessage(senderId, round.text, 'quick_replies', {
+      quickReplies: choices.slice(0, MAX_QUICK_REPLIES).map(choice => quickReply(choice.title, payload(choice))),
+    });
+  }
+
+  /**
+   * Send the list of games as quick replies.
+   * @param {string} senderId
+   */
+  async sendMenu(senderId) {
+    const { t } = await i18n.forUser(senderId);
+    const games = this.getGames();
+    if (games.length === 0) {
+      await fbApi.sendMessage(senderId, t('games.none'));
+      return;
+    }
+    await fbApi.sendMessage(senderId, t('games.menu'), 'quick_replies', {
+      quickReplies: games.slice(0, MAX_QUICK_REPLIES).map(game =>
+        quickReply(t(`games.${game.name}.title`), `GAME_START_${game.name}`)
+      ),
+    });
+  }
+
+  /**
+   * A user's results per game.
+   * @param {string} uid
+   * @returns {Promise<Array<Object>>} `{ game, played, wins, losses, draws, wagered, paidOut }`
+   */
+  async getStats(uid) {
+    return userStore.listRecords(STATS_COLLECTION, { uid }, { sort: { played: -1, game: 1 } });
+  }
+
+  /**
+   * Results of every game over all users, for the admin API.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSummary() {
+    const totals = new Map();
+    for (const stats of await userStore.listRecords(STATS_COLLECTION)) {
+      const total = totals.get(stats.game) || { game: stats.game, players: 0, played: 0, wins: 0, losses: 0, draws: 0, wagered: 0, paidOut: 0 };
+      total.players += 1;
+      for (const field of ['played', 'wins', 'losses', 'draws', 'wagered', 'paidOut']) {
+        total[field] += stats[field] || 0;
+      }
+      totals.set(stats.game, total);
+    }
+    return [...totals.values()].sort((a, b) => b.played - a.played);
+  }
+}
+
+module.exports = new GameEngine();
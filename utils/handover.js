@@ -0,0 +1,215 @@
+/**
+ * Human Handover
+ * Implements the Messenger handover protocol so a human agent can take a
+ * conversation over from the bot. While a user is handed over, automated
+ * replies are paused until the agent passes control back or the pause
+ * expires.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+// App ID of the Meta Business Suite / Page Inbox, the default secondary
+// receiver for human agents.
+const PAGE_INBOX_APP_ID = '263902037430900';
+
+const handoverConfig = config.handover || {};
+
+class Handover {
+  constructor() {
+    // The bot can't message the user once the inbox owns the thread, so
+    // control is passed once the handover notice has left the send queue
+    fbApi.sendQueue.on('sent', job => this.handleNoticeOutcome(job));
+    fbApi.sendQueue.on('deadLettered', job => this.handleNoticeOutcome(job));
+    // Control was passed when the notice failed; it can't be sent later
+    fbApi.sendQueue.addRedriveGuard(job => !job.meta?.handover);
+  }
+
+  get enabled() {
+    return handoverConfig.enabled !== false;
+  }
+
+  get inboxAppId() {
+    return handoverConfig.inboxAppId || PAGE_INBOX_APP_ID;
+  }
+
+  pauseDurationMs(minutes) {
+    return (minutes || handoverConfig.pauseMinutes || 60) * 60 * 1000;
+  }
+
+  // Whether automated replies are currently suppressed for a user
+  async isBotPaused(senderId) {
+    if (!this.enabled) return false;
+    return userStore.isPaused(senderId);
+  }
+
+  /**
+   * Hand a conversation over to a human agent at the user's request.
+   * @param {string} senderId
+   * @param {string} [reason]
+   */
+  async requestHuman(senderId, reason = '') {
+    const { t } = await i18n.forUser(senderId);
+    await this.pause(senderId, null, { status: 'waiting', reason });
+    // Thread control is passed by handleNoticeOutcome() once this is sent
+    await fbApi.sendMessage(senderId, t('human.requested'), 'text', { meta: { handover: { uid: senderId } } });
+    await this.notifyAdmins(`🙋 User ${senderId} asked for a human${reason ? `: ${reason}` : ''}`);
+  }
+
+  // Send queue outcome of a handover notice: pass thread control to the
+  // inbox, delivered or not, unless the user was handed back meanwhile
+  async handleNoticeOutcome(job) {
+    const uid = job.meta?.handover?.uid;
+    if (!uid) return;
+    try {
+      if (!(await userStore.isPaused(uid))) return;
+      await fbApi.passThreadControl(uid, this.inboxAppId, 'human_requested');
+    } catch (error) {
+      // Without the handover permissions the message still reaches the
+      // Page inbox, so the bot just stays paused.
+      logger.warn(`Could not pass thread control for ${uid}, pausing bot only`);
+    }
+  }
+
+  /**
+   * Pause automated replies for a user.
+   * @param {string} senderId
+   * @param {number} [minutes] Defaults to handover.pauseMinutes
+   * @param {Object} [details] Extra handover details to store
+   */
+  async pause(senderId, minutes, details = {}) {
+    const user = await userStore.getUser(senderId);
+    const until = Date.now() + this.pauseDurationMs(minutes);
+    await userStore.setPausedUntil(senderId, until, {
+      status: 'active',
+      requestedAt: Date.now(),
+      ...user.handover,
+      ...details,
+      updatedAt: Date.now(),
+    });
+    logger.info(`⏸️ Bot paused for ${senderId} until ${new Date(until).toISOString()}`);
+    return until;
+  }
+
+  /**
+   * Resume automated replies for a user, taking thread control back if
+   * another app still owns the conversation.
+   * @param {string} senderId
+   * @param {Object} [options]
+   * @param {boolean} [options.takeControl=true]
+   */
+  async resume(senderId, { takeControl = true } = {}) {
+    if (takeControl) {
+      try {
+        await fbApi.takeThreadControl(senderId, 'bot_resumed');
+      } catch (error) {
+        logger.debug(`Take thread control for ${senderId} failed: ${error.message}`);
+      }
+    }
+    await userStore.setPausedUntil(senderId, null);
+    logger.info(`▶️ Bot resumed for ${senderId}`);
+  }
+
+  // List users currently handed over to a human, for the agent inbox
+  async getInbox() {
+    const users = await userStore.getPausedUsers();
+    return users.map(user => ({
+      uid: user.uid,
+      nickname: user.nickname || '',
+      pausedUntil: user.pausedUntil,
+      handover: user.handover || null,
+    }));
+  }
+
+  /**
+   * Handle a handover protocol messaging event (pass, take or request
+   * thread control) delivered to the bot.
+   * @param {Object} event Messaging event
+   * @returns {Promise<boolean>} Whether the event was a handover event
+   */
+  async handleHandoverEvent(event) {
+    const senderId = event.sender.id;
+
+    if (event.pass_thread_control) {
+      // Control was passed back to us, e.g. the agent marked the thread done
+      logger.info(`🤝 Thread control for ${senderId} passed back to the bot`);
+      await this.resume(senderId, { takeControl: false });
+      return true;
+    }
+
+    if (event.take_thread_control) {
+      // Another app (usually the Page inbox) took control from the bot
+      const owner = event.take_thread_control.previous_owner_app_id;
+      logger.info(`🤝 Thread control for ${senderId} taken from app ${owner}`);
+      await this.pause(senderId, null, { status: 'active' });
+      return true;
+    }
+
+    if (event.request_thread_control) {
+      const requester = event.request_thread_control.requested_owner_app_id;
+      logger.info(`🤝 App ${requester} requested thread control for ${senderId}`);
+      if (handoverConfig.autoPassOnRequest !== false) {
+        await fbApi.passThreadControl(senderId, requester, 'requested');
+        await this.pause(senderId, null, { status: 'active' });
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a `standby` event, delivered while another app owns the thread.
+   * Agent activity extends the pause; a user message after the pause has
+   * expired hands the thread back to the bot.
+   * @param {Object} event Standby messaging event
+   * @returns {Promise<boolean>} Whether the bot resumed and should process
+   *   the event as a regular messaging event
+   */
+  async handleStandbyEvent(event) {
+    if (!this.enabled) return false;
+
+    const message = event.message;
+    if (message && message.is_echo) {
+      // An agent replied from the inbox; keep the bot quiet
+      const userId = event.recipient.id;
+      if (await userStore.isPaused(userId)) {
+        await this.pause(userId, null, { status: 'active' });
+      }
+      return false;
+    }
+
+    const senderId = event.sender.id;
+    if (await userStore.isPaused(senderId)) {
+      logger.debug(`💤 Standby event from ${senderId} left to the human agent`);
+      return false;
+    }
+
+    if (message || event.postback) {
+      logger.info(`⌛ Handover for ${senderId} expired, bot taking the thread back`);
+      await this.resume(senderId);
+      return true;
+    }
+
+    return false;
+  }
+
+  async notifyAdmins(message) {
+    if (handoverConfig.notifyAdmins === false) return;
+    for (const adminId of config.security.adminUIDs) {
+      try {
+        await fbApi.sendMessage(adminId, message);
+      } catch (error) {
+        // Undelivered notices end in the send queue's dead letters
+        logger.warn(`Could not queue notice for admin ${adminId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new Handover();
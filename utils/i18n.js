@@ -0,0 +1,231 @@
+/**
+ * Internationalisation
+ * Loads the locale catalogues (`locales/<locale>.json`) and translates
+ * reply strings for a user.
+ *
+ * Catalogue entries are nested objects addressed by dotted keys:
+ *   "greeting": "Hi {name}!"                         interpolation
+ *   "coins": { "one": "{count} coin",                pluralisation, picked
+ *              "other": "{count} coins" }            with Intl.PluralRules
+ *   "thanks": ["Thanks!", "Thank you!"]              variants, one at random
+ *
+ * A user's locale is their `/lang` override, otherwise the `locale` of
+ * their Facebook profile, otherwise `i18n.defaultLocale`. Missing keys
+ * fall back to the default locale, then to the key itself.
+ *
+ * Per-user locales are off by default and everyone gets the default
+ * locale; set `features.enableMultiLanguage` to true in config.json to
+ * turn them on (and `/lang` with them).
+ *
+ * Check the catalogues for missing keys with `node utils/i18n.js check`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const i18nConfig = {
+  defaultLocale: 'en',
+  directory: 'locales',
+  ...config.i18n,
+};
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Plural entries are objects with an `other` form and nothing but plural forms
+function isPluralEntry(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.other === 'string' &&
+    Object.keys(value).every(key => PLURAL_CATEGORIES.includes(key));
+}
+
+// Flatten a nested catalogue into `{ 'dotted.key': entry }`
+function flatten(catalogue, prefix = '', entries = {}) {
+  for (const [key, value] of Object.entries(catalogue)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !isPluralEntry(value)) {
+      flatten(value, fullKey, entries);
+    } else {
+      entries[fullKey] = value;
+    }
+  }
+  return entries;
+}
+
+// Replace `{name}` placeholders; unknown placeholders are left as they are
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder
+  );
+}
+
+class I18n {
+  constructor() {
+    this.directory = path.join(__dirname, '..', i18nConfig.directory);
+    this.defaultLocale = i18nConfig.defaultLocale;
+    // locale -> flattened catalogue
+    this.catalogues = new Map();
+    this.load();
+  }
+
+  // (Re)load every catalogue from the locales directory
+  load() {
+    this.catalogues.clear();
+    if (!fs.existsSync(this.directory)) {
+      logger.warn(`🌐 Locale directory not found: ${this.directory}`);
+      return;
+    }
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.json'))) {
+      const locale = path.basename(file, '.json');
+      try {
+        const catalogue = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.catalogues.set(locale, flatten(catalogue));
+      } catch (error) {
+        logger.error(`🌐 Failed to load locale ${locale}: ${error.message}`);
+      }
+    }
+  }
+
+  get enabled() {
+    return Boolean(config.features.enableMultiLanguage);
+  }
+
+  getLocales() {
+    return [...this.catalogues.keys()].sort();
+  }
+
+  /**
+   * Map a requested locale to an available one: `es_ES` -> `es_ES`, then
+   * `es`, otherwise the default locale.
+   * @param {string} [locale]
+   * @returns {string}
+   */
+  resolveLocale(locale) {
+    if (locale) {
+      const normalized = String(locale).replace('-', '_');
+      const language = normalized.split('_')[0].toLowerCase();
+      const match = this.getLocales().find(available =>
+        available.toLowerCase() === normalized.toLowerCase()
+      ) || this.getLocales().find(available => available.toLowerCase() === language);
+      if (match) return match;
+    }
+    return this.defaultLocale;
+  }
+
+  /**
+   * Translate a key.
+   * @param {string} locale Locale to translate to
+   * @param {string} key Dotted catalogue key
+   * @param {Object} [vars] Placeholder values; `count` selects the plural form
+   * @returns {string}
+   */
+  translate(locale, key, vars = {}) {
+    const resolved = this.resolveLocale(locale);
+    let entry = this.catalogues.get(resolved)?.[key];
+    let entryLocale = resolved;
+    if (entry === undefined && resolved !== this.defaultLocale) {
+      entry = this.catalogues.get(this.defaultLocale)?.[key];
+      entryLocale = this.defaultLocale;
+    }
+    if (entry === undefined) {
+      logger.debug(`🌐 Missing translation: ${key} (${resolved})`);
+      return key;
+    }
+
+    if (Array.isArray(entry)) {
+      entry = entry[Math.floor(Math.random() * entry.length)];
+    } else if (isPluralEntry(entry)) {
+      const count = Number(vars.count) || 0;
+      const category = count === 0 && entry.zero !== undefined
+        ? 'zero'
+        : new Intl.PluralRules(entryLocale.replace('_', '-')).select(count);
+      entry = entry[category] ?? entry.other;
+    }
+    return interpolate(String(entry), vars);
+  }
+
+  // Whether a key is translated for a locale, or for the default locale
+  // it falls back to
+  has(locale, key) {
+    return this.catalogues.get(this.resolveLocale(locale))?.[key] !== undefined ||
+      this.catalogues.get(this.defaultLocale)?.[key] !== undefined;
+  }
+
+  // Fill `{name}` placeholders of text that doesn't come from a catalogue
+  format(text, vars = {}) {
+    return interpolate(String(text), vars);
+  }
+
+  // Pick the text for a locale from a string or a `{ locale: text }` map,
+  // as used by config and data files (FAQ, shop catalogue)
+  localize(value, locale) {
+    if (!value || typeof value === 'string') return value || '';
+    const language = String(locale || '').split('_')[0];
+    return value[locale] ?? value[language] ?? value[this.defaultLocale] ?? Object.values(value)[0] ?? '';
+  }
+
+  /**
+   * Locale to use for a user: the language they chose, otherwise the
+   * locale of their Facebook profile (see userStore.getProfile()).
+   * @param {string} uid
+   * @returns {Promise<string>}
+   */
+  async getUserLocale(uid) {
+    if (!this.enabled || !uid) return this.defaultLocale;
+
+    const user = await userStore.getUser(uid);
+    if (user.language) return this.resolveLocale(user.language);
+    const profile = await userStore.getProfile(uid);
+    // `locale` was kept on the record before profiles were cached
+    return this.resolveLocale(profile?.locale || user.locale);
+  }
+
+  /**
+   * Translator bound to a user's locale.
+   * @param {string} uid
+   * @returns {Promise<{ locale: string, t: Function }>}
+   */
+  async forUser(uid) {
+    const locale = await this.getUserLocale(uid);
+    return { locale, t: (key, vars) => this.translate(locale, key, vars) };
+  }
+
+  /**
+   * Keys of the default locale missing from each other locale.
+   * @returns {Object<string, Array<string>>} locale -> missing keys
+   */
+  findMissingKeys() {
+    const reference = Object.keys(this.catalogues.get(this.defaultLocale) || {});
+    const missing = {};
+    for (const [locale, entries] of this.catalogues) {
+      if (locale === this.defaultLocale) continue;
+      missing[locale] = reference.filter(key => entries[key] === undefined);
+    }
+    return missing;
+  }
+}
+
+const i18n = new I18n();
+
+// Report missing keys: node utils/i18n.js check
+if (require.main === module) {
+  if (process.argv[2] !== 'check') {
+    console.log('Usage: node utils/i18n.js check');
+    process.exit(1);
+  }
+  const missing = i18n.findMissingKeys();
+  let total = 0;
+  console.log(`Reference locale: ${i18n.defaultLocale}`);
+  for (const [locale, keys] of Object.entries(missing)) {
+    total += keys.length;
+    console.log(`\n${locale}: ${keys.length ? `${keys.length} missing` : 'complete'}`);
+    keys.forEach(key => console.log(`  - ${key}`));
+  }
+  process.exit(total > 0 ? 1 : 0);
+}
+
+module.exports = i18n;
@@ -0,0 +1,164 @@
+/**
+ * Messenger Profile Sync
+ * Pushes the declarative `messengerProfile` section of config.json
+ * (Get Started button, greeting, persistent menu and ice breakers) to the
+ * Messenger Profile API, refusing to publish payloads no postback plugin
+ * handles.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+
+// Profile fields managed by this module. Fields missing from the config are
+// removed from the page so the live profile never drifts from config.json.
+const MANAGED_FIELDS = ['get_started', 'greeting', 'persistent_menu', 'ice_breakers'];
+
+// Convert a config menu item to a Graph API call_to_action
+function buildMenuItem(item) {
+  const action = {
+    type: item.type || 'postback',
+    title: item.title,
+  };
+
+  switch (action.type) {
+    case 'postback':
+      action.payload = item.payload;
+      break;
+    case 'web_url':
+      action.url = item.url;
+      if (item.webviewHeightRatio) action.webview_height_ratio = item.webviewHeightRatio;
+      break;
+    case 'nested':
+      action.call_to_actions = (item.items || []).map(buildMenuItem);
+      break;
+  }
+
+  return action;
+}
+
+// Build the Graph API profile body from the config section
+function buildProfile(profileConfig = {}) {
+  const profile = {};
+
+  if (profileConfig.getStarted) {
+    profile.get_started = { payload: profileConfig.getStarted };
+  }
+
+  if (Array.isArray(profileConfig.greeting) && profileConfig.greeting.length > 0) {
+    profile.greeting = profileConfig.greeting.map(({ locale, text }) => ({
+      locale: locale || 'default',
+      text,
+    }));
+  }
+
+  if (Array.isArray(profileConfig.persistentMenu) && profileConfig.persistentMenu.length > 0) {
+    profile.persistent_menu = profileConfig.persistentMenu.map(menu => ({
+      locale: menu.locale || 'default',
+      composer_input_disabled: Boolean(menu.composerInputDisabled),
+      call_to_actions: (menu.items || []).map(buildMenuItem),
+    }));
+  }
+
+  if (Array.isArray(profileConfig.iceBreakers) && profileConfig.iceBreakers.length > 0) {
+    profile.ice_breakers = [{
+      locale: 'default',
+      call_to_actions: profileConfig.iceBreakers.map(({ question, payload }) => ({
+        question,
+        payload,
+      })),
+    }];
+  }
+
+  return profile;
+}
+
+// Collect every postback payload referenced by a built profile
+function collectPayloads(profile) {
+  const payloads = [];
+  const visit = actions => {
+    for (const action of actions || []) {
+      if (action.type === 'nested') {
+        visit(action.call_to_actions);
+      } else if (action.payload !== undefined) {
+        payloads.push({ source: `persistent_menu "${action.title}"`, payload: action.payload });
+      }
+    }
+  };
+
+  if (profile.get_started) {
+    payloads.push({ source: 'get_started', payload: profile.get_started.payload });
+  }
+  for (const menu of profile.persistent_menu || []) {
+    visit(menu.call_to_actions);
+  }
+  for (const group of profile.ice_breakers || []) {
+    for (const action of group.call_to_actions) {
+      payloads.push({ source: `ice_breaker "${action.question}"`, payload: action.payload });
+    }
+  }
+
+  return payloads;
+}
+
+// Return the payloads that no loaded postback plugin handles
+function findUnhandledPayloads(profile) {
+  const { findPostbackPlugin } = require('./pluginLoader');
+
+  return collectPayloads(profile).filter(({ payload }) => {
+    let parsed = payload;
+    try {
+      parsed = JSON.parse(payload);
+    } catch {
+      // Plain string payload
+    }
+    return !findPostbackPlugin(parsed);
+  });
+}
+
+/**
+ * Sync the configured messenger profile to the page. Must run after the
+ * plugins are loaded so menu payloads can be validated against them.
+ *
+ * @returns {Promise<Object|null>} The published profile, or null when the
+ *   sync is disabled or skipped because of unhandled payloads
+ */
+async function syncMessengerProfile() {
+  const profileConfig = config.messengerProfile;
+  if (!profileConfig || profileConfig.enabled === false) {
+    logger.debug('Messenger profile sync disabled');
+    return null;
+  }
+
+  const profile = buildProfile(profileConfig);
+
+  const unhandled = findUnhandledPayloads(profile);
+  if (unhandled.length > 0) {
+    unhandled.forEach(({ source, payload }) => {
+      logger.error(`❌ Messenger profile ${source} uses payload "${payload}" which no postback plugin handles`);
+    });
+    logger.error('❌ Messenger profile not synced, fix the payloads in config.json');
+    return null;
+  }
+
+  if (Object.keys(profile).length > 0) {
+    await fbApi.setMessengerProfile(profile);
+  }
+
+  const removed = MANAGED_FIELDS.filter(field => !profile[field]);
+  if (removed.length > 0) {
+    await fbApi.deleteMessengerProfile(removed);
+  }
+
+  logger.info('✅ Messenger profile synced');
+  return profile;
+}
+
+module.exports = {
+  buildProfile,
+  collectPayloads,
+  findUnhandledPayloads,
+  syncMessengerProfile,
+};
@@ -0,0 +1,330 @@
+/**
+ * Comment Moderation
+ * Rules engine that runs before the comment plugins. Each rule detects a
+ * kind of unwanted comment (banned words, links, regex, repeated-text spam,
+ * blocklisted users) and maps it to actions: hide, delete, reply or notify
+ * admins. Every decision is written to the moderation log for auditing,
+ * including those made in dry-run mode. Admin notices that end in the send
+ * queue's dead letters are added to the entry as `undelivered`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const LOG_COLLECTION = 'moderationLog';
+const ACTIONS = ['hide', 'delete', 'reply', 'notify'];
+const URL_PATTERN = /\b((?:https?:\/\/|www\.)[^\s]+|[a-z0-9-]+\.(?:com|net|org|io|co|xyz|info|biz|me|ly|link|site|online)\b[^\s]*)/gi;
+
+const moderationConfig = config.moderation || {};
+
+// Normalise text for word and repetition matching
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Moderator {
+  constructor(options = moderationConfig) {
+    this.options = options;
+    this.rules = (options.rules || []).map(rule => this.compileRule(rule));
+    // senderId -> [{ text, at }] for repeated-text detection, kept for the
+    // longest repeatedText window
+    this.recentComments = new Map();
+    this.historyMs = Math.max(
+      0,
+      ...this.rules.filter(rule => rule.type === 'repeatedText').map(rule => (rule.windowMinutes || 10) * 60 * 1000)
+    );
+    this.lastPrune = Date.now();
+    // Last write to the log made from a send queue outcome
+    this.logWrite = Promise.resolve();
+
+    fbApi.sendQueue.on('deadLettered', (job, error) => this.handleUndelivered(job, error));
+  }
+
+  get enabled() {
+    return this.options.enabled !== false && this.rules.length > 0;
+  }
+
+  get dryRun() {
+    return Boolean(this.options.dryRun);
+  }
+
+  // Turn a rule from config into a `test(comment)` function
+  compileRule(rule) {
+    const actions = (rule.actions || ['hide']).filter(action => ACTIONS.includes(action));
+    const compiled = { ...rule, name: rule.name || rule.type, actions };
+
+    switch (rule.type) {
+      case 'bannedWords': {
+        const words = (rule.words || []).map(word => escapeRegex(word.toLowerCase()));
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u');
+        compiled.test = comment => {
+          if (words.length === 0) return null;
+          const match = normalize(comment.message).match(pattern);
+          return match ? `banned word "${match[2]}"` : null;
+        };
+        break;
+      }
+
+      case 'links': {
+        const allowed = (rule.allowDomains || []).map(domain => domain.toLowerCase());
+        compiled.test = comment => {
+          const links = String(comment.message || '').match(URL_PATTERN) || [];
+          const blocked = links.find(link => {
+            const host = link.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#]/)[0].toLowerCase();
+            return !allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+          });
+          return blocked ? `link ${blocked}` : null;
+        };
+        break;
+      }
+
+      case 'regex': {
+        const pattern = new RegExp(rule.pattern, rule.flags || 'i');
+        compiled.test = comment => (pattern.test(comment.message || '') ? `matched /${rule.pattern}/` : null);
+        break;
+      }
+
+      case 'repeatedText': {
+        const threshold = rule.threshold || 3;
+        const windowMs = (rule.windowMinutes || 10) * 60 * 1000;
+        compiled.test = comment => {
+          const text = normalize(comment.message);
+          if (!text) return null;
+          const since = Date.now() - windowMs;
+          const history = (this.recentComments.get(comment.senderId) || [])
+            .filter(entry => entry.at >= since);
+          const repeats = history.filter(entry => entry.text === text).length + 1;
+          return repeats >= threshold ? `same text posted ${repeats} times` : null;
+        };
+        break;
+      }
+
+      case 'blockedUsers': {
+        const userIds = rule.userIds || [];
+        compiled.test = comment => (userIds.includes(comment.senderId) ? 'blocklisted user' : null);
+        break;
+      }
+
+      default:
+        logger.warn(`Unknown moderation rule type "${rule.type}" in rule ${compiled.name}`);
+        compiled.test = () => null;
+    }
+
+    return compiled;
+  }
+
+  // Remember a comment for repeated-text detection
+  remember(comment) {
+    if (this.historyMs === 0) return;
+
+    const now = Date.now();
+    const since = now - this.historyMs;
+    // Other commenters' history is dropped once per window, so nothing is
+    // kept much longer than the window
+    if (now - this.lastPrune >= this.historyMs) {
+      this.prune(since);
+      this.lastPrune = now;
+    }
+
+    const history = (this.recentComments.get(comment.senderId) || []).filter(entry => entry.at >= since);
+    history.push({ text: normalize(comment.message), at: now });
+    this.recentComments.set(comment.senderId, history);
+  }
+
+  // Forget comments posted before `since`
+  prune(since) {
+    for (const [senderId, history] of this.recentComments) {
+      const recent = history.filter(entry => entry.at >= since);
+      if (recent.length === 0) {
+        this.recentComments.delete(senderId);
+      } else {
+        this.recentComments.set(senderId, recent);
+      }
+    }
+  }
+
+  /**
+   * Evaluate a comment against the rules and apply the resulting actions.
+   * @param {Object} comment Comment data as passed to comment plugins
+   * @param {string} pageId ID of the page the comment was posted on
+   * @returns {Promise<Object>} `{ matches, actions, removed }` where
+   *   `removed` is true when the comment was hidden or deleted and should
+   *   not be handled by the comment plugins
+   */
+  async moderateComment(comment, pageId) {
+    const result = { matches: [], actions: [], removed: false };
+    if (!this.enabled || comment.senderId === pageId) return result;
+
+    for (const rule of this.rules) {
+      const reason = rule.test(comment);
+      if (reason) {
+        result.matches.push({ rule: rule.name, reason });
+        rule.actions.forEach(action => {
+          if (!result.actions.includes(action)) result.actions.push(action);
+        });
+      }
+    }
+    this.remember(comment);
+
+    if (result.matches.length === 0) return result;
+
+    // Deleting makes hiding pointless
+    if (result.actions.includes('delete')) {
+      result.actions = result.actions.filter(action => action !== 'hide');
+    }
+
+    const logId = crypto.randomUUID();
+    const outcomes = {};
+    if (!this.dryRun) {
+      for (const action of result.actions) {
+        outcomes[action] = await this.applyAction(action, comment, result.matches, logId);
+      }
+      result.removed = ['hide', 'delete'].some(action => outcomes[action] === 'ok');
+    }
+
+    await this.log(logId, comment, result, outcomes);
+    logger.info(
+      `🛡️ ${this.dryRun ? '[dry-run] ' : ''}Comment ${comment.commentId} by ${comment.senderName} matched ` +
+      `${result.matches.map(match => match.rule).join(', ')} → ${result.actions.join(', ')}`
+    );
+    return result;
+  }
+
+  async applyAction(action, comment, matches, logId) {
+    try {
+      switch (action) {
+        case 'hide':
+          await fbApi.hideComment(comment.commentId);
+          break;
+        case 'delete':
+          await fbApi.deleteComment(comment.commentId);
+          break;
+        case 'reply': {
+          const rule = this.rules.find(r => r.actions.includes('reply') && matches.some(m => m.rule === r.name));
+          const reply = (rule && rule.reply) || this.options.defaultReply ||
+            'Your comment was flagged by our moderation rules.';
+          await fbApi.replyToComment(comment.commentId, reply.replace('{name}', comment.senderName));
+          break;
+        }
+        case 'notify':
+          await this.notifyAdmins(comment, matches, logId);
+          break;
+      }
+      return 'ok';
+    } catch (error) {
+      logger.error(`Moderation action ${action} failed for comment ${comment.commentId}:`, error.message);
+      return `error: ${error.message}`;
+    }
+  }
+
+  async notifyAdmins(comment, matches, logId) {
+    const reasons = matches.map(match => `${match.rule} (${match.reason})`).join(', ');
+    const message = `🛡️ Comment flagged on post ${comment.postId}\n` +
+      `From: ${comment.senderName} (${comment.senderId})\n` +
+      `Text: ${String(comment.message).substring(0, 300)}\n` +
+      `Rules: ${reasons}`;
+
+    // One admin whose notice can't be queued must not keep the others from
+    // being notified; notices queued but never delivered are recorded by
+    // handleUndelivered()
+    const admins = config.security.adminUIDs;
+    let failed = 0;
+    for (const adminId of admins) {
+      try {
+        await fbApi.sendMessage(adminId, message, 'text', { meta: { moderation: { logId, adminId } } });
+      } catch (error) {
+        failed++;
+        logger.warn(`Could not queue notice for admin ${adminId}:`, error.message);
+      }
+    }
+    if (admins.length > 0 && failed === admins.length) {
+      throw new Error('No admin notice could be queued');
+    }
+  }
+
+  // Send queue dead letter: note the admin on the log entry, and fail the
+  // notify action once no admin was reached
+  handleUndelivered(job, error) {
+    const notice = job.meta?.moderation;
+    if (!notice) return;
+    this.logWrite = this.logWrite.then(async () => {
+      const entry = await userStore.getRecord(LOG_COLLECTION, notice.logId);
+      if (!entry) return;
+      delete entry._id;
+      entry.undelivered = [...new Set([...(entry.undelivered || []), notice.adminId])];
+      if (entry.outcomes?.notify === 'ok' && entry.undelivered.length >= config.security.adminUIDs.length) {
+        entry.outcomes.notify = `error: No admin could be notified (${error.message})`;
+      }
+      await userStore.saveRecord(LOG_COLLECTION, notice.logId, entry);
+    }).catch(writeError => {
+      logger.error(`Failed to record undelivered notice for moderation log ${notice.logId}:`, writeError.message);
+    });
+  }
+
+  async log(id, comment, result, outcomes) {
+    const entry = {
+      commentId: comment.commentId,
+      postId: comment.postId,
+      senderId: comment.senderId,
+      senderName: comment.senderName,
+      message: comment.message,
+      matches: result.matches,
+      actions: result.actions,
+      outcomes,
+      dryRun: this.dryRun,
+      at: new Date().toISOString(),
+    };
+    try {
+      await userStore.saveRecord(LOG_COLLECTION, id, entry);
+    } catch (error) {
+      logger.error('Failed to write moderation log:', error.message);
+    }
+  }
+
+  /**
+   * Read the moderation log, newest first.
+   * @param {Object} [filter]
+   * @param {string} [filter.senderId]
+   * @param {number} [filter.limit=100]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getLog({ senderId, limit = 100 } = {}) {
+    const entries = await userStore.listRecords(LOG_COLLECTION, senderId ? { senderId } : {});
+    return entries
+      .map(({ _id, ...entry }) => entry)
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Undo a hide action recorded in the log, e.g. after a false positive.
+   * @param {string} id Log entry id
+   * @returns {Promise<Object|null>} The updated entry, or null if not found
+   * @throws {Error} If the entry did not hide the comment
+   */
+  async revert(id) {
+    const entry = await userStore.getRecord(LOG_COLLECTION, id);
+    if (!entry) return null;
+    if (!entry.outcomes || entry.outcomes.hide !== 'ok') {
+      throw new Error('Only hidden comments can be restored');
+    }
+    await fbApi.hideComment(entry.commentId, false);
+    entry.revertedAt = new Date().toISOString();
+    entry.outcomes.hide = 'reverted';
+    delete entry._id;
+    await userStore.saveRecord(LOG_COLLECTION, id, entry);
+    logger.info(`🛡️ Comment ${entry.commentId} restored`);
+    return entry;
+  }
+}
+
+module.exports = new Moderator();
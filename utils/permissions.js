@@ -0,0 +1,240 @@
+/**
+ * Permissions
+ * Role-based access to commands. Roles are sets of permissions defined in
+ * `permissions.roles`; users are granted roles at runtime with /role and
+ * their roles are kept on their user record. The UIDs in
+ * `security.adminUIDs` always hold the admin role, so there is someone to
+ * grant the first roles.
+ *
+ * Command plugins declare what they need in `config.permission`, e.g.
+ * `permission: 'economy.setBalance'`. Admin category commands without a
+ * declared permission need the `admin` permission, which only `*` grants.
+ * A role's permissions may end with `.*` to grant a whole group
+ * (`economy.*`).
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const ADMIN_ROLE = 'admin';
+const ADMIN_PERMISSION = 'admin';
+
+const permissionsConfig = {
+  ...config.permissions,
+  roles: { [ADMIN_ROLE]: ['*'], ...config.permissions?.roles },
+};
+
+class PermissionError extends Error {
+  /**
+   * @param {string} code `unknownRole`, `notAllowed`, `alreadyGranted`,
+   *   `notGranted` or `configured`
+   * @param {string} message
+   * @param {Object} [details] Values for the user-facing message
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PermissionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Whether a list of granted permissions covers the one asked for
+function covers(granted, permission) {
+  return granted.some(entry =>
+    entry === '*' ||
+    entry === permission ||
+    (entry.endsWith('.*') && permission.startsWith(entry.slice(0, -1)))
+  );
+}
+
+class Permissions {
+  constructor(options = permissionsConfig) {
+    this.options = options;
+  }
+
+  /**
+   * Names of the configured roles.
+   * @returns {Array<string>}
+   */
+  getRoleNames() {
+    return Object.keys(this.options.roles);
+  }
+
+  /**
+   * Permissions granted by a role.
+   * @param {string} role
+   * @returns {Array<string>}
+   */
+  getRolePermissions(role) {
+    return this.options.roles[role] || [];
+  }
+
+  // Whether the UID is an admin through security.adminUIDs
+  isConfiguredAdmin(uid) {
+    return config.security.adminUIDs.includes(uid);
+  }
+
+  /**
+   * Roles a user holds: those granted with /role that still exist, plus
+   * admin for the configured admins.
+   * @param {string} uid
+   * @returns {Promise<Array<string>>}
+   */
+  async getRoles(uid) {
+    const roles = (await userStore.getRoles(uid)).filter(role => this.options.roles[role]);
+    if (this.isConfiguredAdmin(uid) && !roles.includes(ADMIN_ROLE)) {
+      roles.unshift(ADMIN_ROLE);
+    }
+    return roles;
+  }
+
+  /**
+   * Every permission a user holds through their roles.
+   * @param {string} uid
+   * @returns {Promise<Array<string>>}
+   */
+  async getPermissions(uid) {
+    const roles = await this.getRoles(uid);
+    return Array.from(new Set(roles.flatMap(role => this.getRolePermissions(role))));
+  }
+
+  /**
+   * Check whether a user holds a permission.
+   * @param {string} uid
+   * @param {string} permission
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(uid, permission) {
+    return covers(await this.getPermissions(uid), permission);
+  }
+
+  /**
+   * Check whether a user holds the admin role.
+   * @param {string} uid
+   * @returns {Promise<boolean>}
+   */
+  async isAdmin(uid) {
+    return this.isConfiguredAdmin(uid) || (await this.getRoles(uid)).includes(ADMIN_ROLE);
+  }
+
+  /**
+   * Permission a command plugin needs, or null when anyone may run it.
+   * @param {Object} plugin
+   * @returns {string|null}
+   */
+  getRequiredPermission(plugin) {
+    const pluginConfig = plugin.config || {};
+    if (pluginConfig.permission) return pluginConfig.permission;
+    return pluginConfig.category === 'admin' ? ADMIN_PERMISSION : null;
+  }
+
+  /**
+   * Check whether a user may run a command plugin.
+   * @param {string} uid
+   * @param {Object} plugin
+   * @returns {Promise<boolean>}
+   */
+  async canRun(uid, plugin) {
+    const permission = this.getRequiredPermission(plugin);
+    if (!permission) return true;
+    return covers(await this.getPermissions(uid), permission);
+  }
+
+  /**
+   * The command plugins a user may run, in the given order.
+   * @param {string} uid
+   * @param {Array<Object>} plugins
+   * @returns {Promise<Array<Object>>}
+   */
+  async filterRunnable(uid, plugins) {
+    const granted = await this.getPermissions(uid);
+    return plugins.filter(plugin => {
+      const permission = this.getRequiredPermission(plugin);
+      return !permission || covers(granted, permission);
+    });
+  }
+
+  // A role may only be handed out or taken away by someone who holds all
+  // of its permissions, so /role can't be used to escalate
+  async assertCanAssign(actorUid, role) {
+    if (!this.options.roles[role]) {
+      throw new PermissionError('unknownRole', `Unknown role: ${role}`, {
+        role,
+        roles: this.getRoleNames().join(', '),
+      });
+    }
+    const granted = await this.getPermissions(actorUid);
+    if (!this.getRolePermissions(role).every(permission => covers(granted, permission))) {
+      throw new PermissionError('notAllowed', `${actorUid} may not assign the ${role} role`, { role });
+    }
+  }
+
+  /**
+   * Grant a role to a user on behalf of another user.
+   * @param {string} actorUid User granting the role
+   * @param {string} uid
+   * @param {string} role
+   * @returns {Promise<Array<string>>} The user's roles afterwards
+   * @throws {PermissionError}
+   */
+  async grant(actorUid, uid, role) {
+    await this.assertCanAssign(actorUid, role);
+    if ((await this.getRoles(uid)).includes(role)) {
+      throw new PermissionError('alreadyGranted', `${uid} already holds the ${role} role`, { role });
+    }
+    await userStore.addRole(uid, role);
+    logger.info(`🔑 ${actorUid} granted the ${role} role to ${uid}`);
+    return this.getRoles(uid);
+  }
+
+  /**
+   * Revoke a role from a user on behalf of another user. The admin role of
+   * the configured admins can only be removed in config.json.
+   * @param {string} actorUid User revoking the role
+   * @param {string} uid
+   * @param {string} role
+   * @returns {Promise<Array<string>>} The user's roles afterwards
+   * @throws {PermissionError}
+   */
+  async revoke(actorUid, uid, role) {
+    await this.assertCanAssign(actorUid, role);
+    if (role === ADMIN_ROLE && this.isConfiguredAdmin(uid)) {
+      throw new PermissionError('configured', `${uid} is an admin in security.adminUIDs`, { role });
+    }
+    if (!(await userStore.getRoles(uid)).includes(role)) {
+      throw new PermissionError('notGranted', `${uid} does not hold the ${role} role`, { role });
+    }
+    await userStore.removeRole(uid, role);
+    logger.info(`🔑 ${actorUid} revoked the ${role} role from ${uid}`);
+    return this.getRoles(uid);
+  }
+
+  /**
+   * Every user holding a role, configured admins included.
+   * @returns {Promise<Array<{ uid: string, nickname?: string, roles: Array<string> }>>}
+   */
+  async listAssignments() {
+    const assignments = new Map();
+    for (const uid of config.security.adminUIDs) {
+      assignments.set(uid, { uid, roles: [ADMIN_ROLE] });
+    }
+    for (const user of await userStore.getUsersWithRoles()) {
+      const roles = user.roles.filter(role => this.options.roles[role]);
+      const entry = assignments.get(user.uid) || { uid: user.uid, roles: [] };
+      entry.nickname = user.nickname || undefined;
+      entry.roles = Array.from(new Set([...entry.roles, ...roles]));
+      if (entry.roles.length > 0) {
+        assignments.set(user.uid, entry);
+      }
+    }
+    return [...assignments.values()];
+  }
+}
+
+module.exports = new Permissions();
+module.exports.PermissionError = PermissionError;
+module.exports.ADMIN_ROLE = ADMIN_ROLE;
@@ -0,0 +1,140 @@
+/**
+ * Plugin Context
+ * Builds the context object handed to plugins, so they no longer need to
+ * require the Graph API client, user store and config or hand-roll their
+ * error replies.
+ *
+ * Plugins declaring `useContext: true` (in `config` for commands) are
+ * called with the context as their only argument:
+ *   start(ctx) / run(ctx)
+ * All other plugins keep their original arguments and receive the context
+ * as an extra trailing argument.
+ *
+ * `ctx.t(key, vars)` translates catalogue keys (see i18n.js) into the
+ * user's language, `ctx.locale` tells which one it is.
+ *
+ * Commands declaring `args` or `flags` in their config find the parsed
+ * values in `ctx.params` (see commandArgs.js).
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const i18n = require('./i18n');
+const permissions = require('./permissions');
+const userStore = require('../models/userStore');
+
+const STORE_COLLECTION = 'pluginData';
+
+// Key-value store scoped to one plugin; each key is its own record
+function createPluginStore(pluginName) {
+  const recordId = key => `${pluginName}:${key}`;
+  return {
+    async get(key, fallback = null) {
+      const record = await userStore.getRecord(STORE_COLLECTION, recordId(key));
+      return record ? record.value : fallback;
+    },
+    async set(key, value) {
+      await userStore.saveRecord(STORE_COLLECTION, recordId(key), {
+        plugin: pluginName,
+        key,
+        value,
+        updatedAt: new Date().toISOString(),
+      });
+      return value;
+    },
+    async delete(key) {
+      return userStore.deleteRecord(STORE_COLLECTION, recordId(key));
+    },
+    async entries() {
+      const records = await userStore.listRecords(STORE_COLLECTION, { plugin: pluginName });
+      return Object.fromEntries(records.map(record => [record.key, record.value]));
+    },
+  };
+}
+
+// Logger whose lines are prefixed with the plugin name
+function createPluginLogger(pluginName) {
+  const tag = `[${pluginName}]`;
+  return {
+    debug: (message, ...meta) => logger.debug(`${tag} ${message}`, ...meta),
+    info: (message, ...meta) => logger.info(`${tag} ${message}`, ...meta),
+    warn: (message, ...meta) => logger.warn(`${tag} ${message}`, ...meta),
+    error: (message, ...meta) => logger.error(`${tag} ${message}`, ...meta),
+  };
+}
+
+/**
+ * Create the context for one plugin invocation.
+ * @param {Object} plugin Registered plugin (with `meta`)
+ * @param {Object} details
+ * @param {string} details.senderId PSID of the user
+ * @param {string} details.type `command`, `postback` or `comment`
+ * @param {Object} details.event Raw message, postback or comment data
+ * @param {string} [details.prefix] Prefix the command was typed with
+ * @param {Object} [details.extra] Additional fields, e.g. `args`, `payload`
+ * @returns {Promise<Object>} The context
+ */
+async function createContext(plugin, { senderId, type, event, prefix, extra = {} }) {
+  const pluginName = plugin.meta?.name || plugin.config?.name || plugin.name || 'plugin';
+  const { _id, ...user } = await userStore.getUser(senderId);
+  const { locale, t } = await i18n.forUser(senderId);
+  const pluginLogger = createPluginLogger(pluginName);
+  const commentId = type === 'comment' ? event.commentId : null;
+
+  // Reply in the conversation, or publicly under the comment
+  const reply = (message, messageType = 'text', options = {}) => {
+    if (commentId) {
+      return fbApi.replyToComment(commentId, message);
+    }
+    return fbApi.sendMessage(senderId, message, messageType, options);
+  };
+
+  return {
+    senderId,
+    type,
+    event,
+    user,
+    prefix: prefix || user.prefix || config.bot.prefix || '/',
+    isAdmin: await permissions.isAdmin(senderId),
+    locale,
+    t,
+    store: createPluginStore(pluginName),
+    logger: pluginLogger,
+    ...extra,
+    reply,
+
+    replyButtons(message, buttons) {
+      return fbApi.sendMessage(senderId, message, 'buttons', { buttons });
+    },
+
+    replyQuickReplies(message, quickReplies) {
+      return fbApi.sendMessage(senderId, message, 'quick_replies', { quickReplies });
+    },
+
+    // Log an error and tell the user something went wrong
+    async fail(error, message = t('errors.pluginFailed')) {
+      pluginLogger.error(error && error.stack ? error.stack : String(error && error.message || error));
+      try {
+        await reply(message);
+      } catch (replyError) {
+        pluginLogger.error(`Failed to send error reply: ${replyError.message}`);
+      }
+    },
+  };
+}
+
+// Arguments to call a plugin with, honouring `useContext`
+function buildArgs(plugin, legacyArgs, context) {
+  const useContext = plugin.config?.useContext ?? plugin.useContext;
+  return useContext ? [context] : [...legacyArgs, context];
+}
+
+module.exports = {
+  createContext,
+  createPluginStore,
+  createPluginLogger,
+  buildArgs,
+};
@@ -11,6 +11,15 @@ const { exec } = require('child_process');
 const util = require('util');
 const logger = require('./logger');
 const config = require('../config.json');
+const pluginRunner = require('./pluginRunner');
+const { createContext } = require('./pluginContext');
+const postbackMatcher = require('./postbackMatcher');
+const commandArgs = require('./commandArgs');
+const permissions = require('./permissions');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const throttle = require('./throttle');
+const userStore = require('../models/userStore');
 
 const execPromise = util.promisify(exec);
 
@@ -20,6 +29,8 @@ class PluginLoader {
       commands: new Map(),
       postbacks: new Map(),
       comments: new Map(),
+      flows: new Map(),
+      games: new Map(),
     };
     
     this.pluginPaths = {
@@ -30,6 +41,10 @@ class PluginLoader {
       // causing comment plugins not to load. Using the correct directory name
       // ensures comment-based auto‑reply plugins are discovered.
       comments: path.join(__dirname, '../plugins/commentsToReply'),
+      // Multi-step conversation flows started by other plugins
+      flows: path.join(__dirname, '../plugins/flows'),
+      // Games run by the game engine (utils/gameEngine.js)
+      games: path.join(__dirname, '../plugins/games'),
     };
     
     this.watchers = {};
@@ -51,6 +66,7 @@ class PluginLoader {
     
     // Load all plugins
     await this.loadAllPlugins();
+    this.reportUnhandledPayloads();
     
     // Setup hot reload if enabled
     if (config.pluginDefaults.hotReload) {
@@ -101,7 +117,7 @@ class PluginLoader {
       }
       
       // Check for duplicates
-      const duplicateKey = this.getDuplicateKey(plugin, type);
+      const duplicateKey = this.getDuplicateKey(plugin, type, pluginName);
       if (this.duplicates.has(duplicateKey)) {
         logger.warn(`Duplicate ${type} plugin detected: ${duplicateKey}`);
         return;
@@ -128,32 +144,51 @@ class PluginLoader {
       case 'commands':
         return plugin.config && 
                typeof plugin.config.name === 'string' &&
-               typeof plugin.start === 'function';
+               typeof plugin.start === 'function' &&
+               commandArgs.hasValidSchema(plugin.config);
                
       case 'postbacks':
-        return plugin.payload !== undefined &&
+        return postbackMatcher.hasValidMatchers(plugin) &&
                typeof plugin.start === 'function';
                
       case 'comments':
         return typeof plugin.run === 'function';
         
+      case 'flows':
+        return typeof plugin.name === 'string' &&
+               plugin.steps && typeof plugin.steps === 'object' &&
+               Boolean(plugin.steps[plugin.initialStep]);
+        
+      case 'games':
+        return typeof plugin.name === 'string' && /^[a-z0-9]+$/.test(plugin.name) &&
+               typeof plugin.start === 'function' &&
+               typeof plugin.play === 'function';
+        
       default:
         return false;
     }
   }
 
   // Get duplicate detection key
-  getDuplicateKey(plugin, type) {
+  getDuplicateKey(plugin, type, name) {
     switch (type) {
       case 'commands':
         const aliases = plugin.config.aliases || [];
         return `${type}:${plugin.config.name}:${aliases.sort().join(',')}`;
         
       case 'postbacks':
-        return `${type}:${JSON.stringify(plugin.payload)}`;
+        // Plugins using `match` may overlap on purpose; priorities decide
+        return plugin.payload !== undefined
+          ? `${type}:${JSON.stringify(plugin.payload)}`
+          : `${type}:match:${name}`;
         
       case 'comments':
-        return `${type}:${plugin.constructor?.name || 'anonymous'}`;
+        // Comment plugins are plain objects, so key them by their name
+        return `${type}:${plugin.name || 'anonymous'}`;
+        
+      case 'flows':
+      case 'games':
+        return `${type}:${plugin.name}`;
         
       default:
         return `${type}:${JSON.stringify(plugin)}`;
@@ -172,8 +207,16 @@ class PluginLoader {
       },
     };
     
+    if (type === 'postbacks') {
+      pluginWithMeta.meta.matchers = postbackMatcher.compileMatchers(plugin);
+    }
+    
+    if (type === 'commands') {
+      pluginWithMeta.meta.args = commandArgs.compile(plugin.config);
+    }
+    
     this.plugins[type].set(name, pluginWithMeta);
-    this.duplicates.add(this.getDuplicateKey(plugin, type));
+    this.duplicates.add(this.getDuplicateKey(plugin, type, name));
   }
 
   // Install plugin dependencies
@@ -250,7 +293,7 @@ class PluginLoader {
   unloadPlugin(name, type) {
     if (this.plugins[type].has(name)) {
       const plugin = this.plugins[type].get(name);
-      const duplicateKey = this.getDuplicateKey(plugin, type);
+      const duplicateKey = this.getDuplicateKey(plugin, type, name);
       this.duplicates.delete(duplicateKey);
       
       this.plugins[type].delete(name);
@@ -263,9 +306,32 @@ class PluginLoader {
     return this.plugins[type].get(name);
   }
 
-  // Get all plugins of type
+  // Get all enabled plugins of type
   getPluginsByType(type) {
-    return Array.from(this.plugins[type].values());
+    return Array.from(this.plugins[type].values()).filter(plugin => !plugin.meta.disabled);
+  }
+
+  // Plugins disabled after repeated failures
+  getDisabledPlugins() {
+    const disabled = [];
+    for (const [type, plugins] of Object.entries(this.plugins)) {
+      for (const plugin of plugins.values()) {
+        if (plugin.meta.disabled) {
+          disabled.push({ type, name: plugin.meta.name, ...plugin.meta.disabled });
+        }
+      }
+    }
+    return disabled;
+  }
+
+  // Re-enable a disabled plugin
+  enablePlugin(type, name) {
+    const plugin = this.plugins[type] && this.plugins[type].get(name);
+    if (!plugin) return false;
+    delete plugin.meta.disabled;
+    pluginRunner.reset(plugin);
+    logger.info(`✅ Re-enabled ${type} plugin: ${name}`);
+    return true;
   }
 
   // Get command plugins
@@ -283,16 +349,63 @@ class PluginLoader {
     return this.getPluginsByType('comments');
   }
 
+  // Get conversation flows
+  getFlowPlugins() {
+    return this.getPluginsByType('flows');
+  }
+
+  // Find a conversation flow by its declared name
+  getFlow(name) {
+    return this.getFlowPlugins().find(flow => flow.name === name) || null;
+  }
+
+  // Get games
+  getGamePlugins() {
+    return this.getPluginsByType('games');
+  }
+
+  // Find a game by its declared name
+  getGame(name) {
+    return this.getGamePlugins().find(game => game.name === name) || null;
+  }
+
+  // Find the best postback match for a payload (string or parsed JSON)
+  matchPostback(payload) {
+    return postbackMatcher.matchPostback(this.getPostbackPlugins(), payload);
+  }
+
+  // Find the postback plugin handling a payload
+  findPostbackPlugin(payload) {
+    const match = this.matchPostback(payload);
+    return match ? match.plugin : null;
+  }
+
+  // Warn about quick reply / button payloads no postback plugin handles.
+  // Flow payloads are handled by the flow engine and are not scanned.
+  reportUnhandledPayloads() {
+    const dirs = ['commands', 'postbacks', 'comments'].map(type => this.pluginPaths[type]);
+    const unhandled = postbackMatcher.findUnhandledEmittedPayloads(dirs, this.getPostbackPlugins());
+    for (const { file, payload } of unhandled) {
+      logger.warn(`⚠️ Payload ${payload} sent by ${file} has no postback handler`);
+    }
+    return unhandled;
+  }
+
   // Get plugin statistics
   getStats() {
     return {
       commands: this.plugins.commands.size,
       postbacks: this.plugins.postbacks.size,
       comments: this.plugins.comments.size,
+      flows: this.plugins.flows.size,
+      games: this.plugins.games.size,
       total: this.plugins.commands.size + 
              this.plugins.postbacks.size + 
-             this.plugins.comments.size,
+             this.plugins.comments.size +
+             this.plugins.flows.size +
+             this.plugins.games.size,
       duplicates: this.duplicates.size,
+      disabled: this.getDisabledPlugins().length,
     };
   }
 
@@ -302,7 +415,9 @@ class PluginLoader {
     logger.info(
       `📊 Plugins: ${stats.commands} commands, ` +
       `${stats.postbacks} postbacks, ` +
-      `${stats.comments} comments ` +
+      `${stats.comments} comments, ` +
+      `${stats.flows} flows, ` +
+      `${stats.games} games ` +
       `(Total: ${stats.total})`
     );
   }
@@ -316,11 +431,14 @@ class PluginLoader {
       commands: new Map(),
       postbacks: new Map(),
       comments: new Map(),
+      flows: new Map(),
+      games: new Map(),
     };
     this.duplicates.clear();
     
     // Reload all plugins
     await this.loadAllPlugins();
+    this.reportUnhandledPayloads();
     
     this.logPluginStats();
     return this.plugins;
@@ -350,25 +468,64 @@ module.exports = {
   getCommandPlugins: () => pluginLoader.getCommandPlugins(),
   getPostbackPlugins: () => pluginLoader.getPostbackPlugins(),
   getCommentPlugins: () => pluginLoader.getCommentPlugins(),
+  getFlowPlugins: () => pluginLoader.getFlowPlugins(),
+  getFlow: (name) => pluginLoader.getFlow(name),
+  getGamePlugins: () => pluginLoader.getGamePlugins(),
+  getGame: (name) => pluginLoader.getGame(name),
+  findPostbackPlugin: (payload) => pluginLoader.findPostbackPlugin(payload),
+  matchPostback: (payload) => pluginLoader.matchPostback(payload),
+  reportUnhandledPayloads: () => pluginLoader.reportUnhandledPayloads(),
   getPlugin: (type, name) => pluginLoader.getPlugin(type, name),
   getPluginStats: () => pluginLoader.getStats(),
+  getDisabledPlugins: () => pluginLoader.getDisabledPlugins(),
+  enablePlugin: (type, name) => pluginLoader.enablePlugin(type, name),
   
   // Plugin execution helpers
-  executeCommand: async (commandName, senderId, args = []) => {
+  // `event` is the message or postback that led to the command, if any
+  // `args` are words, or the argument text as typed (quotes and flags
+  // are then parsed for commands that declare arguments). The command's
+  // cooldown applies as for a typed command; the postback that led here
+  // already counted towards the user's rate limit.
+  executeCommand: async (commandName, senderId, args = [], event) => {
     const plugin = pluginLoader.getPlugin('commands', commandName);
     if (plugin) {
-      return plugin.start(senderId, args, `/${commandName} ${args.join(' ')}`);
+      if (await throttle.isCoolingDown(senderId, `command:${plugin.config.name}`, plugin)) {
+        return;
+      }
+      if (!(await permissions.canRun(senderId, plugin))) {
+        const { t } = await i18n.forUser(senderId);
+        await fbApi.sendMessage(senderId, t('errors.noPermission'));
+        return;
+      }
+      const argText = typeof args === 'string' ? args.trim() : null;
+      const words = argText === null ? args : argText.split(/\s+/).filter(Boolean);
+      const prefix = await userStore.getPrefix(senderId);
+      const original = `${prefix}${commandName} ${words.join(' ')}`;
+      const params = await commandArgs.parseOrExplain(plugin, argText ?? words, senderId, prefix);
+      if (params === null) return;
+      const context = await createContext(plugin, {
+        senderId,
+        type: 'command',
+        event: event || { text: original },
+        prefix,
+        extra: { command: commandName, args: words, params, originalMessage: original },
+      });
+      return pluginRunner.run(plugin, 'start', [senderId, words, original], context);
     }
     throw new Error(`Command plugin not found: ${commandName}`);
   },
   
   executePostback: async (payload, senderId, recipientId) => {
-    const plugins = pluginLoader.getPostbackPlugins();
-    for (const plugin of plugins) {
-      if (plugin.payload === payload || 
-          (typeof payload === 'object' && payload.action === plugin.payload)) {
-        return plugin.start(senderId, recipientId, payload);
-      }
+    const match = pluginLoader.matchPostback(payload);
+    if (match) {
+      const { plugin, params } = match;
+      const context = await createContext(plugin, {
+        senderId,
+        type: 'postback',
+        event: { payload },
+        extra: { recipientId, payload, params, matcher: match.matcher },
+      });
+      return pluginRunner.run(plugin, 'start', [senderId, recipientId, payload], context);
     }
     throw new Error(`Postback plugin not found for payload: ${payload}`);
   },
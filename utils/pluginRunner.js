@@ -0,0 +1,230 @@
+/**
+ * Plugin Runner
+ * Runs plugin entry points (`start`, `run`) with an enforced time limit and
+ * an AbortSignal the plugin can watch, optionally inside a worker thread
+ * with a memory cap, and disables plugins that keep failing.
+ *
+ * Every invocation gets the plugin context (see pluginContext.js) with the
+ * execution details added: `{ signal, timeoutMs, isolated }`.
+ * Plugins opt into isolation with `isolated: true` (in `config` for
+ * commands), or are listed in `pluginDefaults.isolate`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config.json');
+const logger = require('./logger');
+const { buildArgs } = require('./pluginContext');
+const { serializeError, reviveError } = require('./workerErrors');
+
+const WORKER_FILE = path.join(__dirname, 'pluginWorker.js');
+
+const runnerConfig = {
+  maxExecutionTime: 5000,
+  memoryLimitMB: 50,
+  maxFailures: 5,
+  isolate: [],
+  ...config.pluginDefaults,
+};
+
+class PluginTimeoutError extends Error {
+  constructor(pluginKey, timeoutMs) {
+    super(`Plugin ${pluginKey} timed out after ${timeoutMs}ms`);
+    this.name = 'PluginTimeoutError';
+    this.pluginKey = pluginKey;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class PluginDisabledError extends Error {
+  constructor(pluginKey) {
+    super(`Plugin ${pluginKey} is disabled`);
+    this.name = 'PluginDisabledError';
+    this.pluginKey = pluginKey;
+  }
+}
+
+// Read a per-plugin option, declared in `config` (commands) or at the top level
+function getPluginOption(plugin, key) {
+  return plugin.config?.[key] ?? plugin[key];
+}
+
+class PluginRunner {
+  constructor() {
+    // pluginKey -> consecutive failure count
+    this.failures = new Map();
+  }
+
+  getKey(plugin) {
+    return `${plugin.meta?.type || 'plugin'}:${plugin.meta?.name || 'unknown'}`;
+  }
+
+  isIsolated(plugin) {
+    return Boolean(getPluginOption(plugin, 'isolated')) ||
+      (runnerConfig.isolate || []).includes(plugin.meta?.name);
+  }
+
+  /**
+   * Invoke a plugin method under the configured limits.
+   * @param {Object} plugin Registered plugin (with `meta`)
+   * @param {string} method `start` or `run`
+   * @param {Array} args Legacy arguments
+   * @param {Object} [context] Plugin context; execution details are added
+   * @returns {Promise<*>} Whatever the plugin returns
+   * @throws {PluginTimeoutError|PluginDisabledError|Error}
+   */
+  async run(plugin, method, args, context = {}) {
+    const key = this.getKey(plugin);
+    if (plugin.meta?.disabled) {
+      throw new PluginDisabledError(key);
+    }
+
+    const timeoutMs = getPluginOption(plugin, 'maxExecutionTime') || runnerConfig.maxExecutionTime;
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new PluginTimeoutError(key, timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      const execution = this.isIsolated(plugin)
+        ? this.runInWorker(plugin, method, args, context, controller.signal, timeoutMs)
+        : Promise.resolve().then(() => {
+          Object.assign(context, { signal: controller.signal, timeoutMs, isolated: false });
+          return plugin[method](...buildArgs(plugin, args, context));
+        });
+
+      const result = await Promise.race([execution, timeout]);
+      this.failures.delete(key);
+      return result;
+    } catch (error) {
+      this.recordFailure(plugin, error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Run a plugin method in a worker thread with a heap limit
+  runInWorker(plugin, method, args, context, signal, timeoutMs) {
+    const callbacks = [];
+    // Functions can't cross the thread boundary; pass markers instead and
+    // call them here when the worker asks for it
+    const serialize = value => {
+      if (typeof value === 'function') {
+        return { __callback: callbacks.push(value) - 1 };
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof AbortSignal) {
+        return value;
+      }
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (!(item instanceof AbortSignal)) copy[key] = serialize(item);
+      }
+      return copy;
+    };
+    const useContext = Boolean(plugin.config?.useContext ?? plugin.useContext);
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_FILE, {
+        workerData: {
+          filePath: plugin.meta.filePath,
+          method,
+          args: args.map(serialize),
+          context: serialize(context),
+          useContext,
+          timeoutMs,
+        },
+        resourceLimits: { maxOldGenerationSizeMb: runnerConfig.memoryLimitMB },
+      });
+      let settled = false;
+
+      const finish = (error, value) => {
+        if (settled) return;
+        settled = true;
+        signal.removeEventListener('abort', onAbort);
+        worker.terminate();
+        error ? reject(error) : resolve(value);
+      };
+
+      const onAbort = () => {
+        worker.postMessage({ type: 'abort', reason: signal.reason?.message });
+        finish(signal.reason || new Error('Plugin execution aborted'));
+      };
+      signal.addEventListener('abort', onAbort);
+
+      worker.on('message', async message => {
+        if (message.type === 'done') {
+          finish(null, message.value);
+        } else if (message.type === 'failed') {
+          finish(reviveError(message.error));
+        } else if (message.type === 'call') {
+          try {
+            const value = await this.handleWorkerCall(message, callbacks);
+            worker.postMessage({ type: 'result', callId: message.callId, value });
+          } catch (error) {
+            worker.postMessage({ type: 'result', callId: message.callId, error: serializeError(error) });
+          }
+        }
+      });
+      worker.on('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          error.message = `Plugin ${this.getKey(plugin)} exceeded ${runnerConfig.memoryLimitMB}MB`;
+        }
+        finish(error);
+      });
+      worker.on('exit', code => finish(new Error(`Plugin worker exited with code ${code}`)));
+    });
+  }
+
+  // Serve a call a worker made to the Graph API client, store or a callback
+  async handleWorkerCall(message, callbacks) {
+    if (message.callback !== undefined) {
+      return callbacks[message.callback](...message.args);
+    }
+
+    const modules = {
+      fbApi: require('./fbApi'),
+      userStore: require('../models/userStore'),
+      ledger: require('../models/ledger'),
+      gameEngine: require('./gameEngine'),
+      permissions: require('./permissions'),
+    };
+    const target = modules[message.module];
+    if (!target || typeof target[message.method] !== 'function') {
+      throw new Error(`${message.module}.${message.method} is not available to isolated plugins`);
+    }
+    return target[message.method](...message.args);
+  }
+
+  // Count a failure and disable the plugin once it reaches maxFailures
+  recordFailure(plugin, error) {
+    const key = this.getKey(plugin);
+    const count = (this.failures.get(key) || 0) + 1;
+    this.failures.set(key, count);
+    logger.warn(`⚠️ Plugin ${key} failed (${count}/${runnerConfig.maxFailures}): ${error.message}`);
+
+    if (runnerConfig.maxFailures > 0 && count >= runnerConfig.maxFailures && plugin.meta) {
+      const reason = `${count} consecutive failures, last: ${error.message}`;
+      plugin.meta.disabled = { reason, at: new Date().toISOString() };
+      this.failures.delete(key);
+      logger.error(`🚫 Plugin ${key} disabled after ${reason}`);
+    }
+  }
+
+  // Forget the failures of a plugin (e.g. when it is re-enabled)
+  reset(plugin) {
+    this.failures.delete(this.getKey(plugin));
+  }
+}
+
+module.exports = new PluginRunner();
+module.exports.PluginTimeoutError = PluginTimeoutError;
+module.exports.PluginDisabledError = PluginDisabledError;
@@ -0,0 +1,96 @@
+/**
+ * Plugin Worker
+ * Entry point of the worker threads used to run isolated plugins. The
+ * stateful modules a plugin talks to (Graph API client, user store, coin
+ * ledger, game engine, permissions) are replaced with proxies that forward
+ * every call to the main thread, so the worker never holds its own copy of
+ * the bot state.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const Module = require('module');
+const { parentPort, workerData } = require('worker_threads');
+const { serializeError, reviveError } = require('./workerErrors');
+
+// Modules proxied to the main thread, by name and path
+const PROXIED_MODULES = {
+  fbApi: require.resolve('./fbApi'),
+  userStore: require.resolve('../models/userStore'),
+  ledger: require.resolve('../models/ledger'),
+  gameEngine: require.resolve('./gameEngine'),
+  permissions: require.resolve('./permissions'),
+};
+
+const pending = new Map();
+let nextCallId = 1;
+const controller = new AbortController();
+
+// Call a function living on the main thread
+function callMain(message) {
+  const callId = nextCallId++;
+  return new Promise((resolve, reject) => {
+    pending.set(callId, { resolve, reject });
+    parentPort.postMessage({ ...message, type: 'call', callId });
+  });
+}
+
+// Register a proxy module in the require cache so `require()` returns it
+function installProxy(name, filename) {
+  const proxy = new Proxy({}, {
+    get: (target, method) => {
+      if (typeof method !== 'string' || method === 'then') return undefined;
+      return (...args) => callMain({ module: name, method, args });
+    },
+  });
+  const proxyModule = new Module(filename);
+  proxyModule.filename = filename;
+  proxyModule.loaded = true;
+  proxyModule.exports = proxy;
+  require.cache[filename] = proxyModule;
+}
+
+// Turn the callback markers made by the main thread back into functions
+function revive(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  if (value.__callback !== undefined) {
+    return (...args) => callMain({ callback: value.__callback, args });
+  }
+  const revived = {};
+  for (const [key, item] of Object.entries(value)) {
+    revived[key] = revive(item);
+  }
+  return revived;
+}
+
+parentPort.on('message', message => {
+  if (message.type === 'result') {
+    const call = pending.get(message.callId);
+    if (!call) return;
+    pending.delete(message.callId);
+    if (message.error) {
+      call.reject(reviveError(message.error));
+    } else {
+      call.resolve(message.value);
+    }
+  } else if (message.type === 'abort') {
+    controller.abort(new Error(message.reason || 'Plugin execution aborted'));
+  }
+});
+
+async function main() {
+  for (const [name, filename] of Object.entries(PROXIED_MODULES)) {
+    installProxy(name, filename);
+  }
+
+  const { filePath, method, args, context, useContext, timeoutMs } = workerData;
+  const plugin = require(filePath);
+  const ctx = { ...revive(context), signal: controller.signal, timeoutMs, isolated: true };
+  const callArgs = useContext ? [ctx] : [...args.map(revive), ctx];
+  const value = await plugin[method](...callArgs);
+  parentPort.postMessage({ type: 'done', value: value === undefined ? null : value });
+}
+
+main().catch(error => {
+  parentPort.postMessage({ type: 'failed', error: serializeError(error) });
+});
@@ -0,0 +1,314 @@
+/**
+ * Scheduled Page Posts
+ * Content calendar backed by the store. Posts (text, link or a local media
+ * file) are queued with a publish time in the bot timezone and published
+ * by a node-cron job, with retries for failed publishes. Media files must
+ * be inside the media/ directory.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const Joi = require('joi');
+const moment = require('moment-timezone');
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const COLLECTION = 'scheduledPosts';
+const TIME_FORMATS = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm:ss', moment.ISO_8601];
+const MEDIA_DIR = path.join(__dirname, '../media');
+
+const schedulerConfig = {
+  maxAttempts: 3,
+  retryDelayMinutes: 5,
+  ...config.scheduledPosts,
+};
+
+const postSchema = Joi.object({
+  message: Joi.string().allow('').default(''),
+  link: Joi.string().uri(),
+  mediaPath: Joi.string(),
+  mediaType: Joi.string().valid('image', 'video').default('image'),
+  publishAt: Joi.string().required(),
+}).or('message', 'link', 'mediaPath').without('link', 'mediaPath');
+
+class PostScheduler {
+  constructor() {
+    this.task = null;
+    this.publishing = false;
+  }
+
+  get enabled() {
+    return Boolean(config.features && config.features.enableScheduledPosts);
+  }
+
+  // Parse a publish time given in the bot timezone
+  parsePublishTime(value) {
+    return moment.tz(value, TIME_FORMATS, true, config.bot.timezone);
+  }
+
+  /**
+   * Resolve a media path relative to the media/ directory.
+   * @param {string} mediaPath
+   * @returns {string} Absolute path of a file inside media/
+   * @throws {Error} If the path (or the file a symlink points to) is
+   *   outside media/
+   */
+  resolveMediaPath(mediaPath) {
+    const root = fs.existsSync(MEDIA_DIR) ? fs.realpathSync(MEDIA_DIR) : MEDIA_DIR;
+    let resolved = path.resolve(root, mediaPath);
+    if (fs.existsSync(resolved)) {
+      resolved = fs.realpathSync(resolved);
+    }
+
+    const relative = path.relative(root, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Media path must be a file inside the media directory: ${mediaPath}`);
+    }
+    return resolved;
+  }
+
+  // Add the publish time in the bot timezone for display
+  present(post) {
+    const { _id, ...rest } = post;
+    return {
+      ...rest,
+      localPublishAt: moment(post.publishAt).tz(config.bot.timezone).format('YYYY-MM-DD HH:mm'),
+    };
+  }
+
+  /**
+   * Schedule a new post.
+   * @param {Object} input `{ message, link, mediaPath, mediaType, publishAt }`
+   * @param {string} createdBy Admin who scheduled the post
+   * @returns {Promise<Object>} The scheduled post
+   * @throws {Error} With a user-facing message when the input is invalid
+   */
+  async createPost(input, createdBy) {
+    const { value, error } = postSchema.validate(input, { stripUnknown: true });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const publishAt = this.parsePublishTime(value.publishAt);
+    if (!publishAt.isValid()) {
+      throw new Error(`Invalid publish time "${value.publishAt}", use YYYY-MM-DD HH:mm`);
+    }
+    if (publishAt.isBefore(moment())) {
+      throw new Error('Publish time must be in the future');
+    }
+
+    if (value.mediaPath && !fs.existsSync(this.resolveMediaPath(value.mediaPath))) {
+      throw new Error(`Media file not found: ${value.mediaPath}`);
+    }
+
+    const post = {
+      id: crypto.randomUUID().slice(0, 8),
+      status: 'scheduled',
+      message: value.message,
+      link: value.link || null,
+      mediaPath: value.mediaPath || null,
+      mediaType: value.mediaPath ? value.mediaType : null,
+      publishAt: publishAt.toISOString(),
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      postId: null,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      publishingAt: null,
+      publishedAt: null,
+    };
+
+    await userStore.saveRecord(COLLECTION, post.id, post);
+    logger.info(`🗓️ Post ${post.id} scheduled for ${this.present(post).localPublishAt}`);
+    return this.present(post);
+  }
+
+  /**
+   * List scheduled posts ordered by publish time.
+   * @param {Object} [filter]
+   * @param {string} [filter.status]
+   * @param {string} [filter.from] Day in the bot timezone (YYYY-MM-DD)
+   * @param {string} [filter.to] Day in the bot timezone (YYYY-MM-DD), inclusive
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPosts({ status, from, to } = {}) {
+    const posts = await userStore.listRecords(COLLECTION, status ? { status } : {});
+    const fromTime = from ? moment.tz(from, config.bot.timezone).startOf('day') : null;
+    const toTime = to ? moment.tz(to, config.bot.timezone).endOf('day') : null;
+
+    return posts
+      .filter(post => !fromTime || !moment(post.publishAt).isBefore(fromTime))
+      .filter(post => !toTime || !moment(post.publishAt).isAfter(toTime))
+      .sort((a, b) => a.publishAt.localeCompare(b.publishAt))
+      .map(post => this.present(post));
+  }
+
+  /**
+   * Cancel a post that has not been published yet.
+   * @param {string} id
+   * @returns {Promise<Object|null>} The cancelled post, or null if not found
+   * @throws {Error} If the post was already published
+   */
+  async cancelPost(id) {
+    const post = await userStore.getRecord(COLLECTION, id);
+    if (!post) return null;
+    if (post.status === 'published' || post.status === 'publishing') {
+      throw new Error(`Post ${id} is already ${post.status}`);
+    }
+    // Only if the publisher hasn't picked the post up since it was read
+    const cancelled = await userStore.updateRecord(COLLECTION, id, { status: 'cancelled' }, { expect: { status: post.status } });
+    if (!cancelled) {
+      throw new Error(`Post ${id} is already being published`);
+    }
+    logger.info(`🗓️ Post ${id} cancelled`);
+    return this.present(cancelled);
+  }
+
+  // Start the publisher cron job (every minute)
+  start() {
+    if (!this.enabled || this.task) return;
+    this.recoverInterrupted().catch(error => {
+      logger.error('Failed to recover interrupted posts:', error);
+    });
+    this.task = cron.schedule('* * * * *', () => {
+      this.publishDue().catch(error => {
+        logger.error('Scheduled post publisher failed:', error);
+      });
+    });
+    logger.info('🗓️ Scheduled post publisher started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Posts left 'publishing' by a crash or restart go back to 'scheduled'
+  // and are retried like a failed publish
+  async recoverInterrupted() {
+    const interrupted = await userStore.listRecords(COLLECTION, { status: 'publishing' });
+    for (const post of interrupted) {
+      delete post._id;
+      post.lastError = `Interrupted while publishing (started ${post.publishingAt || 'at an unknown time'})`;
+      if (post.attempts < schedulerConfig.maxAttempts) {
+        post.status = 'scheduled';
+        post.nextAttemptAt = null;
+        logger.warn(`🗓️ Post ${post.id} was interrupted while publishing, retrying; check the Page for a duplicate`);
+      } else {
+        post.status = 'failed';
+        logger.error(`🗓️ Post ${post.id} was interrupted while publishing after ${post.attempts} attempts`);
+        await this.notifyAdmins(`❌ Scheduled post ${post.id} was interrupted while publishing, check the Page`);
+      }
+      await userStore.saveRecord(COLLECTION, post.id, post);
+    }
+    return interrupted.length;
+  }
+
+  // Publish every post whose time has come
+  async publishDue() {
+    if (this.publishing) return 0;
+    this.publishing = true;
+
+    try {
+      const now = Date.now();
+      const due = (await userStore.listRecords(COLLECTION, { status: 'scheduled' }))
+        .filter(post => Date.parse(post.publishAt) <= now)
+        .filter(post => !post.nextAttemptAt || post.nextAttemptAt <= now)
+        .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+
+      for (const post of due) {
+        await this.publish(post);
+      }
+      return due.length;
+    } finally {
+      this.publishing = false;
+    }
+  }
+
+  async publish(post) {
+    // Checked again, media/ may have changed since the post was scheduled
+    let mediaPath = null;
+    let mediaError = null;
+    if (post.mediaPath) {
+      try {
+        mediaPath = this.resolveMediaPath(post.mediaPath);
+      } catch (error) {
+        mediaError = error.message;
+      }
+    }
+
+    // Claimed only while still scheduled: the list of due posts was read
+    // before the ones ahead of it were published, and it may have been
+    // cancelled since
+    const claimed = await userStore.updateRecord(COLLECTION, post.id, mediaError
+      ? { status: 'failed', lastError: mediaError }
+      : { status: 'publishing', publishingAt: new Date().toISOString(), attempts: post.attempts + 1 },
+    { expect: { status: 'scheduled' } });
+    if (!claimed) {
+      logger.info(`🗓️ Post ${post.id} is no longer scheduled, skipped`);
+      return null;
+    }
+    post = claimed;
+    delete post._id;
+    if (mediaError) {
+      logger.error(`🗓️ Post ${post.id} not published: ${mediaError}`);
+      return post;
+    }
+
+    try {
+      let response;
+      if (post.mediaPath) {
+        const captionField = post.mediaType === 'video' ? 'description' : 'caption';
+        response = await fbApi.uploadMedia(mediaPath, post.mediaType, {
+          [captionField]: post.message,
+        });
+      } else {
+        response = await fbApi.createPost(post.message, post.link ? { link: post.link } : {});
+      }
+
+      post.status = 'published';
+      post.postId = response.post_id || response.id;
+      post.publishedAt = new Date().toISOString();
+      post.lastError = null;
+      logger.info(`🗓️ Post ${post.id} published as ${post.postId}`);
+    } catch (error) {
+      post.lastError = error.response?.data?.error?.message || error.message;
+
+      if (post.attempts < schedulerConfig.maxAttempts) {
+        const delayMinutes = schedulerConfig.retryDelayMinutes * Math.pow(2, post.attempts - 1);
+        post.status = 'scheduled';
+        post.nextAttemptAt = Date.now() + delayMinutes * 60 * 1000;
+        logger.warn(`🗓️ Post ${post.id} failed (attempt ${post.attempts}), retrying in ${delayMinutes} min: ${post.lastError}`);
+      } else {
+        post.status = 'failed';
+        logger.error(`🗓️ Post ${post.id} failed after ${post.attempts} attempts: ${post.lastError}`);
+        await this.notifyAdmins(`❌ Scheduled post ${post.id} could not be published: ${post.lastError}`);
+      }
+    }
+
+    await userStore.saveRecord(COLLECTION, post.id, post);
+    return post;
+  }
+
+  async notifyAdmins(message) {
+    for (const adminId of config.security.adminUIDs) {
+      try {
+        await fbApi.sendMessage(adminId, message);
+      } catch (error) {
+        // Undelivered notices end in the send queue's dead letters
+        logger.warn(`Could not queue notice for admin ${adminId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new PostScheduler();
@@ -0,0 +1,205 @@
+/**
+ * Postback Matchers
+ * Lets postback plugins declare which payloads they handle:
+ *
+ *   payload: 'GET_STARTED'                    exact match (legacy form, also
+ *                                             matches `{ action: 'GET_STARTED' }`)
+ *   match: { exact: ['A', 'B'] }              one of several exact payloads
+ *   match: { prefix: 'HELP_CATEGORY_' }       params: { rest }
+ *   match: { regex: '^ORDER_(?<id>\\d+)$' }   params: named groups
+ *   match: { schema: { ...JSON schema } }     params: the parsed payload
+ *   match: [ ...several of the above ]
+ *   priority: 10                              higher wins, default 0
+ *
+ * Matched parameters reach the plugin as `ctx.params`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// More specific matchers win when priorities are equal
+const SPECIFICITY = { exact: 4, schema: 3, regex: 2, prefix: 1 };
+
+// Validate a value against the subset of JSON schema used by matchers:
+// type, enum, const, pattern, minimum/maximum, properties, required,
+// additionalProperties (false) and items.
+function validateSchema(schema, value) {
+  if (schema.const !== undefined && value !== schema.const) return false;
+  if (schema.enum && !schema.enum.includes(value)) return false;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = value === null ? 'null'
+      : Array.isArray(value) ? 'array'
+        : Number.isInteger(value) ? 'integer'
+          : typeof value;
+    const matchesType = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matchesType) return false;
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) return false;
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return false;
+    if (schema.maximum !== undefined && value > schema.maximum) return false;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.every(item => validateSchema(schema.items, item));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    if ((schema.required || []).some(key => value[key] === undefined)) return false;
+    if (schema.additionalProperties === false &&
+        Object.keys(value).some(key => !(key in properties))) {
+      return false;
+    }
+    return Object.entries(properties).every(([key, propertySchema]) =>
+      value[key] === undefined || validateSchema(propertySchema, value[key])
+    );
+  }
+
+  return true;
+}
+
+// Compile a plugin's declarations into `{ type, test(payload) -> params|null }`
+function compileMatchers(plugin) {
+  const matchers = [];
+
+  if (plugin.payload !== undefined) {
+    const expected = plugin.payload;
+    matchers.push({
+      type: 'exact',
+      test: payload => {
+        if (payload === expected) return {};
+        if (payload && typeof payload === 'object' && payload.action === expected) return { ...payload };
+        return null;
+      },
+    });
+  }
+
+  const declarations = plugin.match === undefined ? [] : [].concat(plugin.match);
+  for (const declaration of declarations) {
+    if (declaration.exact !== undefined) {
+      const values = [].concat(declaration.exact);
+      matchers.push({ type: 'exact', test: payload => (values.includes(payload) ? {} : null) });
+    }
+    if (declaration.prefix !== undefined) {
+      const prefix = declaration.prefix;
+      matchers.push({
+        type: 'prefix',
+        weight: prefix.length,
+        test: payload => (typeof payload === 'string' && payload.startsWith(prefix)
+          ? { rest: payload.slice(prefix.length) }
+          : null),
+      });
+    }
+    if (declaration.regex !== undefined) {
+      const regex = declaration.regex instanceof RegExp ? declaration.regex : new RegExp(declaration.regex);
+      matchers.push({
+        type: 'regex',
+        test: payload => {
+          const match = typeof payload === 'string' ? payload.match(regex) : null;
+          return match ? { ...match.groups, match: [...match] } : null;
+        },
+      });
+    }
+    if (declaration.schema !== undefined) {
+      const schema = declaration.schema;
+      matchers.push({
+        type: 'schema',
+        test: payload => (payload && typeof payload === 'object' && validateSchema(schema, payload)
+          ? { ...payload }
+          : null),
+      });
+    }
+  }
+
+  return matchers;
+}
+
+// Check that a plugin declares at least one usable matcher
+function hasValidMatchers(plugin) {
+  try {
+    return compileMatchers(plugin).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the best plugin for a payload.
+ * @param {Array<Object>} plugins Postback plugins with compiled `meta.matchers`
+ * @param {*} payload Parsed payload (string or object)
+ * @returns {{ plugin: Object, params: Object, matcher: string }|null}
+ */
+function matchPostback(plugins, payload) {
+  let best = null;
+
+  for (const plugin of plugins) {
+    const priority = Number(plugin.priority) || 0;
+    for (const matcher of plugin.meta.matchers || []) {
+      const params = matcher.test(payload);
+      if (!params) continue;
+
+      // Compare by priority, then specificity, then prefix length
+      const score = [priority, SPECIFICITY[matcher.type], matcher.weight || 0];
+      const diff = best ? score.map((value, i) => value - best.score[i]).find(value => value !== 0) : 1;
+      if (diff > 0) {
+        best = { plugin, params, matcher: matcher.type, score };
+      }
+    }
+  }
+
+  return best && { plugin: best.plugin, params: best.params, matcher: best.matcher };
+}
+
+// Payloads that plugin sources put in quick replies and buttons:
+// `payload: 'X'`, `payload: \`PREFIX_${...}\`` and JSON `{ action: 'X' }`
+function scanEmittedPayloads(dir) {
+  const found = [];
+  if (!fs.existsSync(dir)) return found;
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+    const add = (payload, sample) => found.push({ file: path.join(path.basename(dir), file), payload, sample });
+
+    for (const [, , literal] of source.matchAll(/payload:\s*(['"])([^'"]+)\1/g)) {
+      add(literal, literal);
+    }
+    for (const [, prefix] of source.matchAll(/payload:\s*`([^`$]+)\$\{/g)) {
+      add(`${prefix}…`, `${prefix}SAMPLE`);
+    }
+    for (const [, , action] of source.matchAll(/JSON\.stringify\(\{\s*action:\s*(['"])([^'"]+)\1/g)) {
+      add(`{ action: ${action} }`, { action });
+    }
+  }
+  return found;
+}
+
+/**
+ * List payloads emitted by plugins that no postback plugin handles.
+ * Payloads declared by postback plugins themselves are skipped.
+ * @param {Array<string>} dirs Plugin directories to scan
+ * @param {Array<Object>} postbackPlugins Loaded postback plugins
+ * @returns {Array<{ file: string, payload: string }>}
+ */
+function findUnhandledEmittedPayloads(dirs, postbackPlugins) {
+  const declared = new Set(postbackPlugins.map(plugin => plugin.payload).filter(Boolean));
+  return dirs
+    .flatMap(dir => scanEmittedPayloads(dir))
+    .filter(({ payload }) => !declared.has(payload))
+    .filter(({ sample }) => !matchPostback(postbackPlugins, sample))
+    .map(({ file, payload }) => ({ file, payload }));
+}
+
+module.exports = {
+  validateSchema,
+  compileMatchers,
+  hasValidMatchers,
+  matchPostback,
+  scanEmittedPayloads,
+  findUnhandledEmittedPayloads,
+};
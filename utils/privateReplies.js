@@ -0,0 +1,140 @@
+/**
+ * Private Replies
+ * Sends the one private reply Messenger allows per comment and records it
+ * in the store, so a comment is never answered privately twice (also
+ * across restarts and between plugins). Replies are recorded as queued
+ * and marked sent, or failed, once the send queue reports the outcome.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fbApi = require('./fbApi');
+const logger = require('./logger');
+const userStore = require('../models/userStore');
+
+const COLLECTION = 'privateReplies';
+
+// Private replies are only accepted within 7 days of the comment
+const REPLY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+class PrivateReplies {
+  constructor() {
+    // Comment IDs with a reply in flight, so concurrent calls can't double send
+    this.pending = new Set();
+    fbApi.sendQueue.on('sent', (job, response) => this.handleOutcome(job, response));
+    fbApi.sendQueue.on('deadLettered', job => this.handleOutcome(job, null));
+  }
+
+  // Record the delivery of a queued private reply, or its failure so the
+  // comment may be answered again
+  async handleOutcome(job, response) {
+    const commentId = job.meta && job.meta.privateReply;
+    if (!commentId) return;
+    try {
+      const record = await userStore.getRecord(COLLECTION, commentId);
+      if (!record) return;
+      delete record._id;
+      await userStore.saveRecord(COLLECTION, commentId, response
+        ? {
+          ...record,
+          status: 'sent',
+          messageId: response.message_id,
+          // The PSID to message once the user answers the private reply
+          recipientId: response.recipient_id,
+          sentAt: new Date().toISOString(),
+        }
+        : { ...record, status: 'failed', error: job.lastError && job.lastError.message });
+    } catch (error) {
+      logger.error(`Failed to record the private reply for comment ${commentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Check whether a comment already received its private reply.
+   * @param {string} commentId
+   * @returns {Promise<boolean>}
+   */
+  async hasReplied(commentId) {
+    return this.pending.has(commentId) || this.isRecorded(commentId);
+  }
+
+  // Check the store for a reply that was sent or is still queued
+  async isRecorded(commentId) {
+    const record = await userStore.getRecord(COLLECTION, commentId);
+    return Boolean(record && (record.status === 'sent' || record.status === 'queued'));
+  }
+
+  // Check whether a comment is still inside the private reply window
+  isWithinWindow(commentData) {
+    if (!commentData.createdAt) return true;
+    // Webhook timestamps are unix seconds
+    const createdAt = typeof commentData.createdAt === 'number'
+      ? commentData.createdAt * 1000
+      : Date.parse(commentData.createdAt);
+    return Number.isNaN(createdAt) || Date.now() - createdAt < REPLY_WINDOW_MS;
+  }
+
+  /**
+   * Send the private reply for a comment.
+   * @param {Object} commentData Comment data as passed to comment plugins
+   * @param {string} message
+   * @param {string} [type='text'] Message type, as for `fbApi.sendMessage`
+   * @param {Object} [options]
+   * @returns {Promise<Object|null>} The queued job (`{ jobId, queued }`), or
+   *   null if the comment already has a private reply or is too old for one
+   */
+  async send(commentData, message, type = 'text', options = {}) {
+    const { commentId, senderId } = commentData;
+
+    if (!this.isWithinWindow(commentData)) {
+      logger.warn(`Comment ${commentId} is older than 7 days, private reply not allowed`);
+      return null;
+    }
+    // Claimed before the first await, so a concurrent call sees it pending
+    if (this.pending.has(commentId)) {
+      logger.debug(`Comment ${commentId} already has a private reply in flight, skipping`);
+      return null;
+    }
+    this.pending.add(commentId);
+
+    try {
+      if (await this.isRecorded(commentId)) {
+        logger.debug(`Comment ${commentId} already has a private reply, skipping`);
+        return null;
+      }
+      // Recorded before queuing, so the delivery can't be recorded first
+      await userStore.saveRecord(COLLECTION, commentId, {
+        commentId,
+        postId: commentData.postId,
+        senderId,
+        status: 'queued',
+        queuedAt: new Date().toISOString(),
+      });
+      try {
+        return await fbApi.sendPrivateReply(commentId, message, type, {
+          ...options,
+          meta: { privateReply: commentId },
+        });
+      } catch (error) {
+        await userStore.deleteRecord(COLLECTION, commentId);
+        throw error;
+      }
+    } finally {
+      this.pending.delete(commentId);
+    }
+  }
+
+  /**
+   * Build the helpers handed to comment plugins for the current comment.
+   * @param {Object} commentData
+   * @returns {Object} `{ privateReply(message, type, options), hasPrivateReply() }`
+   */
+  createContext(commentData) {
+    return {
+      privateReply: (message, type, options) => this.send(commentData, message, type, options),
+      hasPrivateReply: () => this.hasReplied(commentData.commentId),
+    };
+  }
+}
+
+module.exports = new PrivateReplies();
@@ -0,0 +1,435 @@
+/**
+ * Outbound Send Queue
+ * Persistent, rate-limit aware delivery queue for Send API calls.
+ * Queuing a message only waits until the job is stored, not until it is
+ * delivered: throttling and retries can hold a job back for minutes. The
+ * outcome is reported with events instead: `sent` (job, response) and
+ * `deadLettered` (job, error), where `job.meta` is whatever the caller
+ * attached when queuing it.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+// Graph API error codes that signal throttling rather than a bad request.
+// 4: application limit, 17: user limit, 32: page limit,
+// 613: calls exceed rate limit, 368: temporarily blocked for spamming.
+const THROTTLE_CODES = {
+  APP: [4],
+  USER: [17],
+  PAGE: [32, 613, 368],
+};
+
+const DEFAULT_OPTIONS = {
+  globalRatePerSecond: 40,
+  globalBurst: 40,
+  pageRatePerSecond: 20,
+  pageBurst: 20,
+  concurrency: 5,
+  maxAttempts: 6,
+  baseDelayMs: 1000,
+  maxDelayMs: 300000,
+  throttleDelayMs: 60000,
+  persist: true,
+};
+
+class TokenBucket {
+  constructor(ratePerSecond, burst) {
+    this.rate = ratePerSecond;
+    this.capacity = burst || ratePerSecond;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  // Refill tokens based on elapsed time
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  // Milliseconds until a token is available (0 if one is available now)
+  waitTime() {
+    const now = Date.now();
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  // Consume a token (caller must check waitTime() first)
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  // Stop handing out tokens until the given time
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+}
+
+class SendQueue extends EventEmitter {
+  /**
+   * @param {Function} sender Async function performing the actual Send API
+   *   call for a job's payload
+   * @param {Object} options Queue options (see DEFAULT_OPTIONS)
+   * @param {Object} [store] Store used to persist pending jobs and dead
+   *   letters. Defaults to the user store.
+   */
+  constructor(sender, options = {}, store = null) {
+    super();
+    this.sender = sender;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.store = store;
+    this.globalBucket = new TokenBucket(this.options.globalRatePerSecond, this.options.globalBurst);
+    this.pageBuckets = new Map();
+    this.lanes = new Map();
+    // job id -> last store write, so writes for a job land in order
+    this.writes = new Map();
+    this.redriveGuards = [];
+    this.inFlight = 0;
+    this.timer = null;
+    this.stats = {
+      sent: 0,
+      retried: 0,
+      throttled: 0,
+      deadLettered: 0,
+    };
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = require('../models/userStore');
+    }
+    return this.store;
+  }
+
+  // Run a store write for a job after the previous ones. On async
+  // adapters (MongoDB, Redis) a removal could otherwise land before the
+  // save it follows and leave a job that is sent again on restart.
+  chain(id, write) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.then(write);
+    const settled = next.catch(() => {});
+    this.writes.set(id, settled);
+    settled.then(() => {
+      if (this.writes.get(id) === settled) this.writes.delete(id);
+    });
+    return next;
+  }
+
+  // Persist a snapshot of a job; errors are logged
+  persist(collection, job) {
+    if (!this.options.persist) return Promise.resolve();
+    const snapshot = { ...job };
+    return this.chain(job.id, () => this.getStore().saveRecord(collection, job.id, snapshot)).catch(error => {
+      logger.error(`Failed to persist ${collection} job ${job.id}:`, error.message);
+    });
+  }
+
+  unpersist(collection, id) {
+    if (!this.options.persist) return Promise.resolve();
+    return this.chain(id, () => this.getStore().deleteRecord(collection, id)).catch(error => {
+      logger.error(`Failed to remove ${collection} job ${id}:`, error.message);
+    });
+  }
+
+  // Restore pending jobs persisted by a previous run
+  async restore() {
+    if (!this.options.persist) return 0;
+    const jobs = await this.getStore().listRecords('sendQueue');
+    jobs
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach(job => {
+        delete job._id;
+        this.addToLane(job);
+      });
+    if (jobs.length > 0) {
+      logger.info(`📬 Restored ${jobs.length} pending outbound messages`);
+      this.schedule(0);
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Queue a Send API payload. Jobs for the same recipient are delivered in
+   * the order they were queued.
+   *
+   * @param {Object} payload Send API request body
+   * @param {Object} [options]
+   * @param {string} [options.pageId] Page the message is sent from
+   * @param {Object} [options.meta] Kept with the job and passed back in the
+   *   `sent` and `deadLettered` events
+   * @returns {Promise<{ jobId: string, queued: true }>} Resolves once the
+   *   job is stored and queued; delivery failures end in the dead letters
+   * @throws {Error} If the job could not be stored; it is then not queued
+   */
+  async enqueue(payload, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      recipientKey: this.getRecipientKey(payload),
+      pageId: options.pageId || 'default',
+      payload,
+      meta: options.meta || null,
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: Date.now(),
+      lastError: null,
+    };
+
+    // Stored before it can be sent, so its removal can't come first. A job
+    // that can't be stored would be lost on restart, so the caller is told.
+    if (this.options.persist) {
+      await this.chain(job.id, () => this.getStore().saveRecord('sendQueue', job.id, { ...job }));
+    }
+    this.addToLane(job);
+    this.schedule(0);
+    return { jobId: job.id, queued: true };
+  }
+
+  getRecipientKey(payload) {
+    const recipient = payload.recipient || {};
+    return recipient.id || recipient.comment_id || recipient.post_id || 'unknown';
+  }
+
+  addToLane(job) {
+    if (!this.lanes.has(job.recipientKey)) {
+      this.lanes.set(job.recipientKey, { jobs: [], busy: false });
+    }
+    this.lanes.get(job.recipientKey).jobs.push(job);
+  }
+
+  getPageBucket(pageId) {
+    if (!this.pageBuckets.has(pageId)) {
+      this.pageBuckets.set(pageId, new TokenBucket(this.options.pageRatePerSecond, this.options.pageBurst));
+    }
+    return this.pageBuckets.get(pageId);
+  }
+
+  // Arrange for the pump to run after the given delay
+  schedule(delayMs) {
+    if (this.timer) {
+      if (this.timer.runAt <= Date.now() + delayMs) return;
+      clearTimeout(this.timer.handle);
+    }
+    const handle = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, delayMs);
+    this.timer = { handle, runAt: Date.now() + delayMs };
+  }
+
+  // Start as many ready jobs as the rate limits and concurrency allow
+  pump() {
+    let nextWake = Infinity;
+
+    for (const [key, lane] of this.lanes) {
+      if (lane.jobs.length === 0 && !lane.busy) {
+        this.lanes.delete(key);
+        continue;
+      }
+      if (lane.busy || lane.jobs.length === 0) continue;
+      if (this.inFlight >= this.options.concurrency) break;
+
+      const job = lane.jobs[0];
+      const now = Date.now();
+      if (job.nextAttemptAt > now) {
+        nextWake = Math.min(nextWake, job.nextAttemptAt - now);
+        continue;
+      }
+
+      const pageBucket = this.getPageBucket(job.pageId);
+      const wait = Math.max(this.globalBucket.waitTime(), pageBucket.waitTime());
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        continue;
+      }
+
+      this.globalBucket.take();
+      pageBucket.take();
+      this.dispatch(lane, job);
+    }
+
+    if (nextWake !== Infinity) {
+      this.schedule(nextWake);
+    }
+  }
+
+  async dispatch(lane, job) {
+    lane.busy = true;
+    this.inFlight++;
+    job.attempts++;
+
+    try {
+      const response = await this.sender(job.payload);
+      lane.jobs.shift();
+      this.stats.sent++;
+      this.unpersist('sendQueue', job.id);
+      this.notify('sent', job, response);
+    } catch (error) {
+      this.handleFailure(lane, job, error);
+    } finally {
+      lane.busy = false;
+      this.inFlight--;
+      this.schedule(0);
+    }
+  }
+
+  handleFailure(lane, job, error) {
+    const apiError = error.response?.data?.error;
+    const code = apiError?.code;
+    const status = error.response?.status;
+    job.lastError = {
+      message: apiError?.message || error.message,
+      code: code || null,
+      status: status || null,
+      at: Date.now(),
+    };
+
+    const throttled = this.applyThrottle(job, code);
+    const transient = throttled || !error.response || status >= 500;
+
+    if (!transient || job.attempts >= this.options.maxAttempts) {
+      lane.jobs.shift();
+      this.deadLetter(job, error);
+      return;
+    }
+
+    const backoff = Math.min(
+      this.options.maxDelayMs,
+      this.options.baseDelayMs * Math.pow(2, job.attempts - 1)
+    );
+    const delay = throttled ? Math.max(backoff, this.options.throttleDelayMs) : backoff;
+    // Add jitter so throttled lanes don't all retry at the same instant
+    job.nextAttemptAt = Date.now() + delay + Math.floor(Math.random() * this.options.baseDelayMs);
+    this.stats.retried++;
+    this.persist('sendQueue', job);
+
+    logger.warn(
+      `Send to ${job.recipientKey} failed (attempt ${job.attempts}/${this.options.maxAttempts}), ` +
+      `retrying in ${Math.round(delay / 1000)}s: ${job.lastError.message}`
+    );
+  }
+
+  // Pause the relevant bucket when the Graph API reports throttling
+  applyThrottle(job, code) {
+    if (THROTTLE_CODES.APP.includes(code)) {
+      this.globalBucket.pause(this.options.throttleDelayMs);
+    } else if (THROTTLE_CODES.PAGE.includes(code)) {
+      this.getPageBucket(job.pageId).pause(this.options.throttleDelayMs);
+    } else if (!THROTTLE_CODES.USER.includes(code)) {
+      return false;
+    }
+    this.stats.throttled++;
+    return true;
+  }
+
+  deadLetter(job, error) {
+    job.deadAt = Date.now();
+    this.stats.deadLettered++;
+    this.persist('deadLetters', job);
+    this.unpersist('sendQueue', job.id);
+    logger.error(`☠️ Message to ${job.recipientKey} moved to dead letters after ${job.attempts} attempt(s): ${job.lastError.message}`);
+    this.notify('deadLettered', job, error);
+  }
+
+  // Report a job's outcome; a failing listener must not stop the queue
+  notify(event, job, result) {
+    try {
+      this.emit(event, job, result);
+    } catch (error) {
+      logger.error(`Send queue ${event} listener failed for job ${job.id}:`, error.message);
+    }
+  }
+
+  // List dead-lettered jobs, oldest first
+  async getDeadLetters() {
+    const jobs = await this.getStore().listRecords('deadLetters');
+    return jobs
+      .map(({ _id, ...job }) => job)
+      .sort((a, b) => a.deadAt - b.deadAt);
+  }
+
+  /**
+   * Register a check run before a dead letter is re-driven. A guard that
+   * returns false (or resolves to false) has the dead letter discarded
+   * instead, e.g. because the message was delivered some other way since.
+   * @param {Function} guard Async function receiving the dead-lettered job
+   */
+  addRedriveGuard(guard) {
+    this.redriveGuards.push(guard);
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue with a fresh attempt count.
+   * @param {string} id Dead letter id
+   * @returns {Promise<boolean|null>} true if re-queued, false if a redrive
+   *   guard discarded it, null if there is no such dead letter
+   */
+  async redrive(id) {
+    const job = await this.getStore().getRecord('deadLetters', id);
+    if (!job) return null;
+    delete job._id;
+
+    for (const guard of this.redriveGuards) {
+      if (await guard(job) === false) {
+        await this.unpersist('deadLetters', id);
+        logger.info(`🗑️ Dead letter ${id} to ${job.recipientKey} is no longer needed, discarded`);
+        return false;
+      }
+    }
+
+    delete job.deadAt;
+    job.attempts = 0;
+    job.nextAttemptAt = 0;
+    await this.persist('sendQueue', job);
+    await this.unpersist('deadLetters', id);
+    this.addToLane(job);
+    this.schedule(0);
+    logger.info(`🔁 Re-driving dead letter ${id} to ${job.recipientKey}`);
+    return true;
+  }
+
+  // Re-drive every dead-lettered job, returning how many were re-queued
+  async redriveAll() {
+    const jobs = await this.getDeadLetters();
+    let redriven = 0;
+    for (const job of jobs) {
+      if (await this.redrive(job.id)) redriven++;
+    }
+    return redriven;
+  }
+
+  // Permanently discard a dead-lettered job
+  async discard(id) {
+    return this.getStore().deleteRecord('deadLetters', id);
+  }
+
+  getStats() {
+    let pending = 0;
+    for (const lane of this.lanes.values()) {
+      pending += lane.jobs.length;
+    }
+    return {
+      ...this.stats,
+      pending,
+      inFlight: this.inFlight,
+      recipients: this.lanes.size,
+    };
+  }
+}
+
+module.exports = {
+  SendQueue,
+  TokenBucket,
+  THROTTLE_CODES,
+};
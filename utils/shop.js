@@ -0,0 +1,207 @@
+/**
+ * Shop
+ * Items users can buy with their coins, defined in a JSON catalogue
+ * (`economy.shop.catalogue`, see resources/shop.json). Purchases are paid
+ * through the coin ledger and the items land in the user's inventory,
+ * both under the user's ledger lock so parallel purchases can't overspend
+ * or exceed an item's limit.
+ *
+ * Catalogue format:
+ *   {
+ *     "items": [{
+ *       "id": "star-badge",
+ *       "emoji": "⭐",
+ *       "name": { "en": "Star Badge", "es": "Insignia estrella" },
+ *       "description": "...",
+ *       "price": 50,
+ *       "maxPerUser": 1,        // optional purchase limit
+ *       "tag": "supporter",     // optional segmentation tag granted on purchase
+ *       "image": "https://...", // optional picture for the /shop carousel
+ *       "enabled": true
+ *     }]
+ *   }
+ * Names and descriptions are strings or `{ "<locale>": "..." }` maps.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const logger = require('./logger');
+const i18n = require('./i18n');
+const ledger = require('../models/ledger');
+const userStore = require('../models/userStore');
+
+const shopConfig = {
+  catalogue: 'resources/shop.json',
+  maxQuantity: 10,
+  ...config.economy?.shop,
+};
+
+class ShopError extends Error {
+  /**
+   * @param {string} code `unknownItem`, `invalidQuantity` or `limitReached`
+   * @param {string} message
+   * @param {Object} [details] Values for the user-facing message
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ShopError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class Shop {
+  constructor(options = shopConfig) {
+    this.options = options;
+    this.file = path.join(__dirname, '..', options.catalogue);
+    this.items = [];
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  // Load the catalogue, skipping items without an id or a positive price
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        logger.warn(`🛒 Shop catalogue not found: ${this.file}`);
+        this.items = [];
+        return;
+      }
+      const catalogue = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.loadedMtime = fs.statSync(this.file).mtimeMs;
+      this.items = (catalogue.items || []).filter(item => {
+        const valid = item.id && Number(item.price) > 0;
+        if (!valid) {
+          logger.warn(`🛒 Skipping shop item without an id or price: ${JSON.stringify(item).slice(0, 80)}`);
+        }
+        return valid;
+      });
+      logger.info(`🛒 Shop catalogue loaded with ${this.items.length} items`);
+    } catch (error) {
+      logger.error(`🛒 Failed to load shop catalogue: ${error.message}`);
+    }
+  }
+
+  // Pick up edits to the catalogue without a restart
+  reloadIfChanged() {
+    try {
+      if (fs.existsSync(this.file) && fs.statSync(this.file).mtimeMs !== this.loadedMtime) {
+        this.load();
+      }
+    } catch (error) {
+      logger.debug(`🛒 Could not check shop catalogue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Items currently on sale, in catalogue order.
+   * @returns {Array<Object>}
+   */
+  getItems() {
+    this.reloadIfChanged();
+    return this.items.filter(item => item.enabled !== false);
+  }
+
+  /**
+   * Find an item on sale by its id, its number in /shop or its name in the
+   * given locale (case-insensitive).
+   * @param {string} query
+   * @param {string} [locale]
+   * @returns {Object|null}
+   */
+  findItem(query, locale) {
+    const text = String(query || '').trim().toLowerCase();
+    if (!text) return null;
+    const items = this.getItems();
+    if (/^\d+$/.test(text)) {
+      return items[Number(text) - 1] || null;
+    }
+    return items.find(item => item.id.toLowerCase() === text) ||
+      items.find(item => i18n.localize(item.name, locale).toLowerCase() === text) ||
+      null;
+  }
+
+  /**
+   * Localised `{ id, emoji, name, description, price }` of an item.
+   * @param {Object} item
+   * @param {string} locale
+   * @returns {Object}
+   */
+  describe(item, locale) {
+    return {
+      ...item,
+      emoji: item.emoji || '🎁',
+      name: i18n.localize(item.name, locale) || item.id,
+      description: i18n.localize(item.description, locale),
+    };
+  }
+
+  /**
+   * Buy an item: pay for it through the ledger and add it to the inventory.
+   * @param {string} uid
+   * @param {string} itemId
+   * @param {number} [quantity=1]
+   * @param {Object} [options]
+   * @param {string} [options.key] Idempotency key, e.g. the postback message id
+   * @returns {Promise<{ item: Object, quantity: number, owned: number, transaction: Object, duplicate?: boolean }>}
+   * @throws {ShopError|InsufficientFundsError}
+   */
+  async buy(uid, itemId, quantity = 1, { key } = {}) {
+    const item = this.getItems().find(candidate => candidate.id === itemId);
+    if (!item) {
+      throw new ShopError('unknownItem', `Unknown shop item: ${itemId}`, { item: itemId });
+    }
+    const count = Number(quantity);
+    if (!Number.isInteger(count) || count < 1 || count > this.options.maxQuantity) {
+      throw new ShopError('invalidQuantity', `Invalid quantity: ${quantity}`, { max: this.options.maxQuantity });
+    }
+
+    return ledger.withLock(uid, async () => {
+      const user = await userStore.getUser(uid);
+      const owned = Number(user.inventory?.[item.id]) || 0;
+      if (item.maxPerUser && owned + count > item.maxPerUser) {
+        throw new ShopError('limitReached', `${uid} may own at most ${item.maxPerUser} of ${item.id}`, {
+          owned,
+          max: item.maxPerUser,
+        });
+      }
+
+      const transaction = await ledger.apply(uid, {
+        type: 'debit',
+        amount: -Number(item.price) * count,
+        reason: 'shopPurchase',
+        key,
+        note: `${count}× ${item.id}`,
+      });
+      if (transaction.duplicate) {
+        return { item, quantity: count, owned, transaction, duplicate: true };
+      }
+
+      await userStore.updateUser(uid, { inventory: { ...user.inventory, [item.id]: owned + count } });
+      if (item.tag) {
+        await userStore.addTags(uid, [item.tag]);
+      }
+      logger.info(`🛒 ${uid} bought ${count}× ${item.id} for ${-transaction.amount} coins`);
+      return { item, quantity: count, owned: owned + count, transaction };
+    });
+  }
+
+  /**
+   * Items a user owns, with their catalogue entry when it still exists.
+   * @param {string} uid
+   * @returns {Promise<Array<{ id: string, quantity: number, item: Object|null }>>}
+   */
+  async getInventory(uid) {
+    const user = await userStore.getUser(uid);
+    this.reloadIfChanged();
+    return Object.entries(user.inventory || {})
+      .filter(([, quantity]) => quantity > 0)
+      .map(([id, quantity]) => ({ id, quantity, item: this.items.find(item => item.id === id) || null }));
+  }
+}
+
+module.exports = new Shop();
+module.exports.ShopError = ShopError;
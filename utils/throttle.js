@@ -0,0 +1,103 @@
+/**
+ * Throttle
+ * Per-user throttling of commands and postbacks: a rate limit over all of
+ * a user's actions (`bot.rateLimit`) and the cooldown of each plugin. The
+ * event handlers and pluginLoader.executeCommand() share it, so a command
+ * run from a button or a suggestion keeps the cooldown of a typed one.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const config = require('../config.json');
+const fbApi = require('./fbApi');
+const i18n = require('./i18n');
+const logger = require('./logger');
+const permissions = require('./permissions');
+const { PostbackTracker, RateLimiter } = require('./trackers');
+
+// Cooldown of a command or postback plugin. Plugins declare it in seconds
+// as `config.cooldown`; everything else gets the bot-wide `bot.cooldown`
+// (milliseconds), which only guards against double taps.
+function getCooldown(plugin) {
+  const seconds = plugin.config?.cooldown ?? plugin.cooldown;
+  if (typeof seconds === 'number') {
+    return { ms: seconds * 1000, declared: true };
+  }
+  return { ms: config.bot.cooldown || 0, declared: false };
+}
+
+// Translate a reply into the user's language
+async function translate(senderId, key, vars) {
+  const { t } = await i18n.forUser(senderId);
+  return t(key, vars);
+}
+
+class Throttle {
+  constructor() {
+    this.cooldowns = new PostbackTracker();
+    this.rateLimiter = new RateLimiter(config.bot.rateLimit);
+  }
+
+  /**
+   * Check an action against the user's rate limit and the plugin's
+   * cooldown. Admins are never throttled, and users get a single "slow
+   * down" notice per window instead of one per dropped action.
+   * @param {string} senderId
+   * @param {string} action Cooldown key, e.g. `command:help`
+   * @param {Object} [plugin] Plugin handling the action; without one only
+   *   the rate limit applies
+   * @returns {Promise<boolean>} Whether the action must be dropped
+   */
+  async isThrottled(senderId, action, plugin) {
+    if (await permissions.isAdmin(senderId)) return false;
+
+    if (this.rateLimiter.isLimited(senderId)) {
+      const retryAfter = this.rateLimiter.getRetryAfter(senderId);
+      logger.debug(`🚦 Rate limit hit by ${senderId} (${action})`);
+      if (this.rateLimiter.shouldNotify(`${senderId}_flood`, retryAfter)) {
+        await fbApi.sendMessage(senderId,
+          await translate(senderId, 'throttle.flood', { seconds: Math.ceil(retryAfter / 1000) })
+        );
+      }
+      return true;
+    }
+
+    if (!plugin) return false;
+    return this.checkCooldown(senderId, action, plugin);
+  }
+
+  /**
+   * Check an action against the plugin's cooldown only, for actions whose
+   * triggering message or postback already counted towards the rate limit.
+   * @param {string} senderId
+   * @param {string} action Cooldown key, e.g. `command:help`
+   * @param {Object} plugin Plugin handling the action
+   * @returns {Promise<boolean>} Whether the action must be dropped
+   */
+  async isCoolingDown(senderId, action, plugin) {
+    if (await permissions.isAdmin(senderId)) return false;
+    return this.checkCooldown(senderId, action, plugin);
+  }
+
+  // Cooldown check shared by both of the above, once admins are let through
+  async checkCooldown(senderId, action, plugin) {
+    const cooldown = getCooldown(plugin);
+    if (cooldown.ms > 0 && this.cooldowns.isInCooldown(senderId, action, cooldown.ms)) {
+      const remaining = this.cooldowns.getRemaining(senderId, action, cooldown.ms);
+      logger.debug(`🚦 ${action} is in cooldown for ${senderId}`);
+      // Double taps inside the default cooldown are dropped silently
+      if (cooldown.declared && this.rateLimiter.shouldNotify(`${senderId}_${action}`, remaining)) {
+        await fbApi.sendMessage(senderId,
+          await translate(senderId, 'throttle.cooldown', { seconds: Math.ceil(remaining / 1000) })
+        );
+      }
+      return true;
+    }
+
+    this.cooldowns.cleanOldCooldowns();
+    return false;
+  }
+}
+
+module.exports = new Throttle();
+module.exports.getCooldown = getCooldown;
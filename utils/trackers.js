@@ -18,6 +18,7 @@ class MessageTracker {
       comments: 0,
       postbacks: 0,
       duplicates: 0,
+      failures: 0,
     };
     this.lastReset = moment().tz(config.bot.timezone).format('YYYY-MM-DD');
   }
@@ -106,6 +107,14 @@ class MessageTracker {
     this.dailyCounts.postbacks++;
   }
 
+  // Track the outcome of a handled event
+  trackMessage(senderId, type = 'message', success = true) {
+    this.checkDailyReset();
+    if (!success) {
+      this.dailyCounts.failures++;
+    }
+  }
+
   // Clean old entries
   cleanOldEntries() {
     const now = Date.now();
@@ -149,6 +158,7 @@ class MessageTracker {
       comments: 0,
       postbacks: 0,
       duplicates: 0,
+      failures: 0,
     };
   }
 
@@ -195,28 +205,104 @@ class PostbackTracker {
     const key = `${userId}_${JSON.stringify(payload)}`;
     
     if (this.cooldowns.has(key)) {
-      const lastTime = this.cooldowns.get(key);
+      const { lastTime } = this.cooldowns.get(key);
       if (Date.now() - lastTime < cooldownMs) {
         return true;
       }
     }
     
-    this.cooldowns.set(key, Date.now());
+    const now = Date.now();
+    // Each entry keeps its own expiry, so cleanup honours every window
+    this.cooldowns.set(key, { lastTime: now, expiresAt: now + cooldownMs });
     return false;
   }
 
-  // Clean old cooldowns
-  cleanOldCooldowns(maxAgeMs = 60000) {
+  // Milliseconds left before the postback leaves its cooldown
+  getRemaining(userId, payload, cooldownMs = 1000) {
+    const key = `${userId}_${JSON.stringify(payload)}`;
+    const entry = this.cooldowns.get(key);
+    return entry ? Math.max(0, entry.lastTime + cooldownMs - Date.now()) : 0;
+  }
+
+  // Clean cooldowns that have run out
+  cleanOldCooldowns() {
     const now = Date.now();
-    for (const [key, timestamp] of this.cooldowns.entries()) {
-      if (now - timestamp > maxAgeMs) {
+    for (const [key, { expiresAt }] of this.cooldowns.entries()) {
+      if (expiresAt <= now) {
         this.cooldowns.delete(key);
       }
     }
   }
 }
 
+class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60000;
+    this.max = options.max || 20;
+    this.hits = new Map();
+    this.notices = new Map();
+    this.lastCleanup = Date.now();
+  }
+
+  // Record a hit and check if the user went over the limit for the window
+  isLimited(userId) {
+    const now = Date.now();
+    
+    // Clean expired entries once per window
+    if (now - this.lastCleanup > this.windowMs) {
+      this.cleanOldEntries();
+      this.lastCleanup = now;
+    }
+    
+    const hits = (this.hits.get(userId) || []).filter(time => now - time < this.windowMs);
+    
+    if (hits.length >= this.max) {
+      this.hits.set(userId, hits);
+      return true;
+    }
+    
+    hits.push(now);
+    this.hits.set(userId, hits);
+    return false;
+  }
+
+  // Milliseconds until the user's oldest hit leaves the window
+  getRetryAfter(userId) {
+    const hits = this.hits.get(userId) || [];
+    return hits.length > 0 ? Math.max(0, hits[0] + this.windowMs - Date.now()) : 0;
+  }
+
+  // Allow one notice per key until `windowMs` has passed
+  shouldNotify(key, windowMs = this.windowMs) {
+    const now = Date.now();
+    const until = this.notices.get(key);
+    
+    if (until && until > now) {
+      return false;
+    }
+    
+    this.notices.set(key, now + windowMs);
+    return true;
+  }
+
+  // Clean expired hits and notices
+  cleanOldEntries() {
+    const now = Date.now();
+    for (const [userId, hits] of this.hits.entries()) {
+      if (hits.every(time => now - time >= this.windowMs)) {
+        this.hits.delete(userId);
+      }
+    }
+    for (const [key, until] of this.notices.entries()) {
+      if (until <= now) {
+        this.notices.delete(key);
+      }
+    }
+  }
+}
+
 module.exports = {
   MessageTracker,
   PostbackTracker,
+  RateLimiter,
 };
\ No newline at end of file
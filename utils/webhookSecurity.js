@@ -0,0 +1,68 @@
+/**
+ * Webhook Security
+ * Verifies the `X-Hub-Signature-256` header of incoming webhook requests
+ * against one or more app secrets (several are accepted while a secret is
+ * being rotated) and detects replayed entries by their `entry.time`.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+
+const securityConfig = {
+  requireSignature: true,
+  maxEventAgeSeconds: 300,
+  ...config.webhookSecurity,
+};
+
+// Current app secret first, then any secrets still accepted during rotation
+function getAppSecrets() {
+  const secrets = [config.facebook.appSecret, ...(config.facebook.previousAppSecrets || [])];
+  if (process.env.FB_APP_SECRET) {
+    secrets.unshift(process.env.FB_APP_SECRET);
+  }
+  return [...new Set(secrets.filter(Boolean))];
+}
+
+/**
+ * Check a request signature.
+ * @param {Buffer} rawBody Unparsed request body
+ * @param {string} [header] Value of the `X-Hub-Signature-256` header
+ * @returns {'valid'|'missing'|'invalid'}
+ */
+function checkSignature(rawBody, header) {
+  if (!header) return 'missing';
+
+  const [algorithm, signature] = header.split('=');
+  if (algorithm !== 'sha256' || !/^[0-9a-f]{64}$/i.test(signature || '') || !rawBody) {
+    return 'invalid';
+  }
+
+  const received = Buffer.from(signature, 'hex');
+  const matches = getAppSecrets().some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return crypto.timingSafeEqual(received, expected);
+  });
+  return matches ? 'valid' : 'invalid';
+}
+
+/**
+ * Check whether an entry is too old to be processed (replay protection).
+ * Messenger entries carry `time` in milliseconds, feed entries in seconds.
+ * @param {number} time `entry.time`
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isStaleEntry(time, now = Date.now()) {
+  if (!securityConfig.maxEventAgeSeconds || typeof time !== 'number') return false;
+  const timeMs = time < 1e12 ? time * 1000 : time;
+  return now - timeMs > securityConfig.maxEventAgeSeconds * 1000;
+}
+
+module.exports = {
+  securityConfig,
+  getAppSecrets,
+  checkSignature,
+  isStaleEntry,
+};
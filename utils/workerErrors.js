@@ -0,0 +1,46 @@
+/**
+ * Worker Errors
+ * Errors crossing the plugin worker boundary in either direction. Only
+ * plain data can be posted between threads, so errors travel as objects
+ * with their name, code and own properties (e.g. `balance`, `details`)
+ * and are rebuilt on the other side. Plugins can then keep checking
+ * `error.code` and `error.name` when they run isolated.
+ * Author: IRFAN
+ * Version: 2.0.0
+ */
+
+/**
+ * Turn an error into data that can be posted to another thread.
+ * @param {*} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+  const data = { name: error.name, message: error.message, stack: error.stack };
+  for (const [key, value] of Object.entries(error)) {
+    try {
+      data[key] = structuredClone(value);
+    } catch {
+      // Values that can't be cloned (functions, sockets) stay behind
+    }
+  }
+  return data;
+}
+
+/**
+ * Rebuild an error posted by another thread.
+ * @param {Object|string} data As made by serializeError()
+ * @returns {Error}
+ */
+function reviveError(data) {
+  if (typeof data === 'string') return new Error(data);
+  const { name, message, stack, ...properties } = data;
+  const error = new Error(message);
+  Object.assign(error, properties, { name });
+  if (stack) error.stack = stack;
+  return error;
+}
+
+module.exports = { serializeError, reviveError };